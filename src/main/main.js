@@ -1,5 +1,10 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
+const fs = require('fs/promises');
+const recovery = require('./recovery');
+const mediaFiles = require('./mediaFiles');
+const preferences = require('./preferences');
+const peaksCache = require('./peaksCache');
 
 let mainWindow;
 
@@ -14,7 +19,9 @@ function createWindow() {
       contextIsolation: true,
       preload: path.join(__dirname, 'preload.js'),
       // Enable media playback
-      webSecurity: true
+      webSecurity: true,
+      // Lets the renderer see whether imported video has a sound track
+      enableBlinkFeatures: 'AudioVideoTracks'
     },
     title: 'AI Media Editor - Phase 2'
   });
@@ -55,3 +62,129 @@ ipcMain.handle('open-file-dialog', async () => {
   });
   return result;
 });
+
+const PROJECT_FILE_FILTERS = [
+  { name: 'AI Media Editor Project', extensions: ['aiproj'] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+// Write a project file, prompting for a location on first save or "Save As"
+ipcMain.handle('save-project', async (event, { project, filePath, saveAs }) => {
+  let targetPath = filePath;
+
+  if (!targetPath || saveAs) {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Project',
+      defaultPath: filePath || 'Untitled.aiproj',
+      filters: PROJECT_FILE_FILTERS
+    });
+    if (result.canceled || !result.filePath) {
+      return { canceled: true };
+    }
+    targetPath = result.filePath;
+  }
+
+  await fs.writeFile(targetPath, JSON.stringify(project, null, 2), 'utf-8');
+  return { canceled: false, filePath: targetPath };
+});
+
+// Read a project file chosen by the user; parsing happens in the renderer
+ipcMain.handle('open-project', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Open Project',
+    properties: ['openFile'],
+    filters: PROJECT_FILE_FILTERS
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  const filePath = result.filePaths[0];
+  const contents = await fs.readFile(filePath, 'utf-8');
+  return { canceled: false, filePath, contents };
+});
+
+// Write an edit decision list built by the renderer to a file the user picks
+ipcMain.handle('export-edl', async (event, { contents, defaultName }) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export EDL',
+    defaultPath: defaultName || 'Untitled.edl',
+    filters: [
+      { name: 'CMX3600 EDL', extensions: ['edl'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  await fs.writeFile(result.filePath, contents, 'utf-8');
+  return { canceled: false, filePath: result.filePath };
+});
+
+// Autosave snapshots live in the app's userData directory
+const getRecoveryDir = () => path.join(app.getPath('userData'), 'recovery');
+
+ipcMain.handle('autosave-session', async (event, snapshot) => {
+  await recovery.writeSnapshot(getRecoveryDir(), snapshot);
+});
+
+ipcMain.handle('get-recovery-session', async () => {
+  return recovery.readLatestSnapshot(getRecoveryDir());
+});
+
+ipcMain.handle('clear-recovery-session', async () => {
+  await recovery.clearSnapshots(getRecoveryDir());
+});
+
+// Preferences such as key bindings, kept across sessions
+ipcMain.handle('get-preferences', async () => {
+  return preferences.readPreferences(app.getPath('userData'));
+});
+
+ipcMain.handle('save-preferences', async (event, changes) => {
+  return preferences.writePreferences(app.getPath('userData'), changes);
+});
+
+// Media paths the project open in the renderer references; these are the
+// only files it may read
+let projectMediaPaths = new Set();
+
+ipcMain.handle('set-project-media', async (event, paths) => {
+  projectMediaPaths = new Set(paths);
+});
+
+// Audio for waveforms: the renderer cannot read local files itself, and the
+// peaks it decodes are cached in userData
+ipcMain.handle('read-media-file', async (event, mediaPath) => {
+  return mediaFiles.readMediaFile(mediaPath, projectMediaPaths);
+});
+
+ipcMain.handle('get-peaks', async (event, mediaPath) => {
+  return peaksCache.readPeaks(app.getPath('userData'), mediaPath);
+});
+
+ipcMain.handle('save-peaks', async (event, { mediaPath, peaks }) => {
+  await peaksCache.writePeaks(app.getPath('userData'), mediaPath, peaks);
+});
+
+// Report which media files referenced by a project exist on disk
+ipcMain.handle('check-media-files', async (event, paths) => {
+  return mediaFiles.checkMediaFiles(paths);
+});
+
+ipcMain.handle('choose-folder', async (event, title) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: title || 'Choose Folder',
+    properties: ['openDirectory']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+  return result.filePaths[0];
+});
+
+// Look for moved media files in a folder picked by the user
+ipcMain.handle('find-media-in-folder', async (event, { folder, missing }) => {
+  return mediaFiles.findMediaInFolder(folder, missing);
+});
@@ -0,0 +1,138 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Limits for the relink folder search so a huge drive cannot hang the app
+const MAX_SEARCH_DEPTH = 8;
+const MAX_SEARCH_ENTRIES = 50000;
+
+// Largest media file handed to the renderer whole (for waveforms); bigger
+// files get no waveform rather than a multi-gigabyte copy over IPC
+const MAX_READ_BYTES = 512 * 1024 * 1024;
+
+/**
+ * Check which referenced media files still exist on disk.
+ * blob: URLs only live as long as the renderer session that created them,
+ * so they are always reported missing.
+ * @param {string[]} paths - Media paths referenced by the project
+ * @returns {Promise<Object<string, {exists: boolean, size: number|null}>>}
+ */
+async function checkMediaFiles(paths) {
+  const results = {};
+
+  await Promise.all(paths.map(async (mediaPath) => {
+    if (!mediaPath || mediaPath.startsWith('blob:')) {
+      results[mediaPath] = { exists: false, size: null };
+      return;
+    }
+
+    try {
+      const stats = await fs.stat(mediaPath);
+      results[mediaPath] = { exists: stats.isFile(), size: stats.size };
+    } catch (err) {
+      results[mediaPath] = { exists: false, size: null };
+    }
+  }));
+
+  return results;
+}
+
+/**
+ * Walk a folder and collect files whose names appear in the wanted set
+ * @param {string} root - Folder to search
+ * @param {Set<string>} wantedNames - Lower-cased file names to look for
+ * @returns {Promise<Array<{path: string, name: string, size: number}>>}
+ */
+async function collectFiles(root, wantedNames) {
+  const found = [];
+  const queue = [{ dir: root, depth: 0 }];
+  let visited = 0;
+
+  while (queue.length > 0 && visited < MAX_SEARCH_ENTRIES) {
+    const { dir, depth } = queue.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      visited++;
+      const entryPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < MAX_SEARCH_DEPTH && !entry.name.startsWith('.')) {
+          queue.push({ dir: entryPath, depth: depth + 1 });
+        }
+      } else if ((entry.isFile() || entry.isSymbolicLink()) && wantedNames.has(entry.name.toLowerCase())) {
+        // Unreadable files and broken links are skipped like unreadable folders
+        let stats;
+        try {
+          stats = await fs.stat(entryPath);
+        } catch (err) {
+          continue;
+        }
+        if (stats.isFile()) {
+          found.push({ path: entryPath, name: entry.name, size: stats.size });
+        }
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Search a folder for replacements of missing media files. A candidate must
+ * have the same file name and, when the original size is known, the same size.
+ * @param {string} folder - Folder chosen by the user
+ * @param {Array<{path: string, name: string, size: number|null}>} missing - Missing media
+ * @returns {Promise<Object<string, string[]>>} - Candidate paths keyed by the missing path
+ */
+async function findMediaInFolder(folder, missing) {
+  const wantedNames = new Set(missing.map(file => file.name.toLowerCase()));
+  const files = await collectFiles(folder, wantedNames);
+  const matches = {};
+
+  missing.forEach((file) => {
+    const candidates = files.filter(candidate =>
+      candidate.name.toLowerCase() === file.name.toLowerCase() &&
+      (file.size == null || candidate.size === file.size)
+    );
+    if (candidates.length > 0) {
+      matches[file.path] = candidates.map(candidate => candidate.path);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Read a media file for the renderer. Only files the open project uses can
+ * be read, so the renderer cannot reach anything else on disk.
+ * @param {string} mediaPath - Path of the audio or video file
+ * @param {Set<string>} projectPaths - Media paths the open project references
+ * @param {number} maxBytes - Largest file that is read
+ * @returns {Promise<Buffer>}
+ */
+async function readMediaFile(mediaPath, projectPaths, maxBytes = MAX_READ_BYTES) {
+  if (!projectPaths.has(mediaPath)) {
+    throw new Error(`Not a media file of the open project: ${mediaPath}`);
+  }
+
+  const stats = await fs.stat(mediaPath);
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${mediaPath}`);
+  }
+  if (stats.size > maxBytes) {
+    throw new Error(`Media file too large to read (${stats.size} bytes): ${mediaPath}`);
+  }
+  return fs.readFile(mediaPath);
+}
+
+module.exports = {
+  MAX_READ_BYTES,
+  checkMediaFiles,
+  findMediaInFolder,
+  readMediaFile
+};
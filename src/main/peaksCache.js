@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Waveform peaks decoded from audio files, one JSON file per media file in
+// userData so reopening a project does not decode its audio again
+const PEAKS_DIR = 'peaks';
+
+/**
+ * Cache file for a media file's peaks
+ * @param {string} dir - Directory holding the peaks cache
+ * @param {string} mediaPath - Path of the audio or video file
+ * @returns {string}
+ */
+function getCacheFile(dir, mediaPath) {
+  const hash = crypto.createHash('sha1').update(mediaPath).digest('hex');
+  return path.join(dir, PEAKS_DIR, `${hash}.json`);
+}
+
+/**
+ * Read the cached peaks of a media file. Peaks are only returned while the
+ * file's size and modification time match the ones they were decoded from,
+ * so a file replaced under the same name is decoded again.
+ * @param {string} dir - Directory holding the peaks cache
+ * @param {string} mediaPath - Path of the audio or video file
+ * @returns {Promise<Object|null>} - The peaks, or null if none are cached
+ */
+async function readPeaks(dir, mediaPath) {
+  try {
+    const [stats, contents] = await Promise.all([
+      fs.stat(mediaPath),
+      fs.readFile(getCacheFile(dir, mediaPath), 'utf-8'),
+    ]);
+    const entry = JSON.parse(contents);
+    if (entry.path !== mediaPath || entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+      return null;
+    }
+    return entry.peaks;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Cache the peaks of a media file, written under a temporary name first so
+ * a crash mid-write cannot leave half a file behind
+ * @param {string} dir - Directory holding the peaks cache
+ * @param {string} mediaPath - Path of the audio or video file
+ * @param {Object} peaks - Peaks to cache
+ * @returns {Promise<void>}
+ */
+async function writePeaks(dir, mediaPath, peaks) {
+  const stats = await fs.stat(mediaPath);
+  const filePath = getCacheFile(dir, mediaPath);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const entry = { path: mediaPath, size: stats.size, mtimeMs: stats.mtimeMs, peaks };
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(entry), 'utf-8');
+  await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+module.exports = {
+  PEAKS_DIR,
+  readPeaks,
+  writePeaks
+};
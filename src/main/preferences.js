@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Editor preferences (such as key bindings) are one JSON object in userData
+const PREFERENCES_FILE = 'preferences.json';
+
+/**
+ * Read the preferences file. A missing or unreadable file gives the defaults
+ * (an empty object) rather than an error, so a bad file never stops the app
+ * from starting.
+ * @param {string} dir - Directory holding the preferences file
+ * @returns {Promise<Object>}
+ */
+async function readPreferences(dir) {
+  let contents;
+  try {
+    contents = await fs.readFile(path.join(dir, PREFERENCES_FILE), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+
+  try {
+    const preferences = JSON.parse(contents);
+    return preferences && typeof preferences === 'object' && !Array.isArray(preferences) ? preferences : {};
+  } catch (err) {
+    console.warn('Ignoring unreadable preferences file:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Merge changes into the preferences file. The file is written under a
+ * temporary name first so a crash mid-write keeps the previous preferences.
+ * @param {string} dir - Directory holding the preferences file
+ * @param {Object} changes - Preferences to replace, by name
+ * @returns {Promise<Object>} - All preferences after the change
+ */
+async function writePreferences(dir, changes) {
+  const preferences = { ...(await readPreferences(dir)), ...changes };
+
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, PREFERENCES_FILE);
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(preferences, null, 2), 'utf-8');
+  await fs.rename(`${filePath}.tmp`, filePath);
+
+  return preferences;
+}
+
+module.exports = {
+  PREFERENCES_FILE,
+  readPreferences,
+  writePreferences
+};
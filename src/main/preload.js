@@ -4,5 +4,23 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
+  saveProject: (project, filePath, saveAs) =>
+    ipcRenderer.invoke('save-project', { project, filePath, saveAs }),
+  openProject: () => ipcRenderer.invoke('open-project'),
+  exportEdl: (contents, defaultName) =>
+    ipcRenderer.invoke('export-edl', { contents, defaultName }),
+  autosaveSession: (snapshot) => ipcRenderer.invoke('autosave-session', snapshot),
+  getRecoverySession: () => ipcRenderer.invoke('get-recovery-session'),
+  clearRecoverySession: () => ipcRenderer.invoke('clear-recovery-session'),
+  checkMediaFiles: (paths) => ipcRenderer.invoke('check-media-files', paths),
+  chooseFolder: (title) => ipcRenderer.invoke('choose-folder', title),
+  findMediaInFolder: (folder, missing) =>
+    ipcRenderer.invoke('find-media-in-folder', { folder, missing }),
+  getPreferences: () => ipcRenderer.invoke('get-preferences'),
+  savePreferences: (changes) => ipcRenderer.invoke('save-preferences', changes),
+  setProjectMedia: (paths) => ipcRenderer.invoke('set-project-media', paths),
+  readMediaFile: (mediaPath) => ipcRenderer.invoke('read-media-file', mediaPath),
+  getPeaks: (mediaPath) => ipcRenderer.invoke('get-peaks', mediaPath),
+  savePeaks: (mediaPath, peaks) => ipcRenderer.invoke('save-peaks', { mediaPath, peaks }),
   // Add more exposed methods as needed for Phase 2/3
 });
@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Autosave snapshots are stored as session-<timestamp>.json in the recovery directory
+const SNAPSHOT_PATTERN = /^session-(\d+)\.json$/;
+const MAX_SNAPSHOTS = 5;
+
+/**
+ * List snapshot file names, newest first
+ * @param {string} dir - Recovery directory
+ * @returns {Promise<string[]>}
+ */
+async function listSnapshots(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  return entries
+    .filter(name => SNAPSHOT_PATTERN.test(name))
+    .sort((a, b) => Number(b.match(SNAPSHOT_PATTERN)[1]) - Number(a.match(SNAPSHOT_PATTERN)[1]));
+}
+
+/**
+ * Write a new snapshot and delete the oldest ones beyond the rotation limit.
+ * The file is written under a temporary name first so a crash mid-write
+ * never leaves a truncated snapshot behind.
+ * @param {string} dir - Recovery directory
+ * @param {Object} snapshot - Session data to store
+ * @param {number} maxSnapshots - Number of snapshots to keep
+ * @returns {Promise<string>} - File name of the new snapshot
+ */
+async function writeSnapshot(dir, snapshot, maxSnapshots = MAX_SNAPSHOTS) {
+  await fs.mkdir(dir, { recursive: true });
+
+  const fileName = `session-${Date.now()}.json`;
+  const tempPath = path.join(dir, `${fileName}.tmp`);
+  await fs.writeFile(tempPath, JSON.stringify(snapshot), 'utf-8');
+  await fs.rename(tempPath, path.join(dir, fileName));
+
+  const snapshots = await listSnapshots(dir);
+  await Promise.all(
+    snapshots.slice(maxSnapshots).map(name => fs.unlink(path.join(dir, name)))
+  );
+
+  return fileName;
+}
+
+/**
+ * Read the most recent readable snapshot, skipping corrupt files
+ * @param {string} dir - Recovery directory
+ * @returns {Promise<Object|null>}
+ */
+async function readLatestSnapshot(dir) {
+  for (const name of await listSnapshots(dir)) {
+    try {
+      const contents = await fs.readFile(path.join(dir, name), 'utf-8');
+      return { ...JSON.parse(contents), fileName: name };
+    } catch (err) {
+      console.warn(`Skipping unreadable recovery snapshot ${name}:`, err.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Delete every snapshot in the recovery directory
+ * @param {string} dir - Recovery directory
+ */
+async function clearSnapshots(dir) {
+  const snapshots = await listSnapshots(dir);
+  await Promise.all(snapshots.map(name => fs.unlink(path.join(dir, name))));
+}
+
+module.exports = {
+  MAX_SNAPSHOTS,
+  listSnapshots,
+  writeSnapshot,
+  readLatestSnapshot,
+  clearSnapshots
+};
@@ -1,15 +1,19 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import { v4 as uuidv4 } from 'uuid';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import DragDropZone from './components/DragDropZone';
-import { TimelineEditor } from './components/Timeline';
-import { PreviewPlayer } from './components/Preview';
+import RelinkDialog from './components/RelinkDialog';
+import KeyBindingsDialog from './components/KeyBindingsDialog';
+import { TimelinePanel } from './components/Timeline';
+import { PreviewPlayer, ClipProperties } from './components/Preview';
 import { generateThumbnail, createPlaceholderThumbnail } from './store';
-
-// Initial state for tracks
-const initialTracks = [
-  { id: 'video-track', type: 'video', name: 'Video Track', items: [] },
-  { id: 'audio-track', type: 'audio', name: 'Audio Track', items: [] }
-];
+import useEditorStore from './store/useEditorStore';
+import { getKeyBindings, withShortcut, createKeyDownHandler } from './store/keymap';
+import {
+  startAutosave,
+  findRecoverySession,
+  restoreRecoverySession,
+  discardRecoverySession
+} from './store/autosave';
+import { startMediaAccess } from './store/waveform';
 
 // Detect media type from file
 const detectMediaType = (file) => {
@@ -19,246 +23,349 @@ const detectMediaType = (file) => {
   return 'image';
 };
 
+// Files the editor can import
+const isMediaFile = (file) => /\.(mp4|webm|mkv|avi|mov|mp3|wav|ogg|aac|m4a|jpe?g|png|gif|bmp)$/i
+  .test(file.name || file.path || '');
+
+// Pick the first unlocked track that can hold a media type
+const findTargetTrack = (tracks, mediaType) => {
+  const trackType = mediaType === 'audio' ? 'audio' : 'video';
+  return tracks.find(t => t.type === trackType && !t.locked);
+};
+
+// Get the end time of the last item on a track
+const getTrackEnd = (track) => track.items.reduce(
+  (end, item) => Math.max(end, item.startTime + item.duration), 0
+);
+
 function App() {
-  // Timeline state
-  const [tracks, setTracks] = useState(initialTracks);
-  const [zoom, setZoom] = useState(50); // pixels per second
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [playbackRate, setPlaybackRate] = useState(1);
-  const [selectedItemId, setSelectedItemId] = useState(null);
-  
-  // Filter state
-  const [filters, setFilters] = useState({
-    brightness: 100,
-    contrast: 100,
-    saturation: 100
-  });
-
-  // Calculate total duration when tracks change
+  const {
+    tracks,
+    timelines,
+    activeSequenceId,
+    playhead,
+    duration,
+    isPlaying,
+    playbackRate,
+    shuttleRate,
+    filters,
+    selectedItemId,
+    timeDisplay,
+    projectPath,
+    keyBindings,
+    addMediaItem,
+    updateItemMedia,
+    addLinkedAudio,
+    addTrack,
+    setPlayhead,
+    play,
+    pause,
+    setPlaybackRate,
+    setFilter,
+    resetFilters,
+    setItemProperty,
+    toggleItemKeyframe,
+    updateItemKeyframe,
+    saveProject,
+    openProject,
+    exportEdl,
+    loadPreferences,
+  } = useEditorStore();
+
+  const [showRelinkDialog, setShowRelinkDialog] = useState(false);
+  const [showKeyBindings, setShowKeyBindings] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const bindings = useMemo(() => getKeyBindings(keyBindings), [keyBindings]);
+
+  const offlineCount = useMemo(() => tracks.reduce(
+    (count, track) => count + track.items.filter(item => item.offline).length, 0
+  ), [tracks]);
+  const hasOfflineMedia = offlineCount > 0;
+
+  // Open the relink dialog as soon as a loaded project has missing media
   useEffect(() => {
-    const maxDuration = tracks.reduce((max, track) => {
-      const trackDuration = track.items.reduce((sum, item) => 
-        Math.max(sum, item.startTime + item.duration), 0
-      );
-      return Math.max(max, trackDuration);
-    }, 0);
-    setDuration(maxDuration);
-  }, [tracks]);
-
-  // Recalculate start times for a track
-  const recalculateStartTimes = useCallback((trackItems) => {
-    let currentStartTime = 0;
-    return trackItems.map(item => {
-      const newItem = { ...item, startTime: currentStartTime };
-      currentStartTime += item.duration;
-      return newItem;
+    if (hasOfflineMedia) {
+      setShowRelinkDialog(true);
+    }
+  }, [hasOfflineMedia]);
+
+  // The preview follows the sequence being edited, also inside its compound clips
+  const sequenceSettings = timelines[activeSequenceId].settings;
+
+  // The clicked clip and its track, for the clip properties panel
+  const selectedClip = useMemo(() => {
+    for (const track of tracks) {
+      const item = track.items.find(i => i.id === selectedItemId);
+      if (item) return { track, item };
+    }
+    return null;
+  }, [tracks, selectedItemId]);
+
+  // The store keeps filters centred on 0 (-100..100), the preview works in percent (0..200)
+  const previewFilters = useMemo(() => ({
+    brightness: filters.brightness + 100,
+    contrast: filters.contrast + 100,
+    saturation: filters.saturation + 100
+  }), [filters]);
+
+  // Import a file onto a track: a placeholder clip first, then its real
+  // duration and thumbnail. Returns the clip's id, or null on a locked track.
+  const importFile = useCallback(async (file, trackId, startTime) => {
+    const mediaType = detectMediaType(file);
+    const path = file.path || (file instanceof File ? URL.createObjectURL(file) : '');
+
+    const itemId = addMediaItem(trackId, {
+      name: file.name || file.path?.split(/[/\\]/).pop() || 'Unknown',
+      path,
+      type: mediaType,
+      fileSize: file.size,
+      duration: mediaType === 'image' ? 5 : 10, // default durations
+      startTime,
+      thumbnail: createPlaceholderThumbnail(mediaType)
     });
-  }, []);
+    if (!itemId) return null;
 
-  // Handle file upload and thumbnail generation
+    // Generate thumbnail and read the real duration
+    try {
+      const result = await generateThumbnail({ ...file, path, type: mediaType });
+      updateItemMedia(trackId, itemId, result);
+
+      // Footage with sound gets a linked clip on an audio track
+      if (mediaType === 'video' && result.hasAudio) {
+        addLinkedAudio(trackId, itemId);
+      }
+    } catch (err) {
+      console.error('Failed to generate thumbnail:', err);
+    }
+    return itemId;
+  }, [addMediaItem, updateItemMedia, addLinkedAudio]);
+
+  // Handle file upload: each file goes to the end of the first track that can hold it
   const handleFilesAdded = useCallback(async (newFiles) => {
     for (const file of newFiles) {
       const mediaType = detectMediaType(file);
-      const trackId = mediaType === 'audio' ? 'audio-track' : 'video-track';
-      const path = file.path || (file instanceof File ? URL.createObjectURL(file) : '');
-      
-      // Create placeholder item first
-      const newItem = {
-        id: uuidv4(),
-        name: file.name || file.path?.split(/[/\\]/).pop() || 'Unknown',
-        path,
-        type: mediaType,
-        duration: mediaType === 'image' ? 5 : 10, // default durations
-        startTime: 0,
-        thumbnail: createPlaceholderThumbnail(mediaType)
-      };
-
-      // Add to tracks
-      setTracks(prev => prev.map(track => {
-        if (track.id === trackId) {
-          const newItems = [...track.items, newItem];
-          return { ...track, items: recalculateStartTimes(newItems) };
-        }
-        return track;
-      }));
+      let track = findTargetTrack(useEditorStore.getState().tracks, mediaType);
 
-      // Generate thumbnail asynchronously
-      try {
-        const result = await generateThumbnail({ ...file, path, type: mediaType });
-        
-        // Update item with real thumbnail and duration
-        setTracks(prev => prev.map(track => {
-          if (track.id === trackId) {
-            const newItems = track.items.map(item => {
-              if (item.id === newItem.id) {
-                return {
-                  ...item,
-                  thumbnail: result.thumbnail,
-                  duration: result.duration || item.duration
-                };
-              }
-              return item;
-            });
-            return { ...track, items: recalculateStartTimes(newItems) };
-          }
-          return track;
-        }));
-      } catch (err) {
-        console.error('Failed to generate thumbnail:', err);
+      // Every matching track is locked (or gone), so make a new one
+      if (!track) {
+        const newTrackId = addTrack(mediaType === 'audio' ? 'audio' : 'video');
+        track = useEditorStore.getState().tracks.find(t => t.id === newTrackId);
       }
+
+      await importFile(file, track.id, getTrackEnd(track));
     }
-  }, [recalculateStartTimes]);
-
-  // Handle file drop on specific track
-  const handleTrackFileDrop = useCallback(async (trackId, files) => {
-    const filteredFiles = files.filter(file => {
-      const ext = file.name?.split('.').pop().toLowerCase();
-      const trackType = trackId === 'audio-track' ? 'audio' : 'video';
-      const audioExts = ['mp3', 'wav', 'ogg', 'aac', 'm4a'];
-      const mediaExts = ['mp4', 'webm', 'mkv', 'avi', 'mov', 'jpg', 'jpeg', 'png', 'gif', 'bmp'];
-      
-      if (trackType === 'audio') {
-        return audioExts.includes(ext);
+  }, [addTrack, importFile]);
+
+  // Files dropped onto a track go there one after another from the drop
+  // time. Files the track can't hold (audio on a video track and the other
+  // way round) are skipped.
+  const handleTrackFileDrop = useCallback(async (trackId, files, startTime) => {
+    let time = startTime;
+    for (const file of files) {
+      const track = useEditorStore.getState().tracks.find(t => t.id === trackId);
+      if (!track || !isMediaFile(file) || (detectMediaType(file) === 'audio') !== (track.type === 'audio')) {
+        continue;
+      }
+
+      const itemId = await importFile(file, trackId, time);
+      const item = useEditorStore.getState().tracks
+        .find(t => t.id === trackId)?.items
+        .find(i => i.id === itemId);
+      if (item) {
+        time = item.startTime + item.duration;
       }
-      return mediaExts.includes(ext);
+    }
+  }, [importFile]);
+
+  const handlePlayingChange = useCallback((playing) => {
+    if (playing) {
+      play();
+    } else {
+      pause();
+    }
+  }, [play, pause]);
+
+  // Handle filter change
+  const handleFilterChange = useCallback((newFilters) => {
+    Object.entries(newFilters).forEach(([name, value]) => {
+      setFilter(name, value - 100);
     });
+  }, [setFilter]);
 
-    for (const file of filteredFiles) {
-      const mediaType = detectMediaType(file);
-      const path = file.path || (file instanceof File ? URL.createObjectURL(file) : '');
-      
-      const newItem = {
-        id: uuidv4(),
-        name: file.name || 'Unknown',
-        path,
-        type: mediaType,
-        duration: mediaType === 'image' ? 5 : 10,
-        startTime: 0,
-        thumbnail: createPlaceholderThumbnail(mediaType)
-      };
-
-      setTracks(prev => prev.map(track => {
-        if (track.id === trackId) {
-          const newItems = [...track.items, newItem];
-          return { ...track, items: recalculateStartTimes(newItems) };
-        }
-        return track;
-      }));
+  const handleSaveProject = useCallback(async (saveAs = false) => {
+    try {
+      await saveProject(saveAs);
+    } catch (err) {
+      console.error('Failed to save project:', err);
+      window.alert(`Could not save the project: ${err.message}`);
+    }
+  }, [saveProject]);
+
+  const handleOpenProject = useCallback(async () => {
+    try {
+      await openProject();
+    } catch (err) {
+      console.error('Failed to open project:', err);
+      window.alert(`Could not open the project: ${err.message}`);
+    }
+  }, [openProject]);
 
+  const handleExportEdl = useCallback(async () => {
+    setShowExportMenu(false);
+    try {
+      await exportEdl();
+    } catch (err) {
+      console.error('Failed to export EDL:', err);
+      window.alert(`Could not export the EDL: ${err.message}`);
+    }
+  }, [exportEdl]);
+
+  // Offer to restore the previous session if it was never saved
+  useEffect(() => {
+    const checkRecovery = async () => {
       try {
-        const result = await generateThumbnail({ ...file, path, type: mediaType });
-        
-        setTracks(prev => prev.map(track => {
-          if (track.id === trackId) {
-            const newItems = track.items.map(item => {
-              if (item.id === newItem.id) {
-                return {
-                  ...item,
-                  thumbnail: result.thumbnail,
-                  duration: result.duration || item.duration
-                };
-              }
-              return item;
-            });
-            return { ...track, items: recalculateStartTimes(newItems) };
-          }
-          return track;
-        }));
+        const snapshot = await findRecoverySession();
+        if (!snapshot) return;
+
+        const savedAt = new Date(snapshot.savedAt).toLocaleString();
+        if (window.confirm(`An unsaved editing session from ${savedAt} was found. Restore it?`)) {
+          await restoreRecoverySession(snapshot);
+        } else {
+          await discardRecoverySession();
+        }
       } catch (err) {
-        console.error('Failed to generate thumbnail:', err);
+        console.error('Failed to restore session:', err);
       }
-    }
-  }, [recalculateStartTimes]);
+    };
 
-  // Handle item selection
-  const handleSelectItem = useCallback((item) => {
-    setSelectedItemId(item.id);
+    checkRecovery();
+    return startAutosave();
   }, []);
 
-  // Handle item removal
-  const handleRemoveItem = useCallback((trackId, itemId) => {
-    setTracks(prev => prev.map(track => {
-      if (track.id === trackId) {
-        const newItems = track.items.filter(item => item.id !== itemId);
-        return { ...track, items: recalculateStartTimes(newItems) };
-      }
-      return track;
-    }));
-    
-    if (selectedItemId === itemId) {
-      setSelectedItemId(null);
-    }
-  }, [selectedItemId, recalculateStartTimes]);
-
-  // Handle item reordering
-  const handleReorderItems = useCallback((trackId, fromIndex, toIndex) => {
-    setTracks(prev => prev.map(track => {
-      if (track.id === trackId) {
-        const newItems = [...track.items];
-        const [removed] = newItems.splice(fromIndex, 1);
-        newItems.splice(toIndex, 0, removed);
-        return { ...track, items: recalculateStartTimes(newItems) };
-      }
-      return track;
-    }));
-  }, [recalculateStartTimes]);
+  // The main process only reads the project's own media for waveforms
+  useEffect(() => startMediaAccess(), []);
 
-  // Handle time change
-  const handleTimeChange = useCallback((time) => {
-    setCurrentTime(Math.max(0, Math.min(time, duration)));
-  }, [duration]);
+  // Key bindings changed in an earlier session
+  useEffect(() => {
+    loadPreferences().catch(err => console.warn('Failed to load preferences:', err));
+  }, [loadPreferences]);
 
-  // Handle filter change
-  const handleFilterChange = useCallback((newFilters) => {
-    setFilters(prev => ({ ...prev, ...newFilters }));
-  }, []);
+  // Project shortcuts; the timeline handles its own (see keymap.js)
+  useEffect(() => {
+    const handleKeyDown = createKeyDownHandler(bindings, {
+      'project.save': () => handleSaveProject(false),
+      'project.saveAs': () => handleSaveProject(true),
+      'project.open': handleOpenProject,
+    });
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [bindings, handleSaveProject, handleOpenProject]);
+
+  const projectName = projectPath ? projectPath.split(/[/\\]/).pop() : 'Untitled project';
 
   return (
     <div className="app-container">
       <header className="app-header">
         <h1>AI Media Editor</h1>
         <span className="app-version">Phase 2</span>
+        <span className="project-name" title={projectPath || ''}>{projectName}</span>
+        <div className="project-actions">
+          {hasOfflineMedia && (
+            <button
+              className="project-btn warning"
+              onClick={() => setShowRelinkDialog(true)}
+              title="Relink media files that could not be found"
+            >
+              ⚠ Missing Media ({offlineCount})
+            </button>
+          )}
+          <button className="project-btn" onClick={handleOpenProject} title={withShortcut('Open project', bindings, 'project.open')}>
+            Open
+          </button>
+          <button className="project-btn" onClick={() => handleSaveProject(false)} title={withShortcut('Save project', bindings, 'project.save')}>
+            Save
+          </button>
+          <button className="project-btn" onClick={() => handleSaveProject(true)} title={withShortcut('Save project as', bindings, 'project.saveAs')}>
+            Save As
+          </button>
+          <div className="export-menu" onBlur={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setShowExportMenu(false);
+          }}>
+            <button
+              className="project-btn"
+              onClick={() => setShowExportMenu(open => !open)}
+              aria-haspopup="menu"
+              aria-expanded={showExportMenu}
+              title="Export the current sequence"
+            >
+              Export ▾
+            </button>
+            {showExportMenu && (
+              <div className="export-menu-list" role="menu">
+                <button role="menuitem" onClick={handleExportEdl} title="Save the sequence's cuts as an edit decision list">
+                  EDL (CMX3600)…
+                </button>
+              </div>
+            )}
+          </div>
+          <button className="project-btn" onClick={() => setShowKeyBindings(true)} title="Change keyboard shortcuts">
+            Shortcuts
+          </button>
+        </div>
       </header>
-      
+
       <main className="app-main">
         <div className="left-panel">
           <DragDropZone onFilesAdded={handleFilesAdded} />
         </div>
-        
+
         <div className="center-panel">
           <PreviewPlayer
             tracks={tracks}
-            currentTime={currentTime}
+            timelines={timelines}
+            frameSize={sequenceSettings}
+            frameRate={sequenceSettings.fps}
+            timeDisplay={timeDisplay}
+            currentTime={playhead}
             duration={duration}
             isPlaying={isPlaying}
             playbackRate={playbackRate}
-            filters={filters}
-            onTimeChange={handleTimeChange}
-            onPlayingChange={setIsPlaying}
+            shuttleRate={shuttleRate}
+            filters={previewFilters}
+            onTimeChange={setPlayhead}
+            onPlayingChange={handlePlayingChange}
             onPlaybackRateChange={setPlaybackRate}
             onFilterChange={handleFilterChange}
+            onFilterReset={resetFilters}
           />
+          {selectedClip && (
+            <ClipProperties
+              item={selectedClip.item}
+              time={playhead - selectedClip.item.startTime}
+              frameRate={sequenceSettings.fps}
+              onChange={(key, value) => setItemProperty(selectedClip.track.id, selectedClip.item.id, key, value)}
+              onToggleKeyframe={(key) => toggleItemKeyframe(selectedClip.track.id, selectedClip.item.id, key)}
+              onKeyframeChange={(key, keyframeId, changes) => (
+                updateItemKeyframe(selectedClip.track.id, selectedClip.item.id, key, keyframeId, changes)
+              )}
+              onSeek={setPlayhead}
+            />
+          )}
         </div>
       </main>
-      
+
       <footer className="app-footer">
-        <TimelineEditor
-          tracks={tracks}
-          zoom={zoom}
-          currentTime={currentTime}
-          duration={duration}
-          isPlaying={isPlaying}
-          selectedItemId={selectedItemId}
-          onSelectItem={handleSelectItem}
-          onRemoveItem={handleRemoveItem}
-          onReorderItems={handleReorderItems}
-          onZoomChange={setZoom}
-          onTimeChange={handleTimeChange}
-          onFileDrop={handleTrackFileDrop}
-        />
+        <TimelinePanel onFileDrop={handleTrackFileDrop} />
       </footer>
+
+      {showRelinkDialog && (
+        <RelinkDialog onClose={() => setShowRelinkDialog(false)} />
+      )}
+
+      {showKeyBindings && (
+        <KeyBindingsDialog onClose={() => setShowKeyBindings(false)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,154 @@
+import React, { useState, useMemo } from 'react';
+import useEditorStore from '../store/useEditorStore';
+import {
+  COMMANDS,
+  getCommand,
+  getEventCombo,
+  getKeyBindings,
+  getCommandsForCombo,
+  findConflicts,
+  assignKeyBinding,
+  removeKeyBinding,
+  resetKeyBinding,
+} from '../store/keymap';
+
+const CATEGORIES = [...new Set(COMMANDS.map(command => command.category))];
+
+/**
+ * KeyBindingsDialog - lists every keyboard command and lets the user change
+ * its keys. Changes are saved to the preferences file straight away. A key
+ * already used by another command is only taken over once confirmed.
+ */
+function KeyBindingsDialog({ onClose }) {
+  const { keyBindings, setKeyBindings } = useEditorStore();
+  const bindings = useMemo(() => getKeyBindings(keyBindings), [keyBindings]);
+  const conflicts = useMemo(() => findConflicts(bindings), [bindings]);
+
+  // Command waiting for a key press, and a pressed key that needs confirming
+  const [recordingId, setRecordingId] = useState(null);
+  const [pending, setPending] = useState(null);
+
+  const handleRecordKeyDown = (commandId) => (e) => {
+    // Keep the key from also running its command
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      setRecordingId(null);
+      return;
+    }
+
+    const combo = getEventCombo(e);
+    if (!combo) return;
+
+    setRecordingId(null);
+    const taken = getCommandsForCombo(bindings, combo, commandId);
+    if (taken.length > 0) {
+      setPending({ commandId, combo, taken });
+    } else {
+      setKeyBindings(assignKeyBinding(keyBindings, commandId, combo));
+    }
+  };
+
+  const confirmPending = () => {
+    setKeyBindings(assignKeyBinding(keyBindings, pending.commandId, pending.combo));
+    setPending(null);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="keybindings-dialog" role="dialog" aria-label="Keyboard shortcuts">
+        <h3>Keyboard Shortcuts</h3>
+
+        {pending && (
+          <div className="keybindings-conflict" role="alert">
+            <span>
+              {pending.combo} is used by {pending.taken.map(id => getCommand(id).label).join(', ')}.
+              Use it for {getCommand(pending.commandId).label} instead?
+            </span>
+            <button className="project-btn primary" onClick={confirmPending}>
+              Reassign
+            </button>
+            <button className="project-btn" onClick={() => setPending(null)}>
+              Cancel
+            </button>
+          </div>
+        )}
+
+        <div className="keybindings-list">
+          {CATEGORIES.map(category => (
+            <section key={category} className="keybindings-category">
+              <h4>{category}</h4>
+              {COMMANDS.filter(command => command.category === category).map(command => {
+                const shared = bindings[command.id].filter(combo => conflicts[combo]);
+                return (
+                  <div
+                    key={command.id}
+                    className={`keybinding-row ${shared.length > 0 ? 'conflict' : ''}`}
+                  >
+                    <span className="keybinding-label">{command.label}</span>
+                    <span className="keybinding-keys">
+                      {bindings[command.id].map(combo => (
+                        <span key={combo} className={`keybinding-key ${conflicts[combo] ? 'conflict' : ''}`}>
+                          <kbd>{combo}</kbd>
+                          <button
+                            className="keybinding-remove"
+                            onClick={() => setKeyBindings(removeKeyBinding(keyBindings, command.id, combo))}
+                            title={`Remove ${combo} from ${command.label}`}
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                      <button
+                        className={`keybinding-add ${recordingId === command.id ? 'recording' : ''}`}
+                        onClick={() => setRecordingId(command.id)}
+                        onKeyDown={recordingId === command.id ? handleRecordKeyDown(command.id) : undefined}
+                        onBlur={() => setRecordingId(null)}
+                        aria-label={`Add key for ${command.label}`}
+                      >
+                        {recordingId === command.id ? 'Press keys…' : '+'}
+                      </button>
+                      {keyBindings[command.id] && (
+                        <button
+                          className="keybinding-reset"
+                          onClick={() => setKeyBindings(resetKeyBinding(keyBindings, command.id))}
+                          title={`Default: ${command.keys.join(' / ') || 'none'}`}
+                        >
+                          Reset
+                        </button>
+                      )}
+                    </span>
+                    {shared.length > 0 && (
+                      <span className="keybinding-warning">
+                        {shared.map(combo => `${combo} is also used by ${conflicts[combo]
+                          .filter(id => id !== command.id)
+                          .map(id => getCommand(id).label)
+                          .join(', ')}`).join('; ')}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </section>
+          ))}
+        </div>
+
+        <div className="dialog-actions">
+          <button
+            className="project-btn"
+            onClick={() => setKeyBindings({})}
+            disabled={Object.keys(keyBindings).length === 0}
+          >
+            Reset All
+          </button>
+          <button className="project-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KeyBindingsDialog;
@@ -0,0 +1,111 @@
+import React from 'react';
+import {
+  CLIP_PROPERTIES,
+  EASINGS,
+  getPropertyKeys,
+  getPropertyValue,
+  getKeyframes,
+  isAnimated,
+  findKeyframeAt,
+} from '../../store/keyframes';
+import { DEFAULT_FRAME_RATE, getFrameDuration } from '../../store/timecode';
+
+/**
+ * ClipProperties component - look, placement and volume of the selected
+ * clip at the playhead. Properties with keyframes animate: changing their
+ * value sets a keyframe at the playhead.
+ */
+function ClipProperties({
+  item,
+  time,
+  frameRate = DEFAULT_FRAME_RATE,
+  onChange,
+  onToggleKeyframe,
+  onKeyframeChange,
+  onSeek,
+}) {
+  const keys = getPropertyKeys(item);
+  if (keys.length === 0) return null;
+
+  // A keyframe within half a frame of the playhead is under it
+  const tolerance = getFrameDuration(frameRate) / 2;
+
+  return (
+    <div className="clip-properties" role="group" aria-label="Clip properties">
+      <div className="filter-header">
+        <h4>Clip</h4>
+        <span className="clip-properties-name" title={item.name}>{item.name}</span>
+      </div>
+
+      {keys.map(key => {
+        const { label, min, max, unit } = CLIP_PROPERTIES[key];
+        const value = getPropertyValue(item, key, time);
+        const keyframes = getKeyframes(item, key);
+        const current = findKeyframeAt(item, key, time, tolerance);
+        const previous = [...keyframes].reverse().find(keyframe => keyframe.time < time - tolerance);
+        const next = keyframes.find(keyframe => keyframe.time > time + tolerance);
+
+        return (
+          <div key={key} className="filter-row clip-property-row">
+            <label className="filter-label" htmlFor={`clip-property-${key}`}>
+              {label}
+            </label>
+            <input
+              id={`clip-property-${key}`}
+              type="range"
+              className="filter-slider"
+              min={min}
+              max={max}
+              value={Math.round(value)}
+              onChange={(e) => onChange(key, Number(e.target.value))}
+            />
+            <span className="filter-value">
+              {Math.round(value)}{unit}
+            </span>
+            <div className="keyframe-nav">
+              <button
+                className="keyframe-nav-btn"
+                onClick={() => onSeek(item.startTime + previous.time)}
+                disabled={!previous}
+                title={`Previous ${label} keyframe`}
+              >
+                ◀
+              </button>
+              <button
+                className={`keyframe-toggle ${isAnimated(item, key) ? 'animated' : ''} ${current ? 'active' : ''}`}
+                onClick={() => onToggleKeyframe(key)}
+                aria-pressed={!!current}
+                title={current ? `Remove ${label} keyframe` : `Add ${label} keyframe`}
+              >
+                {current ? '◆' : '◇'}
+              </button>
+              <button
+                className="keyframe-nav-btn"
+                onClick={() => onSeek(item.startTime + next.time)}
+                disabled={!next}
+                title={`Next ${label} keyframe`}
+              >
+                ▶
+              </button>
+            </div>
+            {current && (
+              <select
+                className="keyframe-easing"
+                value={current.easing}
+                onChange={(e) => onKeyframeChange(key, current.id, { easing: e.target.value })}
+                aria-label={`${label} easing`}
+                title="How the value changes towards the next keyframe"
+              >
+                {EASINGS.map(easing => (
+                  <option key={easing} value={easing}>{easing}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ClipProperties;
@@ -1,18 +1,10 @@
 import React from 'react';
 
-function FilterControls({ filters, onFilterChange }) {
+function FilterControls({ filters, onFilterChange, onReset }) {
   const handleChange = (name, value) => {
     onFilterChange({ [name]: parseInt(value, 10) });
   };
 
-  const handleReset = () => {
-    onFilterChange({
-      brightness: 100,
-      contrast: 100,
-      saturation: 100
-    });
-  };
-
   const filterConfigs = [
     { 
       name: 'brightness', 
@@ -47,7 +39,7 @@ function FilterControls({ filters, onFilterChange }) {
         <h4>Filters</h4>
         <button 
           className="filter-reset-btn"
-          onClick={handleReset}
+          onClick={onReset}
           disabled={isDefault}
           title="Reset all filters"
         >
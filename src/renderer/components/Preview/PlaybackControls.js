@@ -1,21 +1,18 @@
 import React from 'react';
+import { DEFAULT_FRAME_RATE, DEFAULT_TIME_DISPLAY, formatTime } from '../../store/timecode';
 
 function PlaybackControls({
   isPlaying,
   currentTime,
   duration,
+  frameRate = DEFAULT_FRAME_RATE,
+  timeDisplay = DEFAULT_TIME_DISPLAY,
   playbackRate,
   onPlayPause,
   onSeek,
   onFrameStep,
   onPlaybackRateChange
 }) {
-  const formatTime = (time) => {
-    const mins = Math.floor(time / 60);
-    const secs = Math.floor(time % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
-
   const handleSeekChange = (e) => {
     onSeek(parseFloat(e.target.value));
   };
@@ -57,7 +54,7 @@ function PlaybackControls({
       </div>
 
       <div className="controls-row seek-row">
-        <span className="time-display">{formatTime(currentTime)}</span>
+        <span className="time-display">{formatTime(currentTime, frameRate, timeDisplay)}</span>
         <input
           type="range"
           className="seek-slider"
@@ -67,7 +64,7 @@ function PlaybackControls({
           value={currentTime}
           onChange={handleSeekChange}
         />
-        <span className="time-display">{formatTime(duration)}</span>
+        <span className="time-display">{formatTime(duration, frameRate, timeDisplay)}</span>
       </div>
 
       <div className="controls-row rate-row">
@@ -1,36 +1,111 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { initWebGL, renderFrame, cleanupWebGL } from './webglRenderer';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { initWebGL, renderLayers, cleanupWebGL } from './webglRenderer';
 import PlaybackControls from './PlaybackControls';
 import FilterControls from './FilterControls';
+import { getMediaTimeAt, getSpeed, isReversed } from '../../store/trim';
+import { getRenderLayersAtTime, getRenderAudioAtTime } from '../../store/compounds';
+import { getClipProperties, getPropertyValue } from '../../store/keyframes';
+import { DEFAULT_FRAME_RATE, DEFAULT_TIME_DISPLAY, stepFrames } from '../../store/timecode';
 
 // Sync threshold in seconds - prevents excessive seeking during playback
 const MEDIA_SYNC_THRESHOLD = 0.3;
 
+// Media elements cannot play backwards, so reversed clips are seeked to
+// every frame instead
+const REVERSE_SYNC_THRESHOLD = 1 / 60;
+
+// Playback rates media elements accept
+const MIN_MEDIA_RATE = 0.0625;
+const MAX_MEDIA_RATE = 16;
+
+// The canvas is drawn at the sequence's aspect ratio, within this size
+const PREVIEW_MAX_WIDTH = 640;
+const PREVIEW_MAX_HEIGHT = 360;
+
+const getCanvasSize = ({ width, height }) => {
+  const scale = Math.min(PREVIEW_MAX_WIDTH / width, PREVIEW_MAX_HEIGHT / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+const getMediaKind = (item) => {
+  if (item.type === 'audio') return 'audio';
+  if (item.type === 'video' || item.path?.match(/\.(mp4|webm|mkv|avi|mov)$/i)) return 'video';
+  return 'image';
+};
+
+/**
+ * Create the element that plays or shows an item's media
+ * @returns {{element: HTMLElement, kind: string, path: string}}
+ */
+const createMediaElement = (item, onReady, onError) => {
+  const kind = getMediaKind(item);
+
+  if (kind === 'image') {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = onReady;
+    img.onerror = () => onError('Failed to load image');
+    img.src = item.path;
+    return { element: img, kind, path: item.path };
+  }
+
+  const element = document.createElement(kind);
+  element.crossOrigin = 'anonymous';
+  if (kind === 'video') {
+    element.muted = true; // Mute video, use separate audio track
+    element.playsInline = true;
+    element.onloadeddata = onReady;
+  }
+  element.onerror = () => onError(`Failed to load ${kind}`);
+  element.src = item.path;
+  element.load();
+  return { element, kind, path: item.path };
+};
+
+const releaseMediaElement = ({ element, kind }) => {
+  if (kind === 'image') return;
+  element.pause();
+  element.removeAttribute('src');
+  element.load();
+};
+
+const isFrameReady = ({ element, kind }) => (
+  kind === 'image' ? element.complete && element.naturalWidth > 0 : element.readyState >= 2
+);
+
 function PreviewPlayer({
   tracks,
+  timelines = {},
+  frameSize = { width: 1920, height: 1080 },
+  frameRate = DEFAULT_FRAME_RATE,
+  timeDisplay = DEFAULT_TIME_DISPLAY,
   currentTime,
   duration,
   isPlaying,
   playbackRate,
+  shuttleRate = 0,
   filters,
   onTimeChange,
   onPlayingChange,
   onPlaybackRateChange,
-  onFilterChange
+  onFilterChange,
+  onFilterReset
 }) {
   const canvasRef = useRef(null);
   const webglContextRef = useRef(null);
-  const videoRef = useRef(null);
-  const audioRef = useRef(null);
-  const imageRef = useRef(null);
+  const mediaElementsRef = useRef(new Map()); // item id -> media element entry
   const animationFrameRef = useRef(null);
   const lastTimeRef = useRef(0);
 
-  const [currentVideoItem, setCurrentVideoItem] = useState(null);
-  const [currentAudioItem, setCurrentAudioItem] = useState(null);
-  const [mediaLoaded, setMediaLoaded] = useState(false);
+  // Bumped whenever a media element finishes loading, so the frame is redrawn
+  const [loadedCount, setLoadedCount] = useState(0);
   const [error, setError] = useState(null);
 
+  const canvasSize = getCanvasSize(frameSize);
+
+  // J/K/L shuttling overrides the chosen rate; below zero plays backwards
+  const rate = shuttleRate || playbackRate;
+
   // Initialize WebGL
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -49,163 +124,108 @@ function PreviewPlayer({
     };
   }, []);
 
-  // Find current media items based on time
-  useEffect(() => {
-    const videoTrack = tracks.find(t => t.type === 'video');
-    const audioTrack = tracks.find(t => t.type === 'audio');
-
-    if (videoTrack) {
-      const item = videoTrack.items.find(i => 
-        currentTime >= i.startTime && currentTime < i.startTime + i.duration
-      );
-      if (item?.id !== currentVideoItem?.id) {
-        setCurrentVideoItem(item || null);
-        setMediaLoaded(false);
-      }
-    }
+  // Clips under the playhead on every track: picture layers bottom-first, plus
+  // audio. Compound clips contribute the clips inside them.
+  const visualItems = useMemo(
+    () => getRenderLayersAtTime(tracks, timelines, currentTime),
+    [tracks, timelines, currentTime]
+  );
+  const audioItems = useMemo(
+    () => getRenderAudioAtTime(tracks, timelines, currentTime),
+    [tracks, timelines, currentTime]
+  );
 
-    if (audioTrack) {
-      const item = audioTrack.items.find(i => 
-        currentTime >= i.startTime && currentTime < i.startTime + i.duration
-      );
-      if (item?.id !== currentAudioItem?.id) {
-        setCurrentAudioItem(item || null);
-      }
-    }
-  }, [currentTime, tracks, currentVideoItem?.id, currentAudioItem?.id]);
+  const activeItemsRef = useRef([]);
+  activeItemsRef.current = [...visualItems, ...audioItems];
+  const activeKey = activeItemsRef.current.map(item => `${item.id}@${item.path}`).join('|');
 
-  // Load video or image when current item changes
+  // Create media elements for clips reaching the playhead and release the ones that left
   useEffect(() => {
-    if (!currentVideoItem) {
-      setMediaLoaded(false);
-      return;
-    }
+    const elements = mediaElementsRef.current;
+    const wanted = new Map(activeItemsRef.current.map(item => [item.id, item]));
 
-    const isVideo = currentVideoItem.type === 'video' || 
-      currentVideoItem.path?.match(/\.(mp4|webm|mkv|avi|mov)$/i);
-
-    if (isVideo) {
-      // Load video
-      if (!videoRef.current) {
-        videoRef.current = document.createElement('video');
-        videoRef.current.crossOrigin = 'anonymous';
-        videoRef.current.muted = true; // Mute video, use separate audio track
-        videoRef.current.playsInline = true;
+    elements.forEach((entry, id) => {
+      if (wanted.get(id)?.path !== entry.path) {
+        releaseMediaElement(entry);
+        elements.delete(id);
       }
-
-      videoRef.current.src = currentVideoItem.path;
-      videoRef.current.load();
-      videoRef.current.onloadeddata = () => {
-        setMediaLoaded(true);
-        setError(null);
-      };
-      videoRef.current.onerror = () => {
-        setError('Failed to load video');
-        setMediaLoaded(false);
-      };
-
-      imageRef.current = null;
-    } else {
-      // Load image
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      img.onload = () => {
-        imageRef.current = img;
-        setMediaLoaded(true);
-        setError(null);
-      };
-      img.onerror = () => {
-        setError('Failed to load image');
-        setMediaLoaded(false);
-      };
-      img.src = currentVideoItem.path;
-
-      videoRef.current = null;
-    }
-  }, [currentVideoItem]);
-
-  // Handle audio track
+    });
+
+    wanted.forEach((item, id) => {
+      if (elements.has(id)) return;
+      elements.set(id, createMediaElement(
+        item,
+        () => {
+          setError(null);
+          setLoadedCount(count => count + 1);
+        },
+        setError
+      ));
+    });
+  }, [activeKey]);
+
+  // Release everything on unmount
   useEffect(() => {
-    if (!currentAudioItem) {
-      if (audioRef.current) {
-        audioRef.current.pause();
-        audioRef.current.src = '';
-      }
-      return;
-    }
-
-    if (!audioRef.current) {
-      audioRef.current = document.createElement('audio');
-      audioRef.current.crossOrigin = 'anonymous';
-    }
-
-    audioRef.current.src = currentAudioItem.path;
-    audioRef.current.load();
-  }, [currentAudioItem]);
-
-  // Sync audio with playback
-  useEffect(() => {
-    if (!audioRef.current || !currentAudioItem) return;
-
-    const audioTime = currentTime - currentAudioItem.startTime;
-    
-    // Use threshold to prevent excessive seeking during playback
-    if (Math.abs(audioRef.current.currentTime - audioTime) > MEDIA_SYNC_THRESHOLD) {
-      audioRef.current.currentTime = Math.max(0, audioTime);
-    }
-
-    audioRef.current.playbackRate = playbackRate;
-
-    if (isPlaying) {
-      audioRef.current.play().catch(() => {});
-    } else {
-      audioRef.current.pause();
-    }
-  }, [isPlaying, currentTime, currentAudioItem, playbackRate]);
+    const elements = mediaElementsRef.current;
+    return () => {
+      elements.forEach(releaseMediaElement);
+      elements.clear();
+    };
+  }, []);
 
   // Render loop
   const render = useCallback(() => {
     if (!webglContextRef.current || !canvasRef.current) return;
 
-    let source = null;
+    const elements = mediaElementsRef.current;
+
+    // Keep video and audio elements in step with the timeline
+    [...visualItems, ...audioItems].forEach(item => {
+      const entry = elements.get(item.id);
+      if (!entry || entry.kind === 'image') return;
+
+      const { element } = entry;
+      const mediaTime = getMediaTimeAt(item, currentTime);
+      // The media runs backwards when a reversed clip plays forwards or a
+      // forward clip plays in reverse
+      const backwards = isReversed(item) !== rate < 0;
 
-    if (videoRef.current && videoRef.current.readyState >= 2) {
-      // Sync video time
-      const videoTime = currentVideoItem 
-        ? currentTime - currentVideoItem.startTime 
-        : 0;
-      
       // Use threshold to prevent excessive seeking during playback
-      if (Math.abs(videoRef.current.currentTime - videoTime) > MEDIA_SYNC_THRESHOLD) {
-        videoRef.current.currentTime = Math.max(0, videoTime);
+      const threshold = backwards ? REVERSE_SYNC_THRESHOLD : MEDIA_SYNC_THRESHOLD;
+      if (Math.abs(element.currentTime - mediaTime) > threshold) {
+        element.currentTime = Math.max(0, mediaTime);
       }
-      
-      videoRef.current.playbackRate = playbackRate;
-      
-      if (isPlaying && videoRef.current.paused) {
-        videoRef.current.play().catch(() => {});
-      } else if (!isPlaying && !videoRef.current.paused) {
-        videoRef.current.pause();
+
+      element.playbackRate = Math.min(MAX_MEDIA_RATE, Math.max(MIN_MEDIA_RATE, Math.abs(rate) * getSpeed(item)));
+      if (entry.kind === 'audio') {
+        element.volume = getPropertyValue(item, 'volume', currentTime - item.startTime) / 100;
       }
-      
-      source = videoRef.current;
-    } else if (imageRef.current) {
-      source = imageRef.current;
-    }
 
-    if (source) {
-      try {
-        renderFrame(webglContextRef.current, source, filters);
-      } catch (err) {
-        console.error('Render error:', err);
+      // Media running backwards stays paused (and silent) while the playhead seeks it
+      const shouldPlay = isPlaying && !backwards;
+      if (shouldPlay && element.paused) {
+        element.play().catch(() => {});
+      } else if (!shouldPlay && !element.paused) {
+        element.pause();
       }
-    } else {
-      // Clear canvas when no source
-      const { gl } = webglContextRef.current;
-      gl.clearColor(0.1, 0.1, 0.15, 1);
-      gl.clear(gl.COLOR_BUFFER_BIT);
+    });
+
+    // Layers that have a frame to show, with their animated properties at
+    // the playhead; an empty list (a gap) renders black
+    const layers = visualItems
+      .map(item => ({ item, entry: elements.get(item.id) }))
+      .filter(({ entry }) => entry && isFrameReady(entry))
+      .map(({ item, entry }) => ({
+        source: entry.element,
+        properties: getClipProperties(item, currentTime - item.startTime),
+      }));
+
+    try {
+      renderLayers(webglContextRef.current, layers, filters);
+    } catch (err) {
+      console.error('Render error:', err);
     }
-  }, [currentTime, filters, isPlaying, playbackRate, currentVideoItem]);
+  }, [currentTime, filters, isPlaying, rate, visualItems, audioItems, loadedCount]);
 
   // Animation loop for playback
   useEffect(() => {
@@ -224,13 +244,20 @@ function PreviewPlayer({
       const deltaTime = (timestamp - lastTimeRef.current) / 1000;
       lastTimeRef.current = timestamp;
 
-      const newTime = currentTime + deltaTime * playbackRate;
+      const newTime = currentTime + deltaTime * rate;
       
       if (newTime >= duration) {
         onTimeChange(0);
         onPlayingChange(false);
         return;
       }
+      
+      // Playing backwards stops at the start
+      if (rate < 0 && newTime <= 0) {
+        onTimeChange(0);
+        onPlayingChange(false);
+        return;
+      }
 
       onTimeChange(newTime);
       render();
@@ -245,14 +272,14 @@ function PreviewPlayer({
         cancelAnimationFrame(animationFrameRef.current);
       }
     };
-  }, [isPlaying, currentTime, duration, playbackRate, onTimeChange, onPlayingChange, render]);
+  }, [isPlaying, currentTime, duration, rate, onTimeChange, onPlayingChange, render]);
 
-  // Render when filters or time changes (not during playback)
+  // Render when filters, time or the canvas size changes (not during playback)
   useEffect(() => {
     if (!isPlaying) {
       render();
     }
-  }, [filters, render, isPlaying, currentTime]);
+  }, [filters, render, isPlaying, currentTime, canvasSize.width, canvasSize.height]);
 
   const handlePlayPause = useCallback(() => {
     if (duration === 0) return;
@@ -264,11 +291,9 @@ function PreviewPlayer({
   }, [onTimeChange]);
 
   const handleFrameStep = useCallback((direction) => {
-    // Step by 1/30th of a second (one frame at 30fps)
-    const frameTime = 1 / 30;
-    const newTime = Math.max(0, Math.min(currentTime + direction * frameTime, duration));
-    onTimeChange(newTime);
-  }, [currentTime, duration, onTimeChange]);
+    // Step by one frame of the sequence
+    onTimeChange(Math.min(stepFrames(currentTime, direction, frameRate), duration));
+  }, [currentTime, duration, frameRate, onTimeChange]);
 
   const hasMedia = tracks.some(t => t.items.length > 0);
 
@@ -289,8 +314,8 @@ function PreviewPlayer({
           <canvas
             ref={canvasRef}
             className="preview-canvas"
-            width={640}
-            height={360}
+            width={canvasSize.width}
+            height={canvasSize.height}
           />
         )}
       </div>
@@ -299,6 +324,8 @@ function PreviewPlayer({
         isPlaying={isPlaying}
         currentTime={currentTime}
         duration={duration}
+        frameRate={frameRate}
+        timeDisplay={timeDisplay}
         playbackRate={playbackRate}
         onPlayPause={handlePlayPause}
         onSeek={handleSeek}
@@ -309,6 +336,7 @@ function PreviewPlayer({
       <FilterControls
         filters={filters}
         onFilterChange={onFilterChange}
+        onReset={onFilterReset}
       />
     </div>
   );
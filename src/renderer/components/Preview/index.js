@@ -1,4 +1,5 @@
 export { default as PreviewPlayer } from './PreviewPlayer';
 export { default as PlaybackControls } from './PlaybackControls';
 export { default as FilterControls } from './FilterControls';
+export { default as ClipProperties } from './ClipProperties';
 export * from './webglRenderer';
@@ -1,16 +1,28 @@
-// Vertex shader for WebGL rendering
+// Vertex shader for WebGL rendering. Places a layer in the frame: scaled and
+// rotated about the centre (in pixels, so rotation keeps its shape), then moved.
 export const vertexShaderSource = `
   attribute vec2 a_position;
   attribute vec2 a_texCoord;
+  uniform float u_scale;
+  uniform float u_rotation;
+  uniform vec2 u_translate;
+  uniform float u_aspect;
   varying vec2 v_texCoord;
   
   void main() {
-    gl_Position = vec4(a_position, 0.0, 1.0);
+    vec2 position = a_position * u_scale;
+    position.x *= u_aspect;
+    float c = cos(u_rotation);
+    float s = sin(u_rotation);
+    position = vec2(position.x * c - position.y * s, position.x * s + position.y * c);
+    position.x /= u_aspect;
+    
+    gl_Position = vec4(position + u_translate, 0.0, 1.0);
     v_texCoord = a_texCoord;
   }
 `;
 
-// Fragment shader with brightness, contrast, saturation controls
+// Fragment shader with brightness, contrast, saturation and opacity controls
 export const fragmentShaderSource = `
   precision mediump float;
   
@@ -19,6 +31,7 @@ export const fragmentShaderSource = `
   uniform float u_brightness;
   uniform float u_contrast;
   uniform float u_saturation;
+  uniform float u_opacity;
   
   vec3 adjustBrightness(vec3 color, float brightness) {
     return color * brightness;
@@ -45,7 +58,7 @@ export const fragmentShaderSource = `
     // Clamp values to valid range
     adjusted = clamp(adjusted, 0.0, 1.0);
     
-    gl_FragColor = vec4(adjusted, color.a);
+    gl_FragColor = vec4(adjusted, color.a * u_opacity);
   }
 `;
 
@@ -122,6 +135,11 @@ export function initWebGL(canvas) {
   const brightnessLocation = gl.getUniformLocation(program, 'u_brightness');
   const contrastLocation = gl.getUniformLocation(program, 'u_contrast');
   const saturationLocation = gl.getUniformLocation(program, 'u_saturation');
+  const opacityLocation = gl.getUniformLocation(program, 'u_opacity');
+  const scaleLocation = gl.getUniformLocation(program, 'u_scale');
+  const rotationLocation = gl.getUniformLocation(program, 'u_rotation');
+  const translateLocation = gl.getUniformLocation(program, 'u_translate');
+  const aspectLocation = gl.getUniformLocation(program, 'u_aspect');
   
   // Create buffers
   const positionBuffer = gl.createBuffer();
@@ -165,14 +183,32 @@ export function initWebGL(canvas) {
     brightnessLocation,
     contrastLocation,
     saturationLocation,
+    opacityLocation,
+    scaleLocation,
+    rotationLocation,
+    translateLocation,
+    aspectLocation,
     texture
   };
 }
 
+// Look and placement of a layer that has no clip properties
+const DEFAULT_LAYER_PROPERTIES = {
+  opacity: 100,
+  positionX: 0,
+  positionY: 0,
+  scale: 100,
+  rotation: 0,
+  brightness: 0,
+  contrast: 0,
+  saturation: 0
+};
+
 /**
- * Render a frame with filters applied
+ * Draw one source over whatever is already in the framebuffer. The layer's
+ * clip properties (see store/keyframes.js) add to the filters and place it.
  */
-export function renderFrame(webglContext, source, filters) {
+function drawSource(webglContext, source, filters, layerProperties) {
   const {
     gl,
     program,
@@ -184,27 +220,33 @@ export function renderFrame(webglContext, source, filters) {
     brightnessLocation,
     contrastLocation,
     saturationLocation,
+    opacityLocation,
+    scaleLocation,
+    rotationLocation,
+    translateLocation,
+    aspectLocation,
     texture
   } = webglContext;
+  const properties = { ...DEFAULT_LAYER_PROPERTIES, ...layerProperties };
   
   // Update texture with source
   gl.bindTexture(gl.TEXTURE_2D, texture);
   gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
   
-  // Set viewport
-  gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
-  
-  // Clear
-  gl.clearColor(0, 0, 0, 1);
-  gl.clear(gl.COLOR_BUFFER_BIT);
-  
   // Use program
   gl.useProgram(program);
   
   // Set uniforms (convert from 0-200 scale to shader-friendly values)
-  gl.uniform1f(brightnessLocation, filters.brightness / 100);
-  gl.uniform1f(contrastLocation, filters.contrast / 100);
-  gl.uniform1f(saturationLocation, filters.saturation / 100);
+  gl.uniform1f(brightnessLocation, Math.max(0, filters.brightness + properties.brightness) / 100);
+  gl.uniform1f(contrastLocation, Math.max(0, filters.contrast + properties.contrast) / 100);
+  gl.uniform1f(saturationLocation, Math.max(0, filters.saturation + properties.saturation) / 100);
+  gl.uniform1f(opacityLocation, properties.opacity / 100);
+  
+  // Positions are percent of the frame, down is positive, rotation is clockwise
+  gl.uniform1f(scaleLocation, properties.scale / 100);
+  gl.uniform1f(rotationLocation, -properties.rotation * Math.PI / 180);
+  gl.uniform2f(translateLocation, properties.positionX / 50, -properties.positionY / 50);
+  gl.uniform1f(aspectLocation, gl.canvas.width / gl.canvas.height);
   
   // Set position attribute
   gl.enableVertexAttribArray(positionLocation);
@@ -223,6 +265,34 @@ export function renderFrame(webglContext, source, filters) {
   gl.drawArrays(gl.TRIANGLES, 0, 6);
 }
 
+/**
+ * Composite layers over a black background, bottom layer first. Each layer is
+ * { source, properties }; transparent areas of upper layers (e.g. PNG stills
+ * or clips faded out) show the layers below.
+ */
+export function renderLayers(webglContext, layers, filters) {
+  const { gl } = webglContext;
+  
+  // Set viewport
+  gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+  
+  // Clear
+  gl.clearColor(0, 0, 0, 1);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  
+  layers.forEach(({ source, properties }) => drawSource(webglContext, source, filters, properties));
+}
+
+/**
+ * Render a frame with filters applied
+ */
+export function renderFrame(webglContext, source, filters) {
+  renderLayers(webglContext, [{ source }], filters);
+}
+
 /**
  * Clean up WebGL resources
  */
@@ -0,0 +1,94 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import useEditorStore from '../store/useEditorStore';
+import { getMissingMedia, findRelinkMatches } from '../store/relink';
+
+/**
+ * RelinkDialog - lists offline media and relinks it from a folder chosen by the user
+ */
+function RelinkDialog({ onClose }) {
+  const { tracks, relinkMedia } = useEditorStore();
+  const missing = useMemo(() => getMissingMedia(tracks), [tracks]);
+
+  const [matches, setMatches] = useState({});
+  const [isSearching, setIsSearching] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const matchCount = Object.keys(matches).length;
+
+  const handleSearch = useCallback(async () => {
+    if (!window.electronAPI) return;
+
+    const folder = await window.electronAPI.chooseFolder('Locate Missing Media');
+    if (!folder) return;
+
+    setIsSearching(true);
+    setMessage(null);
+    try {
+      const found = await findRelinkMatches(folder, missing);
+      setMatches(found);
+      setMessage(`Found ${Object.keys(found).length} of ${missing.length} missing file(s).`);
+    } catch (err) {
+      console.error('Relink search failed:', err);
+      setMessage(`Search failed: ${err.message}`);
+    } finally {
+      setIsSearching(false);
+    }
+  }, [missing]);
+
+  const handleRelink = useCallback(() => {
+    relinkMedia(matches);
+    setMatches({});
+    setMessage(`Relinked ${matchCount} file(s).`);
+  }, [relinkMedia, matches, matchCount]);
+
+  return (
+    <div className="modal-overlay">
+      <div className="relink-dialog" role="dialog" aria-label="Relink missing media">
+        <h3>Missing Media</h3>
+
+        {missing.length === 0 ? (
+          <p className="relink-message">All media files are online.</p>
+        ) : (
+          <>
+            <p className="relink-message">
+              {missing.length} file(s) could not be found. Choose a folder to search for them by name, size and duration.
+            </p>
+            <ul className="relink-list">
+              {missing.map(file => (
+                <li key={file.path} className={matches[file.path] ? 'matched' : ''}>
+                  <span className="relink-name" title={file.path}>{file.name}</span>
+                  <span className="relink-count">{file.itemCount} clip(s)</span>
+                  {matches[file.path] && (
+                    <span className="relink-target" title={matches[file.path]}>
+                      → {matches[file.path]}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {message && <p className="relink-status">{message}</p>}
+
+        <div className="dialog-actions">
+          {missing.length > 0 && (
+            <button className="project-btn" onClick={handleSearch} disabled={isSearching}>
+              {isSearching ? 'Searching…' : 'Search Folder…'}
+            </button>
+          )}
+          {matchCount > 0 && (
+            <button className="project-btn primary" onClick={handleRelink}>
+              Relink {matchCount} File(s)
+            </button>
+          )}
+          <button className="project-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RelinkDialog;
@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import { MIN_SPEED, MAX_SPEED } from '../../store/speed';
+import { getSpeed, isReversed } from '../../store/trim';
+
+/**
+ * ClipSpeedControls component - speed and reverse for the selected clip.
+ * The speed is applied on Enter or when the field loses focus.
+ */
+function ClipSpeedControls({ item, onChange }) {
+  const speed = getSpeed(item);
+  const reversed = isReversed(item);
+  const [draft, setDraft] = useState(String(speed));
+
+  useEffect(() => {
+    setDraft(String(Number(speed.toFixed(2))));
+  }, [item.id, speed]);
+
+  const commit = () => {
+    const value = parseFloat(draft);
+    if (Number.isFinite(value) && value > 0) {
+      onChange({ speed: value });
+    } else {
+      setDraft(String(Number(speed.toFixed(2))));
+    }
+  };
+
+  return (
+    <div className="clip-speed-controls" role="group" aria-label="Clip speed">
+      <input
+        className="clip-speed-input"
+        type="number"
+        min={MIN_SPEED}
+        max={MAX_SPEED}
+        step={0.1}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commit();
+        }}
+        aria-label="Speed"
+        title={`Clip speed, ${MIN_SPEED}x to ${MAX_SPEED}x`}
+      />
+      <span className="clip-speed-unit">x</span>
+      <button
+        className={`control-btn ${reversed ? 'active' : ''}`}
+        onClick={() => onChange({ reversed: !reversed })}
+        aria-pressed={reversed}
+        title="Play the clip backwards"
+      >
+        ⇐
+      </button>
+    </div>
+  );
+}
+
+export default ClipSpeedControls;
@@ -0,0 +1,78 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { FILMSTRIP_FRAME_WIDTH, getFilmstripFrames, getCachedFrame, loadFrame } from '../../store/filmstrip';
+
+// How far outside the visible timeline frames start loading (px)
+const PRELOAD_MARGIN = 200;
+
+/**
+ * One frame of a filmstrip. It is captured the first time it scrolls near
+ * the visible part of the timeline; until then the clip's thumbnail stands
+ * in for it.
+ */
+function FilmstripFrame({ path, time, left, width, placeholder }) {
+  const ref = useRef(null);
+  const [src, setSrc] = useState(() => getCachedFrame(path, time));
+
+  useEffect(() => {
+    const cached = getCachedFrame(path, time);
+    setSrc(cached);
+    if (cached || !ref.current || typeof IntersectionObserver === 'undefined') return undefined;
+
+    let active = true;
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      observer.disconnect();
+      loadFrame(path, time)
+        .then(url => {
+          if (active) setSrc(url);
+        })
+        .catch(() => {});
+    }, {
+      root: ref.current.closest('.timeline-content'),
+      rootMargin: `0px ${PRELOAD_MARGIN}px`,
+    });
+    observer.observe(ref.current);
+
+    return () => {
+      active = false;
+      observer.disconnect();
+    };
+  }, [path, time]);
+
+  const image = src || placeholder;
+
+  return (
+    <div
+      ref={ref}
+      className={`filmstrip-frame ${src ? 'loaded' : ''}`}
+      style={{ left: `${left}px`, width: `${width}px` }}
+    >
+      {image && <img src={image} alt="" draggable={false} />}
+    </div>
+  );
+}
+
+/**
+ * Filmstrip component - frames from a video clip tiled across its width, so
+ * zooming in shows frames closer together
+ */
+function Filmstrip({ item, width }) {
+  const frames = getFilmstripFrames(item, width, FILMSTRIP_FRAME_WIDTH);
+
+  return (
+    <div className="timeline-item-filmstrip" aria-hidden="true">
+      {frames.map(frame => (
+        <FilmstripFrame
+          key={frame.left}
+          path={item.path}
+          time={frame.time}
+          left={frame.left}
+          width={frame.width}
+          placeholder={item.thumbnail}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default Filmstrip;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { CLIP_PROPERTIES, getPropertyKeys, getKeyframes, isAnimated } from '../../store/keyframes';
+
+// Height of one property's lane (px)
+export const KEYFRAME_LANE_HEIGHT = 16;
+
+// Pointer travel before pressing a keyframe becomes a drag (px)
+const DRAG_THRESHOLD = 3;
+
+/**
+ * Properties of a clip that have keyframes, in panel order
+ * @param {Object} item - Timeline item
+ * @returns {Array<string>}
+ */
+export const getAnimatedKeys = (item) => getPropertyKeys(item).filter(key => isAnimated(item, key));
+
+/**
+ * KeyframeLanes component - a lane per animated property of a clip, with a
+ * diamond per keyframe. Clicking a diamond moves the playhead to it, dragging
+ * it changes its time. Collapsed, one row shows where any keyframes are.
+ */
+function KeyframeLanes({ item, trackId, width, expanded, onSeek, onKeyframeChange, formatTime }) {
+  const keys = getAnimatedKeys(item);
+  if (keys.length === 0) return null;
+
+  // The clip can be drawn wider than its duration (minimum width)
+  const pixelsPerSecond = width / item.duration;
+  const isInside = (keyframe) => keyframe.time >= 0 && keyframe.time <= item.duration;
+
+  const handleDiamondMouseDown = (key, keyframe) => (e) => {
+    // Keep the clip from starting a drag-and-drop move
+    e.preventDefault();
+    e.stopPropagation();
+
+    const originX = e.clientX;
+    let dragging = false;
+
+    const handleMouseMove = (moveEvent) => {
+      const dx = moveEvent.clientX - originX;
+      if (!dragging && Math.abs(dx) < DRAG_THRESHOLD) return;
+      dragging = true;
+      onKeyframeChange?.(trackId, item.id, key, keyframe.id, { time: keyframe.time + dx / pixelsPerSecond });
+    };
+
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      if (!dragging) onSeek?.(item.startTime + keyframe.time);
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+
+  if (!expanded) {
+    const times = [...new Set(keys.flatMap(key => getKeyframes(item, key).filter(isInside).map(k => k.time)))];
+    return (
+      <div className="keyframe-summary">
+        {times.map(time => (
+          <span key={time} className="keyframe-diamond" style={{ left: `${time * pixelsPerSecond}px` }} />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="keyframe-lanes" style={{ height: `${keys.length * KEYFRAME_LANE_HEIGHT}px` }}>
+      {keys.map(key => (
+        <div key={key} className="keyframe-lane" style={{ height: `${KEYFRAME_LANE_HEIGHT}px` }}>
+          <span className="keyframe-lane-label">{CLIP_PROPERTIES[key].label}</span>
+          {getKeyframes(item, key).filter(isInside).map(keyframe => (
+            <button
+              key={keyframe.id}
+              className={`keyframe-diamond ${keyframe.easing}`}
+              style={{ left: `${keyframe.time * pixelsPerSecond}px` }}
+              onMouseDown={handleDiamondMouseDown(key, keyframe)}
+              onClick={(e) => e.stopPropagation()}
+              title={`${CLIP_PROPERTIES[key].label} ${Math.round(keyframe.value)} at ${formatTime(keyframe.time)} (${keyframe.easing})`}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default KeyframeLanes;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { MARKER_COLORS, isRegion } from '../../store/markers';
+
+/**
+ * MarkerEditor component - popover for a marker's name, color and note
+ */
+function MarkerEditor({ marker, style, onChange, onRemove, onClose }) {
+  return (
+    <div className="marker-editor" style={style} role="dialog" aria-label="Edit marker">
+      <div className="marker-editor-header">
+        <span>{isRegion(marker) ? 'Region' : 'Marker'}</span>
+        <button className="marker-editor-close" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+      
+      <input
+        className="marker-name-input"
+        value={marker.name}
+        onChange={(e) => onChange(marker.id, { name: e.target.value })}
+        aria-label="Marker name"
+      />
+      
+      <div className="marker-colors">
+        {MARKER_COLORS.map(color => (
+          <button
+            key={color}
+            className={`marker-color ${marker.color === color ? 'active' : ''}`}
+            style={{ backgroundColor: color }}
+            onClick={() => onChange(marker.id, { color })}
+            aria-label={`Color ${color}`}
+            aria-pressed={marker.color === color}
+          />
+        ))}
+      </div>
+      
+      <textarea
+        className="marker-note-input"
+        value={marker.note}
+        onChange={(e) => onChange(marker.id, { note: e.target.value })}
+        placeholder="Note"
+        aria-label="Marker note"
+        rows={3}
+      />
+      
+      <button className="marker-remove-btn" onClick={() => onRemove(marker.id)}>
+        Delete {isRegion(marker) ? 'Region' : 'Marker'}
+      </button>
+    </div>
+  );
+}
+
+export default MarkerEditor;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { isRegion } from '../../store/markers';
+
+/**
+ * MarkerFlags component - markers and regions drawn on a time ruler.
+ * Drag a flag to move it, or a region's right edge to resize it; a click
+ * without dragging opens the marker for editing.
+ */
+function MarkerFlags({ markers, zoom, snapper = null, onMove, onResize, onEdit }) {
+  // Follow the pointer until the button is released. Holding Alt skips snapping.
+  const handleDragStart = (marker, edge) => (e) => {
+    // Keep the ruler from seeking
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const originX = e.clientX;
+    const originTime = edge === 'end' ? marker.endTime : marker.time;
+    let moved = false;
+    
+    const handleMouseMove = (moveEvent) => {
+      if (!onMove) return;
+      moved = true;
+      
+      const time = originTime + (moveEvent.clientX - originX) / zoom;
+      const snapped = snapper ? snapper.edge(time, [marker.id], moveEvent.altKey) : time;
+      if (edge === 'end') {
+        onResize?.(marker.id, snapped);
+      } else {
+        onMove(marker.id, snapped);
+      }
+    };
+    
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      snapper?.clear();
+      if (!moved) onEdit?.(marker.id);
+    };
+    
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+  
+  return (
+    <div className="marker-flags">
+      {markers.map(marker => (
+        <React.Fragment key={marker.id}>
+          {isRegion(marker) && (
+            <div
+              className="marker-region"
+              style={{
+                left: `${marker.time * zoom}px`,
+                width: `${(marker.endTime - marker.time) * zoom}px`,
+                backgroundColor: marker.color,
+              }}
+              title={marker.note ? `${marker.name}\n${marker.note}` : marker.name}
+            >
+              <div
+                className="marker-region-handle"
+                onMouseDown={handleDragStart(marker, 'end')}
+                onClick={(e) => e.stopPropagation()}
+                title="Drag to resize the region"
+              />
+            </div>
+          )}
+          <div
+            className="marker-flag"
+            style={{ left: `${marker.time * zoom}px`, '--marker-color': marker.color }}
+            onMouseDown={handleDragStart(marker, 'start')}
+            onClick={(e) => e.stopPropagation()}
+            title={marker.note ? `${marker.name}\n${marker.note}` : marker.name}
+            data-marker-id={marker.id}
+          >
+            <span className="marker-flag-label">{marker.name}</span>
+          </div>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+export default MarkerFlags;
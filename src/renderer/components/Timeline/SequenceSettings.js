@@ -0,0 +1,68 @@
+import React from 'react';
+import { SEQUENCE_RESOLUTIONS, SEQUENCE_FRAME_RATES } from '../../store/timelines';
+import { getFrameRateLabel } from '../../store/timecode';
+
+const getResolutionKey = ({ width, height }) => `${width}x${height}`;
+
+/**
+ * SequenceSettings component - popover for a sequence's name, resolution
+ * and frame rate
+ */
+function SequenceSettings({ sequence, onChange, onClose }) {
+  const { settings } = sequence;
+  const isPreset = SEQUENCE_RESOLUTIONS.some(preset => getResolutionKey(preset) === getResolutionKey(settings));
+
+  const handleResolutionChange = (e) => {
+    const [width, height] = e.target.value.split('x').map(Number);
+    onChange(sequence.id, { width, height });
+  };
+
+  return (
+    <div className="sequence-settings" role="dialog" aria-label="Sequence settings">
+      <div className="sequence-settings-header">
+        <span>Sequence</span>
+        <button className="sequence-settings-close" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <label className="sequence-settings-field">
+        Name
+        <input
+          value={sequence.name}
+          onChange={(e) => onChange(sequence.id, { name: e.target.value })}
+        />
+      </label>
+
+      <label className="sequence-settings-field">
+        Resolution
+        <select value={getResolutionKey(settings)} onChange={handleResolutionChange}>
+          {!isPreset && (
+            <option value={getResolutionKey(settings)}>
+              {settings.width}×{settings.height}
+            </option>
+          )}
+          {SEQUENCE_RESOLUTIONS.map(preset => (
+            <option key={preset.label} value={getResolutionKey(preset)}>
+              {preset.label} ({preset.width}×{preset.height})
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="sequence-settings-field">
+        Frame rate
+        <select
+          value={settings.fps}
+          onChange={(e) => onChange(sequence.id, { fps: Number(e.target.value) })}
+        >
+          {SEQUENCE_FRAME_RATES.map(fps => (
+            <option key={fps} value={fps}>{getFrameRateLabel(fps)}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default SequenceSettings;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { formatTime, parseTime } from '../../store/timecode';
+
+/**
+ * TimecodeInput component - a time shown in the chosen display that can be
+ * typed over. The typed time is applied on Enter or when the field loses
+ * focus; Escape puts the shown value back, as does text that is not a time.
+ */
+function TimecodeInput({ value, fps, display, onChange, label, className = '' }) {
+  const [draft, setDraft] = useState(null);
+  const shown = formatTime(value, fps, display);
+
+  const commit = () => {
+    if (draft === null) return;
+    const time = parseTime(draft, fps, display);
+    setDraft(null);
+    if (time !== null) onChange(time);
+  };
+
+  return (
+    <input
+      className={`timecode-input ${className}`}
+      value={draft ?? shown}
+      onFocus={(e) => {
+        setDraft(shown);
+        e.target.select();
+      }}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          e.currentTarget.blur();
+        } else if (e.key === 'Escape') {
+          setDraft(shown);
+        }
+      }}
+      spellCheck={false}
+      aria-label={label}
+      title={`${label}: type a timecode (HH:MM:SS:FF), frames or seconds (e.g. 2.5s)`}
+    />
+  );
+}
+
+export default TimecodeInput;
@@ -1,29 +1,57 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { useDrag, useDrop } from 'react-dnd';
 import { isVideoFile, isAudioFile } from '../../utils/thumbnailUtils';
+import { isCompound } from '../../store/compounds';
+import { getSpeed, isReversed } from '../../store/trim';
+import KeyframeLanes, { KEYFRAME_LANE_HEIGHT, getAnimatedKeys } from './KeyframeLanes';
+import Filmstrip from './Filmstrip';
+import Waveform from './Waveform';
+import { formatDefaultTimecode } from '../../store/timecode';
 
 const ItemTypes = {
   TIMELINE_ITEM: 'timelineItem',
+  TIMELINE_TRACK: 'timelineTrack',
 };
 
 /**
  * TimelineItem component - represents a single media item in the timeline
- * Supports drag and drop for reordering
+ * Supports drag and drop for reordering. Dragging an item that is part of a
+ * multi-selection, or that is linked to other clips, moves the whole selection.
+ * With a slip, slide or roll tool active, dragging the clip applies that tool.
+ * Double-clicking a compound clip opens its contents. Animated clips can
+ * expand a lane per property showing their keyframes. Video clips show a
+ * filmstrip of frames across their width and audio clips their waveform;
+ * other clips show one thumbnail.
  */
 function TimelineItem({
   item,
   index,
   trackId,
+  trackIndex = 0,
+  trackType = null,
   zoom,
   isSelected,
+  inGroup = false,
   onSelect,
   onRemove,
   onMove,
   onReorder,
+  onTrim,
+  onRazor,
+  snapper = null,
+  trimTool = null,
+  onOpenCompound = null,
+  keyframesOpen = false,
+  onToggleKeyframes = null,
+  onSeek = null,
+  onKeyframeChange = null,
+  formatTime = formatDefaultTimecode,
+  locked = false,
 }) {
   const ref = useRef(null);
   const [isHovered, setIsHovered] = useState(false);
   const [thumbnailLoaded, setThumbnailLoaded] = useState(false);
+  const [razorX, setRazorX] = useState(null);
   
   // Calculate width based on duration and zoom
   const width = Math.max(80, item.duration * zoom);
@@ -31,13 +59,21 @@ function TimelineItem({
   // Drag source
   const [{ isDragging }, drag] = useDrag({
     type: ItemTypes.TIMELINE_ITEM,
-    item: () => ({
-      id: item.id,
-      index,
-      trackId,
-      startTime: item.startTime,
-      duration: item.duration,
-    }),
+    canDrag: () => !onRazor && !trimTool && !locked,
+    item: () => {
+      // Linked clips move together, so pick up the whole link
+      if (item.linkId && !isSelected) onSelect(item.id);
+      return {
+        id: item.id,
+        index,
+        trackId,
+        trackIndex,
+        trackType,
+        startTime: item.startTime,
+        duration: item.duration,
+        group: inGroup || !!item.linkId,
+      };
+    },
     collect: (monitor) => ({
       isDragging: monitor.isDragging(),
     }),
@@ -47,7 +83,8 @@ function TimelineItem({
   const [{ isOver }, drop] = useDrop({
     accept: ItemTypes.TIMELINE_ITEM,
     hover: (draggedItem, monitor) => {
-      if (!ref.current) return;
+      // Live reordering only applies to single clips in ripple mode
+      if (!ref.current || !onReorder || draggedItem.group) return;
       
       // Don't replace items with themselves
       if (draggedItem.id === item.id) return;
@@ -91,6 +128,83 @@ function TimelineItem({
   // Combine drag and drop refs
   drag(drop(ref));
   
+  // Drag a resize handle to trim the clip's start or end
+  const handleTrimStart = (edge) => (e) => {
+    if (!onTrim) return;
+    
+    // Keep the item itself from starting a drag-and-drop move
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const origin = item;
+    const originX = e.clientX;
+    const originTime = edge === 'start' ? item.startTime : item.startTime + item.duration;
+    
+    const handleMouseMove = (moveEvent) => {
+      const time = originTime + (moveEvent.clientX - originX) / zoom;
+      // Holding Alt trims freely
+      onTrim(trackId, item.id, edge, snapper ? snapper.edge(time, [item.id], moveEvent.altKey) : time, origin);
+    };
+    
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      snapper?.clear();
+    };
+    
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+  
+  // Slip, slide and roll drag the clip itself. Roll moves the cut nearest to
+  // where the clip was grabbed.
+  const handleToolDragStart = (e) => {
+    if (!trimTool || locked || e.button !== 0) return;
+    
+    e.preventDefault();
+    const rect = ref.current.getBoundingClientRect();
+    const edge = e.clientX - rect.left < rect.width / 2 ? 'start' : 'end';
+    const origin = item;
+    const originX = e.clientX;
+    
+    const handleMouseMove = (moveEvent) => {
+      // Holding Alt turns snapping off
+      trimTool.drag(trackId, origin, edge, (moveEvent.clientX - originX) / zoom, moveEvent.altKey);
+    };
+    
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      trimTool.end();
+    };
+    
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+  
+  // Razor tool: the rendered width can exceed duration * zoom (minimum width),
+  // so map the pointer position through the element's actual size
+  const getTimeAtPointer = (e) => {
+    const rect = ref.current.getBoundingClientRect();
+    const fraction = rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0;
+    return item.startTime + Math.max(0, Math.min(1, fraction)) * item.duration;
+  };
+  
+  const handleClick = (e) => {
+    if (onRazor) {
+      onRazor(item.id, getTimeAtPointer(e));
+    } else {
+      // Shift/Ctrl-click adds to or removes from the selection
+      onSelect(item.id, { toggle: e.shiftKey || e.ctrlKey || e.metaKey });
+    }
+  };
+  
+  const handleMouseMove = (e) => {
+    if (onRazor) {
+      setRazorX(e.clientX - ref.current.getBoundingClientRect().left);
+    }
+  };
+  
   // Lazy load thumbnail
   useEffect(() => {
     if (item.thumbnail) {
@@ -98,43 +212,58 @@ function TimelineItem({
     }
   }, [item.thumbnail]);
   
-  const isVideo = item.type === 'video' || isVideoFile(item.path);
-  const isAudio = item.type === 'audio' || isAudioFile(item.path);
-  
-  // Format duration
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
+  // The type wins over the file name: the linked audio of a video is an audio clip
+  const isVideo = item.type === 'video' || (item.type !== 'audio' && isVideoFile(item.path));
+  const isAudio = item.type === 'audio' || (item.type !== 'video' && isAudioFile(item.path));
+  const compound = isCompound(item);
+  const animatedCount = getAnimatedKeys(item).length;
+  const lanesHeight = keyframesOpen ? animatedCount * KEYFRAME_LANE_HEIGHT : 0;
+  const typeIcon = compound ? '🗂️' : isVideo ? '🎥' : isAudio ? '🎵' : '🖼️';
+  const showFilmstrip = isVideo && !compound && !item.offline && !!item.path;
+  const showWaveform = isAudio && !compound && !item.offline && !!item.path;
   
   return (
     <div
       ref={ref}
-      className={`timeline-item-v2 ${isSelected ? 'selected' : ''} ${isDragging ? 'dragging' : ''} ${isOver ? 'drop-target' : ''}`}
+      className={`timeline-item-v2 ${isSelected ? 'selected' : ''} ${isDragging ? 'dragging' : ''} ${isOver ? 'drop-target' : ''} ${item.offline ? 'offline' : ''} ${onRazor ? 'razor' : ''} ${locked ? 'locked' : ''} ${item.linkId ? 'linked' : ''} ${trimTool ? `tool-${trimTool.tool}` : ''} ${compound ? 'compound' : ''} ${lanesHeight > 0 ? 'keyframes-open' : ''} ${showFilmstrip ? 'has-filmstrip' : ''} ${showWaveform ? 'has-waveform' : ''}`}
       style={{
         width: `${width}px`,
         opacity: isDragging ? 0.5 : 1,
         left: `${item.startTime * zoom}px`,
+        '--keyframe-lanes-height': `${lanesHeight}px`,
       }}
-      onClick={() => onSelect(item.id)}
+      onClick={handleClick}
+      onDoubleClick={() => {
+        if (compound && onOpenCompound) onOpenCompound(item.compoundId);
+      }}
+      onMouseDown={handleToolDragStart}
+      onMouseMove={handleMouseMove}
       onMouseEnter={() => setIsHovered(true)}
-      onMouseLeave={() => setIsHovered(false)}
+      onMouseLeave={() => {
+        setIsHovered(false);
+        setRazorX(null);
+      }}
     >
-      {/* Thumbnail */}
-      <div className="timeline-item-thumbnail">
-        {thumbnailLoaded && item.thumbnail ? (
-          <img
-            src={item.thumbnail}
-            alt={item.name}
-            className="thumbnail-image"
-          />
-        ) : (
-          <div className="thumbnail-placeholder">
-            {isVideo ? '🎥' : isAudio ? '🎵' : '🖼️'}
-          </div>
-        )}
-      </div>
+      {/* Filmstrip, waveform or thumbnail */}
+      {showFilmstrip ? (
+        <Filmstrip item={item} width={width} />
+      ) : showWaveform ? (
+        <Waveform item={item} width={width} />
+      ) : (
+        <div className="timeline-item-thumbnail">
+          {thumbnailLoaded && item.thumbnail ? (
+            <img
+              src={item.thumbnail}
+              alt={item.name}
+              className="thumbnail-image"
+            />
+          ) : (
+            <div className="thumbnail-placeholder">
+              {typeIcon}
+            </div>
+          )}
+        </div>
+      )}
       
       {/* Info overlay */}
       <div className="timeline-item-info-v2">
@@ -146,13 +275,66 @@ function TimelineItem({
         </span>
       </div>
       
+      {/* Missing media badge */}
+      {item.offline && (
+        <div className="item-offline-badge" title={`Media offline: ${item.path}`}>
+          ⚠ Offline
+        </div>
+      )}
+      
       {/* Type indicator */}
       <div className="item-type-indicator">
-        {isVideo ? '🎥' : isAudio ? '🎵' : '🖼️'}
+        {typeIcon}
       </div>
       
+      {/* Speed badge */}
+      {(getSpeed(item) !== 1 || isReversed(item)) && (
+        <div className="item-speed-badge" title="Clip speed">
+          {isReversed(item) ? '◀ ' : ''}{Number(getSpeed(item).toFixed(2))}x
+        </div>
+      )}
+      
+      {/* Linked clip indicator */}
+      {item.linkId && (
+        <div className="item-link-indicator" title="Linked clip. Unlink to edit it on its own">
+          🔗
+        </div>
+      )}
+      
+      {/* Keyframes, collapsed to one row or a lane per property */}
+      {animatedCount > 0 && (
+        <>
+          <KeyframeLanes
+            item={item}
+            trackId={trackId}
+            width={width}
+            expanded={keyframesOpen}
+            onSeek={onSeek}
+            onKeyframeChange={locked ? null : onKeyframeChange}
+            formatTime={formatTime}
+          />
+          <button
+            className={`item-keyframe-toggle ${keyframesOpen ? 'active' : ''}`}
+            onMouseDown={(e) => e.stopPropagation()}
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleKeyframes?.(item.id);
+            }}
+            aria-expanded={keyframesOpen}
+            title={keyframesOpen ? 'Hide keyframes' : 'Show keyframes'}
+          >
+            ◆
+          </button>
+        </>
+      )}
+      
+      {/* Razor cut preview */}
+      {onRazor && razorX !== null && (
+        <div className="razor-line" style={{ left: `${razorX}px` }} />
+      )}
+      
       {/* Remove button (visible on hover) */}
-      {isHovered && (
+      {isHovered && !onRazor && !trimTool && !locked && (
         <button
           className="timeline-item-remove-v2"
           onClick={(e) => {
@@ -166,8 +348,22 @@ function TimelineItem({
       )}
       
       {/* Resize handles */}
-      <div className="resize-handle resize-handle-left" />
-      <div className="resize-handle resize-handle-right" />
+      {!onRazor && !trimTool && !locked && (
+        <>
+          <div
+            className="resize-handle resize-handle-left"
+            onMouseDown={handleTrimStart('start')}
+            onClick={(e) => e.stopPropagation()}
+            title="Drag to trim the start"
+          />
+          <div
+            className="resize-handle resize-handle-right"
+            onMouseDown={handleTrimStart('end')}
+            onClick={(e) => e.stopPropagation()}
+            title="Drag to trim the end"
+          />
+        </>
+      )}
     </div>
   );
 }
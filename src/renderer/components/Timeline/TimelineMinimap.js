@@ -0,0 +1,111 @@
+import React, { useRef } from 'react';
+
+// Height of one track's row in the minimap (px)
+const MINIMAP_ROW_HEIGHT = 4;
+
+// Narrowest the viewport rectangle can be resized to (px)
+const MIN_VIEWPORT_WIDTH = 8;
+
+/**
+ * TimelineMinimap component - every track's clips squeezed into the full
+ * width, with the playhead and a rectangle over the part of the timeline on
+ * screen. Drag the rectangle to scroll, drag its edges to zoom, or click
+ * outside it to centre the view there.
+ */
+function TimelineMinimap({
+  tracks,
+  duration,
+  playhead,
+  visibleStart,
+  visibleEnd,
+  onScrollTo,
+  onZoomTo,
+}) {
+  const ref = useRef(null);
+
+  // The view can reach past the last clip when zoomed out
+  const mapDuration = Math.max(duration, visibleEnd, 1);
+  const toPercent = (time) => `${(time / mapDuration) * 100}%`;
+
+  // Follow the pointer until the button is released. The scale is fixed at
+  // the start so the map does not rescale under the pointer while zooming.
+  const handleDragStart = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const width = ref.current.getBoundingClientRect().width;
+    if (width <= 0) return;
+
+    const secondsPerPixel = mapDuration / width;
+    const minLength = MIN_VIEWPORT_WIDTH * secondsPerPixel;
+    const originX = e.clientX;
+
+    const handleMouseMove = (moveEvent) => {
+      const delta = (moveEvent.clientX - originX) * secondsPerPixel;
+      if (mode === 'move') {
+        onScrollTo(Math.max(0, visibleStart + delta));
+      } else if (mode === 'start') {
+        onZoomTo(Math.max(0, Math.min(visibleStart + delta, visibleEnd - minLength)), visibleEnd);
+      } else {
+        onZoomTo(visibleStart, Math.max(visibleEnd + delta, visibleStart + minLength));
+      }
+    };
+
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+
+  const handleMapMouseDown = (e) => {
+    if (e.button !== 0) return;
+    const rect = ref.current.getBoundingClientRect();
+    if (rect.width <= 0) return;
+
+    const time = ((e.clientX - rect.left) / rect.width) * mapDuration;
+    onScrollTo(Math.max(0, time - (visibleEnd - visibleStart) / 2));
+  };
+
+  return (
+    <div
+      ref={ref}
+      className="timeline-minimap"
+      style={{ height: `${Math.max(1, tracks.length) * MINIMAP_ROW_HEIGHT + 8}px` }}
+      onMouseDown={handleMapMouseDown}
+      aria-label="Timeline overview"
+    >
+      {tracks.map((track, index) => (
+        <div
+          key={track.id}
+          className={`minimap-row ${track.type}-track ${track.hidden || track.muted ? 'off' : ''}`}
+          style={{ top: `${4 + index * MINIMAP_ROW_HEIGHT}px`, height: `${MINIMAP_ROW_HEIGHT - 1}px` }}
+        >
+          {track.items.map(item => (
+            <div
+              key={item.id}
+              className="minimap-clip"
+              style={{ left: toPercent(item.startTime), width: toPercent(item.duration) }}
+            />
+          ))}
+        </div>
+      ))}
+
+      <div className="minimap-playhead" style={{ left: toPercent(playhead) }} />
+
+      <div
+        className="minimap-viewport"
+        style={{ left: toPercent(visibleStart), width: toPercent(visibleEnd - visibleStart) }}
+        onMouseDown={handleDragStart('move')}
+        title="Drag to scroll the timeline, drag an edge to zoom"
+      >
+        <div className="minimap-handle start" onMouseDown={handleDragStart('start')} />
+        <div className="minimap-handle end" onMouseDown={handleDragStart('end')} />
+      </div>
+    </div>
+  );
+}
+
+export default TimelineMinimap;
@@ -1,34 +1,76 @@
-import React, { useRef, useCallback, useEffect, useState } from 'react';
+import React, { useRef, useCallback, useEffect, useLayoutEffect, useMemo, useState } from 'react';
 import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
 import TimelineTrack from './TimelineTrack';
+import MarkerFlags from './MarkerFlags';
+import MarkerEditor from './MarkerEditor';
+import TrimPreview from './TrimPreview';
+import TimelineTabs from './TimelineTabs';
+import ClipSpeedControls from './ClipSpeedControls';
+import TimecodeInput from './TimecodeInput';
+import TimelineMinimap from './TimelineMinimap';
+import { TRACK_HEADER_WIDTH } from './constants';
 import useEditorStore from '../../store/useEditorStore';
+import { EDIT_MODES } from '../../store/editModes';
+import { getItemsInRange } from '../../store/selection';
+import { getSourceIn, getMediaDelta } from '../../store/trim';
+import { canChangeSpeed } from '../../store/speed';
+import { TRIM_TOOLS, getAdjacentItems, getTrimPreviewFrames } from '../../store/trimTools';
+import { TIME_DISPLAYS, formatTime } from '../../store/timecode';
+import { getKeyBindings, withShortcut, createKeyDownHandler } from '../../store/keymap';
+import {
+  getSnapThreshold,
+  getSnapTargets,
+  snapTime,
+  snapItemEdges,
+} from '../../store/snapping';
 
-/**
- * Format time in MM:SS.ms format
- */
-const formatTime = (seconds) => {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  const ms = Math.floor((seconds % 1) * 100);
-  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
-};
+// Slip, slide and roll buttons, in toolbar order
+const TRIM_TOOL_OPTIONS = [
+  { tool: 'slip', label: '⇆', title: 'Slip tool: drag a clip to change which part of its media it shows' },
+  { tool: 'slide', label: '⇔', title: 'Slide tool: drag a clip between its neighbours, trimming them' },
+  { tool: 'roll', label: '⇹', title: 'Roll tool: drag near a cut to move it between two clips' },
+];
+
+// Edit mode buttons, in toolbar order
+const EDIT_MODE_OPTIONS = [
+  { mode: EDIT_MODES.RIPPLE, label: 'Ripple', title: 'Ripple: keep clips packed back-to-back' },
+  { mode: EDIT_MODES.INSERT, label: 'Insert', title: 'Insert: push later clips right' },
+  { mode: EDIT_MODES.OVERWRITE, label: 'Overwrite', title: 'Overwrite: replace whatever the clip covers' },
+];
 
 /**
  * TimelinePanel component - main timeline editor with tracks, zoom, and playhead
+ * @param {Function} [onFileDrop] - (trackId, files, startTime) for files dropped onto a track
  */
-function TimelinePanel() {
+function TimelinePanel({ onFileDrop = null }) {
   const containerRef = useRef(null);
   const scrollContainerRef = useRef(null);
+  const tracksContainerRef = useRef(null);
   const [containerWidth, setContainerWidth] = useState(0);
+  const [marquee, setMarquee] = useState(null);
+  const [snapGuide, setSnapGuide] = useState(null);
+  const [editingMarkerId, setEditingMarkerId] = useState(null);
+  const [trimPreview, setTrimPreview] = useState(null);
+  
+  // Horizontal scroll of the timeline and the width the tracks get on screen,
+  // for the minimap's viewport rectangle
+  const [scrollLeft, setScrollLeft] = useState(0);
+  const [viewportWidth, setViewportWidth] = useState(0);
+  const pendingScrollRef = useRef(null);
   
   // Store state and actions
   const {
     tracks,
+    markers,
+    selectedItemIds,
     selectedItemId,
+    selectedGap,
     zoom,
     playhead,
     duration,
+    inPoint,
+    outPoint,
     isPlaying,
     setZoom,
     zoomIn,
@@ -36,25 +78,97 @@ function TimelinePanel() {
     fitToView,
     setPlayhead,
     selectItem,
+    setSelection,
+    clearSelection,
+    moveSelectedItems,
+    nudgeSelection,
+    duplicateSelectedItems,
+    linkSelectedItems,
+    unlinkSelectedItems,
+    removeSelectedItems,
+    rippleDeleteSelectedItems,
+    selectGapAt,
+    removeSelectedGap,
+    closeTrackGaps,
+    copySelectedItems,
+    cutSelectedItems,
+    pasteClipboard,
     removeMediaItem,
     moveMediaItem,
     reorderItems,
     moveItemToTrack,
+    trimItem,
+    slipItem,
+    slideItem,
+    rollEdit,
     play,
     pause,
     togglePlayback,
+    shuttleForward,
+    shuttleReverse,
     stepForward,
     stepBackward,
     goToStart,
     goToEnd,
+    setInPoint,
+    setOutPoint,
+    goToInPoint,
+    goToOutPoint,
+    clearInOutPoints,
+    history,
+    undo,
+    redo,
+    editMode,
+    setEditMode,
+    activeTool,
+    setActiveTool,
+    snappingEnabled,
+    toggleSnapping,
+    splitItemAt,
+    splitAtPlayhead,
+    addTrack,
+    removeTrack,
+    renameTrack,
+    moveTrack,
+    toggleTrackFlag,
+    addMarker,
+    addRegion,
+    updateMarker,
+    moveMarker,
+    removeMarker,
+    goToNextMarker,
+    goToPreviousMarker,
+    timelines,
+    activeTimelineId,
+    activeSequenceId,
+    openTimelineIds,
+    createCompoundClip,
+    setItemSpeed,
+    updateItemKeyframe,
+    openTimeline,
+    closeTimeline,
+    addSequence,
+    duplicateSequence,
+    deleteSequence,
+    updateSequence,
+    timeDisplay,
+    setTimeDisplay,
+    keyBindings,
   } = useEditorStore();
   
+  // Times are shown in the chosen display at the edited sequence's frame rate
+  const fps = timelines[activeSequenceId].settings.fps;
+  const showTime = useCallback((seconds) => formatTime(seconds, fps, timeDisplay), [fps, timeDisplay]);
+  
   // Measure container width
   useEffect(() => {
     const updateWidth = () => {
       if (containerRef.current) {
         setContainerWidth(containerRef.current.clientWidth);
       }
+      if (scrollContainerRef.current) {
+        setViewportWidth(Math.max(0, scrollContainerRef.current.clientWidth - TRACK_HEADER_WIDTH));
+      }
     };
     
     updateWidth();
@@ -74,10 +188,39 @@ function TimelinePanel() {
   const handleFitToView = useCallback(() => {
     const scrollContainer = scrollContainerRef.current;
     if (scrollContainer) {
-      fitToView(scrollContainer.clientWidth - 100);
+      fitToView(scrollContainer.clientWidth - TRACK_HEADER_WIDTH);
     }
   }, [fitToView]);
   
+  // Minimap navigation: scroll so a time is at the left edge, or zoom so a
+  // range fills the view. A new zoom only widens the tracks on the next
+  // render, so its scroll position is applied after that.
+  const scrollToTime = useCallback((time) => {
+    const scrollContainer = scrollContainerRef.current;
+    if (!scrollContainer) return;
+    scrollContainer.scrollLeft = time * zoom;
+    setScrollLeft(scrollContainer.scrollLeft);
+  }, [zoom]);
+  
+  const zoomToRange = useCallback((startTime, endTime) => {
+    if (viewportWidth <= 0 || endTime <= startTime) return;
+    setZoom(viewportWidth / (endTime - startTime));
+    if (useEditorStore.getState().zoom === zoom) {
+      // Already at the zoom limit
+      scrollToTime(startTime);
+    } else {
+      pendingScrollRef.current = startTime;
+    }
+  }, [viewportWidth, zoom, setZoom, scrollToTime]);
+  
+  useLayoutEffect(() => {
+    const scrollContainer = scrollContainerRef.current;
+    if (pendingScrollRef.current === null || !scrollContainer) return;
+    scrollContainer.scrollLeft = pendingScrollRef.current * zoom;
+    setScrollLeft(scrollContainer.scrollLeft);
+    pendingScrollRef.current = null;
+  }, [zoom]);
+  
   // Handle playhead click/drag on ruler
   const handleRulerClick = useCallback((e) => {
     const ruler = e.currentTarget;
@@ -87,65 +230,227 @@ function TimelinePanel() {
     setPlayhead(time);
   }, [zoom, setPlayhead]);
   
-  // Keyboard shortcuts
+  // Snapping for clip drags and trims. Each call updates the guide line;
+  // bypass (Alt held) or a disabled toggle leaves times unchanged.
+  const snapper = useMemo(() => {
+    const getTargets = (excludeIds) => getSnapTargets(tracks, {
+      playhead,
+      markers: markers.filter(marker => !excludeIds.includes(marker.id)),
+      excludeIds,
+    });
+    const threshold = getSnapThreshold(zoom);
+    
+    return {
+      clip: (startTime, clipDuration, excludeIds, bypass) => {
+        if (!snappingEnabled || bypass) {
+          setSnapGuide(null);
+          return startTime;
+        }
+        const snap = snapItemEdges(startTime, clipDuration, getTargets(excludeIds), threshold);
+        setSnapGuide(snap.guide);
+        return snap.startTime;
+      },
+      edge: (time, excludeIds, bypass) => {
+        if (!snappingEnabled || bypass) {
+          setSnapGuide(null);
+          return time;
+        }
+        const snap = snapTime(time, getTargets(excludeIds), threshold);
+        setSnapGuide(snap.guide);
+        return snap.time;
+      },
+      clear: () => setSnapGuide(null),
+    };
+  }, [tracks, markers, playhead, zoom, snappingEnabled]);
+  
+  // Slip, slide and roll drags. Each move re-applies the tool from where the
+  // drag started and shows the frames at the edit points.
+  const trimTool = useMemo(() => {
+    if (!TRIM_TOOLS.includes(activeTool)) return null;
+    
+    return {
+      tool: activeTool,
+      drag: (trackId, item, edge, delta, bypassSnap) => {
+        const items = useEditorStore.getState().tracks.find(track => track.id === trackId)?.items || [];
+        const { previous, next } = getAdjacentItems(items, item);
+        const movingIds = [item.id, previous?.id, next?.id].filter(Boolean);
+        
+        if (activeTool === 'slip') {
+          // The media moves with the pointer, at the clip's speed
+          slipItem(trackId, item.id, getSourceIn(item) - getMediaDelta(item, delta));
+        } else if (activeTool === 'slide') {
+          slideItem(trackId, item.id, snapper.clip(item.startTime + delta, item.duration, movingIds, bypassSnap));
+        } else {
+          const cut = edge === 'start' ? item.startTime : item.startTime + item.duration;
+          rollEdit(trackId, item.id, edge, snapper.edge(cut + delta, movingIds, bypassSnap));
+        }
+        
+        const track = useEditorStore.getState().tracks.find(t => t.id === trackId);
+        setTrimPreview(track ? getTrimPreviewFrames(track.items, item.id, activeTool, edge, fps) : null);
+      },
+      end: () => {
+        setTrimPreview(null);
+        snapper.clear();
+      },
+    };
+  }, [activeTool, snapper, slipItem, slideItem, rollEdit, fps]);
+  
+  // The clicked clip and its track, when its speed can be changed
+  const speedTarget = useMemo(() => {
+    for (const track of tracks) {
+      const item = track.items.find(i => i.id === selectedItemId);
+      if (item) return canChangeSpeed(item) ? { track, item } : null;
+    }
+    return null;
+  }, [tracks, selectedItemId]);
+  
+  // Whether any selected clip is linked; the link button unlinks such a
+  // selection and links any other selection of two or more clips
+  const selectionLinked = useMemo(() => tracks.some(track => track.items.some(item => (
+    item.linkId && selectedItemIds.has(item.id)
+  ))), [tracks, selectedItemIds]);
+  
+  const toggleSelectionLink = useCallback(() => {
+    if (selectionLinked) {
+      unlinkSelectedItems();
+    } else {
+      linkSelectedItems();
+    }
+  }, [selectionLinked, linkSelectedItems, unlinkSelectedItems]);
+  
+  // Drags that end outside a track never reach a drop handler
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      // Ignore if typing in an input
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    const clearGuide = () => setSnapGuide(null);
+    window.addEventListener('dragend', clearGuide);
+    return () => window.removeEventListener('dragend', clearGuide);
+  }, []);
+  
+  // Keyboard shortcuts, bound to keys in keymap.js (the user can change them)
+  const bindings = useMemo(() => getKeyBindings(keyBindings), [keyBindings]);
+  
+  useEffect(() => {
+    const handleKeyDown = createKeyDownHandler(bindings, {
+      'playback.toggle': togglePlayback,
+      'playback.shuttleReverse': shuttleReverse,
+      'playback.shuttleStop': pause,
+      'playback.shuttleForward': shuttleForward,
+      'playhead.stepBackward': stepBackward,
+      'playhead.stepForward': stepForward,
+      'playhead.goToStart': goToStart,
+      'playhead.goToEnd': goToEnd,
+      'marks.setIn': () => setInPoint(),
+      'marks.setOut': () => setOutPoint(),
+      'marks.goToIn': goToInPoint,
+      'marks.goToOut': goToOutPoint,
+      'marks.clear': clearInOutPoints,
+      'markers.add': () => addMarker(),
+      'markers.addRegion': () => addRegion(),
+      'markers.previous': goToPreviousMarker,
+      'markers.next': goToNextMarker,
+      'edit.undo': undo,
+      'edit.redo': redo,
+      'edit.cut': cutSelectedItems,
+      'edit.copy': copySelectedItems,
+      'edit.paste': () => pasteClipboard(),
+      'edit.duplicate': duplicateSelectedItems,
+      // Leave Delete and Backspace alone when nothing is selected. Deleting
+      // a gap always closes it up.
+      'edit.delete': () => {
+        if (selectedGap) {
+          removeSelectedGap();
+        } else if (selectedItemIds.size > 0) {
+          removeSelectedItems();
+        } else {
+          return false;
+        }
+        return true;
+      },
+      'edit.rippleDelete': () => {
+        if (selectedGap) {
+          removeSelectedGap();
+        } else if (selectedItemIds.size > 0) {
+          rippleDeleteSelectedItems();
+        } else {
+          return false;
+        }
+        return true;
+      },
+      'edit.closeGaps': () => closeTrackGaps(selectedGap
+        ? [selectedGap.trackId]
+        : tracks.filter(track => track.items.some(item => selectedItemIds.has(item.id))).map(track => track.id)),
+      'edit.selectAll': () => setSelection(tracks.flatMap(track => track.items.map(item => item.id))),
+      'edit.deselect': clearSelection,
+      'edit.split': splitAtPlayhead,
+      'edit.link': toggleSelectionLink,
+      'edit.compound': () => createCompoundClip(),
+      'edit.nudgeLeft': () => nudgeSelection(-1),
+      'edit.nudgeRight': () => nudgeSelection(1),
+      'edit.nudgeLeftMore': () => nudgeSelection(-10),
+      'edit.nudgeRightMore': () => nudgeSelection(10),
+      'tool.select': () => setActiveTool('select'),
+      'tool.razor': () => setActiveTool('razor'),
+      'tool.slip': () => setActiveTool('slip'),
+      'tool.slide': () => setActiveTool('slide'),
+      'tool.roll': () => setActiveTool('roll'),
+      'tool.snapping': toggleSnapping,
+      'view.zoomIn': zoomIn,
+      'view.zoomOut': zoomOut,
+    });
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [bindings, selectedGap, removeSelectedGap, rippleDeleteSelectedItems, closeTrackGaps, togglePlayback, shuttleReverse, shuttleForward, pause, stepForward, stepBackward, goToStart, goToEnd, setInPoint, setOutPoint, goToInPoint, goToOutPoint, clearInOutPoints, zoomIn, zoomOut, selectedItemIds, tracks, undo, redo, splitAtPlayhead, setActiveTool, toggleSnapping, addMarker, addRegion, goToNextMarker, goToPreviousMarker, setSelection, clearSelection, nudgeSelection, duplicateSelectedItems, removeSelectedItems, copySelectedItems, cutSelectedItems, pasteClipboard, toggleSelectionLink, createCompoundClip]);
+  
+  // Rubber-band selection: drag across empty track space to select every clip
+  // the rectangle touches. Shift/Ctrl adds to the current selection.
+  const handleMarqueeStart = useCallback((e) => {
+    if (e.button !== 0 || activeTool !== 'select') return;
+    if (e.target.closest('.timeline-item-v2, .track-label, button')) return;
+    
+    const container = tracksContainerRef.current;
+    const rect = container.getBoundingClientRect();
+    const origin = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    const add = e.shiftKey || e.ctrlKey || e.metaKey;
+    let current = origin;
+    
+    const handleMouseMove = (moveEvent) => {
+      current = { x: moveEvent.clientX - rect.left, y: moveEvent.clientY - rect.top };
+      setMarquee({ origin, current });
+    };
+    
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      setMarquee(null);
       
-      switch (e.key) {
-        case ' ':
-          e.preventDefault();
-          togglePlayback();
-          break;
-        case 'ArrowLeft':
-          e.preventDefault();
-          if (e.shiftKey) {
-            goToStart();
-          } else {
-            stepBackward();
-          }
-          break;
-        case 'ArrowRight':
-          e.preventDefault();
-          if (e.shiftKey) {
-            goToEnd();
-          } else {
-            stepForward();
-          }
-          break;
-        case '+':
-        case '=':
-          e.preventDefault();
-          zoomIn();
-          break;
-        case '-':
-        case '_':
-          e.preventDefault();
-          zoomOut();
-          break;
-        case 'Delete':
-        case 'Backspace':
-          if (selectedItemId) {
-            e.preventDefault();
-            // Find which track contains the selected item
-            for (const track of tracks) {
-              const item = track.items.find(i => i.id === selectedItemId);
-              if (item) {
-                removeMediaItem(track.id, selectedItemId);
-                break;
-              }
-            }
-          }
-          break;
-        default:
-          break;
+      // A plain click on empty space selects the gap there, if any, and
+      // otherwise clears the selection
+      if (Math.abs(current.x - origin.x) < 3 && Math.abs(current.y - origin.y) < 3) {
+        if (add) return;
+        const trackId = e.target.closest('[data-track-id]')?.dataset.trackId;
+        if (!trackId || !selectGapAt(trackId, (origin.x - TRACK_HEADER_WIDTH) / zoom)) {
+          clearSelection();
+        }
+        return;
       }
+      
+      const top = Math.min(origin.y, current.y);
+      const bottom = Math.max(origin.y, current.y);
+      const trackIds = [...container.querySelectorAll('[data-track-id]')]
+        .filter(element => {
+          const trackRect = element.getBoundingClientRect();
+          return trackRect.bottom - rect.top > top && trackRect.top - rect.top < bottom;
+        })
+        .map(element => element.dataset.trackId);
+      
+      const startTime = (Math.min(origin.x, current.x) - TRACK_HEADER_WIDTH) / zoom;
+      const endTime = (Math.max(origin.x, current.x) - TRACK_HEADER_WIDTH) / zoom;
+      setSelection(getItemsInRange(tracks, trackIds, startTime, endTime), { add });
     };
     
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [togglePlayback, stepForward, stepBackward, goToStart, goToEnd, zoomIn, zoomOut, selectedItemId, tracks, removeMediaItem]);
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  }, [activeTool, zoom, tracks, setSelection, clearSelection, selectGapAt]);
   
   // Calculate timeline width
   const timelineWidth = Math.max(1000, duration * zoom + 200);
@@ -176,51 +481,224 @@ function TimelinePanel() {
   }, [zoom, duration, timelineWidth]);
   
   const rulerMarks = generateRulerMarks();
+  const editingMarker = markers.find(marker => marker.id === editingMarkerId);
   
   return (
     <div className="timeline-panel" ref={containerRef}>
+      {/* Sequences and open compound clips */}
+      <TimelineTabs
+        timelines={timelines}
+        openIds={openTimelineIds}
+        activeId={activeTimelineId}
+        activeSequenceId={activeSequenceId}
+        onSelect={openTimeline}
+        onClose={closeTimeline}
+        onAddSequence={() => addSequence()}
+        onDuplicateSequence={duplicateSequence}
+        onDeleteSequence={deleteSequence}
+        onUpdateSequence={updateSequence}
+      />
+      
       {/* Timeline header with controls */}
       <div className="timeline-header-v2">
         <div className="timeline-title">
           <h3>Timeline</h3>
           <span className="timeline-info">
-            {tracks.reduce((sum, t) => sum + t.items.length, 0)} items | {formatTime(duration)}
+            {tracks.reduce((sum, t) => sum + t.items.length, 0)} items | {showTime(duration)}
           </span>
         </div>
         
         {/* Playback controls */}
         <div className="playback-controls">
-          <button className="control-btn" onClick={goToStart} title="Go to start (Shift+←)">
+          <button className="control-btn" onClick={goToStart} title={withShortcut('Go to start', bindings, 'playhead.goToStart')}>
             ⏮
           </button>
-          <button className="control-btn" onClick={stepBackward} title="Step backward (←)">
+          <button className="control-btn" onClick={stepBackward} title={withShortcut('Step backward', bindings, 'playhead.stepBackward')}>
             ◀◀
           </button>
-          <button className="control-btn play-btn" onClick={togglePlayback} title="Play/Pause (Space)">
+          <button className="control-btn play-btn" onClick={togglePlayback} title={withShortcut('Play/Pause', bindings, 'playback.toggle')}>
             {isPlaying ? '⏸' : '▶'}
           </button>
-          <button className="control-btn" onClick={stepForward} title="Step forward (→)">
+          <button className="control-btn" onClick={stepForward} title={withShortcut('Step forward', bindings, 'playhead.stepForward')}>
             ▶▶
           </button>
-          <button className="control-btn" onClick={goToEnd} title="Go to end (Shift+→)">
+          <button className="control-btn" onClick={goToEnd} title={withShortcut('Go to end', bindings, 'playhead.goToEnd')}>
             ⏭
           </button>
         </div>
         
+        {/* Undo/redo */}
+        <div className="history-controls">
+          <button
+            className="control-btn"
+            onClick={undo}
+            disabled={history.past.length === 0}
+            title={withShortcut('Undo', bindings, 'edit.undo')}
+          >
+            ↶
+          </button>
+          <button
+            className="control-btn"
+            onClick={redo}
+            disabled={history.future.length === 0}
+            title={withShortcut('Redo', bindings, 'edit.redo')}
+          >
+            ↷
+          </button>
+        </div>
+        
+        {/* Tools */}
+        <div className="tool-controls" role="group" aria-label="Timeline tool">
+          <button
+            className={`control-btn ${activeTool === 'select' ? 'active' : ''}`}
+            onClick={() => setActiveTool('select')}
+            aria-pressed={activeTool === 'select'}
+            title={withShortcut('Select tool', bindings, 'tool.select')}
+          >
+            ↖
+          </button>
+          <button
+            className={`control-btn ${activeTool === 'razor' ? 'active' : ''}`}
+            onClick={() => setActiveTool('razor')}
+            aria-pressed={activeTool === 'razor'}
+            title={withShortcut('Razor tool: click a clip to split it', bindings, 'tool.razor')}
+          >
+            ✂
+          </button>
+          {TRIM_TOOL_OPTIONS.map(({ tool, label, title }) => (
+            <button
+              key={tool}
+              className={`control-btn ${activeTool === tool ? 'active' : ''}`}
+              onClick={() => setActiveTool(tool)}
+              aria-pressed={activeTool === tool}
+              title={withShortcut(title, bindings, `tool.${tool}`)}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            className="control-btn"
+            onClick={splitAtPlayhead}
+            title={withShortcut('Split at playhead', bindings, 'edit.split')}
+          >
+            Split
+          </button>
+          <button
+            className={`control-btn ${snappingEnabled ? 'active' : ''}`}
+            onClick={toggleSnapping}
+            aria-pressed={snappingEnabled}
+            title={`${withShortcut('Snapping', bindings, 'tool.snapping')}. Hold Alt while dragging to place freely`}
+          >
+            🧲
+          </button>
+          <button
+            className={`control-btn ${selectionLinked ? 'active' : ''}`}
+            onClick={toggleSelectionLink}
+            disabled={!selectionLinked && selectedItemIds.size < 2}
+            aria-pressed={selectionLinked}
+            title={withShortcut(selectionLinked ? 'Unlink the selected clips' : 'Link the selected clips', bindings, 'edit.link')}
+          >
+            🔗
+          </button>
+          <button
+            className="control-btn"
+            onClick={() => createCompoundClip()}
+            disabled={selectedItemIds.size === 0}
+            title={`${withShortcut('Collapse the selected clips into a compound clip', bindings, 'edit.compound')}. Double-click it to open it`}
+          >
+            🗂️
+          </button>
+        </div>
+        
+        {/* Speed of the clicked clip */}
+        {speedTarget && (
+          <ClipSpeedControls
+            item={speedTarget.item}
+            onChange={(changes) => setItemSpeed(speedTarget.track.id, speedTarget.item.id, changes)}
+          />
+        )}
+        
+        {/* Markers */}
+        <div className="marker-controls">
+          <button className="control-btn" onClick={goToPreviousMarker} title={withShortcut('Previous marker', bindings, 'markers.previous')}>
+            ◀◆
+          </button>
+          <button className="control-btn" onClick={() => addMarker()} title={withShortcut('Add marker at playhead', bindings, 'markers.add')}>
+            ◆+
+          </button>
+          <button className="control-btn" onClick={() => addRegion()} title={withShortcut('Add region over the selection', bindings, 'markers.addRegion')}>
+            ▭+
+          </button>
+          <button className="control-btn" onClick={goToNextMarker} title={withShortcut('Next marker', bindings, 'markers.next')}>
+            ◆▶
+          </button>
+        </div>
+        
+        {/* In/out points */}
+        <div className="in-out-controls">
+          <button className="control-btn" onClick={() => setInPoint()} title={withShortcut('Set in point at playhead', bindings, 'marks.setIn')}>
+            ⟦
+          </button>
+          <button className="control-btn" onClick={() => setOutPoint()} title={withShortcut('Set out point at playhead', bindings, 'marks.setOut')}>
+            ⟧
+          </button>
+          <button
+            className="control-btn"
+            onClick={clearInOutPoints}
+            disabled={inPoint === null && outPoint === null}
+            title={withShortcut('Clear in and out points', bindings, 'marks.clear')}
+          >
+            ⟦✕⟧
+          </button>
+        </div>
+        
+        {/* Edit mode */}
+        <div className="edit-mode-controls" role="group" aria-label="Edit mode">
+          {EDIT_MODE_OPTIONS.map(({ mode, label, title }) => (
+            <button
+              key={mode}
+              className={`control-btn ${editMode === mode ? 'active' : ''}`}
+              onClick={() => setEditMode(mode)}
+              aria-pressed={editMode === mode}
+              title={title}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        
         {/* Current time display */}
         <div className="time-display">
-          <span className="current-time">{formatTime(playhead)}</span>
+          <TimecodeInput
+            className="current-time"
+            value={playhead}
+            fps={fps}
+            display={timeDisplay}
+            onChange={(time) => setPlayhead(Math.min(time, duration))}
+            label="Playhead time"
+          />
           <span className="time-separator">/</span>
-          <span className="total-time">{formatTime(duration)}</span>
+          <span className="total-time">{showTime(duration)}</span>
+          <select
+            className="time-display-select"
+            value={timeDisplay}
+            onChange={(e) => setTimeDisplay(e.target.value)}
+            aria-label="Time display"
+            title="Show times as timecode, frames or seconds"
+          >
+            {TIME_DISPLAYS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
         </div>
         
         {/* Zoom controls */}
         <div className="zoom-controls">
-          <button className="control-btn" onClick={handleZoomOut} title="Zoom out (-)">
+          <button className="control-btn" onClick={handleZoomOut} title={withShortcut('Zoom out', bindings, 'view.zoomOut')}>
             🔍−
           </button>
           <span className="zoom-level">{Math.round(zoom * 10)}%</span>
-          <button className="control-btn" onClick={handleZoomIn} title="Zoom in (+)">
+          <button className="control-btn" onClick={handleZoomIn} title={withShortcut('Zoom in', bindings, 'view.zoomIn')}>
             🔍+
           </button>
           <button className="control-btn" onClick={handleFitToView} title="Fit to view">
@@ -229,8 +707,23 @@ function TimelinePanel() {
         </div>
       </div>
       
+      {/* Overview of the whole timeline */}
+      <TimelineMinimap
+        tracks={tracks}
+        duration={duration}
+        playhead={playhead}
+        visibleStart={scrollLeft / zoom}
+        visibleEnd={(scrollLeft + viewportWidth) / zoom}
+        onScrollTo={scrollToTime}
+        onZoomTo={zoomToRange}
+      />
+      
       {/* Timeline content */}
-      <div className="timeline-content" ref={scrollContainerRef}>
+      <div
+        className="timeline-content"
+        ref={scrollContainerRef}
+        onScroll={(e) => setScrollLeft(e.currentTarget.scrollLeft)}
+      >
         {/* Time ruler */}
         <div className="time-ruler" onClick={handleRulerClick} style={{ width: `${timelineWidth}px` }}>
           {rulerMarks.map((mark, index) => (
@@ -240,11 +733,33 @@ function TimelinePanel() {
               style={{ left: `${mark.left}px` }}
             >
               {mark.isMajor && (
-                <span className="ruler-label">{formatTime(mark.time)}</span>
+                <span className="ruler-label">{showTime(mark.time)}</span>
               )}
             </div>
           ))}
           
+          {/* Range between the in and out points; an open end runs to the timeline edge */}
+          {(inPoint !== null || outPoint !== null) && (
+            <div
+              className={`in-out-range ${inPoint !== null ? 'has-in' : ''} ${outPoint !== null ? 'has-out' : ''}`}
+              style={{
+                left: `${(inPoint ?? 0) * zoom}px`,
+                width: `${((outPoint ?? timelineWidth / zoom) - (inPoint ?? 0)) * zoom}px`,
+              }}
+              title={`In ${inPoint !== null ? showTime(inPoint) : '–'} / Out ${outPoint !== null ? showTime(outPoint) : '–'}`}
+            />
+          )}
+          
+          {/* Markers and regions */}
+          <MarkerFlags
+            markers={markers}
+            zoom={zoom}
+            snapper={snapper}
+            onMove={moveMarker}
+            onResize={(markerId, endTime) => updateMarker(markerId, { endTime })}
+            onEdit={setEditingMarkerId}
+          />
+          
           {/* Playhead on ruler */}
           <div
             className="playhead-marker"
@@ -254,33 +769,104 @@ function TimelinePanel() {
           </div>
         </div>
         
+        {/* Marker editor */}
+        {editingMarker && (
+          <MarkerEditor
+            marker={editingMarker}
+            style={{ left: `${TRACK_HEADER_WIDTH + editingMarker.time * zoom}px` }}
+            onChange={updateMarker}
+            onRemove={(markerId) => {
+              removeMarker(markerId);
+              setEditingMarkerId(null);
+            }}
+            onClose={() => setEditingMarkerId(null)}
+          />
+        )}
+        
         {/* Tracks container */}
         <DndProvider backend={HTML5Backend}>
-          <div className="tracks-container">
-            {tracks.map((track) => (
+          <div
+            className="tracks-container"
+            ref={tracksContainerRef}
+            onMouseDown={handleMarqueeStart}
+          >
+            {tracks.map((track, index) => (
               <TimelineTrack
                 key={track.id}
                 track={track}
+                index={index}
+                canRemove={tracks.length > 1}
                 zoom={zoom}
-                selectedItemId={selectedItemId}
+                selectedItemIds={selectedItemIds}
+                selectedGap={selectedGap?.trackId === track.id ? selectedGap : null}
                 duration={duration}
+                editMode={editMode}
                 onSelectItem={selectItem}
                 onRemoveItem={removeMediaItem}
                 onMoveItem={moveMediaItem}
                 onReorderItems={reorderItems}
                 onMoveItemToTrack={moveItemToTrack}
+                onMoveSelection={moveSelectedItems}
+                onTrimItem={trimItem}
+                onRazorItem={activeTool === 'razor' ? splitItemAt : null}
+                snapper={snapper}
+                trimTool={trimTool}
+                onOpenCompound={openTimeline}
+                onSeek={setPlayhead}
+                onKeyframeChange={updateItemKeyframe}
+                formatTime={showTime}
+                onRenameTrack={renameTrack}
+                onRemoveTrack={removeTrack}
+                onToggleTrackFlag={toggleTrackFlag}
+                onMoveTrack={moveTrack}
+                onCloseGaps={(trackId) => closeTrackGaps([trackId])}
+                onFileDrop={onFileDrop}
               />
             ))}
             
+            {/* Add tracks */}
+            <div className="track-add-controls">
+              <button className="track-add-btn" onClick={() => addTrack('video')}>
+                + Video Track
+              </button>
+              <button className="track-add-btn" onClick={() => addTrack('audio')}>
+                + Audio Track
+              </button>
+            </div>
+            
+            {/* Marquee selection rectangle */}
+            {marquee && (
+              <div
+                className="marquee-selection"
+                style={{
+                  left: `${Math.min(marquee.origin.x, marquee.current.x)}px`,
+                  top: `${Math.min(marquee.origin.y, marquee.current.y)}px`,
+                  width: `${Math.abs(marquee.current.x - marquee.origin.x)}px`,
+                  height: `${Math.abs(marquee.current.y - marquee.origin.y)}px`,
+                }}
+              />
+            )}
+            
+            {/* Snap guide */}
+            {snapGuide !== null && (
+              <div
+                className="snap-guide"
+                style={{ left: `${TRACK_HEADER_WIDTH + snapGuide * zoom}px` }}
+              />
+            )}
+            
             {/* Playhead line across tracks */}
             <div
               className="playhead-line"
-              style={{ left: `${100 + playhead * zoom}px` }}
+              style={{ left: `${TRACK_HEADER_WIDTH + playhead * zoom}px` }}
             />
           </div>
         </DndProvider>
       </div>
       
+      {/* Frames at the edit points during a slip, slide or roll */}
+      {trimPreview && <TrimPreview frames={trimPreview} formatTime={showTime} />}
+      
       {/* Empty state */}
       {tracks.every(t => t.items.length === 0) && (
         <div className="timeline-empty-v2">
@@ -1,6 +1,18 @@
 import React, { useMemo } from 'react';
+import MarkerFlags from './MarkerFlags';
+import { DEFAULT_FRAME_RATE, DEFAULT_TIME_DISPLAY, formatTime } from '../../store/timecode';
 
-function TimelineRuler({ duration, zoom, currentTime, onClick }) {
+function TimelineRuler({
+  duration,
+  zoom,
+  currentTime,
+  onClick,
+  markers: timelineMarkers = [],
+  onMarkerMove,
+  onMarkerEdit,
+  frameRate = DEFAULT_FRAME_RATE,
+  timeDisplay = DEFAULT_TIME_DISPLAY
+}) {
   const markers = useMemo(() => {
     const result = [];
     // Calculate interval based on zoom level
@@ -20,13 +32,13 @@ function TimelineRuler({ duration, zoom, currentTime, onClick }) {
       result.push({
         time,
         position: time * zoom,
-        label: formatTime(time),
+        label: formatTime(time, frameRate, timeDisplay),
         isMajor: time % (interval * 5) === 0
       });
     }
     
     return result;
-  }, [duration, zoom]);
+  }, [duration, zoom, frameRate, timeDisplay]);
 
   const handleRulerClick = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
@@ -52,6 +64,12 @@ function TimelineRuler({ duration, zoom, currentTime, onClick }) {
             )}
           </div>
         ))}
+        <MarkerFlags
+          markers={timelineMarkers}
+          zoom={zoom}
+          onMove={onMarkerMove}
+          onEdit={onMarkerEdit}
+        />
         <div 
           className="playhead" 
           style={{ left: `${playheadPosition}px` }}
@@ -64,10 +82,4 @@ function TimelineRuler({ duration, zoom, currentTime, onClick }) {
   );
 }
 
-function formatTime(seconds) {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
-}
-
 export default TimelineRuler;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import SequenceSettings from './SequenceSettings';
+import { getSequences } from '../../store/timelines';
+import { getFrameRateLabel } from '../../store/timecode';
+
+/**
+ * TimelineTabs component - one tab per sequence in the project, followed by
+ * the compound clips opened for editing
+ */
+function TimelineTabs({
+  timelines,
+  openIds,
+  activeId,
+  activeSequenceId,
+  onSelect,
+  onClose,
+  onAddSequence,
+  onDuplicateSequence,
+  onDeleteSequence,
+  onUpdateSequence,
+}) {
+  const [editingSettings, setEditingSettings] = useState(false);
+
+  const sequences = getSequences(timelines);
+  // Undo can return to a compound whose tab was closed, so always show the active one
+  const compoundIds = [...openIds, activeId]
+    .filter((id, index, ids) => timelines[id]?.kind === 'compound' && ids.indexOf(id) === index);
+  const activeSequence = timelines[activeSequenceId];
+
+  const renderTab = (timeline, icon, actions) => (
+    <div key={timeline.id} className={`timeline-tab ${timeline.id === activeId ? 'active' : ''}`}>
+      <button
+        className="timeline-tab-label"
+        role="tab"
+        aria-selected={timeline.id === activeId}
+        onClick={() => onSelect(timeline.id)}
+      >
+        {icon}{timeline.name}
+      </button>
+      {actions}
+    </div>
+  );
+
+  return (
+    <div className="timeline-tabs">
+      <div className="timeline-tab-list" role="tablist" aria-label="Timelines">
+        {sequences.map(sequence => renderTab(sequence, '🎞️ ', sequence.id === activeSequenceId && (
+          <>
+            <button
+              className="timeline-tab-action"
+              onClick={() => setEditingSettings(!editingSettings)}
+              title={`${sequence.name} settings: ${sequence.settings.width}×${sequence.settings.height}, ${getFrameRateLabel(sequence.settings.fps)}`}
+              aria-pressed={editingSettings}
+            >
+              ⚙
+            </button>
+            <button
+              className="timeline-tab-action"
+              onClick={() => onDuplicateSequence(sequence.id)}
+              title={`Duplicate ${sequence.name}`}
+            >
+              ⧉
+            </button>
+            <button
+              className="timeline-tab-action"
+              onClick={() => onDeleteSequence(sequence.id)}
+              title={sequences.length > 1 ? `Delete ${sequence.name}` : 'A project needs at least one sequence'}
+              disabled={sequences.length < 2}
+            >
+              🗑
+            </button>
+          </>
+        )))}
+
+        <button className="timeline-tab-add" onClick={onAddSequence} title="New sequence">
+          +
+        </button>
+
+        {compoundIds.map(id => renderTab(timelines[id], '🗂️ ', (
+          <button
+            className="timeline-tab-close"
+            onClick={() => onClose(id)}
+            title={`Close ${timelines[id].name}`}
+          >
+            ✕
+          </button>
+        )))}
+      </div>
+
+      {editingSettings && activeSequence && (
+        <SequenceSettings
+          sequence={activeSequence}
+          onChange={onUpdateSequence}
+          onClose={() => setEditingSettings(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default TimelineTabs;
@@ -1,6 +1,14 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
 import { useDrop } from 'react-dnd';
 import TimelineItem, { ItemTypes } from './TimelineItem';
+import TrackHeader from './TrackHeader';
+import { KEYFRAME_LANE_HEIGHT, getAnimatedKeys } from './KeyframeLanes';
+import { EDIT_MODES } from '../../store/editModes';
+import { getTrackGaps } from '../../store/gaps';
+import { formatDefaultTimecode } from '../../store/timecode';
+
+// Height of a track without keyframe lanes
+const TRACK_HEIGHT = 60;
 
 /**
  * TimelineTrack component - represents a single track in the timeline
@@ -8,44 +16,114 @@ import TimelineItem, { ItemTypes } from './TimelineItem';
  */
 function TimelineTrack({
   track,
+  index,
+  canRemove,
   zoom,
-  selectedItemId,
+  selectedItemIds,
+  selectedGap = null,
   duration,
+  editMode,
   onSelectItem,
   onRemoveItem,
   onMoveItem,
   onReorderItems,
   onMoveItemToTrack,
+  onMoveSelection,
+  onTrimItem,
+  onRazorItem,
+  snapper,
+  trimTool = null,
+  onOpenCompound,
+  onSeek = null,
+  onKeyframeChange = null,
+  formatTime = formatDefaultTimecode,
+  onRenameTrack,
+  onRemoveTrack,
+  onToggleTrackFlag,
+  onMoveTrack,
+  onCloseGaps,
+  onFileDrop = null,
 }) {
   const trackRef = useRef(null);
+  const bypassSnapRef = useRef(false);
+  
+  // Clips showing their keyframe lanes; the track grows to fit the most lanes
+  const [keyframeItemIds, setKeyframeItemIds] = useState(() => new Set());
+  const laneCount = track.items.reduce((count, item) => (
+    keyframeItemIds.has(item.id) ? Math.max(count, getAnimatedKeys(item).length) : count
+  ), 0);
+  
+  const toggleKeyframeLanes = (itemId) => {
+    setKeyframeItemIds(current => {
+      const next = new Set(current);
+      if (!next.delete(itemId)) next.add(itemId);
+      return next;
+    });
+  };
   
   // Calculate track width based on duration and zoom
   const trackWidth = Math.max(1000, duration * zoom + 200);
   
-  // Drop target for receiving items from other tracks
-  const [{ isOver, canDrop }, drop] = useDrop({
+  // Empty stretches between clips; clicking one selects it (see TimelinePanel)
+  const gaps = getTrackGaps(track.items);
+  const isSelectedGap = (gap) => !!selectedGap
+    && gap.startTime === selectedGap.startTime && gap.endTime === selectedGap.endTime;
+  
+  const isSameTrack = (draggedItem) => draggedItem.trackId === track.id;
+  
+  // Where the clip would start: its left edge, falling back to the pointer
+  const getDropStartTime = (monitor) => {
+    const dropOffset = monitor.getSourceClientOffset() || monitor.getClientOffset();
+    const trackRect = trackRef.current?.getBoundingClientRect();
+    if (!trackRect || !dropOffset) return null;
+    return Math.max(0, (dropOffset.x - trackRect.left) / zoom);
+  };
+  
+  // Snap the dragged clip's edges, ignoring the clips that move with it
+  const snapDrop = (draggedItem, startTime) => {
+    if (!snapper) return startTime;
+    const excludeIds = draggedItem.group ? [...selectedItemIds] : [draggedItem.id];
+    return snapper.clip(startTime, draggedItem.duration, excludeIds, bypassSnapRef.current);
+  };
+  
+  // Drop target for positioning items, on this track or from other tracks
+  const [{ isOver, canDrop, isFromOtherTrack }, drop] = useDrop({
     accept: ItemTypes.TIMELINE_ITEM,
     canDrop: (draggedItem) => {
-      // Allow dropping from other tracks
-      return draggedItem.trackId !== track.id;
+      if (track.locked) return false;
+      // In ripple mode same-track order of single clips is handled while hovering over items
+      return draggedItem.group || !isSameTrack(draggedItem) || editMode !== EDIT_MODES.RIPPLE;
+    },
+    hover: (draggedItem, monitor) => {
+      const startTime = getDropStartTime(monitor);
+      if (startTime !== null && monitor.canDrop()) {
+        snapDrop(draggedItem, startTime);
+      }
     },
     drop: (draggedItem, monitor) => {
-      if (draggedItem.trackId === track.id) return;
+      const startTime = getDropStartTime(monitor);
       
-      // Calculate drop position based on mouse position
-      const clientOffset = monitor.getClientOffset();
-      const trackRect = trackRef.current?.getBoundingClientRect();
-      
-      if (trackRect && clientOffset) {
-        const dropX = clientOffset.x - trackRect.left;
-        const newStartTime = Math.max(0, dropX / zoom);
+      if (startTime !== null) {
+        const newStartTime = snapDrop(draggedItem, startTime);
+        snapper?.clear();
         
-        onMoveItemToTrack(draggedItem.trackId, track.id, draggedItem.id, newStartTime);
+        if (draggedItem.group) {
+          // Move the whole selection by the dragged clip's offset; only clips on
+          // tracks like the dragged one's change track
+          onMoveSelection(newStartTime - draggedItem.startTime, index - draggedItem.trackIndex, {
+            trackType: draggedItem.trackType,
+          });
+        } else if (isSameTrack(draggedItem)) {
+          onMoveItem(track.id, draggedItem.id, newStartTime);
+        } else {
+          onMoveItemToTrack(draggedItem.trackId, track.id, draggedItem.id, newStartTime);
+        }
       }
     },
     collect: (monitor) => ({
       isOver: monitor.isOver(),
       canDrop: monitor.canDrop(),
+      isFromOtherTrack: !!monitor.getItem() && !isSameTrack(monitor.getItem()),
     }),
   });
   
@@ -55,21 +133,40 @@ function TimelineTrack({
   
   return (
     <div
-      className={`timeline-track-v2 ${track.type}-track ${isDropTarget ? 'drop-active' : ''}`}
+      data-track-id={track.id}
+      className={`timeline-track-v2 ${track.type}-track ${isDropTarget ? 'drop-active' : ''} ${track.locked ? 'locked-track' : ''} ${track.hidden ? 'hidden-track' : ''}`}
     >
-      {/* Track label */}
-      <div className="track-label">
-        <span className="track-icon">
-          {track.type === 'video' ? '🎬' : track.type === 'audio' ? '🎵' : '📁'}
-        </span>
-        <span className="track-name">{track.name}</span>
-      </div>
+      {/* Track header */}
+      <TrackHeader
+        track={track}
+        index={index}
+        canRemove={canRemove}
+        onRename={onRenameTrack}
+        onRemove={onRemoveTrack}
+        onToggleFlag={onToggleTrackFlag}
+        onMove={onMoveTrack}
+        onCloseGaps={gaps.length > 0 && !track.locked ? onCloseGaps : null}
+      />
       
       {/* Track content area */}
       <div
         ref={trackRef}
         className="track-content"
-        style={{ width: `${trackWidth}px` }}
+        style={{
+          width: `${trackWidth}px`,
+          ...(laneCount > 0 && { height: `${TRACK_HEIGHT + laneCount * KEYFRAME_LANE_HEIGHT}px` }),
+        }}
+        onDragOver={(e) => {
+          // Holding Alt while dragging turns snapping off
+          bypassSnapRef.current = e.altKey;
+        }}
+        onDrop={(e) => {
+          // Files from outside the app are imported onto this track at the drop point
+          if (!onFileDrop || track.locked || !e.dataTransfer?.files?.length) return;
+          e.preventDefault();
+          const trackRect = trackRef.current.getBoundingClientRect();
+          onFileDrop(track.id, Array.from(e.dataTransfer.files), Math.max(0, (e.clientX - trackRect.left) / zoom));
+        }}
       >
         {/* Grid lines */}
         <div className="track-grid">
@@ -84,24 +181,51 @@ function TimelineTrack({
         
         {/* Track items */}
         <div className="track-items">
-          {track.items.map((item, index) => (
+          {/* Gaps */}
+          {gaps.map(gap => (
+            <div
+              key={gap.startTime}
+              className={`track-gap ${isSelectedGap(gap) ? 'selected' : ''}`}
+              style={{
+                left: `${gap.startTime * zoom}px`,
+                width: `${(gap.endTime - gap.startTime) * zoom}px`,
+              }}
+              title={`Gap ${formatTime(gap.endTime - gap.startTime)}: click to select, Delete to close`}
+            />
+          ))}
+          
+          {track.items.map((item, itemIndex) => (
             <TimelineItem
               key={item.id}
               item={item}
-              index={index}
+              index={itemIndex}
               trackId={track.id}
+              trackIndex={index}
+              trackType={track.type}
               zoom={zoom}
-              isSelected={selectedItemId === item.id}
+              isSelected={selectedItemIds.has(item.id)}
+              inGroup={selectedItemIds.size > 1 && selectedItemIds.has(item.id)}
               onSelect={onSelectItem}
               onRemove={onRemoveItem}
               onMove={onMoveItem}
-              onReorder={onReorderItems}
+              onReorder={editMode === EDIT_MODES.RIPPLE ? onReorderItems : null}
+              onTrim={track.locked ? null : onTrimItem}
+              onRazor={track.locked ? null : onRazorItem}
+              snapper={snapper}
+              trimTool={track.locked ? null : trimTool}
+              onOpenCompound={onOpenCompound}
+              keyframesOpen={keyframeItemIds.has(item.id)}
+              onToggleKeyframes={toggleKeyframeLanes}
+              onSeek={onSeek}
+              onKeyframeChange={track.locked ? null : onKeyframeChange}
+              formatTime={formatTime}
+              locked={track.locked}
             />
           ))}
         </div>
         
         {/* Drop indicator */}
-        {isDropTarget && (
+        {isDropTarget && isFromOtherTrack && (
           <div className="drop-indicator">
             <span>Drop here to add to {track.name}</span>
           </div>
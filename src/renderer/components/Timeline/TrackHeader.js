@@ -0,0 +1,143 @@
+import React, { useRef, useState } from 'react';
+import { useDrag, useDrop } from 'react-dnd';
+import { ItemTypes } from './TimelineItem';
+
+// Header toggles, in display order
+const TRACK_TOGGLES = [
+  { flag: 'locked', label: '🔒', title: 'Lock track' },
+  { flag: 'muted', label: 'M', title: 'Mute track' },
+  { flag: 'solo', label: 'S', title: 'Solo track' },
+  { flag: 'hidden', label: '👁', title: 'Hide track' },
+];
+
+/**
+ * TrackHeader component - track name and toggles at the left of a track.
+ * Drag a header up or down to reorder tracks.
+ */
+function TrackHeader({
+  track,
+  index,
+  canRemove,
+  onRename,
+  onRemove,
+  onToggleFlag,
+  onMove,
+  onCloseGaps = null,
+}) {
+  const ref = useRef(null);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState(track.name);
+  
+  // Drag source for reordering tracks
+  const [{ isDragging }, drag] = useDrag({
+    type: ItemTypes.TIMELINE_TRACK,
+    item: () => ({ id: track.id, index }),
+    canDrag: () => !isRenaming,
+    collect: (monitor) => ({
+      isDragging: monitor.isDragging(),
+    }),
+  });
+  
+  // Swap places once the pointer crosses the middle of another header
+  const [, drop] = useDrop({
+    accept: ItemTypes.TIMELINE_TRACK,
+    hover: (draggedTrack, monitor) => {
+      if (!ref.current || draggedTrack.index === index) return;
+  
+      const rect = ref.current.getBoundingClientRect();
+      const hoverMiddleY = (rect.bottom - rect.top) / 2;
+      const hoverClientY = monitor.getClientOffset().y - rect.top;
+  
+      if (draggedTrack.index < index && hoverClientY < hoverMiddleY) return;
+      if (draggedTrack.index > index && hoverClientY > hoverMiddleY) return;
+  
+      onMove(draggedTrack.index, index);
+      draggedTrack.index = index;
+    },
+  });
+  
+  drag(drop(ref));
+  
+  const startRename = () => {
+    setDraftName(track.name);
+    setIsRenaming(true);
+  };
+  
+  const commitRename = () => {
+    setIsRenaming(false);
+    if (draftName.trim() && draftName !== track.name) {
+      onRename(track.id, draftName);
+    }
+  };
+  
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setIsRenaming(false);
+    }
+  };
+  
+  return (
+    <div
+      ref={ref}
+      className={`track-label ${isDragging ? 'dragging' : ''}`}
+      title="Drag to reorder tracks"
+    >
+      <div className="track-label-row">
+        <span className="track-icon">
+          {track.type === 'video' ? '🎬' : track.type === 'audio' ? '🎵' : '📁'}
+        </span>
+        {isRenaming ? (
+          <input
+            className="track-name-input"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onBlur={commitRename}
+            onKeyDown={handleRenameKeyDown}
+            aria-label="Track name"
+            autoFocus
+          />
+        ) : (
+          <span className="track-name" onDoubleClick={startRename} title="Double-click to rename">
+            {track.name}
+          </span>
+        )}
+        {onCloseGaps && (
+          <button
+            className="track-close-gaps-btn"
+            onClick={() => onCloseGaps(track.id)}
+            title="Close all gaps on this track"
+          >
+            ⇤
+          </button>
+        )}
+        {canRemove && (
+          <button
+            className="track-remove-btn"
+            onClick={() => onRemove(track.id)}
+            title="Remove track"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+  
+      <div className="track-toggles">
+        {TRACK_TOGGLES.map(({ flag, label, title }) => (
+          <button
+            key={flag}
+            className={`track-toggle ${track[flag] ? 'active' : ''}`}
+            onClick={() => onToggleFlag(track.id, flag)}
+            aria-pressed={!!track[flag]}
+            title={title}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default TrackHeader;
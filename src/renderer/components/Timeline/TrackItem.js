@@ -1,6 +1,7 @@
 import React, { useRef } from 'react';
 import { useDrag, useDrop } from 'react-dnd';
 import { ItemTypes } from './constants';
+import Waveform from './Waveform';
 
 function TrackItem({ 
   item, 
@@ -98,7 +99,9 @@ function TrackItem({
       }}
     >
       <div className="track-item-thumbnail">
-        {item.thumbnail ? (
+        {item.type === 'audio' && item.path ? (
+          <Waveform item={item} width={width} />
+        ) : item.thumbnail ? (
           <img src={item.thumbnail} alt={item.name} />
         ) : (
           <div className="track-item-icon">
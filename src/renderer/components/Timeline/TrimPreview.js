@@ -0,0 +1,55 @@
+import React, { useRef, useEffect } from 'react';
+import { isVideoFile } from '../../utils/thumbnailUtils';
+import { formatDefaultTimecode } from '../../store/timecode';
+
+/**
+ * One frame of the trim preview. Video frames are shown by a paused video
+ * element seeked to the frame's media time.
+ */
+function TrimPreviewFrame({ frame, formatTime }) {
+  const videoRef = useRef(null);
+  const isVideo = frame.type === 'video' || (frame.type !== 'audio' && isVideoFile(frame.path));
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = frame.time;
+    }
+  }, [frame.time, frame.path]);
+
+  return (
+    <figure className="trim-preview-frame">
+      {isVideo ? (
+        <video
+          ref={videoRef}
+          src={frame.path}
+          muted
+          preload="auto"
+          onLoadedMetadata={(e) => { e.currentTarget.currentTime = frame.time; }}
+        />
+      ) : frame.type === 'image' ? (
+        <img src={frame.path} alt={frame.name} />
+      ) : (
+        <div className="trim-preview-audio">🎵</div>
+      )}
+      <figcaption>
+        {frame.label} · {formatTime(frame.time)}
+      </figcaption>
+    </figure>
+  );
+}
+
+/**
+ * TrimPreview component - the two frames at the edit points while a slip,
+ * slide or roll drag is in progress
+ */
+function TrimPreview({ frames, formatTime = formatDefaultTimecode }) {
+  return (
+    <div className="trim-preview" role="group" aria-label="Trim preview">
+      {frames.map(frame => (
+        <TrimPreviewFrame key={frame.label} frame={frame} formatTime={formatTime} />
+      ))}
+    </div>
+  );
+}
+
+export default TrimPreview;
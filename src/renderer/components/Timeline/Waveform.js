@@ -0,0 +1,70 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { loadPeakLevels, getWaveformColumns } from '../../store/waveform';
+
+// Widest single canvas (px); longer clips are drawn in several
+const WAVEFORM_TILE_WIDTH = 2048;
+
+// Drawing height of the canvases; they are stretched to the clip's height
+const WAVEFORM_HEIGHT = 48;
+
+/**
+ * Waveform component - the audio of a clip drawn across its width from
+ * peaks at the resolution closest to the current zoom
+ */
+function Waveform({ item, width }) {
+  const canvasesRef = useRef([]);
+  const [levels, setLevels] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setLevels(null);
+    loadPeakLevels(item.path)
+      .then(loaded => {
+        if (active) setLevels(loaded);
+      })
+      .catch(err => console.warn('Failed to load waveform:', err));
+    return () => {
+      active = false;
+    };
+  }, [item.path]);
+
+  const tileCount = Math.ceil(width / WAVEFORM_TILE_WIDTH);
+
+  useEffect(() => {
+    if (!levels) return;
+
+    const middle = WAVEFORM_HEIGHT / 2;
+    canvasesRef.current.slice(0, tileCount).forEach((canvas, tile) => {
+      const ctx = canvas?.getContext('2d');
+      if (!ctx) return;
+
+      const from = tile * WAVEFORM_TILE_WIDTH;
+      const columns = getWaveformColumns(levels, item, width, from, canvas.width);
+      ctx.clearRect(0, 0, canvas.width, WAVEFORM_HEIGHT);
+      ctx.fillStyle = 'rgba(130, 230, 190, 0.85)';
+      columns.forEach((column, x) => {
+        const top = middle - column.max * middle;
+        ctx.fillRect(x, top, 1, Math.max(1, (column.max - column.min) * middle));
+      });
+    });
+  }, [levels, item, width, tileCount]);
+
+  return (
+    <div className={`timeline-item-waveform ${levels ? 'loaded' : ''}`} aria-hidden="true">
+      {Array.from({ length: tileCount }, (_, tile) => {
+        const tileWidth = Math.min(WAVEFORM_TILE_WIDTH, Math.ceil(width) - tile * WAVEFORM_TILE_WIDTH);
+        return (
+          <canvas
+            key={tile}
+            ref={canvas => { canvasesRef.current[tile] = canvas; }}
+            width={tileWidth}
+            height={WAVEFORM_HEIGHT}
+            style={{ left: `${tile * WAVEFORM_TILE_WIDTH}px`, width: `${tileWidth}px` }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+export default Waveform;
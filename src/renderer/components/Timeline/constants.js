@@ -3,3 +3,6 @@ export const ItemTypes = {
   TIMELINE_ITEM: 'timelineItem',
   AUDIO_ITEM: 'audioItem'
 };
+
+// Width of the track header column (name and toggles) in pixels
+export const TRACK_HEADER_WIDTH = 160;
@@ -1,4 +1,5 @@
 export { default as TimelineEditor } from './TimelineEditor';
+export { default as TimelinePanel } from './TimelinePanel';
 export { default as Track } from './Track';
 export { default as TrackItem } from './TrackItem';
 export { default as TimelineRuler } from './TimelineRuler';
@@ -0,0 +1,94 @@
+// Periodic autosave of the editing session and crash recovery on launch
+import useEditorStore from './useEditorStore';
+import { serializeProject, parseProject } from './projectFile';
+
+export const AUTOSAVE_INTERVAL_MS = 30000;
+
+/**
+ * Key describing the timeline content. Zoom and playhead changes are not
+ * considered unsaved work, and thumbnails are excluded by serializeProject.
+ */
+const getContentKey = (state) => {
+  const { timeline } = serializeProject(state);
+  return JSON.stringify({
+    sequences: timeline.sequences.map(({ playhead, ...sequence }) => sequence),
+    compounds: timeline.compounds,
+    filters: state.filters,
+  });
+};
+
+/**
+ * Start writing recovery snapshots through the main process whenever the
+ * timeline differs from the last saved or opened project.
+ * @param {number} intervalMs - Time between autosave checks
+ * @returns {Function} - Stops autosaving
+ */
+export const startAutosave = (intervalMs = AUTOSAVE_INTERVAL_MS) => {
+  const api = window.electronAPI;
+  if (!api) return () => {};
+
+  let savedKey = getContentKey(useEditorStore.getState());
+  let writtenKey = savedKey;
+
+  // A save or open makes the current content clean again
+  const unsubscribe = useEditorStore.subscribe((state, prevState) => {
+    if (state.lastSavedAt !== prevState.lastSavedAt) {
+      savedKey = getContentKey(state);
+      writtenKey = savedKey;
+      api.clearRecoverySession().catch(err => console.warn('Failed to clear recovery snapshots:', err));
+    }
+  });
+
+  const timer = setInterval(() => {
+    const state = useEditorStore.getState();
+    const key = getContentKey(state);
+    if (key === writtenKey) return;
+
+    writtenKey = key;
+
+    // Edits were reverted back to the saved content
+    if (key === savedKey) {
+      api.clearRecoverySession().catch(err => console.warn('Failed to clear recovery snapshots:', err));
+      return;
+    }
+
+    api.autosaveSession({
+      savedAt: new Date().toISOString(),
+      projectPath: state.projectPath,
+      project: serializeProject(state),
+    }).catch(err => console.warn('Autosave failed:', err));
+  }, intervalMs);
+
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+  };
+};
+
+/**
+ * Get the most recent unsaved session left behind by a previous run
+ * @returns {Promise<Object|null>} - Snapshot with savedAt, projectPath and project
+ */
+export const findRecoverySession = async () => {
+  if (!window.electronAPI) return null;
+  return window.electronAPI.getRecoverySession();
+};
+
+/**
+ * Load a recovery snapshot into the editor. The restored content stays
+ * unsaved, so it keeps being autosaved until the user saves it.
+ * @param {Object} snapshot - Snapshot returned by findRecoverySession
+ */
+export const restoreRecoverySession = (snapshot) => {
+  const project = parseProject(snapshot.project);
+  useEditorStore.setState({ projectPath: snapshot.projectPath || null, lastSavedAt: null });
+  return useEditorStore.getState().loadProject(project);
+};
+
+/**
+ * Throw away all recovery snapshots
+ */
+export const discardRecoverySession = async () => {
+  if (!window.electronAPI) return;
+  await window.electronAPI.clearRecoverySession();
+};
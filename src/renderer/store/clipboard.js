@@ -0,0 +1,86 @@
+// Internal clipboard for timeline items. Copied clips keep their trims,
+// durations and settings, their spacing, and which tracks they sit on
+// relative to each other.
+
+import { placeGroup } from './selection';
+import { remapLinks } from './links';
+
+/**
+ * Copy the selected items
+ * @param {Array} tracks - Timeline tracks
+ * @param {Set<string>} selection - Selected item ids
+ * @param {Object} options
+ * @param {boolean} options.skipLocked - Leave out items on locked tracks (for cut)
+ * @returns {{entries: Array}|null} - null if nothing is selected
+ */
+export const createClipboard = (tracks, selection, { skipLocked = false } = {}) => {
+  const selected = tracks.flatMap((track, trackIndex) => (
+    skipLocked && track.locked ? [] : track.items
+      .filter(item => selection.has(item.id))
+      .map(item => ({ track, trackIndex, item }))
+  ));
+  if (selected.length === 0) return null;
+
+  const firstTrack = Math.min(...selected.map(({ trackIndex }) => trackIndex));
+  const firstStart = Math.min(...selected.map(({ item }) => item.startTime));
+
+  return {
+    entries: selected.map(({ track, trackIndex, item }) => ({
+      trackId: track.id,
+      trackType: track.type,
+      trackOffset: trackIndex - firstTrack,
+      timeOffset: item.startTime - firstStart,
+      item: { ...item },
+    })),
+  };
+};
+
+/**
+ * Pick the track a clipboard entry is pasted onto: the same position relative
+ * to the target track, then the track it was copied from, then the first
+ * track of its type. Locked tracks and tracks of another type are skipped.
+ * @returns {number} - Track index, or -1 if there is nowhere to paste
+ */
+const resolvePasteTrack = (tracks, entry, targetIndex) => {
+  const accepts = (index) => (
+    index >= 0 && !!tracks[index] && !tracks[index].locked && tracks[index].type === entry.trackType
+  );
+
+  const candidates = [
+    targetIndex === -1 ? -1 : targetIndex + entry.trackOffset,
+    tracks.findIndex(track => track.id === entry.trackId),
+  ];
+  const index = candidates.find(accepts);
+  return index !== undefined ? index : tracks.findIndex((track, i) => accepts(i));
+};
+
+/**
+ * Paste the clipboard with its first clip starting at a time
+ * @param {Array} tracks - Timeline tracks
+ * @param {{entries: Array}} clipboard - From createClipboard
+ * @param {string|null} targetTrackId - Track for the top-most copied clip
+ * @param {number} time - Paste position in seconds
+ * @param {string} mode - Edit mode
+ * @param {Function} createId - Id factory for the pasted clips
+ * @returns {{tracks: Array, pastedIds: Array<string>}|null} - null if nothing could be pasted
+ */
+export const pasteClipboard = (tracks, clipboard, targetTrackId, time, mode, createId) => {
+  if (!clipboard) return null;
+
+  const targetIndex = tracks.findIndex(track => track.id === targetTrackId);
+  // Pasted copies of linked clips are linked to each other
+  const copies = remapLinks(clipboard.entries.map(entry => ({ ...entry.item, id: createId() })), createId);
+  const placements = clipboard.entries
+    .map((entry, i) => ({
+      trackIndex: resolvePasteTrack(tracks, entry, targetIndex),
+      item: copies[i],
+      startTime: time + entry.timeOffset,
+    }))
+    .filter(({ trackIndex }) => trackIndex !== -1);
+  if (placements.length === 0) return null;
+
+  return {
+    tracks: placeGroup(tracks, placements, mode, createId),
+    pastedIds: placements.map(({ item }) => item.id),
+  };
+};
@@ -0,0 +1,158 @@
+// Compound clips - a group of items collapsed into one clip whose contents
+// live in their own timeline (see timelines.js) and are rendered in place
+
+import { EDIT_MODES, placeItem } from './editModes';
+import { getEditableSelection, getItemsInRange, getSelectionSpan } from './selection';
+import { createTrack, getAllItemsAtTime, getVisualLayersAtTime, getAudioItemsAtTime, isTrackAudible } from './tracks';
+import { createTimeline, getTimelineDuration } from './timelines';
+import { getSourceIn } from './trim';
+
+export const COMPOUND_TYPE = 'compound';
+
+// Compounds nested deeper than this are not rendered (this also stops a
+// compound that ends up inside itself)
+export const MAX_NESTING_DEPTH = 8;
+
+/**
+ * Check whether an item is a compound clip
+ * @param {Object} item - Timeline item
+ * @returns {boolean}
+ */
+export const isCompound = (item) => item.type === COMPOUND_TYPE;
+
+/**
+ * Name for a new compound clip, e.g. "Compound 3"
+ * @param {Object} timelines - Timelines by id
+ * @returns {string}
+ */
+export const getNewCompoundName = (timelines) => (
+  `Compound ${Object.values(timelines).filter(timeline => timeline.kind === 'compound').length + 1}`
+);
+
+/**
+ * Collapse the selected items into a compound clip. The items move to a new
+ * timeline, keeping their tracks and spacing; the clip takes their place on
+ * the top-most selected video track (or the top-most selected track). Other
+ * clips on that track within the selection's span move into it as well.
+ * @param {Array} tracks - Timeline tracks
+ * @param {Set<string>} selection - Selected item ids
+ * @param {Object} options
+ * @param {string} options.compoundId - Id for the compound's timeline
+ * @param {string} options.name - Compound name
+ * @param {Function} options.createId - Id factory for the clip and the new tracks
+ * @returns {{tracks: Array, timeline: Object, item: Object}|null} - null if nothing is selected
+ */
+export const collapseToCompound = (tracks, selection, { compoundId, name, createId }) => {
+  const entries = getEditableSelection(tracks, selection);
+  if (entries.length === 0) return null;
+
+  // The clip replaces everything under it on its track, so clips there that
+  // the selection spans go into the compound too, whole
+  const host = (entries.find(({ track }) => track.type === 'video') || entries[0]).track;
+  const selectedIds = new Set(entries.map(({ item }) => item.id));
+  const span = getSelectionSpan(tracks, selectedIds);
+  const movedIds = new Set([...selectedIds, ...getItemsInRange(tracks, [host.id], span.start, span.end)]);
+  const { start, end } = getSelectionSpan(tracks, movedIds);
+
+  const innerTracks = tracks
+    .filter(track => entries.some(entry => entry.track.id === track.id))
+    .map(track => ({
+      ...createTrack(`track-${createId()}`, track.type, track.name),
+      items: track.items
+        .filter(item => movedIds.has(item.id))
+        .map(item => ({ ...item, startTime: item.startTime - start })),
+    }));
+
+  const duration = end - start;
+  const item = {
+    id: createId(),
+    name,
+    path: '',
+    type: COMPOUND_TYPE,
+    compoundId,
+    thumbnail: null,
+    startTime: start,
+    duration,
+    sourceIn: 0,
+    sourceOut: duration,
+    mediaDuration: duration,
+  };
+
+  const result = tracks.map(track => {
+    if (track.locked) return track;
+
+    const items = track.items.filter(i => !movedIds.has(i.id));
+    // The clip covers the whole span on its track
+    return {
+      ...track,
+      items: track.id === host.id ? placeItem(items, item, start, EDIT_MODES.OVERWRITE, createId) : items,
+    };
+  });
+
+  return {
+    tracks: result,
+    timeline: createTimeline(compoundId, name, 'compound', innerTracks),
+    item,
+  };
+};
+
+/**
+ * Bring the media length of compound clips up to date with their contents,
+ * so they can be trimmed out to the end of an edited compound
+ * @param {Array} tracks - Tracks holding compound clips
+ * @param {Object} timelines - Timelines by id
+ * @returns {Array} - New tracks
+ */
+export const syncCompoundDurations = (tracks, timelines) => tracks.map(track => ({
+  ...track,
+  items: track.items.map(item => {
+    const timeline = isCompound(item) ? timelines[item.compoundId] : null;
+    return timeline ? { ...item, mediaDuration: getTimelineDuration(timeline.tracks) } : item;
+  }),
+}));
+
+/**
+ * The contents of a compound clip at a time, moved onto the outer timeline.
+ * Ids are prefixed with the clip's id so every use of a compound is distinct.
+ */
+const getNestedItems = (item, timelines, time, depth, collect) => {
+  const timeline = timelines[item.compoundId];
+  if (!timeline || depth >= MAX_NESTING_DEPTH) return [];
+
+  const offset = item.startTime - getSourceIn(item);
+  return collect(timeline.tracks, timelines, time - offset, depth + 1).map(inner => ({
+    ...inner,
+    id: `${item.id}/${inner.id}`,
+    startTime: inner.startTime + offset,
+  }));
+};
+
+/**
+ * Picture layers to draw at a time, bottom first, with compound clips
+ * replaced by their own layers
+ * @param {Array} tracks - Timeline tracks
+ * @param {Object} timelines - Timelines by id (compound contents)
+ * @param {number} time - Timeline time in seconds
+ * @param {number} depth - Nesting depth (internal)
+ * @returns {Array<Object>}
+ */
+export const getRenderLayersAtTime = (tracks, timelines, time, depth = 0) => getVisualLayersAtTime(tracks, time)
+  .flatMap(item => (
+    isCompound(item) ? getNestedItems(item, timelines, time, depth, getRenderLayersAtTime) : [item]
+  ));
+
+/**
+ * Audio items to play at a time, including the audio inside compound clips
+ * on audible tracks
+ * @param {Array} tracks - Timeline tracks
+ * @param {Object} timelines - Timelines by id (compound contents)
+ * @param {number} time - Timeline time in seconds
+ * @param {number} depth - Nesting depth (internal)
+ * @returns {Array<Object>}
+ */
+export const getRenderAudioAtTime = (tracks, timelines, time, depth = 0) => [
+  ...getAudioItemsAtTime(tracks, time),
+  ...getAllItemsAtTime(tracks, time)
+    .filter(({ track, item }) => isCompound(item) && isTrackAudible(track, tracks))
+    .flatMap(({ item }) => getNestedItems(item, timelines, time, depth, getRenderAudioAtTime)),
+];
@@ -0,0 +1,175 @@
+// Timeline edit modes - how placing a clip affects the clips already on a track
+import { getSourceIn, getSourceOut, getMediaTimeAt, isReversed, MIN_CLIP_DURATION } from './trim';
+import { shiftKeyframes, pruneKeyframes } from './keyframes';
+
+export const EDIT_MODES = {
+  RIPPLE: 'ripple',       // clips stay packed back-to-back, order follows the drop position
+  INSERT: 'insert',       // later clips are pushed right to make room
+  OVERWRITE: 'overwrite', // whatever the clip covers is cut away
+};
+
+export const DEFAULT_EDIT_MODE = EDIT_MODES.RIPPLE;
+
+// Slack for floating point start/end comparisons (seconds)
+const EPSILON = 1e-6;
+
+const getEnd = (item) => item.startTime + item.duration;
+
+/**
+ * Copy of a track's items ordered by start time
+ * @param {Array} items - Track items
+ * @returns {Array}
+ */
+export const sortByStart = (items) => [...items].sort((a, b) => a.startTime - b.startTime);
+
+/**
+ * Check whether a value is one of the EDIT_MODES
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export const isEditMode = (mode) => Object.values(EDIT_MODES).includes(mode);
+
+/**
+ * Cut an item in two at a timeline time. The right part keeps playing the
+ * media from where the left part stopped, and both parts keep the
+ * animation they showed.
+ * @param {Object} item - Timeline item
+ * @param {number} time - Timeline time inside the item
+ * @param {string} rightId - Id for the new right-hand item
+ * @returns {[Object, Object]} - Left and right parts
+ */
+export const splitItem = (item, time, rightId) => {
+  const offset = time - item.startTime;
+  const splitPoint = getMediaTimeAt(item, time);
+  // A reversed clip's left part plays the end of its media
+  const [left, right] = isReversed(item)
+    ? [[splitPoint, getSourceOut(item)], [getSourceIn(item), splitPoint]]
+    : [[getSourceIn(item), splitPoint], [splitPoint, getSourceOut(item)]];
+  return [
+    pruneKeyframes({ ...item, duration: offset, sourceIn: left[0], sourceOut: left[1] }),
+    pruneKeyframes(shiftKeyframes({
+      ...item,
+      id: rightId,
+      startTime: time,
+      duration: item.duration - offset,
+      sourceIn: right[0],
+      sourceOut: right[1],
+    }, -offset)),
+  ];
+};
+
+/**
+ * Check whether a split at a timeline time leaves two usable clips
+ * @param {Object} item - Timeline item
+ * @param {number} time - Timeline time
+ * @returns {boolean}
+ */
+export const canSplitAt = (item, time) => (
+  time - item.startTime >= MIN_CLIP_DURATION &&
+  item.startTime + item.duration - time >= MIN_CLIP_DURATION
+);
+
+/**
+ * Lay items out back-to-back from zero, keeping their array order
+ * @param {Array} items - Track items
+ * @returns {Array}
+ */
+export const packItems = (items) => {
+  let currentTime = 0;
+  return items.map(item => {
+    const packed = { ...item, startTime: currentTime };
+    currentTime += item.duration;
+    return packed;
+  });
+};
+
+/**
+ * Ripple: slot the item in front of the first clip whose middle lies after
+ * the requested start time, then repack the track.
+ */
+const rippleItem = (items, item, startTime) => {
+  const ordered = sortByStart(items);
+  const index = ordered.findIndex(other => other.startTime + other.duration / 2 > startTime);
+  ordered.splice(index === -1 ? ordered.length : index, 0, item);
+  return packItems(ordered);
+};
+
+/**
+ * Insert: split the clip under the start time and push everything from
+ * there on right by the item's duration.
+ */
+const insertItem = (items, item, startTime, createId) => {
+  const shifted = [];
+
+  items.forEach(other => {
+    if (other.startTime < startTime - EPSILON && getEnd(other) > startTime + EPSILON) {
+      const [left, right] = splitItem(other, startTime, createId());
+      shifted.push(left, { ...right, startTime: right.startTime + item.duration });
+    } else if (other.startTime >= startTime - EPSILON) {
+      shifted.push({ ...other, startTime: other.startTime + item.duration });
+    } else {
+      shifted.push(other);
+    }
+  });
+
+  return sortByStart([...shifted, { ...item, startTime }]);
+};
+
+/**
+ * Overwrite: trim, split or drop whatever lies under the item.
+ */
+const overwriteItem = (items, item, startTime, createId) => {
+  const endTime = startTime + item.duration;
+  const remaining = [];
+
+  items.forEach(other => {
+    const otherEnd = getEnd(other);
+
+    // Untouched
+    if (otherEnd <= startTime + EPSILON || other.startTime >= endTime - EPSILON) {
+      remaining.push(other);
+      return;
+    }
+
+    const coversHead = other.startTime >= startTime - EPSILON;
+    const coversTail = otherEnd <= endTime + EPSILON;
+
+    if (coversHead && coversTail) return;
+
+    if (coversHead) {
+      remaining.push(splitItem(other, endTime, other.id)[1]);
+    } else if (coversTail) {
+      remaining.push(splitItem(other, startTime, other.id)[0]);
+    } else {
+      // The item lands inside this clip: keep both ends
+      const [left] = splitItem(other, startTime, other.id);
+      const [, right] = splitItem(other, endTime, createId());
+      remaining.push(left, right);
+    }
+  });
+
+  return sortByStart([...remaining, { ...item, startTime }]);
+};
+
+/**
+ * Place an item on a track using an edit mode
+ * @param {Array} items - Items already on the track (without the placed item)
+ * @param {Object} item - Item being placed
+ * @param {number} startTime - Requested start time in seconds
+ * @param {string} mode - One of EDIT_MODES
+ * @param {Function} createId - Returns ids for clips created by splitting
+ * @returns {Array} - New track items
+ */
+export const placeItem = (items, item, startTime, mode, createId) => {
+  const start = Math.max(0, startTime);
+
+  switch (mode) {
+    case EDIT_MODES.RIPPLE:
+      return rippleItem(items, item, start);
+    case EDIT_MODES.INSERT:
+      return insertItem(items, item, start, createId);
+    case EDIT_MODES.OVERWRITE:
+    default:
+      return overwriteItem(items, item, start, createId);
+  }
+};
@@ -0,0 +1,139 @@
+// Edit decision lists - a sequence's cuts as a CMX3600 EDL for conforming in
+// other applications. The picture is flattened to the clip seen at each
+// moment (the top visible video track wins), and the first two audible audio
+// tracks become audio channels A and A2, the most CMX3600 has.
+
+import { isTrackVisible, isTrackAudible } from './tracks';
+import { getMediaTimeAt, getSpeed, isReversed } from './trim';
+import { isCompound } from './compounds';
+import { formatTimecode, secondsToFrames, framesToSeconds, getTimebase, isDropFrame } from './timecode';
+
+export const EDL_FILE_EXTENSION = 'edl';
+
+// Audio channels of a CMX3600 event, in track order
+const AUDIO_CHANNELS = ['A', 'A2'];
+
+// Reel name for every event; the clip and file are named in comments below it
+const REEL = 'AX';
+
+const EPSILON = 1e-6;
+
+/**
+ * The clip seen at each moment of a sequence, as stretches of timeline.
+ * Neighbouring stretches of one clip are joined.
+ * @param {Array} tracks - Sequence tracks, top track first
+ * @returns {Array<{item: Object, startTime: number, endTime: number}>}
+ */
+export const getPictureSegments = (tracks) => {
+  const layers = tracks
+    .filter(track => track.type === 'video' && isTrackVisible(track, tracks))
+    .map(track => track.items.filter(item => item.type !== 'audio'));
+
+  const times = [...new Set(layers.flat().flatMap(item => [item.startTime, item.startTime + item.duration]))]
+    .sort((a, b) => a - b);
+
+  const segments = [];
+  times.slice(1).forEach((endTime, index) => {
+    const startTime = times[index];
+    const middle = (startTime + endTime) / 2;
+    const item = layers
+      .map(items => items.find(other => middle >= other.startTime && middle < other.startTime + other.duration))
+      .find(Boolean);
+    if (!item) return;
+
+    const last = segments[segments.length - 1];
+    if (last && last.item === item && Math.abs(last.endTime - startTime) < EPSILON) {
+      last.endTime = endTime;
+    } else {
+      segments.push({ item, startTime, endTime });
+    }
+  });
+  return segments;
+};
+
+const formatFrames = (frames, fps) => formatTimecode(framesToSeconds(frames, fps), fps);
+
+// Speed changes are written as motion effects: the media's frame rate, negative
+// when it plays backwards
+const formatMotion = (item, fps) => {
+  const rate = getTimebase(fps) * getSpeed(item);
+  const text = Math.abs(rate).toFixed(1).padStart(5, '0');
+  return isReversed(item) ? `-${text}` : text;
+};
+
+/**
+ * One EDL event. As CMX3600 expects, the source runs as long as the record
+ * side; a clip's real speed is given by its M2 line. Reversed clips run from
+ * the source in where playback starts back down to the source out, so their
+ * source in is the later timecode and matches the M2 line.
+ * @param {number} number - Event number
+ * @param {string} channel - 'V', 'A' or 'A2'
+ * @param {{item: Object, startTime: number, endTime: number}} segment
+ * @param {number} fps - Sequence frame rate
+ * @returns {Array<string>|null} - The event's lines, or null if it is shorter than a frame
+ */
+const formatEvent = (number, channel, { item, startTime, endTime }, fps) => {
+  const recordIn = secondsToFrames(startTime, fps);
+  const recordOut = secondsToFrames(endTime, fps);
+  if (recordOut <= recordIn) return null;
+
+  const length = recordOut - recordIn;
+  const reversed = !isCompound(item) && isReversed(item);
+  // Reversed playback starts at the latest media shown: where the segment
+  // ends in the media plus the media it covers
+  const sourceIn = reversed
+    ? secondsToFrames(getMediaTimeAt(item, endTime), fps) + Math.round(length * getSpeed(item))
+    : secondsToFrames(isCompound(item) ? startTime - item.startTime : getMediaTimeAt(item, startTime), fps);
+  const sourceOut = reversed ? sourceIn - length : sourceIn + length;
+
+  const times = [sourceIn, sourceOut, recordIn, recordOut].map(frames => formatFrames(frames, fps));
+  const lines = [`${String(number).padStart(3, '0')}  ${REEL.padEnd(8)} ${channel.padEnd(5)} ${'C'.padEnd(8)} ${times.join(' ')}`];
+
+  if (!isCompound(item) && (getSpeed(item) !== 1 || isReversed(item))) {
+    // The sign takes a column of its own, so the trigger timecode lines up
+    lines.push(`M2   ${REEL.padEnd(8)} ${formatMotion(item, fps).padEnd(6)}${' '.repeat(15)}${formatFrames(sourceIn, fps)}`);
+  }
+  lines.push(`* FROM CLIP NAME: ${item.name}`);
+  if (item.path && !isCompound(item)) {
+    lines.push(`* SOURCE FILE: ${item.path}`);
+  }
+  return lines;
+};
+
+/**
+ * Write a sequence as a CMX3600 EDL. Times are timecode at the sequence's
+ * frame rate; media timecode starts at 00:00:00:00 and the record side at
+ * the start of the sequence. Every event is a cut.
+ * @param {Object} sequence - Sequence with name, tracks and settings
+ * @returns {string}
+ */
+export const buildEdl = (sequence) => {
+  const { fps } = sequence.settings;
+  const audioTracks = sequence.tracks
+    .filter(track => track.type === 'audio' && isTrackAudible(track, sequence.tracks))
+    .slice(0, AUDIO_CHANNELS.length);
+
+  const events = [
+    ...getPictureSegments(sequence.tracks).map(segment => ({ channel: 'V', segment })),
+    ...audioTracks.flatMap((track, index) => [...track.items]
+      .sort((a, b) => a.startTime - b.startTime)
+      .map(item => ({
+        channel: AUDIO_CHANNELS[index],
+        segment: { item, startTime: item.startTime, endTime: item.startTime + item.duration },
+      }))),
+  ].sort((a, b) => a.segment.startTime - b.segment.startTime);
+
+  const lines = [
+    `TITLE: ${sequence.name}`,
+    `FCM: ${isDropFrame(fps) ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+  ];
+  let number = 0;
+  events.forEach(({ channel, segment }) => {
+    const event = formatEvent(number + 1, channel, segment, fps);
+    if (!event) return;
+    number += 1;
+    lines.push('', ...event);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,108 @@
+// Filmstrips - the row of frames tiled across a video clip on the timeline.
+// Frames are captured on demand and cached per media file and media time, so
+// a frame is only grabbed once however often the clip is redrawn.
+
+import { createVideoFrameGrabber } from './thumbnailGenerator';
+import { getMediaTimeAt } from './trim';
+
+// Width of one frame in the strip (px)
+export const FILMSTRIP_FRAME_WIDTH = 80;
+
+// Finest spacing between cached frame times (seconds)
+const MIN_FRAME_STEP = 1 / 32;
+
+// Frames kept in memory before the oldest are dropped
+const MAX_CACHED_FRAMES = 1000;
+
+const frameCache = new Map();
+const pendingFrames = new Map();
+const grabbers = new Map();
+
+const frameKey = (path, time) => `${path}@${time}`;
+
+/**
+ * Lay out the frames of a clip's filmstrip. Frame times are snapped to a
+ * power-of-two grid of media seconds: zooming in halves the spacing, so the
+ * frames already captured stay in the strip and new ones fill in between.
+ * @param {Object} item - Timeline item
+ * @param {number} width - Rendered width of the clip (px)
+ * @param {number} frameWidth - Width of one frame (px)
+ * @returns {Array<{left: number, width: number, time: number}>} - Media time
+ *   of each frame, left to right
+ */
+export const getFilmstripFrames = (item, width, frameWidth = FILMSTRIP_FRAME_WIDTH) => {
+  if (width <= 0 || item.duration <= 0) return [];
+
+  const secondsPerPixel = item.duration / width;
+  const spacing = Math.abs(getMediaTimeAt(item, item.startTime + frameWidth * secondsPerPixel) - getMediaTimeAt(item, item.startTime));
+  const step = Math.max(MIN_FRAME_STEP, 2 ** Math.floor(Math.log2(spacing || MIN_FRAME_STEP)));
+
+  const frames = [];
+  for (let left = 0; left < width; left += frameWidth) {
+    const centre = Math.min(left + frameWidth / 2, width);
+    const mediaTime = getMediaTimeAt(item, item.startTime + centre * secondsPerPixel);
+    frames.push({
+      left,
+      width: Math.min(frameWidth, width - left),
+      time: Math.max(0, Math.round(mediaTime / step) * step),
+    });
+  }
+  return frames;
+};
+
+/**
+ * A frame that has already been captured
+ * @param {string} path - Media file
+ * @param {number} time - Media time (seconds)
+ * @returns {string|null} - Data URL of the frame
+ */
+export const getCachedFrame = (path, time) => frameCache.get(frameKey(path, time)) ?? null;
+
+// Each file is opened once while it has frames to capture, then closed
+const captureFrame = (path, time) => {
+  let entry = grabbers.get(path);
+  if (!entry) {
+    entry = { grabber: createVideoFrameGrabber(path), pending: 0 };
+    grabbers.set(path, entry);
+  }
+  entry.pending += 1;
+
+  return entry.grabber.capture(time).finally(() => {
+    entry.pending -= 1;
+    if (entry.pending === 0) {
+      entry.grabber.dispose();
+      grabbers.delete(path);
+    }
+  });
+};
+
+/**
+ * Capture a frame, or reuse it if it is cached or already being captured
+ * @param {string} path - Media file
+ * @param {number} time - Media time (seconds)
+ * @returns {Promise<string>} - Data URL of the frame
+ */
+export const loadFrame = (path, time) => {
+  const key = frameKey(path, time);
+  if (frameCache.has(key)) return Promise.resolve(frameCache.get(key));
+  if (pendingFrames.has(key)) return pendingFrames.get(key);
+
+  const frame = captureFrame(path, time)
+    .then(url => {
+      frameCache.set(key, url);
+      if (frameCache.size > MAX_CACHED_FRAMES) {
+        frameCache.delete(frameCache.keys().next().value);
+      }
+      return url;
+    })
+    .finally(() => pendingFrames.delete(key));
+  pendingFrames.set(key, frame);
+  return frame;
+};
+
+/**
+ * Forget every cached frame
+ */
+export const clearFrameCache = () => {
+  frameCache.clear();
+};
@@ -0,0 +1,85 @@
+// Gaps - the empty stretches of a track between its start and its last clip -
+// and the deletes that close them up
+
+import { packItems, sortByStart } from './editModes';
+
+// Slack for floating point start/end comparisons (seconds); stretches shorter
+// than this are rounding, not gaps
+const EPSILON = 1e-6;
+
+/**
+ * Empty stretches of a track, from its start to the end of its last clip
+ * @param {Array} items - Track items
+ * @returns {Array<{startTime: number, endTime: number}>} - In timeline order
+ */
+export const getTrackGaps = (items) => {
+  const gaps = [];
+  let end = 0;
+  sortByStart(items).forEach(item => {
+    if (item.startTime - end > EPSILON) {
+      gaps.push({ startTime: end, endTime: item.startTime });
+    }
+    end = Math.max(end, item.startTime + item.duration);
+  });
+  return gaps;
+};
+
+/**
+ * The gap a time falls in
+ * @param {Array} items - Track items
+ * @param {number} time - Timeline time
+ * @returns {{startTime: number, endTime: number}|null}
+ */
+export const getGapAt = (items, time) => (
+  getTrackGaps(items).find(gap => time >= gap.startTime && time < gap.endTime) || null
+);
+
+/**
+ * Check whether a track still has a gap (e.g. a selected one after edits)
+ * @param {Array} items - Track items
+ * @param {{startTime: number, endTime: number}} gap
+ * @returns {boolean}
+ */
+export const hasGap = (items, gap) => getTrackGaps(items).some(other => (
+  Math.abs(other.startTime - gap.startTime) < EPSILON && Math.abs(other.endTime - gap.endTime) < EPSILON
+));
+
+/**
+ * Remove a gap: the clips after it move left by its length
+ * @param {Array} items - Track items
+ * @param {{startTime: number, endTime: number}} gap
+ * @returns {Array}
+ */
+export const closeGap = (items, gap) => {
+  const length = gap.endTime - gap.startTime;
+  return items.map(item => (
+    item.startTime >= gap.endTime - EPSILON ? { ...item, startTime: Math.max(0, item.startTime - length) } : item
+  ));
+};
+
+/**
+ * Remove every gap on a track, packing its clips from the start
+ * @param {Array} items - Track items
+ * @returns {Array}
+ */
+export const closeAllGaps = (items) => packItems(sortByStart(items));
+
+/**
+ * Ripple delete: remove items and move the clips after each one left by
+ * its length, so no gap is left where it was. Gaps that were already there
+ * stay.
+ * @param {Array} items - Track items
+ * @param {Array<string>} removedIds - Items to remove
+ * @returns {Array}
+ */
+export const rippleDeleteItems = (items, removedIds) => {
+  const removed = items.filter(item => removedIds.includes(item.id));
+  return items
+    .filter(item => !removedIds.includes(item.id))
+    .map(item => {
+      const shift = removed
+        .filter(other => other.startTime + other.duration <= item.startTime + EPSILON)
+        .reduce((sum, other) => sum + other.duration, 0);
+      return shift > 0 ? { ...item, startTime: Math.max(0, item.startTime - shift) } : item;
+    });
+};
@@ -0,0 +1,131 @@
+// Undo/redo history for editor state changes
+
+// Maximum number of undo steps kept. State is immutable, so snapshots share
+// unchanged tracks and items; the cap bounds memory for long sessions.
+export const HISTORY_LIMIT = 100;
+
+// Changes with the same merge key inside this window become one undo step
+export const MERGE_WINDOW_MS = 500;
+
+// Store keys restored by undo/redo
+// The timeline on screen and the open tabs are included so undoing an edit
+// made in another tab restores that tab together with its tracks.
+export const UNDOABLE_KEYS = [
+  'tracks',
+  'duration',
+  'filters',
+  'selectedItemId',
+  'selectedItemIds',
+  'markers',
+  'timelines',
+  'activeTimelineId',
+  'activeSequenceId',
+  'openTimelineIds',
+];
+
+/**
+ * Create an empty history
+ * @returns {{past: Array, future: Array}}
+ */
+export const createHistory = () => ({ past: [], future: [] });
+
+/**
+ * Capture the undoable part of the store state
+ * @param {Object} state - Store state
+ * @returns {Object}
+ */
+export const takeSnapshot = (state) => UNDOABLE_KEYS.reduce((snapshot, key) => {
+  snapshot[key] = state[key];
+  return snapshot;
+}, {});
+
+/**
+ * Record the state before a change as a new undo step
+ * @param {{past: Array, future: Array}} history - Current history
+ * @param {Object} state - Store state before the change
+ * @param {string} label - Human readable description of the change
+ * @param {string|null} mergeKey - Consecutive changes with this key are merged
+ * @param {number} timestamp - Time of the change in milliseconds
+ * @param {number} mergeWindow - Longest gap in milliseconds between merged changes
+ * @returns {{past: Array, future: Array}}
+ */
+export const recordHistory = (
+  history, state, label, mergeKey = null, timestamp = Date.now(), mergeWindow = MERGE_WINDOW_MS,
+) => {
+  const last = history.past[history.past.length - 1];
+
+  // Keep the oldest snapshot so the whole burst is undone at once
+  if (
+    mergeKey &&
+    last &&
+    last.mergeKey === mergeKey &&
+    timestamp - last.timestamp <= mergeWindow
+  ) {
+    return {
+      past: [...history.past.slice(0, -1), { ...last, timestamp }],
+      future: [],
+    };
+  }
+
+  const entry = { label, mergeKey, timestamp, snapshot: takeSnapshot(state) };
+  return {
+    past: [...history.past, entry].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+};
+
+/**
+ * Wrap a store updater so the change is recorded as an undo step
+ * @param {string} label - Description of the change
+ * @param {Function} updater - (state) => partial state, or null for no change
+ * @param {string|null} mergeKey - Merge key for rapid consecutive changes
+ * @param {number} mergeWindow - Longest gap in milliseconds between merged changes
+ * @returns {Function} - Updater for zustand's set()
+ */
+export const withHistory = (label, updater, mergeKey = null, mergeWindow = MERGE_WINDOW_MS) => (state) => {
+  const changes = updater(state);
+  if (!changes) return {};
+
+  return {
+    ...changes,
+    history: recordHistory(state.history, state, label, mergeKey, Date.now(), mergeWindow),
+  };
+};
+
+/**
+ * Step back one entry
+ * @param {Object} state - Store state
+ * @returns {Object} - Partial state for zustand's set()
+ */
+export const undoHistory = (state) => {
+  const { past, future } = state.history;
+  if (past.length === 0) return {};
+
+  const entry = past[past.length - 1];
+  return {
+    ...entry.snapshot,
+    history: {
+      past: past.slice(0, -1),
+      future: [...future, { ...entry, snapshot: takeSnapshot(state) }],
+    },
+  };
+};
+
+/**
+ * Re-apply the last undone entry
+ * @param {Object} state - Store state
+ * @returns {Object} - Partial state for zustand's set()
+ */
+export const redoHistory = (state) => {
+  const { past, future } = state.history;
+  if (future.length === 0) return {};
+
+  const entry = future[future.length - 1];
+  return {
+    ...entry.snapshot,
+    history: {
+      past: [...past, { ...entry, snapshot: takeSnapshot(state) }],
+      future: future.slice(0, -1),
+    },
+  };
+};
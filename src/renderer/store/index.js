@@ -3,5 +3,6 @@ export {
   generateThumbnail, 
   generateImageThumbnail, 
   generateVideoThumbnail,
+  createVideoFrameGrabber,
   createPlaceholderThumbnail 
 } from './thumbnailGenerator';
@@ -0,0 +1,304 @@
+// Clip properties and keyframes. Every clip property has a static value in
+// item.properties; a property with keyframes in item.keyframes is animated
+// instead. Keyframe times are in seconds from the start of the clip, and a
+// keyframe's easing shapes the change towards the keyframe after it.
+
+export const CLIP_PROPERTIES = {
+  opacity: { label: 'Opacity', min: 0, max: 100, defaultValue: 100, unit: '%' },
+  positionX: { label: 'Position X', min: -100, max: 100, defaultValue: 0, unit: '%' },
+  positionY: { label: 'Position Y', min: -100, max: 100, defaultValue: 0, unit: '%' },
+  scale: { label: 'Scale', min: 10, max: 400, defaultValue: 100, unit: '%' },
+  rotation: { label: 'Rotation', min: -360, max: 360, defaultValue: 0, unit: '°' },
+  brightness: { label: 'Brightness', min: -100, max: 100, defaultValue: 0, unit: '' },
+  contrast: { label: 'Contrast', min: -100, max: 100, defaultValue: 0, unit: '' },
+  saturation: { label: 'Saturation', min: -100, max: 100, defaultValue: 0, unit: '' },
+  volume: { label: 'Volume', min: 0, max: 100, defaultValue: 100, unit: '%' },
+};
+
+const VISUAL_PROPERTIES = [
+  'opacity', 'positionX', 'positionY', 'scale', 'rotation', 'brightness', 'contrast', 'saturation',
+];
+const AUDIO_PROPERTIES = ['volume'];
+
+export const EASINGS = ['linear', 'hold', 'bezier'];
+export const DEFAULT_EASING = 'linear';
+
+// Keyframes closer together than this are at the same time (seconds)
+export const KEYFRAME_TOLERANCE = 1e-3;
+
+// Control points of the bezier easing (CSS ease-in-out)
+const BEZIER_CURVE = [0.42, 0, 0.58, 1];
+
+/**
+ * Properties a clip can animate: pictures have a look and a place in the
+ * frame, audio has a volume. Compound clips show their contents as they are.
+ * @param {Object} item - Timeline item
+ * @returns {Array<string>} - Keys of CLIP_PROPERTIES
+ */
+export const getPropertyKeys = (item) => {
+  if (item.type === 'audio') return AUDIO_PROPERTIES;
+  if (item.type === 'video' || item.type === 'image') return VISUAL_PROPERTIES;
+  return [];
+};
+
+/**
+ * Limit a value to a property's range
+ * @param {string} key - Property key
+ * @param {number} value
+ * @returns {number}
+ */
+export const clampPropertyValue = (key, value) => {
+  const { min, max } = CLIP_PROPERTIES[key];
+  return Math.min(max, Math.max(min, value));
+};
+
+/**
+ * A property's keyframes in time order
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @returns {Array<{id: string, time: number, value: number, easing: string}>}
+ */
+export const getKeyframes = (item, key) => item.keyframes?.[key] || [];
+
+/**
+ * Check whether a property changes over the clip
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @returns {boolean}
+ */
+export const isAnimated = (item, key) => getKeyframes(item, key).length > 0;
+
+/**
+ * Point on a cubic bezier easing curve with fixed end points (0,0) and (1,1)
+ * @param {number} progress - 0..1 along the time axis
+ * @returns {number} - 0..1 along the value axis
+ */
+const bezierEase = (progress) => {
+  const [x1, y1, x2, y2] = BEZIER_CURVE;
+  const curve = (t, a, b) => 3 * a * t * (1 - t) ** 2 + 3 * b * t ** 2 * (1 - t) + t ** 3;
+
+  // The curve's x grows with t, so find the t for this x by bisection
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 30; i++) {
+    const t = (low + high) / 2;
+    if (curve(t, x1, x2) < progress) low = t;
+    else high = t;
+  }
+  return curve((low + high) / 2, y1, y2);
+};
+
+const ease = (easing, progress) => {
+  if (easing === 'hold') return 0;
+  if (easing === 'bezier') return bezierEase(progress);
+  return progress;
+};
+
+/**
+ * Value of a property at a time in the clip. Before the first keyframe and
+ * after the last one the property keeps that keyframe's value.
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @param {number} time - Seconds from the start of the clip
+ * @returns {number}
+ */
+export const getPropertyValue = (item, key, time) => {
+  const keyframes = getKeyframes(item, key);
+  if (keyframes.length === 0) return item.properties?.[key] ?? CLIP_PROPERTIES[key].defaultValue;
+
+  const nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+  if (nextIndex === 0) return keyframes[0].value;
+  if (nextIndex === -1) return keyframes[keyframes.length - 1].value;
+
+  const from = keyframes[nextIndex - 1];
+  const to = keyframes[nextIndex];
+  const progress = ease(from.easing, (time - from.time) / (to.time - from.time));
+  return from.value + (to.value - from.value) * progress;
+};
+
+/**
+ * Values of every property a clip can animate at a time in the clip
+ * @param {Object} item - Timeline item
+ * @param {number} time - Seconds from the start of the clip
+ * @returns {Object} - Values by property key
+ */
+export const getClipProperties = (item, time) => Object.fromEntries(
+  getPropertyKeys(item).map(key => [key, getPropertyValue(item, key, time)])
+);
+
+/**
+ * The keyframe of a property at a time, if there is one
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @param {number} time - Seconds from the start of the clip
+ * @param {number} tolerance - How far off the keyframe may be (seconds)
+ * @returns {Object|null}
+ */
+export const findKeyframeAt = (item, key, time, tolerance = KEYFRAME_TOLERANCE) => (
+  getKeyframes(item, key).find(keyframe => Math.abs(keyframe.time - time) <= tolerance) || null
+);
+
+const withKeyframes = (item, key, keyframes) => {
+  const { [key]: replaced, ...others } = item.keyframes || {};
+  const all = keyframes.length > 0
+    ? { ...others, [key]: [...keyframes].sort((a, b) => a.time - b.time) }
+    : others;
+  return { ...item, keyframes: all };
+};
+
+/**
+ * Set a property's static value. Animated properties keep their keyframes.
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @param {number} value
+ * @returns {Object} - Changed item
+ */
+export const setPropertyValue = (item, key, value) => ({
+  ...item,
+  properties: { ...item.properties, [key]: clampPropertyValue(key, value) },
+});
+
+/**
+ * Give a property a value at a time, changing the keyframe already there or
+ * adding one
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @param {number} time - Seconds from the start of the clip
+ * @param {number} value
+ * @param {Function} createId - Id factory for a new keyframe
+ * @param {number} tolerance - How close an existing keyframe must be to change it
+ * @returns {Object} - Changed item
+ */
+export const setKeyframe = (item, key, time, value, createId, tolerance = KEYFRAME_TOLERANCE) => {
+  const existing = findKeyframeAt(item, key, time, tolerance);
+  const clamped = clampPropertyValue(key, value);
+  const keyframes = existing
+    ? getKeyframes(item, key).map(keyframe => (keyframe === existing ? { ...keyframe, value: clamped } : keyframe))
+    : [...getKeyframes(item, key), { id: createId(), time, value: clamped, easing: DEFAULT_EASING }];
+  return withKeyframes(item, key, keyframes);
+};
+
+/**
+ * Change a keyframe's time, value or easing. Times stay inside the clip.
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @param {string} keyframeId - Keyframe to change
+ * @param {{time?: number, value?: number, easing?: string}} changes
+ * @returns {Object} - Changed item
+ */
+export const updateKeyframe = (item, key, keyframeId, changes) => withKeyframes(
+  item,
+  key,
+  getKeyframes(item, key).map(keyframe => {
+    if (keyframe.id !== keyframeId) return keyframe;
+    return {
+      ...keyframe,
+      time: changes.time != null ? Math.min(item.duration, Math.max(0, changes.time)) : keyframe.time,
+      value: changes.value != null ? clampPropertyValue(key, changes.value) : keyframe.value,
+      easing: EASINGS.includes(changes.easing) ? changes.easing : keyframe.easing,
+    };
+  })
+);
+
+/**
+ * Remove a keyframe. When a property loses its last keyframe it keeps that
+ * keyframe's value as its static value.
+ * @param {Object} item - Timeline item
+ * @param {string} key - Property key
+ * @param {string} keyframeId - Keyframe to remove
+ * @returns {Object} - Changed item
+ */
+export const removeKeyframe = (item, key, keyframeId) => {
+  const removed = getKeyframes(item, key).find(keyframe => keyframe.id === keyframeId);
+  if (!removed) return item;
+
+  const keyframes = getKeyframes(item, key).filter(keyframe => keyframe !== removed);
+  const changed = withKeyframes(item, key, keyframes);
+  return keyframes.length > 0 ? changed : setPropertyValue(changed, key, removed.value);
+};
+
+const mapKeyframeTimes = (item, map) => {
+  if (!item.keyframes) return item;
+  return {
+    ...item,
+    keyframes: Object.fromEntries(Object.entries(item.keyframes).map(([key, keyframes]) => [
+      key,
+      keyframes.map(keyframe => ({ ...keyframe, time: map(keyframe.time) })),
+    ])),
+  };
+};
+
+/**
+ * Move all keyframes by an offset, e.g. to keep them on the same frames of
+ * media when the clip's start is trimmed. Keyframes may end up outside the
+ * clip, where they still shape the animation inside it.
+ * @param {Object} item - Timeline item
+ * @param {number} offset - Seconds to add to every keyframe time
+ * @returns {Object} - Changed item
+ */
+export const shiftKeyframes = (item, offset) => (
+  offset === 0 ? item : mapKeyframeTimes(item, time => time + offset)
+);
+
+/**
+ * Stretch all keyframe times, e.g. when a speed change stretches the clip
+ * @param {Object} item - Timeline item
+ * @param {number} factor - Multiplier for every keyframe time
+ * @returns {Object} - Changed item
+ */
+export const scaleKeyframes = (item, factor) => (
+  factor === 1 ? item : mapKeyframeTimes(item, time => time * factor)
+);
+
+/**
+ * Drop keyframes that cannot affect a clip any more: of those outside it
+ * only the nearest one on each side is kept
+ * @param {Object} item - Timeline item
+ * @returns {Object} - Changed item
+ */
+export const pruneKeyframes = (item) => {
+  if (!item.keyframes) return item;
+  return {
+    ...item,
+    keyframes: Object.fromEntries(Object.entries(item.keyframes).map(([key, keyframes]) => {
+      const before = keyframes.filter(keyframe => keyframe.time < 0).pop();
+      const after = keyframes.find(keyframe => keyframe.time > item.duration);
+      return [key, keyframes.filter(keyframe => (
+        (keyframe.time >= 0 && keyframe.time <= item.duration) || keyframe === before || keyframe === after
+      ))];
+    })),
+  };
+};
+
+/**
+ * Validate the properties and keyframes of an item read from a file
+ * @param {Object} item - Item from a project file
+ * @returns {{properties: Object|undefined, keyframes: Object|undefined}}
+ */
+export const normalizeAnimation = (item) => {
+  const isKnown = (key) => Object.prototype.hasOwnProperty.call(CLIP_PROPERTIES, key);
+  const isObject = (value) => !!value && typeof value === 'object';
+
+  const properties = isObject(item.properties)
+    ? Object.fromEntries(Object.entries(item.properties)
+      .filter(([key, value]) => isKnown(key) && Number.isFinite(value))
+      .map(([key, value]) => [key, clampPropertyValue(key, value)]))
+    : undefined;
+
+  const keyframes = isObject(item.keyframes)
+    ? Object.fromEntries(Object.entries(item.keyframes)
+      .filter(([key, list]) => isKnown(key) && Array.isArray(list))
+      .map(([key, list]) => [key, list
+        .filter(keyframe => isObject(keyframe) && Number.isFinite(keyframe.time) && Number.isFinite(keyframe.value))
+        .map((keyframe, index) => ({
+          id: String(keyframe.id ?? `keyframe-${index}`),
+          time: keyframe.time,
+          value: clampPropertyValue(key, keyframe.value),
+          easing: EASINGS.includes(keyframe.easing) ? keyframe.easing : DEFAULT_EASING,
+        }))
+        .sort((a, b) => a.time - b.time)])
+      .filter(([, list]) => list.length > 0))
+    : undefined;
+
+  return { properties, keyframes };
+};
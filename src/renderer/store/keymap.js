@@ -0,0 +1,276 @@
+// Keyboard commands and their bindings. Every shortcut the editor handles is
+// listed in COMMANDS with its default keys; the user's changes are stored as
+// overrides (command id -> keys) in the preferences file.
+
+/**
+ * Commands that can be bound to keys, in the order the key bindings editor
+ * lists them. Keys are combos such as "Ctrl+Shift+Z" (see normalizeCombo).
+ * Commands marked whileTyping also run while a text field has focus.
+ */
+export const COMMANDS = [
+  // Playback
+  { id: 'playback.toggle', label: 'Play/Pause', category: 'Playback', keys: ['Space'] },
+  { id: 'playback.shuttleReverse', label: 'Shuttle reverse (press again for faster)', category: 'Playback', keys: ['J'] },
+  { id: 'playback.shuttleStop', label: 'Stop', category: 'Playback', keys: ['K'] },
+  { id: 'playback.shuttleForward', label: 'Shuttle forward (press again for faster)', category: 'Playback', keys: ['L'] },
+  { id: 'playhead.stepBackward', label: 'Step backward', category: 'Playback', keys: ['ArrowLeft'] },
+  { id: 'playhead.stepForward', label: 'Step forward', category: 'Playback', keys: ['ArrowRight'] },
+  { id: 'playhead.goToStart', label: 'Go to start', category: 'Playback', keys: ['Shift+ArrowLeft'] },
+  { id: 'playhead.goToEnd', label: 'Go to end', category: 'Playback', keys: ['Shift+ArrowRight'] },
+
+  // In/out points and markers
+  { id: 'marks.setIn', label: 'Set in point', category: 'Marks', keys: ['I'] },
+  { id: 'marks.setOut', label: 'Set out point', category: 'Marks', keys: ['O'] },
+  { id: 'marks.goToIn', label: 'Go to in point', category: 'Marks', keys: ['Shift+I'] },
+  { id: 'marks.goToOut', label: 'Go to out point', category: 'Marks', keys: ['Shift+O'] },
+  { id: 'marks.clear', label: 'Clear in and out points', category: 'Marks', keys: ['Ctrl+Shift+X'] },
+  { id: 'markers.add', label: 'Add marker', category: 'Marks', keys: ['M'] },
+  { id: 'markers.addRegion', label: 'Add region over the selection', category: 'Marks', keys: ['Shift+M'] },
+  { id: 'markers.previous', label: 'Previous marker', category: 'Marks', keys: ['['] },
+  { id: 'markers.next', label: 'Next marker', category: 'Marks', keys: [']'] },
+
+  // Editing
+  { id: 'edit.undo', label: 'Undo', category: 'Edit', keys: ['Ctrl+Z'] },
+  { id: 'edit.redo', label: 'Redo', category: 'Edit', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id: 'edit.cut', label: 'Cut', category: 'Edit', keys: ['Ctrl+X'] },
+  { id: 'edit.copy', label: 'Copy', category: 'Edit', keys: ['Ctrl+C'] },
+  { id: 'edit.paste', label: 'Paste', category: 'Edit', keys: ['Ctrl+V'] },
+  { id: 'edit.duplicate', label: 'Duplicate', category: 'Edit', keys: ['Ctrl+D'] },
+  { id: 'edit.delete', label: 'Delete the selection, leaving a gap', category: 'Edit', keys: ['Delete', 'Backspace'] },
+  { id: 'edit.rippleDelete', label: 'Ripple delete the selection', category: 'Edit', keys: ['Shift+Delete', 'Shift+Backspace'] },
+  { id: 'edit.closeGaps', label: 'Close all gaps on the selected tracks', category: 'Edit', keys: [] },
+  { id: 'edit.selectAll', label: 'Select all', category: 'Edit', keys: ['Ctrl+A'] },
+  { id: 'edit.deselect', label: 'Clear the selection', category: 'Edit', keys: ['Escape'] },
+  { id: 'edit.split', label: 'Split at playhead', category: 'Edit', keys: ['S', 'Ctrl+K'] },
+  { id: 'edit.link', label: 'Link/unlink the selection', category: 'Edit', keys: ['Ctrl+L'] },
+  { id: 'edit.compound', label: 'Make a compound clip', category: 'Edit', keys: ['Ctrl+G'] },
+  { id: 'edit.nudgeLeft', label: 'Nudge left a frame', category: 'Edit', keys: ['Alt+ArrowLeft'] },
+  { id: 'edit.nudgeRight', label: 'Nudge right a frame', category: 'Edit', keys: ['Alt+ArrowRight'] },
+  { id: 'edit.nudgeLeftMore', label: 'Nudge left 10 frames', category: 'Edit', keys: ['Alt+Shift+ArrowLeft'] },
+  { id: 'edit.nudgeRightMore', label: 'Nudge right 10 frames', category: 'Edit', keys: ['Alt+Shift+ArrowRight'] },
+
+  // Tools
+  { id: 'tool.select', label: 'Select tool', category: 'Tools', keys: ['V'] },
+  { id: 'tool.razor', label: 'Razor tool', category: 'Tools', keys: ['C'] },
+  { id: 'tool.slip', label: 'Slip tool', category: 'Tools', keys: ['Y'] },
+  { id: 'tool.slide', label: 'Slide tool', category: 'Tools', keys: ['U'] },
+  { id: 'tool.roll', label: 'Roll tool', category: 'Tools', keys: ['R'] },
+  { id: 'tool.snapping', label: 'Toggle snapping', category: 'Tools', keys: ['N'] },
+
+  // View
+  { id: 'view.zoomIn', label: 'Zoom in', category: 'View', keys: ['+', '='] },
+  { id: 'view.zoomOut', label: 'Zoom out', category: 'View', keys: ['-', '_'] },
+
+  // Project
+  { id: 'project.open', label: 'Open project', category: 'Project', keys: ['Ctrl+O'], whileTyping: true },
+  { id: 'project.save', label: 'Save project', category: 'Project', keys: ['Ctrl+S'], whileTyping: true },
+  { id: 'project.saveAs', label: 'Save project as', category: 'Project', keys: ['Ctrl+Shift+S'], whileTyping: true },
+];
+
+const COMMANDS_BY_ID = Object.fromEntries(COMMANDS.map(command => [command.id, command]));
+
+// Modifiers in the order combos spell them; Cmd on macOS counts as Ctrl
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+const MODIFIER_ALIASES = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  cmd: 'Ctrl',
+  meta: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+};
+
+// Keys that are never bound themselves, only held with others
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'];
+
+// Names used for keys whose key value is hard to read
+const KEY_NAMES = { ' ': 'Space', Spacebar: 'Space', Esc: 'Escape', Del: 'Delete' };
+
+/**
+ * Look up a command
+ * @param {string} id - Command id
+ * @returns {Object|undefined}
+ */
+export const getCommand = (id) => COMMANDS_BY_ID[id];
+
+const normalizeKey = (key) => {
+  const name = KEY_NAMES[key] || key;
+  return name.length === 1 ? name.toUpperCase() : name[0].toUpperCase() + name.slice(1);
+};
+
+// Shift is part of a symbol's key value ("+" is Shift+"="), so it is only
+// spelled out for letters and named keys
+const usesShift = (key) => key.length > 1 || /^[A-Z]$/.test(key);
+
+/**
+ * Spell a combo the canonical way, e.g. "shift+ctrl+z" becomes "Ctrl+Shift+Z"
+ * @param {string} text - Modifiers and a key joined by "+"
+ * @returns {string|null} - Null if the text is not a combo
+ */
+export const normalizeCombo = (text) => {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(/^((?:[a-z]+\+)*)(.+)$/i);
+  if (!match) return null;
+
+  const modifiers = new Set();
+  for (const part of match[1].split('+').filter(Boolean)) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+    if (!modifier) return null;
+    modifiers.add(modifier);
+  }
+
+  const key = normalizeKey(match[2]);
+  if (MODIFIER_KEYS.includes(key) || MODIFIER_ALIASES[key.toLowerCase()]) return null;
+  if (!usesShift(key)) modifiers.delete('Shift');
+
+  return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+};
+
+/**
+ * Combo pressed in a keyboard event
+ * @param {KeyboardEvent} e
+ * @returns {string|null} - Null while only modifiers are down
+ */
+export const getEventCombo = (e) => {
+  if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+
+  const key = normalizeKey(e.key);
+  const modifiers = [
+    (e.ctrlKey || e.metaKey) && 'Ctrl',
+    e.altKey && 'Alt',
+    e.shiftKey && usesShift(key) && 'Shift',
+  ].filter(Boolean);
+  return [...modifiers, key].join('+');
+};
+
+/**
+ * Keys of every command: the defaults with the user's overrides applied
+ * @param {Object} overrides - Command id -> keys
+ * @returns {Object} - Command id -> keys
+ */
+export const getKeyBindings = (overrides = {}) => Object.fromEntries(COMMANDS.map(command => [
+  command.id,
+  overrides[command.id] || command.keys,
+]));
+
+/**
+ * Overrides read from the preferences file, without unknown commands or
+ * keys that are not combos
+ * @param {*} overrides - Command id -> keys
+ * @returns {Object}
+ */
+export const normalizeKeyBindings = (overrides) => {
+  if (!overrides || typeof overrides !== 'object') return {};
+
+  return Object.fromEntries(Object.entries(overrides)
+    .filter(([id, keys]) => COMMANDS_BY_ID[id] && Array.isArray(keys))
+    .map(([id, keys]) => [id, [...new Set(keys.map(normalizeCombo).filter(Boolean))]]));
+};
+
+/**
+ * Combos bound to more than one command
+ * @param {Object} bindings - Command id -> keys (see getKeyBindings)
+ * @returns {Object} - Combo -> ids of the commands that share it
+ */
+export const findConflicts = (bindings) => {
+  const commandsByCombo = {};
+  Object.entries(bindings).forEach(([id, keys]) => keys.forEach(combo => {
+    commandsByCombo[combo] = [...(commandsByCombo[combo] || []), id];
+  }));
+  return Object.fromEntries(Object.entries(commandsByCombo).filter(([, ids]) => ids.length > 1));
+};
+
+/**
+ * Commands other than one that a combo is already bound to
+ * @param {Object} bindings - Command id -> keys
+ * @param {string} combo
+ * @param {string} commandId - Command the combo is meant for
+ * @returns {Array<string>} - Command ids
+ */
+export const getCommandsForCombo = (bindings, combo, commandId = null) => (
+  Object.keys(bindings).filter(id => id !== commandId && bindings[id].includes(combo))
+);
+
+/**
+ * Bind a combo to a command, taking it away from any command that had it
+ * @param {Object} overrides - Command id -> keys
+ * @param {string} commandId
+ * @param {string} combo
+ * @returns {Object} - New overrides
+ */
+export const assignKeyBinding = (overrides, commandId, combo) => {
+  const bindings = getKeyBindings(overrides);
+  const next = { ...overrides };
+  getCommandsForCombo(bindings, combo, commandId).forEach(id => {
+    next[id] = bindings[id].filter(key => key !== combo);
+  });
+  if (!bindings[commandId].includes(combo)) {
+    next[commandId] = [...bindings[commandId], combo];
+  }
+  return next;
+};
+
+/**
+ * Take a combo off a command
+ * @param {Object} overrides - Command id -> keys
+ * @param {string} commandId
+ * @param {string} combo
+ * @returns {Object} - New overrides
+ */
+export const removeKeyBinding = (overrides, commandId, combo) => ({
+  ...overrides,
+  [commandId]: getKeyBindings(overrides)[commandId].filter(key => key !== combo),
+});
+
+/**
+ * Put a command's default keys back
+ * @param {Object} overrides - Command id -> keys
+ * @param {string} commandId
+ * @returns {Object} - New overrides
+ */
+export const resetKeyBinding = (overrides, commandId) => {
+  const { [commandId]: removed, ...rest } = overrides;
+  return rest;
+};
+
+/**
+ * Tooltip text followed by a command's keys, e.g. "Split at playhead (S / Ctrl+K)"
+ * @param {string} text - Tooltip
+ * @param {Object} bindings - Command id -> keys
+ * @param {string} commandId
+ * @returns {string}
+ */
+export const withShortcut = (text, bindings, commandId) => {
+  const keys = bindings[commandId] || [];
+  return keys.length > 0 ? `${text} (${keys.join(' / ')})` : text;
+};
+
+const isTyping = (target) => (
+  target?.tagName === 'INPUT' || target?.tagName === 'TEXTAREA' || target?.tagName === 'SELECT'
+  || !!target?.isContentEditable
+);
+
+/**
+ * Keydown listener that runs the handler of the command a combo is bound
+ * to. Handlers that return false leave the event alone (e.g. Delete with
+ * nothing selected); keys no handler here is bound to are ignored, so
+ * several listeners can each handle their own commands.
+ * @param {Object} bindings - Command id -> keys (see getKeyBindings)
+ * @param {Object} handlers - Command id -> function(event)
+ * @returns {Function} - (event) => void
+ */
+export const createKeyDownHandler = (bindings, handlers) => (e) => {
+  const combo = getEventCombo(e);
+  if (!combo) return;
+
+  const typing = isTyping(e.target);
+  const commandId = Object.keys(handlers).find(id => (
+    (bindings[id] || []).includes(combo) && (!typing || COMMANDS_BY_ID[id]?.whileTyping)
+  ));
+  if (!commandId) return;
+
+  if (handlers[commandId](e) !== false) {
+    e.preventDefault();
+  }
+};
@@ -0,0 +1,148 @@
+// Linked clips - items that share a linkId (a video clip and the audio from
+// the same file) move, trim, split and delete together
+
+import { sortByStart } from './editModes';
+
+// Slack for floating point start/end comparisons (seconds)
+const EPSILON = 1e-6;
+
+/**
+ * Expand a list of item ids with every item linked to them
+ * @param {Array} tracks - Timeline tracks
+ * @param {Iterable<string>} itemIds - Item ids
+ * @returns {Set<string>}
+ */
+export const withLinkedItems = (tracks, itemIds) => {
+  const ids = new Set(itemIds);
+  const items = tracks.flatMap(track => track.items);
+  const linkIds = new Set(
+    items.filter(item => ids.has(item.id) && item.linkId).map(item => item.linkId)
+  );
+
+  items.forEach(item => {
+    if (item.linkId && linkIds.has(item.linkId)) ids.add(item.id);
+  });
+  return ids;
+};
+
+/**
+ * Give copied items fresh link ids so the copies are linked to each other
+ * but not to the originals. A link with only one copy is dropped.
+ * @param {Array<Object>} items - Copied items
+ * @param {Function} createId - Id factory
+ * @returns {Array<Object>}
+ */
+export const remapLinks = (items, createId) => {
+  const counts = {};
+  items.forEach(item => {
+    if (item.linkId) counts[item.linkId] = (counts[item.linkId] || 0) + 1;
+  });
+
+  const newIds = {};
+  return items.map(item => {
+    if (!item.linkId) return item;
+
+    const { linkId, ...unlinked } = item;
+    if (counts[linkId] < 2) return unlinked;
+
+    newIds[linkId] = newIds[linkId] || `link-${createId()}`;
+    return { ...unlinked, linkId: newIds[linkId] };
+  });
+};
+
+/**
+ * Break the links of the given items (and of the items linked to them)
+ * @param {Array} tracks - Timeline tracks
+ * @param {Iterable<string>} itemIds - Item ids
+ * @returns {Array|null} - New tracks, or null if none of the items is linked
+ */
+export const unlinkItems = (tracks, itemIds) => {
+  const ids = new Set(itemIds);
+  const linkIds = new Set(tracks.flatMap(track => track.items
+    .filter(item => ids.has(item.id) && item.linkId)
+    .map(item => item.linkId)));
+  if (linkIds.size === 0) return null;
+
+  return tracks.map(track => ({
+    ...track,
+    items: track.items.map(item => {
+      if (!linkIds.has(item.linkId)) return item;
+      const { linkId, ...unlinked } = item;
+      return unlinked;
+    }),
+  }));
+};
+
+/**
+ * Link the given items to each other
+ * @param {Array} tracks - Timeline tracks
+ * @param {Iterable<string>} itemIds - Item ids (at least two)
+ * @param {string} linkId - Shared link id
+ * @returns {Array|null} - New tracks, or null if fewer than two items were found
+ */
+export const linkItems = (tracks, itemIds, linkId) => {
+  const ids = new Set(itemIds);
+  const found = tracks.flatMap(track => track.items).filter(item => ids.has(item.id));
+  if (found.length < 2) return null;
+
+  return tracks.map(track => ({
+    ...track,
+    items: track.items.map(item => (ids.has(item.id) ? { ...item, linkId } : item)),
+  }));
+};
+
+/**
+ * The audio half of a video clip with an embedded sound track
+ * @param {Object} videoItem - Video clip (already carrying linkId)
+ * @param {string} id - Id for the audio clip
+ * @returns {Object}
+ */
+export const createLinkedAudio = (videoItem, id) => ({
+  ...videoItem,
+  id,
+  type: 'audio',
+  thumbnail: null,
+});
+
+/**
+ * Move the clips linked to clips an edit moved by the same amount, for edits
+ * that work on one track at a time (closing gaps, ripple delete)
+ * @param {Array} before - Tracks before the edit
+ * @param {Array} after - Tracks after the edit
+ * @returns {Array|null} - New tracks, or null if linked clips would fall out
+ * of sync: they moved by different amounts, or one can't follow because its
+ * track is locked or something is in the way
+ */
+export const followLinkedMoves = (before, after) => {
+  const startTimes = new Map(before.flatMap(track => track.items.map(item => [item.id, item.startTime])));
+  const offsetOf = (item) => (startTimes.has(item.id) ? item.startTime - startTimes.get(item.id) : 0);
+
+  const offsets = new Map();
+  for (const item of after.flatMap(track => track.items)) {
+    const offset = offsetOf(item);
+    if (!item.linkId || Math.abs(offset) < EPSILON) continue;
+    if (offsets.has(item.linkId) && Math.abs(offsets.get(item.linkId) - offset) > EPSILON) return null;
+    offsets.set(item.linkId, offset);
+  }
+  if (offsets.size === 0) return after;
+
+  let blocked = false;
+  const tracks = after.map(track => {
+    const following = track.items.filter(item => (
+      offsets.has(item.linkId) && Math.abs(offsetOf(item)) < EPSILON
+    ));
+    if (following.length === 0) return track;
+    if (track.locked) blocked = true;
+
+    const items = sortByStart(track.items.map(item => (
+      following.includes(item) ? { ...item, startTime: item.startTime + offsets.get(item.linkId) } : item
+    )));
+    if (items.some((item, i) => item.startTime < -EPSILON || (
+      i > 0 && items[i - 1].startTime + items[i - 1].duration > item.startTime + EPSILON
+    ))) {
+      blocked = true;
+    }
+    return { ...track, items };
+  });
+  return blocked ? null : tracks;
+};
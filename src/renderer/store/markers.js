@@ -0,0 +1,82 @@
+// Timeline markers and regions. A marker with an endTime is a region.
+
+// Colors offered in the marker editor; new markers cycle through them
+export const MARKER_COLORS = ['#e94560', '#f5c542', '#4caf50', '#2196f3', '#9c27b0', '#ff9800'];
+
+// Length of a region added at the playhead when nothing is selected
+export const DEFAULT_REGION_LENGTH = 5;
+
+// Markers closer than this to the playhead count as "at" the playhead
+const EPSILON = 1e-3;
+
+/**
+ * Check whether a marker spans a range
+ * @param {Object} marker - Marker
+ * @returns {boolean}
+ */
+export const isRegion = (marker) => marker.endTime != null;
+
+/**
+ * Create a marker or region
+ * @param {string} id - Marker id
+ * @param {Array} markers - Existing markers (for the default name and color)
+ * @param {Object} options - time, endTime (regions only), name, color, note
+ * @returns {Object}
+ */
+export const createMarker = (id, markers, { time, endTime = null, name, color, note = '' }) => {
+  const region = endTime != null;
+  const count = markers.filter(marker => isRegion(marker) === region).length;
+
+  return {
+    id,
+    time: Math.max(0, time),
+    endTime: region ? Math.max(time, endTime) : null,
+    name: name || `${region ? 'Region' : 'Marker'} ${count + 1}`,
+    color: color || MARKER_COLORS[markers.length % MARKER_COLORS.length],
+    note,
+  };
+};
+
+/**
+ * Move a marker to a new time; regions keep their length
+ * @param {Object} marker - Marker
+ * @param {number} time - New start time
+ * @returns {Object}
+ */
+export const moveMarkerTo = (marker, time) => {
+  const start = Math.max(0, time);
+  return {
+    ...marker,
+    time: start,
+    endTime: isRegion(marker) ? start + (marker.endTime - marker.time) : null,
+  };
+};
+
+/**
+ * Markers in timeline order
+ * @param {Array} markers - Markers
+ * @returns {Array}
+ */
+export const sortMarkers = (markers) => [...markers].sort((a, b) => a.time - b.time);
+
+/**
+ * Time of the first marker after a time
+ * @param {Array} markers - Markers
+ * @param {number} time - Current time
+ * @returns {number|null}
+ */
+export const getNextMarkerTime = (markers, time) => {
+  const next = sortMarkers(markers).find(marker => marker.time > time + EPSILON);
+  return next ? next.time : null;
+};
+
+/**
+ * Time of the last marker before a time
+ * @param {Array} markers - Markers
+ * @param {number} time - Current time
+ * @returns {number|null}
+ */
+export const getPreviousMarkerTime = (markers, time) => {
+  const previous = sortMarkers(markers).reverse().find(marker => marker.time < time - EPSILON);
+  return previous ? previous.time : null;
+};
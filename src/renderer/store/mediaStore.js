@@ -1,13 +1,11 @@
 import React from 'react';
 import { v4 as uuidv4 } from 'uuid';
+import { createDefaultTracks, getAllItemsAtTime as findItemsAtTime } from './tracks';
 
 // Simple state management for media items
 const createMediaStore = () => {
   let state = {
-    tracks: [
-      { id: 'video-track', type: 'video', name: 'Video Track', items: [] },
-      { id: 'audio-track', type: 'audio', name: 'Audio Track', items: [] }
-    ],
+    tracks: createDefaultTracks(),
     currentTime: 0,
     duration: 0,
     zoom: 1, // pixels per second
@@ -237,26 +235,15 @@ const createMediaStore = () => {
     state = { ...state, duration: maxDuration };
   };
 
+  // First item under the time on the topmost track of the given type
   const getItemAtTime = (time, trackType = 'video') => {
-    const track = state.tracks.find(t => t.type === trackType);
-    if (!track) return null;
-    
-    return track.items.find(item => 
-      time >= item.startTime && time < item.startTime + item.duration
-    ) || null;
+    const match = findItemsAtTime(state.tracks, time)
+      .find(({ track }) => track.type === trackType);
+    return match ? match.item : null;
   };
 
-  const getAllItemsAtTime = (time) => {
-    return state.tracks.reduce((items, track) => {
-      const item = track.items.find(i => 
-        time >= i.startTime && time < i.startTime + i.duration
-      );
-      if (item) {
-        items[track.type] = item;
-      }
-      return items;
-    }, {});
-  };
+  // Every item under the time, top track first
+  const getAllItemsAtTime = (time) => findItemsAtTime(state.tracks, time);
 
   return {
     subscribe,
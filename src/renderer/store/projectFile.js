@@ -0,0 +1,258 @@
+// Project file format - versioned JSON snapshot of the editor timeline
+
+import {
+  DEFAULT_SEQUENCE_ID,
+  getSequences,
+  normalizeSequenceSettings,
+  withActiveTimeline,
+} from './timelines';
+import { clampSpeed } from './speed';
+import { normalizeAnimation } from './keyframes';
+
+export const PROJECT_FILE_FORMAT = 'ai-media-editor-project';
+export const PROJECT_SCHEMA_VERSION = 2;
+export const PROJECT_FILE_EXTENSION = 'aiproj';
+
+// Item fields that are rebuilt on load and never written to disk
+const TRANSIENT_ITEM_FIELDS = ['thumbnail', 'offline'];
+
+const DEFAULT_FILTERS = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+};
+
+/**
+ * Upgrade steps keyed by the schema version they upgrade from.
+ * Each step receives a project at version N and returns it at version N + 1.
+ */
+const migrations = {
+  // Version 1 projects held a single timeline, which becomes their only sequence
+  1: (project) => {
+    const { tracks, markers, playhead, ...timeline } = project.timeline || {};
+    return {
+      ...project,
+      version: 2,
+      timeline: {
+        ...timeline,
+        sequences: Array.isArray(tracks)
+          ? [{ id: DEFAULT_SEQUENCE_ID, name: 'Sequence 1', tracks, markers, playhead }]
+          : [],
+      },
+    };
+  },
+};
+
+const stripTransientFields = (item) => {
+  const saved = { ...item };
+  TRANSIENT_ITEM_FIELDS.forEach(field => delete saved[field]);
+  return saved;
+};
+
+const toNumber = (value, fallback) => (
+  typeof value === 'number' && Number.isFinite(value) ? value : fallback
+);
+
+const normalizeItem = (item, index) => {
+  if (!item || typeof item !== 'object') {
+    throw new Error(`Invalid timeline item at position ${index}`);
+  }
+
+  const duration = Math.max(0.1, toNumber(item.duration, 5));
+  const sourceIn = Math.max(0, toNumber(item.sourceIn, 0));
+  const speed = clampSpeed(toNumber(item.speed, 1));
+  const path = item.path || '';
+
+  return {
+    ...item,
+    id: String(item.id),
+    name: item.name || 'Untitled',
+    path,
+    // Files dropped without a path play from blob: URLs, which die with the
+    // session that made them; the clip needs relinking
+    ...(path.startsWith('blob:') && { offline: true }),
+    type: item.type || 'video',
+    thumbnail: null,
+    startTime: Math.max(0, toNumber(item.startTime, 0)),
+    duration,
+    // Projects saved before trimming existed start every clip at media time 0
+    sourceIn,
+    sourceOut: toNumber(item.sourceOut, sourceIn + duration * speed),
+    // Projects saved before clip speed existed play everything forwards at 1x
+    speed,
+    reversed: !!item.reversed,
+    ...normalizeAnimation(item),
+  };
+};
+
+const normalizeTrack = (track, index) => {
+  if (!track || typeof track !== 'object' || !track.id) {
+    throw new Error(`Invalid track at position ${index}`);
+  }
+
+  return {
+    ...track,
+    id: String(track.id),
+    name: track.name || `Track ${index + 1}`,
+    type: track.type || 'video',
+    items: Array.isArray(track.items) ? track.items.map(normalizeItem) : [],
+    locked: !!track.locked,
+    muted: !!track.muted,
+    solo: !!track.solo,
+    hidden: !!track.hidden,
+  };
+};
+
+const normalizeMarker = (marker, index) => {
+  if (!marker || typeof marker !== 'object') {
+    throw new Error(`Invalid marker at position ${index}`);
+  }
+
+  const time = Math.max(0, toNumber(marker.time, 0));
+  const endTime = toNumber(marker.endTime, null);
+
+  return {
+    id: String(marker.id ?? `marker-${index}`),
+    time,
+    endTime: endTime === null ? null : Math.max(time, endTime),
+    name: marker.name || `Marker ${index + 1}`,
+    color: marker.color || '#e94560',
+    note: marker.note || '',
+  };
+};
+
+const normalizeCompound = (compound, index) => {
+  if (!compound || typeof compound !== 'object' || !compound.id) {
+    throw new Error(`Invalid compound clip at position ${index}`);
+  }
+
+  return {
+    id: String(compound.id),
+    name: compound.name || `Compound ${index + 1}`,
+    tracks: Array.isArray(compound.tracks) ? compound.tracks.map(normalizeTrack) : [],
+    markers: Array.isArray(compound.markers) ? compound.markers.map(normalizeMarker) : [],
+  };
+};
+
+// In/out points that are missing, negative or the wrong way round are dropped
+const normalizeInOutPoints = (sequence) => {
+  const toPoint = (value) => (typeof value === 'number' && value >= 0 && Number.isFinite(value) ? value : null);
+  const inPoint = toPoint(sequence.inPoint);
+  const outPoint = toPoint(sequence.outPoint);
+  if (inPoint !== null && outPoint !== null && outPoint <= inPoint) {
+    return { inPoint, outPoint: null };
+  }
+  return { inPoint, outPoint };
+};
+
+const normalizeSequence = (sequence, index) => {
+  if (!sequence || typeof sequence !== 'object' || !sequence.id || !Array.isArray(sequence.tracks)) {
+    throw new Error(`Invalid sequence at position ${index}`);
+  }
+
+  return {
+    id: String(sequence.id),
+    name: sequence.name || `Sequence ${index + 1}`,
+    settings: normalizeSequenceSettings(sequence.settings),
+    tracks: sequence.tracks.map(normalizeTrack),
+    // Projects saved before markers existed have none
+    markers: Array.isArray(sequence.markers) ? sequence.markers.map(normalizeMarker) : [],
+    playhead: Math.max(0, toNumber(sequence.playhead, 0)),
+    ...normalizeInOutPoints(sequence),
+  };
+};
+
+const serializeTracks = (tracks) => tracks.map(track => ({
+  ...track,
+  items: track.items.map(stripTransientFields),
+}));
+
+/**
+ * Build the project file contents from editor state: every sequence and
+ * compound clip, whichever timeline is on screen
+ * @param {Object} state - useEditorStore state
+ * @returns {Object} - Serializable project object
+ */
+export const serializeProject = (state) => {
+  const timelines = withActiveTimeline(state);
+
+  return {
+    format: PROJECT_FILE_FORMAT,
+    version: PROJECT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    timeline: {
+      sequences: getSequences(timelines).map(({ id, name, settings, tracks, markers, playhead, inPoint, outPoint }) => ({
+        id,
+        name,
+        settings: { ...settings },
+        tracks: serializeTracks(tracks),
+        markers: markers.map(marker => ({ ...marker })),
+        playhead,
+        inPoint,
+        outPoint,
+      })),
+      activeSequenceId: state.activeSequenceId,
+      compounds: Object.values(timelines)
+        .filter(timeline => timeline.kind === 'compound')
+        .map(({ id, name, tracks, markers }) => ({
+          id,
+          name,
+          tracks: serializeTracks(tracks),
+          markers: markers.map(marker => ({ ...marker })),
+        })),
+      zoom: state.zoom,
+      filters: { ...state.filters },
+    },
+  };
+};
+
+/**
+ * Validate a project file and upgrade it to the current schema version
+ * @param {string|Object} data - Raw JSON text or an already parsed object
+ * @returns {{sequences: Array, activeSequenceId: string, compounds: Array, zoom: number, filters: Object}}
+ */
+export const parseProject = (data) => {
+  let project = data;
+
+  if (typeof data === 'string') {
+    try {
+      project = JSON.parse(data);
+    } catch (err) {
+      throw new Error('Project file is not valid JSON');
+    }
+  }
+
+  if (!project || project.format !== PROJECT_FILE_FORMAT) {
+    throw new Error('Not an AI Media Editor project file');
+  }
+
+  if (!Number.isInteger(project.version) || project.version < 1) {
+    throw new Error('Project file has an invalid schema version');
+  }
+
+  if (project.version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(
+      `Project was saved by a newer version of the editor (schema ${project.version})`
+    );
+  }
+
+  for (let version = project.version; version < PROJECT_SCHEMA_VERSION; version++) {
+    project = migrations[version](project);
+  }
+
+  const { timeline } = project;
+  if (!timeline || !Array.isArray(timeline.sequences) || timeline.sequences.length === 0) {
+    throw new Error('Project file does not contain any sequences');
+  }
+
+  const sequences = timeline.sequences.map(normalizeSequence);
+  const activeSequence = sequences.find(sequence => sequence.id === timeline.activeSequenceId);
+
+  return {
+    sequences,
+    activeSequenceId: (activeSequence || sequences[0]).id,
+    compounds: Array.isArray(timeline.compounds) ? timeline.compounds.map(normalizeCompound) : [],
+    zoom: toNumber(timeline.zoom, 1),
+    filters: { ...DEFAULT_FILTERS, ...timeline.filters },
+  };
+};
@@ -0,0 +1,85 @@
+// Locating media files that moved since a project was saved
+import { getVideoDuration } from '../utils/thumbnailUtils';
+
+const getFileName = (filePath) => filePath.split(/[/\\]/).pop();
+
+/**
+ * Collect the distinct media files behind offline items
+ * @param {Array} tracks - Timeline tracks
+ * @returns {Array<{path: string, name: string, size: number|null, duration: number|null, itemCount: number}>}
+ */
+export const getMissingMedia = (tracks) => {
+  const byPath = new Map();
+
+  tracks.forEach(track => {
+    track.items.forEach(item => {
+      if (!item.offline) return;
+
+      const existing = byPath.get(item.path);
+      if (existing) {
+        existing.itemCount += 1;
+        return;
+      }
+
+      byPath.set(item.path, {
+        path: item.path,
+        // blob: URLs carry no file name, the item name is the original one
+        name: item.path.startsWith('blob:') ? item.name : getFileName(item.path),
+        size: item.fileSize ?? null,
+        duration: item.type === 'video' ? (item.mediaDuration ?? item.duration) : null,
+        itemCount: 1,
+      });
+    });
+  });
+
+  return [...byPath.values()];
+};
+
+/**
+ * Pick the candidate whose media duration is closest to the expected one
+ */
+const pickClosestDuration = async (paths, expectedDuration, getDuration) => {
+  let best = paths[0];
+  let bestDiff = Infinity;
+
+  for (const candidate of paths) {
+    try {
+      const diff = Math.abs((await getDuration(candidate)) - expectedDuration);
+      if (diff < bestDiff) {
+        best = candidate;
+        bestDiff = diff;
+      }
+    } catch (err) {
+      console.warn(`Could not read duration of ${candidate}:`, err);
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Search a folder for the missing files. The main process matches by file
+ * name and size; when several files qualify, the media duration decides.
+ * @param {string} folder - Folder to search
+ * @param {Array} missing - Result of getMissingMedia
+ * @param {Function} getDuration - Reads a media file's duration
+ * @returns {Promise<Object<string, string>>} - New path keyed by the missing path
+ */
+export const findRelinkMatches = async (folder, missing, getDuration = getVideoDuration) => {
+  const candidates = await window.electronAPI.findMediaInFolder(
+    folder,
+    missing.map(({ path, name, size }) => ({ path, name, size }))
+  );
+
+  const relinks = {};
+  for (const file of missing) {
+    const paths = candidates[file.path];
+    if (!paths || paths.length === 0) continue;
+
+    relinks[file.path] = paths.length === 1 || file.duration == null
+      ? paths[0]
+      : await pickClosestDuration(paths, file.duration, getDuration);
+  }
+
+  return relinks;
+};
@@ -0,0 +1,179 @@
+// Timeline selection - a set of item ids that can span several tracks, and
+// the group operations (move, duplicate, delete) that act on it
+
+import { EDIT_MODES, placeItem, packItems, sortByStart } from './editModes';
+import { remapLinks } from './links';
+
+/**
+ * Add an id to the selection, or remove it if it is already selected
+ * @param {Set<string>} selection - Selected item ids
+ * @param {string} itemId - Item to toggle
+ * @returns {Set<string>} - New selection
+ */
+export const toggleInSelection = (selection, itemId) => {
+  const next = new Set(selection);
+  if (next.has(itemId)) {
+    next.delete(itemId);
+  } else {
+    next.add(itemId);
+  }
+  return next;
+};
+
+/**
+ * Items on the given tracks that overlap a time range (marquee selection)
+ * @param {Array} tracks - Timeline tracks
+ * @param {Array<string>} trackIds - Tracks covered by the marquee
+ * @param {number} startTime - Range start in seconds
+ * @param {number} endTime - Range end in seconds
+ * @returns {Array<string>} - Item ids
+ */
+export const getItemsInRange = (tracks, trackIds, startTime, endTime) => tracks
+  .filter(track => trackIds.includes(track.id))
+  .flatMap(track => track.items)
+  .filter(item => item.startTime < endTime && item.startTime + item.duration > startTime)
+  .map(item => item.id);
+
+/**
+ * Selected items with the track they are on, skipping locked tracks
+ * @param {Array} tracks - Timeline tracks
+ * @param {Set<string>} selection - Selected item ids
+ * @returns {Array<{track: Object, trackIndex: number, item: Object}>}
+ */
+export const getEditableSelection = (tracks, selection) => tracks.flatMap((track, trackIndex) => (
+  track.locked ? [] : track.items
+    .filter(item => selection.has(item.id))
+    .map(item => ({ track, trackIndex, item }))
+));
+
+/**
+ * Time span covered by a group of items
+ * @param {Array<{item: Object}>} entries - Items to measure
+ * @returns {{start: number, end: number}}
+ */
+const getSpan = (entries) => ({
+  start: Math.min(...entries.map(({ item }) => item.startTime)),
+  end: Math.max(...entries.map(({ item }) => item.startTime + item.duration)),
+});
+
+/**
+ * Time span covered by the selected items
+ * @param {Array} tracks - Timeline tracks
+ * @param {Set<string>} selection - Selected item ids
+ * @returns {{start: number, end: number}|null} - null if nothing is selected
+ */
+export const getSelectionSpan = (tracks, selection) => {
+  const entries = tracks.flatMap(track => track.items
+    .filter(item => selection.has(item.id))
+    .map(item => ({ item })));
+  return entries.length > 0 ? getSpan(entries) : null;
+};
+
+/**
+ * Place a list of items on their destination tracks in timeline order
+ * @param {Array} tracks - Tracks to place into
+ * @param {Array<{trackIndex: number, item: Object, startTime: number}>} placements
+ * @param {string} mode - Edit mode
+ * @param {Function} createId - Id factory for clips split by the edit mode
+ * @returns {Array} - New tracks
+ */
+export const placeGroup = (tracks, placements, mode, createId) => {
+  const result = [...tracks];
+  [...placements]
+    .sort((a, b) => a.startTime - b.startTime)
+    .forEach(({ trackIndex, item, startTime }) => {
+      const track = result[trackIndex];
+      result[trackIndex] = {
+        ...track,
+        items: placeItem(track.items, item, startTime, mode, createId),
+      };
+    });
+  return result;
+};
+
+/**
+ * Move the selected items by the same time offset and, optionally, the same
+ * number of tracks. The track offset is ignored if any item would land on a
+ * missing, locked or different-type track.
+ * @param {Array} tracks - Timeline tracks
+ * @param {Set<string>} selection - Selected item ids
+ * @param {number} timeDelta - Seconds to move by (clamped at the timeline start)
+ * @param {number} trackDelta - Tracks to move by (negative is up)
+ * @param {string} mode - Edit mode
+ * @param {Function} createId - Id factory for clips split by the edit mode
+ * @param {string|null} trackType - Only items on tracks of this type change track (null: all)
+ * @returns {Array|null} - New tracks, or null if nothing moved
+ */
+export const moveItemGroup = (tracks, selection, timeDelta, trackDelta, mode, createId, trackType = null) => {
+  const entries = getEditableSelection(tracks, selection);
+  if (entries.length === 0) return null;
+
+  const changesTrack = (track) => trackType === null || track.type === trackType;
+  const delta = Math.max(timeDelta, -getSpan(entries).start);
+  const canChangeTrack = entries.every(({ track, trackIndex }) => {
+    if (!changesTrack(track)) return true;
+    const target = tracks[trackIndex + trackDelta];
+    return target && !target.locked && target.type === track.type;
+  });
+  const trackOffset = canChangeTrack ? trackDelta : 0;
+  if (delta === 0 && trackOffset === 0) return null;
+
+  const movedIds = new Set(entries.map(({ item }) => item.id));
+  const remaining = tracks.map(track => {
+    if (track.locked || !track.items.some(item => movedIds.has(item.id))) return track;
+
+    const items = track.items.filter(item => !movedIds.has(item.id));
+    // Ripple closes the gaps the moved clips leave behind
+    return { ...track, items: mode === EDIT_MODES.RIPPLE ? packItems(sortByStart(items)) : items };
+  });
+
+  return placeGroup(remaining, entries.map(({ track, trackIndex, item }) => ({
+    trackIndex: changesTrack(track) ? trackIndex + trackOffset : trackIndex,
+    item,
+    startTime: item.startTime + delta,
+  })), mode, createId);
+};
+
+/**
+ * Copy the selected items to just after the selection, keeping their spacing
+ * @param {Array} tracks - Timeline tracks
+ * @param {Set<string>} selection - Selected item ids
+ * @param {string} mode - Edit mode
+ * @param {Function} createId - Id factory for the copies
+ * @returns {{tracks: Array, copyIds: Array<string>}|null} - null if nothing is selected
+ */
+export const duplicateItemGroup = (tracks, selection, mode, createId) => {
+  const entries = getEditableSelection(tracks, selection);
+  if (entries.length === 0) return null;
+
+  const { start, end } = getSpan(entries);
+  // Copies of linked clips are linked to each other, not to the originals
+  const copies = remapLinks(entries.map(({ item }) => ({ ...item, id: createId() })), createId);
+  const placements = entries.map(({ trackIndex, item }, i) => ({
+    trackIndex,
+    item: copies[i],
+    startTime: item.startTime + (end - start),
+  }));
+
+  return {
+    tracks: placeGroup(tracks, placements, mode, createId),
+    copyIds: placements.map(({ item }) => item.id),
+  };
+};
+
+/**
+ * Remove the selected items from every unlocked track
+ * @param {Array} tracks - Timeline tracks
+ * @param {Set<string>} selection - Selected item ids
+ * @returns {{tracks: Array, removedIds: Array<string>}}
+ */
+export const removeItemGroup = (tracks, selection) => {
+  const removedIds = getEditableSelection(tracks, selection).map(({ item }) => item.id);
+  return {
+    tracks: tracks.map(track => (track.locked ? track : {
+      ...track,
+      items: track.items.filter(item => !removedIds.includes(item.id)),
+    })),
+    removedIds,
+  };
+};
@@ -0,0 +1,89 @@
+// Magnetic snapping for clip moves and trims
+
+// Snap distance in screen pixels; the distance in seconds shrinks as you zoom in
+export const SNAP_THRESHOLD_PX = 8;
+
+/**
+ * Snap distance in seconds at a zoom level
+ * @param {number} zoom - Pixels per second
+ * @returns {number}
+ */
+export const getSnapThreshold = (zoom) => SNAP_THRESHOLD_PX / zoom;
+
+/**
+ * Times a dragged edge can snap to: the playhead, the edges of other clips
+ * and markers. Whole seconds are handled by snapTime itself.
+ * @param {Array} tracks - Timeline tracks
+ * @param {Object} options
+ * @param {number|null} options.playhead - Playhead time
+ * @param {Array<{time: number, endTime?: number}>} options.markers - Markers and regions
+ * @param {Array<string>} options.excludeIds - Items being dragged
+ * @returns {Array<number>} - Sorted, unique times
+ */
+export const getSnapTargets = (tracks, { playhead = null, markers = [], excludeIds = [] } = {}) => {
+  const times = new Set();
+
+  if (playhead !== null) times.add(playhead);
+
+  tracks.forEach(track => {
+    track.items.forEach(item => {
+      if (excludeIds.includes(item.id)) return;
+      times.add(item.startTime);
+      times.add(item.startTime + item.duration);
+    });
+  });
+
+  markers.forEach(marker => {
+    times.add(marker.time);
+    if (marker.endTime != null) times.add(marker.endTime);
+  });
+
+  return [...times].sort((a, b) => a - b);
+};
+
+/**
+ * Snap a time to the nearest target or whole second within the threshold.
+ * Targets win ties with second boundaries.
+ * @param {number} time - Time to snap
+ * @param {Array<number>} targets - From getSnapTargets
+ * @param {number} threshold - Maximum distance in seconds
+ * @returns {{time: number, guide: number|null}} - guide is the snapped-to time
+ */
+export const snapTime = (time, targets, threshold) => {
+  // The whole second goes last so explicit targets win ties
+  const candidates = [...targets, Math.round(time)];
+  let best = null;
+
+  candidates.forEach(candidate => {
+    const distance = Math.abs(candidate - time);
+    if (distance <= threshold && (best === null || distance < Math.abs(best - time))) {
+      best = candidate;
+    }
+  });
+
+  return best === null ? { time, guide: null } : { time: best, guide: best };
+};
+
+/**
+ * Snap a clip by whichever of its edges is closest to a target
+ * @param {number} startTime - Unsnapped clip start
+ * @param {number} duration - Clip duration
+ * @param {Array<number>} targets - From getSnapTargets
+ * @param {number} threshold - Maximum distance in seconds
+ * @returns {{startTime: number, guide: number|null}}
+ */
+export const snapItemEdges = (startTime, duration, targets, threshold) => {
+  const start = snapTime(startTime, targets, threshold);
+  const end = snapTime(startTime + duration, targets, threshold);
+
+  const startDistance = start.guide === null ? Infinity : Math.abs(start.time - startTime);
+  const endDistance = end.guide === null ? Infinity : Math.abs(end.time - (startTime + duration));
+
+  if (startDistance === Infinity && endDistance === Infinity) {
+    return { startTime, guide: null };
+  }
+  if (startDistance <= endDistance) {
+    return { startTime: Math.max(0, start.time), guide: start.guide };
+  }
+  return { startTime: Math.max(0, end.time - duration), guide: end.guide };
+};
@@ -0,0 +1,70 @@
+// Clip speed - playing a clip's media faster, slower or backwards. The clip
+// keeps the media between its source in/out points, so its timeline length
+// changes with its speed (see trim.js).
+
+import { EDIT_MODES, placeItem, sortByStart } from './editModes';
+import { getSourceIn, getSourceOut, getSpeed, isReversed, MIN_CLIP_DURATION } from './trim';
+import { scaleKeyframes } from './keyframes';
+
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 10;
+
+// Clips closer than this count as touching
+const EPSILON = 1e-6;
+
+/**
+ * Check whether a clip's speed and direction can change. Stills have no
+ * media to play and compound clips play their contents as they are.
+ * @param {Object} item - Timeline item
+ * @returns {boolean}
+ */
+export const canChangeSpeed = (item) => item.type === 'video' || item.type === 'audio';
+
+/**
+ * Limit a speed to the supported range
+ * @param {number} speed
+ * @returns {number}
+ */
+export const clampSpeed = (speed) => Math.min(MAX_SPEED, Math.max(MIN_SPEED, speed));
+
+/**
+ * Change a clip's speed or direction. The clip keeps its start time and the
+ * media it plays; in Ripple and Insert modes the clips after it move by the
+ * change in length, in Overwrite mode a longer clip covers them. Keyframes
+ * stretch with the clip.
+ * @param {Array} items - Items on the clip's track
+ * @param {Object} item - Clip to change
+ * @param {{speed?: number, reversed?: boolean}} changes - New speed and/or direction
+ * @param {string} mode - One of EDIT_MODES
+ * @param {Function} createId - Id factory for clips split by an overwrite
+ * @returns {Array} - New items
+ */
+export const applySpeed = (items, item, changes, mode, createId) => {
+  const sourceIn = getSourceIn(item);
+  const span = getSourceOut(item) - sourceIn;
+  // Fast clips cannot get shorter than the shortest clip
+  const speed = clampSpeed(Math.min(changes.speed ?? getSpeed(item), span / MIN_CLIP_DURATION));
+  const duration = span / speed;
+
+  const changed = {
+    ...scaleKeyframes(item, duration / item.duration),
+    speed,
+    reversed: changes.reversed ?? isReversed(item),
+    duration,
+    sourceOut: sourceIn + span,
+  };
+  const others = items.filter(other => other.id !== item.id);
+
+  if (mode === EDIT_MODES.OVERWRITE) {
+    return placeItem(others, changed, item.startTime, EDIT_MODES.OVERWRITE, createId);
+  }
+
+  const endTime = item.startTime + item.duration;
+  const delta = duration - item.duration;
+  return sortByStart([
+    ...others.map(other => (
+      other.startTime >= endTime - EPSILON ? { ...other, startTime: other.startTime + delta } : other
+    )),
+    changed,
+  ]);
+};
@@ -53,11 +53,25 @@ export const generateImageThumbnail = (src) => {
   });
 };
 
+/**
+ * Check whether a loaded video element has a sound track. Firefox exposes
+ * mozHasAudio; Chromium lists audioTracks when the AudioVideoTracks feature
+ * is enabled (see main.js).
+ * @param {HTMLVideoElement} video - Video with its metadata loaded
+ * @returns {boolean|undefined} - undefined if the browser cannot tell
+ */
+const detectAudio = (video) => {
+  if (typeof video.mozHasAudio === 'boolean') return video.mozHasAudio;
+  if (video.audioTracks) return video.audioTracks.length > 0;
+  return undefined;
+};
+
 /**
  * Generate a thumbnail from a video file
  * @param {string} src - Video source URL or path
  * @param {number} seekTime - Time in seconds to capture the thumbnail (default: 0)
- * @returns {Promise<{thumbnail: string, duration: number}>} - Data URL of the thumbnail and video duration
+ * @returns {Promise<{thumbnail: string, duration: number, hasAudio?: boolean}>} - Data URL of
+ *   the thumbnail, video duration and whether the file has sound
  */
 export const generateVideoThumbnail = (src, seekTime = 0) => {
   return new Promise((resolve, reject) => {
@@ -116,10 +130,11 @@ export const generateVideoThumbnail = (src, seekTime = 0) => {
         
         const thumbnail = canvas.toDataURL('image/jpeg', 0.7);
         const duration = video.duration;
+        const hasAudio = detectAudio(video);
         
         resolved = true;
         cleanup();
-        resolve({ thumbnail, duration });
+        resolve({ thumbnail, duration, hasAudio });
       } catch (err) {
         resolved = true;
         cleanup();
@@ -150,10 +165,72 @@ export const generateVideoThumbnail = (src, seekTime = 0) => {
   });
 };
 
+/**
+ * Open a video once to capture many frames from it, e.g. for a filmstrip.
+ * Captures run one at a time in the order they were asked for, since each
+ * one seeks the same element.
+ * @param {string} src - Video source URL or path
+ * @returns {{capture: function(number): Promise<string>, dispose: function(): void}} -
+ *   capture(time) resolves to a data URL of the frame at that media time
+ */
+export const createVideoFrameGrabber = (src) => {
+  const video = document.createElement('video');
+  video.crossOrigin = 'anonymous';
+  video.preload = 'auto';
+  video.muted = true;
+  
+  const ready = new Promise((resolve, reject) => {
+    video.addEventListener('loadeddata', resolve, { once: true });
+    video.addEventListener('error', () => reject(new Error('Failed to load video')), { once: true });
+  });
+  video.src = src;
+  
+  const seek = (time) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      video.removeEventListener('seeked', onSeeked);
+      reject(new Error('Frame capture timed out'));
+    }, 10000);
+    const onSeeked = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    video.addEventListener('seeked', onSeeked, { once: true });
+    video.currentTime = Math.min(time, Math.max(0, video.duration - 0.01));
+  });
+  
+  const draw = () => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    // Frames fill the canvas height so the strip has no letterboxing between them
+    canvas.height = THUMBNAIL_HEIGHT;
+    canvas.width = Math.round(THUMBNAIL_HEIGHT * (video.videoWidth / video.videoHeight)) || THUMBNAIL_WIDTH;
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    
+    return canvas.toDataURL('image/jpeg', 0.7);
+  };
+  
+  let queue = Promise.resolve();
+  
+  return {
+    capture: (time) => {
+      const frame = queue.then(() => ready).then(() => seek(time)).then(draw);
+      // A failed capture must not hold up the ones after it
+      queue = frame.catch(() => {});
+      return frame;
+    },
+    dispose: () => {
+      video.removeAttribute('src');
+      video.load();
+    },
+  };
+};
+
 /**
  * Generate a thumbnail based on file type
- * @param {Object} file - File object with path and type properties
- * @returns {Promise<{thumbnail: string, duration?: number}>}
+ * @param {Object} file - File object with path and type properties, and an
+ *   optional seekTime (seconds) for the video frame to capture
+ * @returns {Promise<{thumbnail: string, duration?: number, hasAudio?: boolean}>}
  */
 export const generateThumbnail = async (file) => {
   const path = file.path || (file instanceof File ? URL.createObjectURL(file) : '');
@@ -162,7 +239,7 @@ export const generateThumbnail = async (file) => {
   const isVideo = file.type === 'video' || name.match(/\.(mp4|webm|mkv|avi|mov)$/i);
   
   if (isVideo) {
-    return generateVideoThumbnail(path);
+    return generateVideoThumbnail(path, file.seekTime);
   } else {
     const thumbnail = await generateImageThumbnail(path);
     return { thumbnail, duration: 5 }; // Default 5 seconds for images
@@ -0,0 +1,220 @@
+// Frame rates and timecode - every time the editor shows or reads goes
+// through here. A sequence's frame rate is stored as its nominal value
+// (e.g. 29.97); NTSC rates really run at 1000/1001 of their timebase.
+
+export const FRAME_RATES = [
+  { value: 23.976, label: '23.976 fps', timebase: 24, ntsc: true, dropFrame: false },
+  { value: 24, label: '24 fps', timebase: 24, ntsc: false, dropFrame: false },
+  { value: 25, label: '25 fps', timebase: 25, ntsc: false, dropFrame: false },
+  { value: 29.97, label: '29.97 fps drop-frame', timebase: 30, ntsc: true, dropFrame: true },
+  { value: 30, label: '30 fps', timebase: 30, ntsc: false, dropFrame: false },
+  { value: 50, label: '50 fps', timebase: 50, ntsc: false, dropFrame: false },
+  { value: 60, label: '60 fps', timebase: 60, ntsc: false, dropFrame: false },
+];
+
+export const DEFAULT_FRAME_RATE = 30;
+
+// How times are shown: SMPTE timecode, frame counts or seconds
+export const TIME_DISPLAYS = [
+  { value: 'smpte', label: 'Timecode' },
+  { value: 'frames', label: 'Frames' },
+  { value: 'seconds', label: 'Seconds' },
+];
+
+export const DEFAULT_TIME_DISPLAY = 'smpte';
+
+// Slack for times that should land exactly on a frame
+const EPSILON = 1e-6;
+
+/**
+ * Check whether a value is one of the supported frame rates
+ * @param {number} fps
+ * @returns {boolean}
+ */
+export const isFrameRate = (fps) => FRAME_RATES.some(rate => rate.value === fps);
+
+/**
+ * Check whether a value is one of the TIME_DISPLAYS
+ * @param {string} display
+ * @returns {boolean}
+ */
+export const isTimeDisplay = (display) => TIME_DISPLAYS.some(option => option.value === display);
+
+const getRate = (fps) => FRAME_RATES.find(rate => rate.value === fps)
+  || FRAME_RATES.find(rate => rate.value === DEFAULT_FRAME_RATE);
+
+/**
+ * Name of a frame rate for menus and tooltips
+ * @param {number} fps
+ * @returns {string}
+ */
+export const getFrameRateLabel = (fps) => getRate(fps).label;
+
+/**
+ * Frames counted per second of timecode, e.g. 30 for 29.97
+ * @param {number} fps - Nominal frame rate
+ * @returns {number}
+ */
+export const getTimebase = (fps) => getRate(fps).timebase;
+
+/**
+ * Check whether a frame rate's timecode is drop-frame
+ * @param {number} fps - Nominal frame rate
+ * @returns {boolean}
+ */
+export const isDropFrame = (fps) => getRate(fps).dropFrame;
+
+/**
+ * Frames per second a frame rate really plays at
+ * @param {number} fps - Nominal frame rate
+ * @returns {number}
+ */
+export const getFramesPerSecond = (fps) => {
+  const { timebase, ntsc } = getRate(fps);
+  return ntsc ? (timebase * 1000) / 1001 : timebase;
+};
+
+/**
+ * Length of one frame in seconds
+ * @param {number} fps - Nominal frame rate
+ * @returns {number}
+ */
+export const getFrameDuration = (fps) => 1 / getFramesPerSecond(fps);
+
+/**
+ * Frame a time falls in
+ * @param {number} seconds
+ * @param {number} fps - Nominal frame rate
+ * @returns {number}
+ */
+export const secondsToFrames = (seconds, fps) => Math.floor(seconds * getFramesPerSecond(fps) + EPSILON);
+
+/**
+ * Time a frame starts at
+ * @param {number} frames
+ * @param {number} fps - Nominal frame rate
+ * @returns {number}
+ */
+export const framesToSeconds = (frames, fps) => frames / getFramesPerSecond(fps);
+
+/**
+ * Move a time to the start of the frame it falls in
+ * @param {number} seconds
+ * @param {number} fps - Nominal frame rate
+ * @returns {number}
+ */
+export const snapToFrame = (seconds, fps) => framesToSeconds(secondsToFrames(seconds, fps), fps);
+
+/**
+ * Move a time by whole frames, landing on the start of a frame. Stepping
+ * back from inside a frame lands on that frame's start first.
+ * @param {number} seconds
+ * @param {number} frames - Frames to move, negative to go back
+ * @param {number} fps - Nominal frame rate
+ * @returns {number}
+ */
+export const stepFrames = (seconds, frames, fps) => {
+  const frame = secondsToFrames(seconds, fps);
+  const onFrame = Math.abs(framesToSeconds(frame, fps) - seconds) < EPSILON;
+  const target = frames < 0 && !onFrame ? frame + frames + 1 : frame + frames;
+  return framesToSeconds(Math.max(0, target), fps);
+};
+
+// Drop-frame timecode skips labels 0 and 1 (at 30 fps) at the start of every
+// minute except each tenth, so the labels keep up with the clock
+const getDroppedLabels = (timebase) => Math.round(timebase / 15);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * SMPTE timecode of a time: HH:MM:SS:FF, or HH:MM:SS;FF for drop-frame rates
+ * @param {number} seconds
+ * @param {number} fps - Nominal frame rate
+ * @returns {string}
+ */
+export const formatTimecode = (seconds, fps) => {
+  const { timebase, dropFrame } = getRate(fps);
+  let frames = secondsToFrames(Math.max(0, seconds), fps);
+
+  if (dropFrame) {
+    const dropped = getDroppedLabels(timebase);
+    const framesPerMinute = timebase * 60 - dropped;
+    const framesPerTenMinutes = framesPerMinute * 10 + dropped;
+    const tens = Math.floor(frames / framesPerTenMinutes);
+    const rest = frames % framesPerTenMinutes;
+    frames += dropped * 9 * tens + (rest > dropped ? dropped * Math.floor((rest - dropped) / framesPerMinute) : 0);
+  }
+
+  const ff = frames % timebase;
+  const totalSeconds = Math.floor(frames / timebase);
+  const hh = Math.floor(totalSeconds / 3600);
+  const mm = Math.floor(totalSeconds / 60) % 60;
+  const ss = totalSeconds % 60;
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+};
+
+/**
+ * SMPTE timecode at the default frame rate, for components shown without a
+ * sequence's settings
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatDefaultTimecode = (seconds) => formatTimecode(seconds, DEFAULT_FRAME_RATE);
+
+/**
+ * Read SMPTE timecode. Missing leading fields count as zero, so "5:00" is
+ * five seconds; ';' and ':' are both accepted.
+ * @param {string} text
+ * @param {number} fps - Nominal frame rate
+ * @returns {number|null} - Seconds, or null if the text is not timecode
+ */
+export const parseTimecode = (text, fps) => {
+  const fields = String(text).trim().split(/[:;]/);
+  if (fields.length < 2 || fields.length > 4 || !fields.every(field => /^\d+$/.test(field))) return null;
+
+  const [hh, mm, ss, ff] = [...Array(4 - fields.length).fill(0), ...fields.map(Number)];
+  const { timebase, dropFrame } = getRate(fps);
+  if (ff >= timebase) return null;
+
+  let frames = ((hh * 60 + mm) * 60 + ss) * timebase + ff;
+  if (dropFrame) {
+    const minutes = hh * 60 + mm;
+    frames -= getDroppedLabels(timebase) * (minutes - Math.floor(minutes / 10));
+  }
+  return framesToSeconds(Math.max(0, frames), fps);
+};
+
+/**
+ * Show a time in one of the TIME_DISPLAYS
+ * @param {number} seconds
+ * @param {number} fps - Nominal frame rate
+ * @param {string} display - 'smpte', 'frames' or 'seconds'
+ * @returns {string}
+ */
+export const formatTime = (seconds, fps, display = DEFAULT_TIME_DISPLAY) => {
+  if (display === 'frames') return String(secondsToFrames(Math.max(0, seconds), fps));
+  if (display === 'seconds') return `${Math.max(0, seconds).toFixed(2)}s`;
+  return formatTimecode(seconds, fps);
+};
+
+/**
+ * Read a time typed by the user. Text with ':' or ';' is timecode; a bare
+ * number is frames or seconds, following the display (a trailing "s" or "f"
+ * picks one). The result is on a frame.
+ * @param {string} text
+ * @param {number} fps - Nominal frame rate
+ * @param {string} display - Display the time was typed in
+ * @returns {number|null} - Seconds, or null if the text is not a time
+ */
+export const parseTime = (text, fps, display = DEFAULT_TIME_DISPLAY) => {
+  const trimmed = String(text).trim().toLowerCase();
+  if (/[:;]/.test(trimmed)) return parseTimecode(trimmed, fps);
+
+  const match = trimmed.match(/^(\d+(?:\.\d+)?)\s*([sf]?)$/);
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  const unit = match[2] || (display === 'seconds' ? 's' : 'f');
+  if (unit === 'f') return Number.isInteger(value) ? framesToSeconds(value, fps) : null;
+  return snapToFrame(value, fps);
+};
@@ -0,0 +1,158 @@
+// Timelines the editor can open in tabs: the project's sequences and the
+// contents of compound clips. The store's tracks, markers, playhead and in/out
+// points always belong to the timeline on screen; the copies kept here for it
+// are out of date until it is switched away from (see withActiveTimeline).
+
+import { FRAME_RATES, DEFAULT_FRAME_RATE, isFrameRate } from './timecode';
+
+// Id of the sequence a new project starts with
+export const DEFAULT_SEQUENCE_ID = 'main';
+
+export const DEFAULT_SEQUENCE_SETTINGS = {
+  width: 1920,
+  height: 1080,
+  fps: DEFAULT_FRAME_RATE,
+};
+
+export const SEQUENCE_RESOLUTIONS = [
+  { label: '4K UHD', width: 3840, height: 2160 },
+  { label: '1080p HD', width: 1920, height: 1080 },
+  { label: '720p HD', width: 1280, height: 720 },
+  { label: 'Vertical', width: 1080, height: 1920 },
+  { label: 'Square', width: 1080, height: 1080 },
+];
+
+export const SEQUENCE_FRAME_RATES = FRAME_RATES.map(rate => rate.value);
+
+const isValidDimension = (value) => Number.isInteger(value) && value >= 16 && value <= 8192;
+
+/**
+ * Sequence settings with invalid values replaced
+ * @param {Object} settings - {width, height, fps}
+ * @param {Object} fallback - Settings to use for invalid or missing values
+ * @returns {{width: number, height: number, fps: number}}
+ */
+export const normalizeSequenceSettings = (settings = {}, fallback = DEFAULT_SEQUENCE_SETTINGS) => ({
+  width: isValidDimension(settings.width) ? settings.width : fallback.width,
+  height: isValidDimension(settings.height) ? settings.height : fallback.height,
+  fps: isFrameRate(settings.fps) ? settings.fps : fallback.fps,
+});
+
+/**
+ * Create a timeline
+ * @param {string} id - Timeline id
+ * @param {string} name - Tab label
+ * @param {'sequence'|'compound'} kind - Project sequence or compound clip contents
+ * @param {Array} tracks - Tracks
+ * @returns {Object}
+ */
+export const createTimeline = (id, name, kind, tracks = []) => ({
+  id,
+  name,
+  kind,
+  tracks,
+  markers: [],
+  playhead: 0,
+  inPoint: null,
+  outPoint: null,
+});
+
+/**
+ * Create a sequence: a timeline with its own resolution and frame rate
+ * @param {string} id - Sequence id
+ * @param {string} name - Tab label
+ * @param {Array} tracks - Tracks
+ * @param {Object} settings - {width, height, fps}; missing fields use the defaults
+ * @returns {Object}
+ */
+export const createSequence = (id, name, tracks = [], settings = {}) => ({
+  ...createTimeline(id, name, 'sequence', tracks),
+  settings: normalizeSequenceSettings(settings),
+});
+
+/**
+ * The timelines of a new project: a single sequence
+ * @returns {Object} - Timelines by id
+ */
+export const createInitialTimelines = () => ({
+  [DEFAULT_SEQUENCE_ID]: createSequence(DEFAULT_SEQUENCE_ID, 'Sequence 1'),
+});
+
+/**
+ * The project's sequences, in the order they were created
+ * @param {Object} timelines - Timelines by id
+ * @returns {Array<Object>}
+ */
+export const getSequences = (timelines) => (
+  Object.values(timelines).filter(timeline => timeline.kind === 'sequence')
+);
+
+/**
+ * Name for a new sequence that no other sequence uses, e.g. "Sequence 3"
+ * @param {Object} timelines - Timelines by id
+ * @returns {string}
+ */
+export const getNewSequenceName = (timelines) => {
+  const names = new Set(getSequences(timelines).map(sequence => sequence.name));
+  let number = names.size + 1;
+  while (names.has(`Sequence ${number}`)) number++;
+  return `Sequence ${number}`;
+};
+
+/**
+ * End time of the last item on a set of tracks
+ * @param {Array} tracks - Tracks
+ * @returns {number}
+ */
+export const getTimelineDuration = (tracks) => tracks.reduce((end, track) => (
+  track.items.reduce((trackEnd, item) => Math.max(trackEnd, item.startTime + item.duration), end)
+), 0);
+
+/**
+ * The timelines with the one on screen brought up to date from the store
+ * @param {Object} state - Store state
+ * @returns {Object} - Timelines by id
+ */
+export const withActiveTimeline = (state) => ({
+  ...state.timelines,
+  [state.activeTimelineId]: {
+    ...state.timelines[state.activeTimelineId],
+    tracks: state.tracks,
+    markers: state.markers,
+    playhead: state.playhead,
+    inPoint: state.inPoint,
+    outPoint: state.outPoint,
+  },
+});
+
+/**
+ * Every track of every timeline, up to date with the store
+ * @param {Object} state - Store state
+ * @returns {Array<Object>}
+ */
+export const getAllTimelineTracks = (state) => (
+  Object.values(withActiveTimeline(state)).flatMap(timeline => timeline.tracks)
+);
+
+/**
+ * Apply a change to the items of every timeline
+ * @param {Object} state - Store state
+ * @param {Function} update - (item, track) => item
+ * @returns {{tracks: Array, timelines: Object}} - New store tracks and timelines
+ */
+export const mapAllTimelineItems = (state, update) => {
+  const mapTracks = (tracks) => tracks.map(track => ({
+    ...track,
+    items: track.items.map(item => update(item, track)),
+  }));
+
+  const timelines = {};
+  Object.values(state.timelines).forEach(timeline => {
+    // The active timeline's copy is stale; it is rebuilt when switching away
+    timelines[timeline.id] = timeline.id === state.activeTimelineId
+      ? timeline
+      : { ...timeline, tracks: mapTracks(timeline.tracks) };
+  });
+
+  return { tracks: mapTracks(state.tracks), timelines };
+};
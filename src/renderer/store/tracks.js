@@ -0,0 +1,114 @@
+// Timeline tracks - creation, output flags and lookups across any number of tracks
+
+export const TRACK_TYPES = ['video', 'audio'];
+
+// Per-track toggles shown in the track header
+export const TRACK_FLAGS = ['locked', 'muted', 'solo', 'hidden'];
+
+/**
+ * Create an empty track
+ * @param {string} id - Track id
+ * @param {string} type - 'video' or 'audio'
+ * @param {string} name - Display name
+ * @returns {Object}
+ */
+export const createTrack = (id, type, name) => ({
+  id,
+  name,
+  type,
+  items: [],
+  locked: false,
+  muted: false,
+  solo: false,
+  hidden: false,
+});
+
+/**
+ * The tracks of a new, empty timeline
+ * @returns {Array}
+ */
+export const createDefaultTracks = () => [
+  createTrack('video-track', 'video', 'Video Track'),
+  createTrack('audio-track', 'audio', 'Audio Track'),
+];
+
+/**
+ * Name for a new track, e.g. "Video 3" when there are two video tracks
+ * @param {Array} tracks - Existing tracks
+ * @param {string} type - Track type
+ * @returns {string}
+ */
+export const getNewTrackName = (tracks, type) => {
+  const count = tracks.filter(track => track.type === type).length;
+  return `${type === 'audio' ? 'Audio' : 'Video'} ${count + 1}`;
+};
+
+/**
+ * Check whether edits to a track are blocked
+ * @param {Array} tracks - Timeline tracks
+ * @param {string} trackId - Track to check
+ * @returns {boolean}
+ */
+export const isTrackLocked = (tracks, trackId) => (
+  !!tracks.find(track => track.id === trackId)?.locked
+);
+
+/**
+ * Solo works per track type: soloing an audio track silences the other audio
+ * tracks but leaves the picture alone.
+ */
+const passesSolo = (track, tracks) => (
+  track.solo || !tracks.some(other => other.type === track.type && other.solo)
+);
+
+/**
+ * Check whether a track's clips are drawn in the preview
+ * @param {Object} track - Track
+ * @param {Array} tracks - All tracks (for solo)
+ * @returns {boolean}
+ */
+export const isTrackVisible = (track, tracks) => !track.hidden && passesSolo(track, tracks);
+
+/**
+ * Check whether a track's clips are heard in the preview
+ * @param {Object} track - Track
+ * @param {Array} tracks - All tracks (for solo)
+ * @returns {boolean}
+ */
+export const isTrackAudible = (track, tracks) => !track.muted && passesSolo(track, tracks);
+
+const isItemAt = (item, time) => time >= item.startTime && time < item.startTime + item.duration;
+
+/**
+ * Every item under a timeline time, in track order (top track first)
+ * @param {Array} tracks - Timeline tracks
+ * @param {number} time - Timeline time in seconds
+ * @returns {Array<{track: Object, item: Object}>}
+ */
+export const getAllItemsAtTime = (tracks, time) => tracks.flatMap(track => (
+  track.items
+    .filter(item => isItemAt(item, time))
+    .map(item => ({ track, item }))
+));
+
+/**
+ * Video and image items to draw at a time, bottom layer first. The track at
+ * the top of the timeline is composited over the ones below it.
+ * @param {Array} tracks - Timeline tracks
+ * @param {number} time - Timeline time in seconds
+ * @returns {Array<Object>} - Items in drawing order
+ */
+export const getVisualLayersAtTime = (tracks, time) => getAllItemsAtTime(tracks, time)
+  .filter(({ track, item }) => item.type !== 'audio' && !item.offline && isTrackVisible(track, tracks))
+  .map(({ item }) => item)
+  .reverse();
+
+/**
+ * Audio items to play at a time
+ * @param {Array} tracks - Timeline tracks
+ * @param {number} time - Timeline time in seconds
+ * @returns {Array<Object>}
+ */
+export const getAudioItemsAtTime = (tracks, time) => getAllItemsAtTime(tracks, time)
+  .filter(({ track, item }) => item.type === 'audio' && !item.offline && isTrackAudible(track, tracks))
+  .map(({ item }) => item);
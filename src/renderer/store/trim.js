@@ -0,0 +1,139 @@
+// Clip trimming - source in/out points into the item's media. A clip plays
+// the media between them at its speed, backwards when it is reversed, so its
+// timeline duration is (sourceOut - sourceIn) / speed.
+
+import { shiftKeyframes } from './keyframes';
+
+// Shortest clip a trim can leave behind (seconds)
+export const MIN_CLIP_DURATION = 0.1;
+
+/**
+ * Media time where the clip starts playing
+ * @param {Object} item - Timeline item
+ * @returns {number}
+ */
+export const getSourceIn = (item) => item.sourceIn || 0;
+
+/**
+ * Playback speed of a clip's media (1 is normal speed)
+ * @param {Object} item - Timeline item
+ * @returns {number}
+ */
+export const getSpeed = (item) => item.speed ?? 1;
+
+/**
+ * Check whether a clip plays its media backwards
+ * @param {Object} item - Timeline item
+ * @returns {boolean}
+ */
+export const isReversed = (item) => !!item.reversed;
+
+/**
+ * Media time where the clip stops playing
+ * @param {Object} item - Timeline item
+ * @returns {number}
+ */
+export const getSourceOut = (item) => item.sourceOut ?? getSourceIn(item) + item.duration * getSpeed(item);
+
+/**
+ * Media time a clip shows at a timeline time
+ * @param {Object} item - Timeline item
+ * @param {number} time - Timeline time
+ * @returns {number}
+ */
+export const getMediaTimeAt = (item, time) => {
+  const offset = (time - item.startTime) * getSpeed(item);
+  return isReversed(item) ? getSourceOut(item) - offset : getSourceIn(item) + offset;
+};
+
+/**
+ * Media distance covered in a timeline distance; negative for reversed clips
+ * @param {Object} item - Timeline item
+ * @param {number} delta - Timeline seconds
+ * @returns {number}
+ */
+export const getMediaDelta = (item, delta) => delta * getSpeed(item) * (isReversed(item) ? -1 : 1);
+
+/**
+ * Stills can be stretched to any length; video and audio are limited to the
+ * media between 0 and its known duration.
+ */
+const hasSourceLimits = (item) => item.type !== 'image';
+
+/**
+ * Move one edge of a clip to a timeline time. The media stays where it is:
+ * trimming the start moves the media the clip starts on by the same amount,
+ * and the clip's keyframes with it.
+ * @param {Object} item - Timeline item
+ * @param {'start'|'end'} edge - Edge being dragged
+ * @param {number} time - Requested timeline time of that edge
+ * @param {{min?: number, max?: number}} bounds - Timeline range the edge may not leave
+ * @returns {Object} - Trimmed item
+ */
+export const applyTrim = (item, edge, time, bounds = {}) => {
+  const sourceIn = getSourceIn(item);
+  const sourceOut = getSourceOut(item);
+  const endTime = item.startTime + item.duration;
+  const limited = hasSourceLimits(item);
+  const speed = limited ? getSpeed(item) : 1;
+  const reversed = limited && isReversed(item);
+
+  // Timeline seconds of media left before the in point and after the out point
+  const roomBefore = limited ? sourceIn / speed : Infinity;
+  const roomAfter = limited && item.mediaDuration != null
+    ? (item.mediaDuration - sourceOut) / speed
+    : Infinity;
+
+  let startTime = item.startTime;
+  let newEnd = endTime;
+  if (edge === 'start') {
+    const earliest = Math.max(0, bounds.min ?? 0, item.startTime - (reversed ? roomAfter : roomBefore));
+    startTime = Math.min(Math.max(time, earliest), endTime - MIN_CLIP_DURATION);
+  } else {
+    const latest = Math.min(bounds.max ?? Infinity, endTime + (reversed ? roomBefore : roomAfter));
+    newEnd = Math.max(Math.min(time, latest), item.startTime + MIN_CLIP_DURATION);
+  }
+
+  const duration = newEnd - startTime;
+  const span = duration * speed;
+  const animated = shiftKeyframes(item, item.startTime - startTime);
+  if (!limited) {
+    return { ...animated, startTime, duration, sourceIn, sourceOut: sourceIn + duration };
+  }
+
+  // The start edge plays the in point, or the out point when reversed
+  const movesIn = (edge === 'start') !== reversed;
+  return {
+    ...animated,
+    startTime,
+    duration,
+    sourceIn: movesIn ? sourceOut - span : sourceIn,
+    sourceOut: movesIn ? sourceOut : sourceIn + span,
+  };
+};
+
+/**
+ * Timeline range a clip's edges can be trimmed to without running into the
+ * clips next to it on the same track
+ * @param {Array} items - Items on the clip's track
+ * @param {Object} item - Clip being trimmed
+ * @returns {{min: number, max: number}}
+ */
+export const getTrimBounds = (items, item) => {
+  const endTime = item.startTime + item.duration;
+  let min = 0;
+  let max = Infinity;
+
+  items.forEach(other => {
+    if (other.id === item.id) return;
+
+    const otherEnd = other.startTime + other.duration;
+    if (otherEnd <= item.startTime + 1e-6) {
+      min = Math.max(min, otherEnd);
+    } else if (other.startTime >= endTime - 1e-6) {
+      max = Math.min(max, other.startTime);
+    }
+  });
+
+  return { min, max };
+};
@@ -0,0 +1,161 @@
+// Slip, slide and roll - trims that keep the total length of a run of clips.
+// Each edit takes a requested offset and returns the offset it could apply,
+// so linked clips can be limited to the offset all of them allow.
+
+import { applyTrim, getTrimBounds, getSourceIn, getSourceOut, isReversed } from './trim';
+import { DEFAULT_FRAME_RATE, getFrameDuration } from './timecode';
+
+// Edit tools on the timeline toolbar that drag clips by their media
+export const TRIM_TOOLS = ['slip', 'slide', 'roll'];
+
+// Clips closer than this count as touching
+const EPSILON = 1e-6;
+
+/**
+ * The clips touching a clip's start and end on the same track
+ * @param {Array} items - Items on the clip's track
+ * @param {Object} item - Clip
+ * @returns {{previous: Object|null, next: Object|null}}
+ */
+export const getAdjacentItems = (items, item) => {
+  const endTime = item.startTime + item.duration;
+  return {
+    previous: items.find(other => (
+      other.id !== item.id && Math.abs(other.startTime + other.duration - item.startTime) < EPSILON
+    )) || null,
+    next: items.find(other => (
+      other.id !== item.id && Math.abs(other.startTime - endTime) < EPSILON
+    )) || null,
+  };
+};
+
+const edgeTime = (item, edge) => (edge === 'start' ? item.startTime : item.startTime + item.duration);
+
+const replaceItems = (items, changed) => items.map(item => changed.find(c => c.id === item.id) || item);
+
+/**
+ * Slip: move the media under a clip without moving the clip
+ * @param {Array} items - Items on the clip's track
+ * @param {Object} item - Clip to slip
+ * @param {number} offset - Seconds to add to the clip's source in/out points
+ * @returns {{items: Array, offset: number}} - New items and the offset applied
+ */
+export const slipItem = (items, item, offset) => {
+  // Stills show the same picture everywhere
+  if (item.type === 'image') return { items, offset: 0 };
+
+  const sourceIn = getSourceIn(item);
+  const span = getSourceOut(item) - sourceIn;
+  const latest = item.mediaDuration != null
+    ? Math.max(sourceIn, item.mediaDuration - span)
+    : Infinity;
+  const newIn = Math.min(Math.max(sourceIn + offset, 0), latest);
+
+  return {
+    items: replaceItems(items, [{ ...item, sourceIn: newIn, sourceOut: newIn + span }]),
+    offset: newIn - sourceIn,
+  };
+};
+
+/**
+ * Slide: move a clip, trimming the clips touching it so the gap-free run
+ * keeps its length. Without a touching clip the move stops at the next clip.
+ * @param {Array} items - Items on the clip's track
+ * @param {Object} item - Clip to slide
+ * @param {number} offset - Seconds to move the clip by
+ * @returns {{items: Array, offset: number}} - New items and the offset applied
+ */
+export const slideItem = (items, item, offset) => {
+  const { previous, next } = getAdjacentItems(items, item);
+  const bounds = getTrimBounds(items, item);
+  const startTime = item.startTime;
+  const endTime = startTime + item.duration;
+  let delta = offset;
+
+  delta = previous
+    ? edgeTime(applyTrim(previous, 'end', startTime + delta), 'end') - startTime
+    : Math.max(delta, bounds.min - startTime);
+  delta = next
+    ? edgeTime(applyTrim(next, 'start', endTime + delta), 'start') - endTime
+    : Math.min(delta, bounds.max - endTime);
+
+  const changed = [{ ...item, startTime: startTime + delta }];
+  if (previous) changed.push(applyTrim(previous, 'end', startTime + delta));
+  if (next) changed.push(applyTrim(next, 'start', endTime + delta));
+
+  return { items: replaceItems(items, changed), offset: delta };
+};
+
+/**
+ * Roll: move the cut at one edge of a clip, trimming the clip on the other
+ * side of the cut by the same amount. Without a touching clip this is a
+ * plain trim that stops at the neighbouring clip.
+ * @param {Array} items - Items on the clip's track
+ * @param {Object} item - Clip on one side of the cut
+ * @param {'start'|'end'} edge - Edge of that clip at the cut
+ * @param {number} offset - Seconds to move the cut by
+ * @returns {{items: Array, offset: number}} - New items and the offset applied
+ */
+export const rollEdit = (items, item, edge, offset) => {
+  const { previous, next } = getAdjacentItems(items, item);
+  const other = edge === 'start' ? previous : next;
+  const otherEdge = edge === 'start' ? 'end' : 'start';
+  const cut = edgeTime(item, edge);
+  const bounds = other ? {} : getTrimBounds(items, item);
+
+  let delta = edgeTime(applyTrim(item, edge, cut + offset, bounds), edge) - cut;
+  if (other) {
+    delta = edgeTime(applyTrim(other, otherEdge, cut + delta), otherEdge) - cut;
+  }
+
+  const changed = [applyTrim(item, edge, cut + delta, bounds)];
+  if (other) changed.push(applyTrim(other, otherEdge, cut + delta));
+
+  return { items: replaceItems(items, changed), offset: delta };
+};
+
+const frameOf = (item, label, time) => ({ label, name: item.name, path: item.path, type: item.type, time });
+const firstMediaFrame = (item) => getSourceIn(item);
+// The frame shown for an out point is the last one before sourceOut
+const lastMediaFrame = (item, fps) => Math.max(getSourceIn(item), getSourceOut(item) - getFrameDuration(fps));
+// Reversed clips start on their last media frame
+const inFrame = (item, label, fps) => frameOf(
+  item, label, isReversed(item) ? lastMediaFrame(item, fps) : firstMediaFrame(item)
+);
+const outFrame = (item, label, fps) => frameOf(
+  item, label, isReversed(item) ? firstMediaFrame(item) : lastMediaFrame(item, fps)
+);
+
+/**
+ * The two frames an editor watches while dragging a trim tool: the clip's
+ * new in and out points for slip, the neighbours' new out and in points for
+ * slide, and the frames either side of the cut for roll
+ * @param {Array} items - Items on the clip's track, after the edit
+ * @param {string} itemId - Clip being dragged
+ * @param {string} tool - 'slip', 'slide' or 'roll'
+ * @param {'start'|'end'} edge - Edge at the cut (roll only)
+ * @param {number} fps - Sequence frame rate, for the frame before an out point
+ * @returns {Array<{label: string, name: string, path: string, type: string, time: number}>|null}
+ */
+export const getTrimPreviewFrames = (items, itemId, tool, edge = 'end', fps = DEFAULT_FRAME_RATE) => {
+  const item = items.find(i => i.id === itemId);
+  if (!item) return null;
+
+  const { previous, next } = getAdjacentItems(items, item);
+
+  if (tool === 'slide') {
+    return [
+      previous ? outFrame(previous, 'Previous out', fps) : inFrame(item, 'In', fps),
+      next ? inFrame(next, 'Next in', fps) : outFrame(item, 'Out', fps),
+    ];
+  }
+  if (tool === 'roll') {
+    const outgoing = edge === 'start' ? previous : item;
+    const incoming = edge === 'start' ? item : next;
+    return [
+      outgoing ? outFrame(outgoing, 'Outgoing', fps) : inFrame(item, 'In', fps),
+      incoming ? inFrame(incoming, 'Incoming', fps) : outFrame(item, 'Out', fps),
+    ];
+  }
+  return [inFrame(item, 'In', fps), outFrame(item, 'Out', fps)];
+};
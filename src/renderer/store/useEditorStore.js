@@ -1,32 +1,368 @@
 import { create } from 'zustand';
+import { generateThumbnail, createPlaceholderThumbnail } from './thumbnailGenerator';
+import { serializeProject, parseProject } from './projectFile';
+import { buildEdl, EDL_FILE_EXTENSION } from './edl';
+import { createHistory, withHistory, undoHistory, redoHistory } from './history';
+import {
+  EDIT_MODES,
+  DEFAULT_EDIT_MODE,
+  isEditMode,
+  placeItem,
+  packItems,
+  sortByStart,
+  splitItem,
+  canSplitAt,
+} from './editModes';
+import { applyTrim, getTrimBounds, getSourceIn } from './trim';
+import {
+  TRACK_TYPES,
+  TRACK_FLAGS,
+  createTrack,
+  createDefaultTracks,
+  getNewTrackName,
+  isTrackLocked,
+  getAllItemsAtTime,
+} from './tracks';
+import {
+  toggleInSelection,
+  getEditableSelection,
+  moveItemGroup,
+  duplicateItemGroup,
+  removeItemGroup,
+  getSelectionSpan,
+} from './selection';
+import { getTrackGaps, getGapAt, hasGap, closeGap, closeAllGaps, rippleDeleteItems } from './gaps';
+import {
+  DEFAULT_REGION_LENGTH,
+  createMarker,
+  moveMarkerTo,
+  sortMarkers,
+  getNextMarkerTime,
+  getPreviousMarkerTime,
+} from './markers';
+import { createClipboard, pasteClipboard } from './clipboard';
+import { withLinkedItems, unlinkItems, linkItems, createLinkedAudio, followLinkedMoves } from './links';
+import { TRIM_TOOLS, slipItem, slideItem, rollEdit } from './trimTools';
+import { canChangeSpeed, applySpeed } from './speed';
+import {
+  DEFAULT_TIME_DISPLAY,
+  isTimeDisplay,
+  getFrameDuration,
+  stepFrames,
+} from './timecode';
+import {
+  getPropertyKeys,
+  getPropertyValue,
+  isAnimated,
+  findKeyframeAt,
+  setPropertyValue,
+  setKeyframe,
+  updateKeyframe,
+  removeKeyframe,
+} from './keyframes';
+import {
+  DEFAULT_SEQUENCE_ID,
+  DEFAULT_SEQUENCE_SETTINGS,
+  createTimeline,
+  createSequence,
+  createInitialTimelines,
+  getSequences,
+  getNewSequenceName,
+  normalizeSequenceSettings,
+  withActiveTimeline,
+  getAllTimelineTracks,
+  mapAllTimelineItems,
+} from './timelines';
+import { normalizeKeyBindings } from './keymap';
+import {
+  isCompound,
+  getNewCompoundName,
+  collapseToCompound,
+  syncCompoundDurations,
+} from './compounds';
 
 /**
  * Generate a unique ID for media items
  */
 const generateId = () => `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
 
+/**
+ * Merge key that joins an imported clip's media info and linked audio to the
+ * undo step that added the clip
+ */
+const importMergeKey = (itemId) => `import:${itemId}`;
+
+// Tools available on the timeline toolbar
+const TIMELINE_TOOLS = ['select', 'razor', ...TRIM_TOOLS];
+
+// Speeds of repeated J/L presses; each press moves one step faster
+export const SHUTTLE_RATES = [1, 2, 4, 8];
+
+/**
+ * Compute the total timeline duration from the last item end time
+ */
+const calculateDuration = (tracks) => {
+  let maxEndTime = 0;
+  tracks.forEach(track => {
+    track.items.forEach(item => {
+      const endTime = item.startTime + item.duration;
+      if (endTime > maxEndTime) maxEndTime = endTime;
+    });
+  });
+  return maxEndTime;
+};
+
+/**
+ * Selection fields for a set of item ids. The primary item (the one clicked
+ * last) stays primary while it is selected. Selecting clips deselects a gap.
+ */
+const selectionOf = (itemIds, primaryId = null) => {
+  const selectedItemIds = new Set(itemIds);
+  return {
+    selectedItemIds,
+    selectedItemId: selectedItemIds.has(primaryId) ? primaryId : ([...selectedItemIds].pop() ?? null),
+    selectedGap: null,
+  };
+};
+
+/**
+ * Selection fields with removed items dropped
+ */
+const deselect = (state, removedIds) => selectionOf(
+  [...state.selectedItemIds].filter(id => !removedIds.includes(id)),
+  state.selectedItemId
+);
+
+/**
+ * Store fields that put a timeline on screen. Each timeline has its own
+ * markers, playhead and in/out points; showing a sequence also makes it the one edited.
+ * @param {Object} timelines - Every timeline, up to date (see withActiveTimeline)
+ * @param {string} timelineId - Timeline to show
+ */
+const showTimeline = (timelines, timelineId) => {
+  const target = timelines[timelineId];
+  const tracks = syncCompoundDurations(target.tracks, timelines);
+  
+  return {
+    timelines,
+    activeTimelineId: timelineId,
+    ...(target.kind === 'sequence' && { activeSequenceId: timelineId }),
+    tracks,
+    markers: target.markers,
+    duration: calculateDuration(tracks),
+    playhead: target.playhead,
+    inPoint: target.inPoint ?? null,
+    outPoint: target.outPoint ?? null,
+    isPlaying: false,
+    ...selectionOf([]),
+  };
+};
+
+/**
+ * Frame rate of the sequence being edited
+ */
+const getFrameRate = (state) => (
+  state.timelines[state.activeSequenceId]?.settings.fps ?? DEFAULT_SEQUENCE_SETTINGS.fps
+);
+
+/**
+ * Tracks with placeholder thumbnails, shown until the real ones are rendered
+ */
+const withPlaceholderThumbnails = (tracks) => tracks.map(track => ({
+  ...track,
+  items: track.items.map(item => ({
+    ...item,
+    thumbnail: createPlaceholderThumbnail(item.type),
+  })),
+}));
+
+/**
+ * Render the thumbnail for the frame an item starts on
+ */
+const loadItemThumbnail = (item) => generateThumbnail({
+  name: item.name,
+  path: item.path,
+  type: item.type,
+  seekTime: getSourceIn(item),
+});
+
+/**
+ * Split the listed items at a timeline time
+ * @returns {{tracks: Array, created: Array<{trackId: string, item: Object}>}}
+ */
+const splitItemsAt = (tracks, itemIds, time) => {
+  const created = [];
+  const splitIds = withLinkedItems(tracks, itemIds);
+  // The right halves of linked clips are linked to each other
+  const rightLinks = {};
+  const splitTracks = tracks.map(track => (track.locked ? track : {
+    ...track,
+    items: track.items.flatMap(item => {
+      if (!splitIds.has(item.id) || !canSplitAt(item, time)) return [item];
+      
+      const [left, split] = splitItem(item, time, generateId());
+      if (split.linkId && !rightLinks[split.linkId]) {
+        rightLinks[split.linkId] = `link-${generateId()}`;
+      }
+      const right = split.linkId ? { ...split, linkId: rightLinks[split.linkId] } : split;
+      created.push({ trackId: track.id, item: right });
+      return [left, right];
+    }),
+  }));
+  
+  return { tracks: splitTracks, created };
+};
+
+/**
+ * Trim the same edge of a clip and the clips linked to it by the same amount.
+ * The offset is limited by every clip, so linked edges stay together.
+ * @param {Object} [origin] - The dragged clip as it was when the drag started
+ * @returns {Array} - New tracks
+ */
+const trimLinkedItems = (tracks, itemId, edge, time, mode, origin = null) => {
+  const linkedIds = withLinkedItems(tracks, [itemId]);
+  const found = tracks.flatMap(track => (track.locked ? [] : track.items
+    .filter(item => linkedIds.has(item.id))
+    .map(item => ({ track, item }))));
+  const current = found.find(({ item }) => item.id === itemId);
+  if (!current) return tracks;
+  
+  // Ripple packing moves a clip's other edge after every step of a drag. Put
+  // the clips back where the drag started so the time isn't measured from the
+  // last step, which would trim again by the whole distance each time.
+  const anchorOf = (item) => (edge === 'start' ? item.startTime + item.duration : item.startTime);
+  const shift = origin && mode === EDIT_MODES.RIPPLE ? anchorOf(origin) - anchorOf(current.item) : 0;
+  const entries = shift
+    ? found.map(({ track, item }) => ({ track, item: { ...item, startTime: item.startTime + shift } }))
+    : found;
+  const dragged = entries.find(({ item }) => item.id === itemId);
+  
+  const edgeOf = (item) => (edge === 'start' ? item.startTime : item.startTime + item.duration);
+  const boundsOf = ({ track, item }) => (
+    mode === EDIT_MODES.RIPPLE ? {} : getTrimBounds(track.items, item)
+  );
+  
+  // Each clip clamps the offset; its allowed range always contains zero
+  const offset = entries.reduce((delta, entry) => (
+    edgeOf(applyTrim(entry.item, edge, edgeOf(entry.item) + delta, boundsOf(entry))) - edgeOf(entry.item)
+  ), time - edgeOf(dragged.item));
+  
+  const trimmed = new Map(entries.map(entry => [
+    entry.item.id,
+    applyTrim(entry.item, edge, edgeOf(entry.item) + offset, boundsOf(entry)),
+  ]));
+  
+  return tracks.map(track => {
+    if (!track.items.some(item => trimmed.has(item.id))) return track;
+    
+    const items = track.items.map(item => trimmed.get(item.id) || item);
+    // Ripple keeps the track packed
+    return { ...track, items: mode === EDIT_MODES.RIPPLE ? packItems(sortByStart(items)) : items };
+  });
+};
+
+/**
+ * Apply a slip, slide or roll to a clip and the clips linked to it, using the
+ * offset all of them allow so linked clips stay in sync
+ * @param {Function} edit - (items, item, offset) => {items, offset}, from trimTools.js
+ * @returns {Array|null} - New tracks, or null if nothing changed
+ */
+const editLinkedItems = (tracks, itemId, offset, edit) => {
+  const linkedIds = withLinkedItems(tracks, [itemId]);
+  const entries = tracks.flatMap(track => (track.locked ? [] : track.items
+    .filter(item => linkedIds.has(item.id))
+    .map(item => ({ track, item }))));
+  if (!entries.some(({ item }) => item.id === itemId)) return null;
+  
+  const applied = entries.reduce((delta, { track, item }) => edit(track.items, item, delta).offset, offset);
+  if (Math.abs(applied) < 1e-9) return null;
+  
+  return tracks.map(track => {
+    const onTrack = entries.filter(entry => entry.track.id === track.id);
+    if (onTrack.length === 0) return track;
+    
+    const items = onTrack.reduce((current, { item }) => (
+      edit(current, current.find(i => i.id === item.id), applied).items
+    ), track.items);
+    return { ...track, items };
+  });
+};
+
+/**
+ * Change the animation of one clip. The edit gets the clip, the playhead's
+ * time in the clip and how close a keyframe must be to count as there (half
+ * a frame). Clips on locked tracks and properties the clip lacks are left alone.
+ * @returns {Object|null} - State changes, or null if nothing changed
+ */
+const editItemAnimation = (state, trackId, itemId, key, edit) => {
+  const track = state.tracks.find(t => t.id === trackId);
+  const item = track?.items.find(i => i.id === itemId);
+  if (!item || track.locked || !getPropertyKeys(item).includes(key)) return null;
+  
+  const time = Math.min(item.duration, Math.max(0, state.playhead - item.startTime));
+  const changed = edit(item, time, getFrameDuration(getFrameRate(state)) / 2);
+  if (changed === item) return null;
+  
+  return {
+    tracks: state.tracks.map(t => (t.id === trackId
+      ? { ...t, items: t.items.map(i => (i.id === itemId ? changed : i)) }
+      : t)),
+  };
+};
+
 /**
  * Main editor store for Phase 2 timeline and preview features
  */
 const useEditorStore = create((set, get) => ({
-  // Media tracks - supports multiple lanes
-  tracks: [
-    { id: 'video-track', name: 'Video Track', type: 'video', items: [] },
-    { id: 'audio-track', name: 'Audio Track', type: 'audio', items: [] },
-  ],
+  // Media tracks, top to bottom. Higher video tracks are composited on top.
+  tracks: createDefaultTracks(),
+  
+  // Markers and regions on the ruler, in timeline order (see markers.js)
+  markers: [],
   
-  // Currently selected item
+  // Every timeline (sequences and compound clip contents), the one on screen,
+  // the sequence being edited and the compounds open as tabs (see timelines.js)
+  timelines: createInitialTimelines(),
+  activeTimelineId: DEFAULT_SEQUENCE_ID,
+  activeSequenceId: DEFAULT_SEQUENCE_ID,
+  openTimelineIds: [],
+  
+  // Selected items (may span tracks) and the primary one, clicked last
+  selectedItemIds: new Set(),
   selectedItemId: null,
   
+  // Selected empty stretch of a track: {trackId, startTime, endTime} (see gaps.js)
+  selectedGap: null,
+  
+  // How moved clips affect their neighbours (see editModes.js)
+  editMode: DEFAULT_EDIT_MODE,
+  
+  // How times are shown and typed: 'smpte', 'frames' or 'seconds' (see timecode.js)
+  timeDisplay: DEFAULT_TIME_DISPLAY,
+  
+  // Timeline tool: 'select' or 'razor'
+  activeTool: 'select',
+  
+  // Snap dragged clips and trimmed edges to nearby edges (see snapping.js)
+  snappingEnabled: true,
+  
   // Timeline state
   zoom: 1, // pixels per second
   scrollPosition: 0,
   playhead: 0, // current time in seconds
   duration: 0, // total timeline duration
   
+  // In and out points of the timeline on screen (seconds), null when unset
+  inPoint: null,
+  outPoint: null,
+  
   // Playback state
   isPlaying: false,
   playbackRate: 1,
+  shuttleRate: 0, // J/K/L speed while shuttling, negative in reverse; 0 plays at playbackRate
+  
+  // User changes to the default key bindings: command id -> keys (see keymap.js)
+  keyBindings: {},
   
   // Filters - applied via WebGL shader uniforms
   filters: {
@@ -35,8 +371,22 @@ const useEditorStore = create((set, get) => ({
     saturation: 0,   // -100 to 100
   },
   
-  // Add media item to a track
+  // Copied clips (see clipboard.js); not part of the undo history
+  clipboard: null,
+  
+  // Undo/redo stacks (see history.js)
+  history: createHistory(),
+  
+  // Path of the project file on disk (null until first save/open)
+  projectPath: null,
+  
+  // Timestamp of the last save/open; autosave treats that content as clean
+  lastSavedAt: null,
+  
+  // Add media item to a track; returns its id, or null if the track is locked
   addMediaItem: (trackId, item) => {
+    if (isTrackLocked(get().tracks, trackId)) return null;
+    
     const newItem = {
       id: generateId(),
       name: item.name || 'Untitled',
@@ -45,10 +395,12 @@ const useEditorStore = create((set, get) => ({
       thumbnail: item.thumbnail || null,
       startTime: item.startTime || get().duration,
       duration: item.duration || 5, // default 5 seconds for images
+      sourceIn: 0,
+      sourceOut: (item.sourceIn || 0) + (item.duration || 5),
       ...item,
     };
     
-    set((state) => {
+    set(withHistory('Add clip', (state) => {
       const tracks = state.tracks.map(track => {
         if (track.id === trackId) {
           return {
@@ -66,19 +418,22 @@ const useEditorStore = create((set, get) => ({
       );
       
       return { tracks, duration: newDuration };
-    });
+    }, importMergeKey(newItem.id), Infinity));
     
     return newItem.id;
   },
   
-  // Remove media item from a track
+  // Remove media item from a track, with the clips linked to it
   removeMediaItem: (trackId, itemId) => {
-    set((state) => {
+    set(withHistory('Remove clip', (state) => {
+      if (isTrackLocked(state.tracks, trackId)) return null;
+      
+      const removedIds = withLinkedItems(state.tracks, [itemId]);
       const tracks = state.tracks.map(track => {
-        if (track.id === trackId) {
+        if (!track.locked) {
           return {
             ...track,
-            items: track.items.filter(item => item.id !== itemId),
+            items: track.items.filter(item => !removedIds.has(item.id)),
           };
         }
         return track;
@@ -96,45 +451,63 @@ const useEditorStore = create((set, get) => ({
       return {
         tracks,
         duration: maxEndTime,
-        selectedItemId: state.selectedItemId === itemId ? null : state.selectedItemId,
+        ...deselect(state, [...removedIds]),
       };
-    });
+    }));
   },
   
-  // Move item within a track (reorder by changing startTime)
+  // Move item within a track, applying the current edit mode. Linked clips
+  // move by the same amount.
   moveMediaItem: (trackId, itemId, newStartTime) => {
-    set((state) => {
+    set(withHistory('Move clip', (state) => {
+      if (isTrackLocked(state.tracks, trackId)) return null;
+      
+      const linkedIds = withLinkedItems(state.tracks, [itemId]);
+      if (linkedIds.size > 1) {
+        const movedItem = state.tracks
+          .find(track => track.id === trackId)?.items
+          .find(item => item.id === itemId);
+        if (!movedItem) return null;
+        
+        const tracks = moveItemGroup(
+          state.tracks,
+          linkedIds,
+          newStartTime - movedItem.startTime,
+          0,
+          state.editMode,
+          generateId
+        );
+        return tracks ? { tracks, duration: calculateDuration(tracks) } : null;
+      }
+      
       const tracks = state.tracks.map(track => {
         if (track.id === trackId) {
+          const movedItem = track.items.find(item => item.id === itemId);
+          if (!movedItem) return track;
+          
           return {
             ...track,
-            items: track.items.map(item => {
-              if (item.id === itemId) {
-                return { ...item, startTime: Math.max(0, newStartTime) };
-              }
-              return item;
-            }),
+            items: placeItem(
+              track.items.filter(item => item.id !== itemId),
+              movedItem,
+              newStartTime,
+              state.editMode,
+              generateId
+            ),
           };
         }
         return track;
       });
       
-      // Recalculate duration
-      let maxEndTime = 0;
-      tracks.forEach(track => {
-        track.items.forEach(item => {
-          const endTime = item.startTime + item.duration;
-          if (endTime > maxEndTime) maxEndTime = endTime;
-        });
-      });
-      
-      return { tracks, duration: maxEndTime };
-    });
+      return { tracks, duration: calculateDuration(tracks) };
+    }, `move:${itemId}`));
   },
   
   // Reorder items within a track
   reorderItems: (trackId, fromIndex, toIndex) => {
-    set((state) => {
+    set(withHistory('Reorder clips', (state) => {
+      if (isTrackLocked(state.tracks, trackId)) return null;
+      
       const tracks = state.tracks.map(track => {
         if (track.id === trackId) {
           const items = [...track.items];
@@ -164,49 +537,517 @@ const useEditorStore = create((set, get) => ({
       });
       
       return { tracks, duration: maxEndTime };
-    });
+    }, `reorder:${trackId}`));
   },
   
-  // Move item between tracks
+  // Move item between tracks, applying the current edit mode. Linked clips
+  // move by the same time but stay on their own tracks.
   moveItemToTrack: (fromTrackId, toTrackId, itemId, newStartTime) => {
-    set((state) => {
-      let movedItem = null;
+    set(withHistory('Move clip to track', (state) => {
+      if (isTrackLocked(state.tracks, fromTrackId) || isTrackLocked(state.tracks, toTrackId)) {
+        return null;
+      }
+      
+      const movedItem = state.tracks
+        .find(track => track.id === fromTrackId)?.items
+        .find(item => item.id === itemId);
+      if (!movedItem) return null;
+      
+      const linkedIds = withLinkedItems(state.tracks, [itemId]);
+      if (linkedIds.size > 1) {
+        const fromIndex = state.tracks.findIndex(track => track.id === fromTrackId);
+        const toIndex = state.tracks.findIndex(track => track.id === toTrackId);
+        const tracks = moveItemGroup(
+          state.tracks,
+          linkedIds,
+          newStartTime - movedItem.startTime,
+          toIndex - fromIndex,
+          state.editMode,
+          generateId,
+          state.tracks[fromIndex].type
+        );
+        return tracks ? { tracks, duration: calculateDuration(tracks) } : null;
+      }
       
       const tracks = state.tracks.map(track => {
         if (track.id === fromTrackId) {
-          movedItem = track.items.find(item => item.id === itemId);
+          const items = track.items.filter(item => item.id !== itemId);
           return {
             ...track,
-            items: track.items.filter(item => item.id !== itemId),
+            // Ripple closes the gap the clip leaves behind
+            items: state.editMode === EDIT_MODES.RIPPLE ? packItems(items) : items,
           };
         }
         return track;
       }).map(track => {
-        if (track.id === toTrackId && movedItem) {
+        if (track.id === toTrackId) {
           return {
             ...track,
-            items: [...track.items, { ...movedItem, startTime: newStartTime }],
+            items: placeItem(track.items, movedItem, newStartTime, state.editMode, generateId),
           };
         }
         return track;
       });
       
-      // Recalculate duration
-      let maxEndTime = 0;
-      tracks.forEach(track => {
-        track.items.forEach(item => {
-          const endTime = item.startTime + item.duration;
-          if (endTime > maxEndTime) maxEndTime = endTime;
-        });
-      });
+      return { tracks, duration: calculateDuration(tracks) };
+    }));
+  },
+  
+  // Cut an item in two at a timeline time; returns the id of the right part
+  splitItemAt: (itemId, time) => {
+    let created = [];
+    set(withHistory('Split clip', (state) => {
+      const result = splitItemsAt(state.tracks, [itemId], time);
+      created = result.created;
+      return created.length > 0 ? { tracks: result.tracks } : null;
+    }));
+    
+    get().refreshSplitThumbnails(created);
+    return created.length > 0 ? created[0].item.id : null;
+  },
+  
+  // Split at the playhead: the selected clips under the playhead if there are
+  // any, otherwise every clip under the playhead. Returns the number of cuts.
+  splitAtPlayhead: () => {
+    const { tracks, playhead, selectedItemIds } = get();
+    const underPlayhead = tracks
+      .filter(track => !track.locked)
+      .flatMap(track => track.items)
+      .filter(item => canSplitAt(item, playhead))
+      .map(item => item.id);
+    const selectedUnder = underPlayhead.filter(id => selectedItemIds.has(id));
+    const itemIds = selectedUnder.length > 0 ? selectedUnder : underPlayhead;
+    if (itemIds.length === 0) return 0;
+    
+    let created = [];
+    set(withHistory('Split clip', (state) => {
+      const result = splitItemsAt(state.tracks, itemIds, playhead);
+      created = result.created;
+      return created.length > 0 ? { tracks: result.tracks } : null;
+    }));
+    
+    get().refreshSplitThumbnails(created);
+    return created.length;
+  },
+  
+  // The right part of a split starts on a different frame, so render its thumbnail
+  refreshSplitThumbnails: (created) => {
+    created.forEach(({ trackId, item }) => {
+      if (item.type !== 'video' || item.offline) return;
       
-      return { tracks, duration: maxEndTime };
+      loadItemThumbnail(item)
+        .then(result => get().updateItemThumbnail(trackId, item.id, result.thumbnail))
+        .catch(err => console.warn(`Failed to update thumbnail for ${item.name}:`, err));
     });
   },
   
-  // Select an item
-  selectItem: (itemId) => {
-    set({ selectedItemId: itemId });
+  // Active timeline tool: 'select' moves and trims clips, 'razor' splits them on click
+  setActiveTool: (tool) => {
+    if (TIMELINE_TOOLS.includes(tool)) {
+      set({ activeTool: tool });
+    }
+  },
+  
+  // Turn magnetic snapping on or off
+  toggleSnapping: () => set((state) => ({ snappingEnabled: !state.snappingEnabled })),
+  
+  // Edit mode used when clips are moved on the timeline
+  setEditMode: (mode) => {
+    if (isEditMode(mode)) {
+      set({ editMode: mode });
+    }
+  },
+  
+  setTimeDisplay: (display) => {
+    if (isTimeDisplay(display)) {
+      set({ timeDisplay: display });
+    }
+  },
+  
+  // Replace the user's key binding changes and store them in the preferences file
+  setKeyBindings: (overrides) => {
+    const keyBindings = normalizeKeyBindings(overrides);
+    set({ keyBindings });
+    window.electronAPI?.savePreferences({ keyBindings })
+      .catch(err => console.warn('Failed to save key bindings:', err));
+  },
+  
+  // Read the preferences saved by an earlier session
+  loadPreferences: async () => {
+    if (!window.electronAPI) return;
+    
+    const preferences = await window.electronAPI.getPreferences();
+    set({ keyBindings: normalizeKeyBindings(preferences.keyBindings) });
+  },
+  
+  // Add an empty track; returns its id. New video tracks go on top of the
+  // existing ones (composited over them), new audio tracks at the bottom.
+  addTrack: (type = 'video', name = null) => {
+    if (!TRACK_TYPES.includes(type)) return null;
+    
+    const id = `track-${generateId()}`;
+    set(withHistory('Add track', (state) => {
+      const track = createTrack(id, type, name || getNewTrackName(state.tracks, type));
+      const tracks = [...state.tracks];
+      const firstVideo = tracks.findIndex(t => t.type === 'video');
+      
+      if (type === 'video' && firstVideo !== -1) {
+        tracks.splice(firstVideo, 0, track);
+      } else {
+        tracks.push(track);
+      }
+      return { tracks };
+    }));
+    return id;
+  },
+  
+  // Remove a track and its clips. The last remaining track cannot be removed.
+  removeTrack: (trackId) => {
+    set(withHistory('Remove track', (state) => {
+      const removed = state.tracks.find(track => track.id === trackId);
+      if (!removed || state.tracks.length <= 1) return null;
+      
+      const tracks = state.tracks.filter(track => track.id !== trackId);
+      return {
+        tracks,
+        duration: calculateDuration(tracks),
+        ...deselect(state, removed.items.map(item => item.id)),
+      };
+    }));
+  },
+  
+  // Rename a track; blank names are ignored
+  renameTrack: (trackId, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    
+    set(withHistory('Rename track', (state) => ({
+      tracks: state.tracks.map(track => (
+        track.id === trackId ? { ...track, name: trimmed } : track
+      )),
+    })));
+  },
+  
+  // Reorder tracks; this also changes which video track is drawn on top
+  moveTrack: (fromIndex, toIndex) => {
+    set(withHistory('Reorder tracks', (state) => {
+      if (
+        fromIndex === toIndex ||
+        !state.tracks[fromIndex] ||
+        toIndex < 0 ||
+        toIndex >= state.tracks.length
+      ) {
+        return null;
+      }
+      
+      const tracks = [...state.tracks];
+      const [moved] = tracks.splice(fromIndex, 1);
+      tracks.splice(toIndex, 0, moved);
+      return { tracks };
+    }, 'move-track'));
+  },
+  
+  // Flip one of a track's header toggles: locked, muted, solo or hidden
+  toggleTrackFlag: (trackId, flag) => {
+    if (!TRACK_FLAGS.includes(flag)) return;
+    
+    set(withHistory('Change track settings', (state) => ({
+      tracks: state.tracks.map(track => (
+        track.id === trackId ? { ...track, [flag]: !track[flag] } : track
+      )),
+    })));
+  },
+  
+  // Every clip under a timeline time, top track first
+  getAllItemsAtTime: (time) => getAllItemsAtTime(get().tracks, time),
+  
+  // Add a marker (at the playhead unless a time is given); returns its id
+  addMarker: (options = {}) => {
+    const id = `marker-${generateId()}`;
+    set(withHistory('Add marker', (state) => ({
+      markers: sortMarkers([
+        ...state.markers,
+        createMarker(id, state.markers, { time: state.playhead, ...options }),
+      ]),
+    })));
+    return id;
+  },
+  
+  // Add a region over the selected clips, or from the playhead if nothing is
+  // selected; returns its id
+  addRegion: (options = {}) => {
+    const { tracks, selectedItemIds, playhead } = get();
+    const span = getSelectionSpan(tracks, selectedItemIds)
+      || { start: playhead, end: playhead + DEFAULT_REGION_LENGTH };
+    
+    return get().addMarker({ time: span.start, endTime: span.end, ...options });
+  },
+  
+  // Change a marker's name, color, note or region end
+  updateMarker: (markerId, changes) => {
+    set(withHistory('Edit marker', (state) => {
+      if (!state.markers.some(marker => marker.id === markerId)) return null;
+      
+      return {
+        markers: state.markers.map(marker => {
+          if (marker.id !== markerId) return marker;
+          const updated = { ...marker, ...changes };
+          if (updated.endTime != null) {
+            updated.endTime = Math.max(updated.time, updated.endTime);
+          }
+          return updated;
+        }),
+      };
+    }, `marker:${markerId}`));
+  },
+  
+  // Drag a marker to a new time; regions keep their length
+  moveMarker: (markerId, time) => {
+    set(withHistory('Move marker', (state) => {
+      if (!state.markers.some(marker => marker.id === markerId)) return null;
+      
+      return {
+        markers: sortMarkers(state.markers.map(marker => (
+          marker.id === markerId ? moveMarkerTo(marker, time) : marker
+        ))),
+      };
+    }, `move-marker:${markerId}`));
+  },
+  
+  // Delete a marker or region
+  removeMarker: (markerId) => {
+    set(withHistory('Remove marker', (state) => {
+      if (!state.markers.some(marker => marker.id === markerId)) return null;
+      return { markers: state.markers.filter(marker => marker.id !== markerId) };
+    }));
+  },
+  
+  // Jump the playhead to the next/previous marker
+  goToNextMarker: () => {
+    const time = getNextMarkerTime(get().markers, get().playhead);
+    if (time !== null) set({ playhead: time, isPlaying: false });
+  },
+  
+  goToPreviousMarker: () => {
+    const time = getPreviousMarkerTime(get().markers, get().playhead);
+    if (time !== null) set({ playhead: time, isPlaying: false });
+  },
+  
+  // Select an item (null clears the selection). With toggle, add the item to
+  // or remove it from the current selection (Shift/Ctrl-click). Linked clips
+  // are selected and deselected together.
+  selectItem: (itemId, { toggle = false } = {}) => {
+    set((state) => {
+      if (!itemId) return selectionOf([]);
+      
+      const linkedIds = withLinkedItems(state.tracks, [itemId]);
+      if (!toggle) return selectionOf(linkedIds, itemId);
+      
+      const selected = state.selectedItemIds.has(itemId);
+      const next = [...linkedIds].reduce((ids, id) => (
+        ids.has(id) === selected ? toggleInSelection(ids, id) : ids
+      ), state.selectedItemIds);
+      return selectionOf(next, itemId);
+    });
+  },
+  
+  // Replace the selection, or add to it (marquee selection)
+  setSelection: (itemIds, { add = false } = {}) => {
+    set((state) => selectionOf(
+      withLinkedItems(state.tracks, add ? [...state.selectedItemIds, ...itemIds] : itemIds),
+      state.selectedItemId
+    ));
+  },
+  
+  clearSelection: () => set(selectionOf([])),
+  
+  // Move every selected clip by the same time and track offset. With a
+  // trackType, only clips on tracks of that type change track (the linked
+  // audio of dragged video stays on its audio track).
+  moveSelectedItems: (timeDelta, trackDelta = 0, { mergeKey = 'move-selection', trackType = null } = {}) => {
+    set(withHistory('Move clips', (state) => {
+      const tracks = moveItemGroup(
+        state.tracks,
+        state.selectedItemIds,
+        timeDelta,
+        trackDelta,
+        state.editMode,
+        generateId,
+        trackType
+      );
+      return tracks ? { tracks, duration: calculateDuration(tracks) } : null;
+    }, mergeKey));
+  },
+  
+  // Nudge the selection by whole frames of the sequence; repeated nudges are one undo step
+  nudgeSelection: (frames) => {
+    const frameDuration = getFrameDuration(getFrameRate(get()));
+    get().moveSelectedItems(frames * frameDuration, 0, { mergeKey: 'nudge-selection' });
+  },
+  
+  // Copy the selected clips to just after the selection and select the copies
+  duplicateSelectedItems: () => {
+    let copyIds = [];
+    set(withHistory('Duplicate clips', (state) => {
+      const result = duplicateItemGroup(state.tracks, state.selectedItemIds, state.editMode, generateId);
+      if (!result) return null;
+      
+      copyIds = result.copyIds;
+      return {
+        tracks: result.tracks,
+        duration: calculateDuration(result.tracks),
+        ...selectionOf(copyIds),
+      };
+    }));
+    return copyIds;
+  },
+  
+  // Copy the selected clips to the clipboard; returns how many were copied
+  copySelectedItems: () => {
+    const { tracks, selectedItemIds } = get();
+    const clipboard = createClipboard(tracks, selectedItemIds);
+    if (!clipboard) return 0;
+    
+    set({ clipboard });
+    return clipboard.entries.length;
+  },
+  
+  // Copy the selected clips and remove them (clips on locked tracks stay put)
+  cutSelectedItems: () => {
+    const { tracks, selectedItemIds } = get();
+    const clipboard = createClipboard(tracks, selectedItemIds, { skipLocked: true });
+    if (!clipboard) return 0;
+    
+    set({ clipboard });
+    get().removeSelectedItems();
+    return clipboard.entries.length;
+  },
+  
+  // Paste the clipboard at the playhead, applying the current edit mode.
+  // The top-most copied clip goes on the given track, else the selected
+  // clip's track, else the track it was copied from. Returns the new ids.
+  pasteClipboard: (trackId = null) => {
+    let pastedIds = [];
+    set(withHistory('Paste clips', (state) => {
+      const targetTrackId = trackId || state.tracks.find(track => (
+        track.items.some(item => item.id === state.selectedItemId)
+      ))?.id;
+      const result = pasteClipboard(
+        state.tracks,
+        state.clipboard,
+        targetTrackId,
+        state.playhead,
+        state.editMode,
+        generateId
+      );
+      if (!result) return null;
+      
+      pastedIds = result.pastedIds;
+      return {
+        tracks: result.tracks,
+        duration: calculateDuration(result.tracks),
+        ...selectionOf(pastedIds),
+      };
+    }));
+    return pastedIds;
+  },
+  
+  // Link the selected clips so they move, trim and delete together
+  linkSelectedItems: () => {
+    set(withHistory('Link clips', (state) => {
+      const tracks = linkItems(state.tracks, state.selectedItemIds, `link-${generateId()}`);
+      return tracks ? { tracks } : null;
+    }));
+  },
+  
+  // Break the links of the selected clips so they can be edited on their own
+  unlinkSelectedItems: () => {
+    set(withHistory('Unlink clips', (state) => {
+      const tracks = unlinkItems(state.tracks, state.selectedItemIds);
+      return tracks ? { tracks } : null;
+    }));
+  },
+  
+  // Remove every selected clip (clips on locked tracks stay)
+  removeSelectedItems: () => {
+    set(withHistory('Remove clips', (state) => {
+      const { tracks, removedIds } = removeItemGroup(state.tracks, state.selectedItemIds);
+      if (removedIds.length === 0) return null;
+      
+      return {
+        tracks,
+        duration: calculateDuration(tracks),
+        ...deselect(state, removedIds),
+      };
+    }));
+  },
+  
+  // Remove the selected clips and close up after them: later clips on the
+  // same tracks move left by the removed clips' lengths, taking the clips
+  // linked to them along. Nothing happens if linked clips would fall out of sync.
+  rippleDeleteSelectedItems: () => {
+    set(withHistory('Ripple delete', (state) => {
+      const removedIds = getEditableSelection(state.tracks, state.selectedItemIds).map(({ item }) => item.id);
+      if (removedIds.length === 0) return null;
+      
+      const tracks = followLinkedMoves(state.tracks, state.tracks.map(track => (
+        track.locked || !track.items.some(item => removedIds.includes(item.id))
+          ? track
+          : { ...track, items: rippleDeleteItems(track.items, removedIds) }
+      )));
+      if (!tracks) return null;
+      
+      return {
+        tracks,
+        duration: calculateDuration(tracks),
+        ...deselect(state, removedIds),
+      };
+    }));
+  },
+  
+  // Select the empty stretch of a track at a time (clears the clip
+  // selection); returns whether there was a gap there
+  selectGapAt: (trackId, time) => {
+    const track = get().tracks.find(t => t.id === trackId);
+    const gap = track && !track.locked ? getGapAt(track.items, time) : null;
+    set({ ...selectionOf([]), selectedGap: gap && { trackId, ...gap } });
+    return !!gap;
+  },
+  
+  // Remove the selected gap, moving the clips after it (and the clips linked
+  // to them) left
+  removeSelectedGap: () => {
+    set(withHistory('Close gap', (state) => {
+      const gap = state.selectedGap;
+      const track = gap && state.tracks.find(t => t.id === gap.trackId);
+      if (!track || track.locked || !hasGap(track.items, gap)) return null;
+      
+      const tracks = followLinkedMoves(
+        state.tracks,
+        state.tracks.map(t => (t === track ? { ...t, items: closeGap(t.items, gap) } : t))
+      );
+      if (!tracks) return null;
+      
+      return { tracks, duration: calculateDuration(tracks), selectedGap: null };
+    }));
+  },
+  
+  // Remove every gap on some tracks, packing their clips from the start.
+  // Linked clips on other tracks follow.
+  closeTrackGaps: (trackIds) => {
+    set(withHistory('Close gaps', (state) => {
+      const closing = state.tracks.filter(track => (
+        trackIds.includes(track.id) && !track.locked && getTrackGaps(track.items).length > 0
+      ));
+      if (closing.length === 0) return null;
+      
+      const tracks = followLinkedMoves(state.tracks, state.tracks.map(track => (
+        closing.includes(track) ? { ...track, items: closeAllGaps(track.items) } : track
+      )));
+      if (!tracks) return null;
+      
+      return { tracks, duration: calculateDuration(tracks), selectedGap: null };
+    }));
   },
   
   // Get the selected item
@@ -253,27 +1094,40 @@ const useEditorStore = create((set, get) => ({
   },
   
   // Playback controls
-  play: () => set({ isPlaying: true }),
-  pause: () => set({ isPlaying: false }),
-  togglePlayback: () => set((state) => ({ isPlaying: !state.isPlaying })),
+  play: () => set({ isPlaying: true, shuttleRate: 0 }),
+  pause: () => set({ isPlaying: false, shuttleRate: 0 }),
+  togglePlayback: () => set((state) => ({ isPlaying: !state.isPlaying, shuttleRate: 0 })),
+  
+  // Shuttle (L forward, J reverse): play in a direction, one step faster with
+  // each press in the direction already playing
+  shuttle: (direction) => {
+    set((state) => {
+      if (state.duration === 0) return {};
+      
+      const rate = state.isPlaying ? (state.shuttleRate || state.playbackRate) : 0;
+      const speed = Math.sign(rate) === direction ? Math.abs(rate) : 0;
+      const next = SHUTTLE_RATES.find(step => step > speed) ?? SHUTTLE_RATES[SHUTTLE_RATES.length - 1];
+      return { isPlaying: true, shuttleRate: next * direction };
+    });
+  },
+  shuttleForward: () => get().shuttle(1),
+  shuttleReverse: () => get().shuttle(-1),
   
   setPlaybackRate: (rate) => {
     set({ playbackRate: Math.max(0.25, Math.min(4, rate)) });
   },
   
-  // Frame step (at 30fps = 1/30 second per frame)
+  // Frame step by one frame of the sequence
   stepForward: () => {
-    const fps = 30;
     set((state) => ({
-      playhead: Math.min(state.duration, state.playhead + 1 / fps),
+      playhead: Math.min(state.duration, stepFrames(state.playhead, 1, getFrameRate(state))),
       isPlaying: false,
     }));
   },
   
   stepBackward: () => {
-    const fps = 30;
     set((state) => ({
-      playhead: Math.max(0, state.playhead - 1 / fps),
+      playhead: stepFrames(state.playhead, -1, getFrameRate(state)),
       isPlaying: false,
     }));
   },
@@ -282,56 +1136,165 @@ const useEditorStore = create((set, get) => ({
   goToStart: () => set({ playhead: 0, isPlaying: false }),
   goToEnd: () => set((state) => ({ playhead: state.duration, isPlaying: false })),
   
-  // Filter controls
-  setFilter: (filterName, value) => {
+  // In/out points, at the playhead by default. An in point after the out
+  // point (or an out point before the in point) clears the other one.
+  setInPoint: (time = get().playhead) => {
     set((state) => ({
-      filters: {
-        ...state.filters,
-        [filterName]: Math.max(-100, Math.min(100, value)),
-      },
+      inPoint: time,
+      outPoint: state.outPoint !== null && state.outPoint <= time ? null : state.outPoint,
     }));
   },
   
+  setOutPoint: (time = get().playhead) => {
+    set((state) => ({
+      outPoint: time,
+      inPoint: state.inPoint !== null && state.inPoint >= time ? null : state.inPoint,
+    }));
+  },
+  
+  clearInOutPoints: () => set({ inPoint: null, outPoint: null }),
+  
+  goToInPoint: () => {
+    const { inPoint } = get();
+    if (inPoint !== null) set({ playhead: inPoint, isPlaying: false });
+  },
+  
+  goToOutPoint: () => {
+    const { outPoint, duration } = get();
+    if (outPoint !== null) set({ playhead: Math.min(outPoint, duration), isPlaying: false });
+  },
+  
+  // Filter controls
+  setFilter: (filterName, value) => {
+    set(withHistory('Adjust filter', (state) => {
+      const clamped = Math.max(-100, Math.min(100, value));
+      if (state.filters[filterName] === clamped) return null;
+      return {
+        filters: {
+          ...state.filters,
+          [filterName]: clamped,
+        },
+      };
+    }, `filter:${filterName}`));
+  },
+  
+  // One undo step for the whole reset, none if nothing was changed
   resetFilters: () => {
-    set({
-      filters: {
-        brightness: 0,
-        contrast: 0,
-        saturation: 0,
-      },
-    });
+    set(withHistory('Reset filters', (state) => {
+      if (Object.values(state.filters).every(value => value === 0)) return null;
+      return {
+        filters: {
+          brightness: 0,
+          contrast: 0,
+          saturation: 0,
+        },
+      };
+    }));
   },
   
-  // Update item thumbnail
+  // Update item thumbnail, in every sequence holding a copy of the item
   updateItemThumbnail: (trackId, itemId, thumbnail) => {
-    set((state) => ({
-      tracks: state.tracks.map(track => {
-        if (track.id === trackId) {
-          return {
-            ...track,
-            items: track.items.map(item => {
-              if (item.id === itemId) {
-                return { ...item, thumbnail };
-              }
-              return item;
-            }),
-          };
-        }
-        return track;
-      }),
+    set((state) => mapAllTimelineItems(state, (item, track) => {
+      if (track.id === trackId && item.id === itemId) {
+        return { ...item, thumbnail };
+      }
+      return item;
     }));
   },
   
-  // Update item duration
+  // Apply media info read after import (real thumbnail and duration).
+  // This completes the import, so it joins the clip's undo step unless
+  // another edit was made while the media was read.
+  updateItemMedia: (trackId, itemId, { thumbnail, duration }) => {
+    set(withHistory('Add clip', (state) => {
+      if (!state.tracks.find(track => track.id === trackId)?.items.some(item => item.id === itemId)) return null;
+      
+      const tracks = state.tracks.map(track => {
+        if (track.id !== trackId) return track;
+        return {
+          ...track,
+          items: track.items.map(item => {
+            if (item.id !== itemId) return item;
+            if (!duration) {
+              return { ...item, thumbnail: thumbnail || item.thumbnail };
+            }
+            
+            const clipDuration = Math.max(0.1, duration);
+            return {
+              ...item,
+              thumbnail: thumbnail || item.thumbnail,
+              duration: clipDuration,
+              sourceOut: getSourceIn(item) + clipDuration,
+              // Stills report a default duration, not a media length
+              mediaDuration: item.type === 'image' ? item.mediaDuration : duration,
+            };
+          }),
+        };
+      });
+      
+      return { tracks, duration: calculateDuration(tracks) };
+    }, importMergeKey(itemId), Infinity));
+  },
+  
+  // Add the sound of an imported video as a clip linked to it, on the first
+  // unlocked audio track with room for it (or a new one). Like updateItemMedia
+  // this completes the import and joins its undo step.
+  addLinkedAudio: (trackId, itemId) => {
+    const linkId = `link-${generateId()}`;
+    const audioId = generateId();
+    let added = false;
+    
+    set(withHistory('Add clip', (state) => {
+      const videoItem = state.tracks
+        .find(track => track.id === trackId)?.items
+        .find(item => item.id === itemId);
+      if (!videoItem || videoItem.linkId) return null;
+      
+      const start = videoItem.startTime;
+      const end = start + videoItem.duration;
+      const isFree = (track) => track.type === 'audio' && !track.locked && track.items.every(item => (
+        item.startTime + item.duration <= start + 1e-6 || item.startTime >= end - 1e-6
+      ));
+      
+      let tracks = state.tracks;
+      let audioTrack = tracks.find(isFree);
+      if (!audioTrack) {
+        audioTrack = createTrack(`track-${generateId()}`, 'audio', getNewTrackName(tracks, 'audio'));
+        tracks = [...tracks, audioTrack];
+      }
+      
+      const linkedVideo = { ...videoItem, linkId };
+      const audioItem = createLinkedAudio(linkedVideo, audioId);
+      added = true;
+      
+      return {
+        tracks: tracks.map(track => {
+          if (track.id === trackId) {
+            return { ...track, items: track.items.map(item => (item.id === itemId ? linkedVideo : item)) };
+          }
+          if (track.id === audioTrack.id) {
+            return { ...track, items: sortByStart([...track.items, audioItem]) };
+          }
+          return track;
+        }),
+      };
+    }, importMergeKey(itemId), Infinity));
+    
+    return added ? audioId : null;
+  },
+  
+  // Update item duration (moves the clip's out point)
   updateItemDuration: (trackId, itemId, duration) => {
-    set((state) => {
+    set(withHistory('Change clip duration', (state) => {
+      if (isTrackLocked(state.tracks, trackId)) return null;
+      
       const tracks = state.tracks.map(track => {
         if (track.id === trackId) {
           return {
             ...track,
             items: track.items.map(item => {
               if (item.id === itemId) {
-                return { ...item, duration: Math.max(0.1, duration) };
+                return applyTrim(item, 'end', item.startTime + duration);
               }
               return item;
             }),
@@ -340,31 +1303,396 @@ const useEditorStore = create((set, get) => ({
         return track;
       });
       
-      // Recalculate duration
-      let maxEndTime = 0;
-      tracks.forEach(track => {
-        track.items.forEach(item => {
-          const endTime = item.startTime + item.duration;
-          if (endTime > maxEndTime) maxEndTime = endTime;
-        });
+      return { tracks, duration: calculateDuration(tracks) };
+    }, `duration:${itemId}`));
+  },
+  
+  // Drag a clip edge ('start' or 'end') to a timeline time without changing its media.
+  // Ripple mode keeps the track packed; other modes stop at the neighbouring clips.
+  // Linked clips are trimmed by the same amount. While dragging, pass the clip
+  // as it was on mouse down: the time is measured on it.
+  trimItem: (trackId, itemId, edge, time, origin = null) => {
+    set(withHistory('Trim clip', (state) => {
+      if (isTrackLocked(state.tracks, trackId)) return null;
+      
+      const tracks = trimLinkedItems(state.tracks, itemId, edge, time, state.editMode, origin);
+      
+      return { tracks, duration: calculateDuration(tracks) };
+    }, `trim:${itemId}`));
+  },
+  
+  // Slip tool: show another part of a clip's media without moving the clip.
+  // sourceIn is the media time the clip should start on.
+  slipItem: (trackId, itemId, sourceIn) => {
+    set(withHistory('Slip clip', (state) => {
+      const item = state.tracks.find(track => track.id === trackId)?.items.find(i => i.id === itemId);
+      if (!item || isTrackLocked(state.tracks, trackId)) return null;
+      
+      const tracks = editLinkedItems(state.tracks, itemId, sourceIn - getSourceIn(item), slipItem);
+      return tracks ? { tracks } : null;
+    }, `slip:${itemId}`));
+  },
+  
+  // Slide tool: move a clip to a new start time, trimming the clips touching it
+  slideItem: (trackId, itemId, startTime) => {
+    set(withHistory('Slide clip', (state) => {
+      const item = state.tracks.find(track => track.id === trackId)?.items.find(i => i.id === itemId);
+      if (!item || isTrackLocked(state.tracks, trackId)) return null;
+      
+      const tracks = editLinkedItems(state.tracks, itemId, startTime - item.startTime, slideItem);
+      return tracks ? { tracks, duration: calculateDuration(tracks) } : null;
+    }, `slide:${itemId}`));
+  },
+  
+  // Roll tool: move the cut at a clip's 'start' or 'end' edge to a timeline
+  // time, trimming the clip on the other side of the cut to match
+  rollEdit: (trackId, itemId, edge, time) => {
+    set(withHistory('Roll edit', (state) => {
+      const item = state.tracks.find(track => track.id === trackId)?.items.find(i => i.id === itemId);
+      if (!item || isTrackLocked(state.tracks, trackId)) return null;
+      
+      const cut = edge === 'start' ? item.startTime : item.startTime + item.duration;
+      const tracks = editLinkedItems(
+        state.tracks,
+        itemId,
+        time - cut,
+        (items, current, offset) => rollEdit(items, current, edge, offset)
+      );
+      return tracks ? { tracks, duration: calculateDuration(tracks) } : null;
+    }, `roll:${itemId}`));
+  },
+  
+  // Change the speed and/or direction of a clip and the clips linked to it.
+  // changes: { speed, reversed }. Repeated changes are one undo step.
+  setItemSpeed: (trackId, itemId, changes) => {
+    set(withHistory('Change clip speed', (state) => {
+      const item = state.tracks.find(t => t.id === trackId)?.items.find(i => i.id === itemId);
+      if (!item || !canChangeSpeed(item) || isTrackLocked(state.tracks, trackId)) return null;
+      
+      const linkedIds = withLinkedItems(state.tracks, [itemId]);
+      const tracks = state.tracks.map(track => {
+        if (track.locked) return track;
+        
+        const changed = track.items.filter(i => linkedIds.has(i.id) && canChangeSpeed(i));
+        if (changed.length === 0) return track;
+        
+        const items = changed.reduce((current, { id }) => {
+          const target = current.find(i => i.id === id);
+          return target ? applySpeed(current, target, changes, state.editMode, generateId) : current;
+        }, track.items);
+        return { ...track, items };
       });
+      return { tracks, duration: calculateDuration(tracks) };
+    }, `speed:${itemId}`));
+  },
+  
+  // Set a clip property at the playhead. An animated property gets a keyframe
+  // there, any other changes over the whole clip. Dragging a value is one undo step.
+  setItemProperty: (trackId, itemId, key, value) => {
+    set(withHistory('Change clip property', (state) => editItemAnimation(
+      state, trackId, itemId, key,
+      (item, time, tolerance) => (isAnimated(item, key)
+        ? setKeyframe(item, key, time, value, generateId, tolerance)
+        : setPropertyValue(item, key, value))
+    ), `property:${itemId}:${key}`));
+  },
+  
+  // Add a keyframe with the current value at the playhead, or remove the one there
+  toggleItemKeyframe: (trackId, itemId, key) => {
+    set(withHistory('Toggle keyframe', (state) => editItemAnimation(
+      state, trackId, itemId, key,
+      (item, time, tolerance) => {
+        const existing = findKeyframeAt(item, key, time, tolerance);
+        return existing
+          ? removeKeyframe(item, key, existing.id)
+          : setKeyframe(item, key, time, getPropertyValue(item, key, time), generateId, tolerance);
+      }
+    )));
+  },
+  
+  // Change a keyframe's time, value or easing. Dragging a keyframe is one undo step.
+  updateItemKeyframe: (trackId, itemId, key, keyframeId, changes) => {
+    set(withHistory('Edit keyframe', (state) => editItemAnimation(
+      state, trackId, itemId, key,
+      (item) => updateKeyframe(item, key, keyframeId, changes)
+    ), `keyframe:${keyframeId}`));
+  },
+  
+  // Remove a keyframe; a property left without keyframes keeps its value
+  removeItemKeyframe: (trackId, itemId, key, keyframeId) => {
+    set(withHistory('Remove keyframe', (state) => editItemAnimation(
+      state, trackId, itemId, key,
+      (item) => removeKeyframe(item, key, keyframeId)
+    )));
+  },
+  
+  // Collapse the selected clips into a compound clip and select it; returns
+  // the id of the compound's timeline
+  createCompoundClip: (name = null) => {
+    const compoundId = `compound-${generateId()}`;
+    let created = false;
+    set(withHistory('Create compound clip', (state) => {
+      const result = collapseToCompound(state.tracks, state.selectedItemIds, {
+        compoundId,
+        name: name || getNewCompoundName(state.timelines),
+        createId: generateId,
+      });
+      if (!result) return null;
       
-      return { tracks, duration: maxEndTime };
+      created = true;
+      return {
+        tracks: result.tracks,
+        duration: calculateDuration(result.tracks),
+        timelines: { ...state.timelines, [compoundId]: result.timeline },
+        ...selectionOf([result.item.id]),
+      };
+    }));
+    return created ? compoundId : null;
+  },
+  
+  // Show a timeline (a sequence or a compound's contents). Sequences always
+  // have a tab; compounds get one when they are opened.
+  openTimeline: (timelineId) => {
+    set((state) => {
+      const timeline = state.timelines[timelineId];
+      if (!timeline) return {};
+      
+      const openTimelineIds = timeline.kind === 'compound' && !state.openTimelineIds.includes(timelineId)
+        ? [...state.openTimelineIds, timelineId]
+        : state.openTimelineIds;
+      if (timelineId === state.activeTimelineId) return { openTimelineIds };
+      
+      return { ...showTimeline(withActiveTimeline(state), timelineId), openTimelineIds };
     });
   },
   
-  // Clear all items
+  // Close a compound's tab, returning to the sequence being edited if it was on screen
+  closeTimeline: (timelineId) => {
+    if (get().timelines[timelineId]?.kind !== 'compound') return;
+    if (get().activeTimelineId === timelineId) {
+      get().openTimeline(get().activeSequenceId);
+    }
+    set((state) => ({ openTimelineIds: state.openTimelineIds.filter(id => id !== timelineId) }));
+  },
+  
+  // Add an empty sequence and switch to it; returns its id
+  addSequence: (settings = {}) => {
+    const sequenceId = `sequence-${generateId()}`;
+    set(withHistory('New sequence', (state) => showTimeline({
+      ...withActiveTimeline(state),
+      [sequenceId]: createSequence(sequenceId, getNewSequenceName(state.timelines), createDefaultTracks(), settings),
+    }, sequenceId)));
+    return sequenceId;
+  },
+  
+  // Copy a sequence with its settings, tracks and markers and switch to the
+  // copy; returns its id
+  duplicateSequence: (sequenceId) => {
+    const copyId = `sequence-${generateId()}`;
+    let copied = false;
+    set(withHistory('Duplicate sequence', (state) => {
+      const timelines = withActiveTimeline(state);
+      const source = timelines[sequenceId];
+      if (source?.kind !== 'sequence') return null;
+      
+      copied = true;
+      return showTimeline({
+        ...timelines,
+        [copyId]: { ...source, id: copyId, name: `${source.name} copy` },
+      }, copyId);
+    }));
+    return copied ? copyId : null;
+  },
+  
+  // Delete a sequence; the last one cannot be deleted. Deleting the sequence
+  // being edited switches to its neighbour.
+  deleteSequence: (sequenceId) => {
+    set(withHistory('Delete sequence', (state) => {
+      const sequences = getSequences(state.timelines);
+      const index = sequences.findIndex(sequence => sequence.id === sequenceId);
+      if (index === -1 || sequences.length < 2) return null;
+      
+      const timelines = { ...withActiveTimeline(state) };
+      delete timelines[sequenceId];
+      if (sequenceId !== state.activeSequenceId) return { timelines };
+      
+      const neighbour = sequences[index + 1] || sequences[index - 1];
+      return showTimeline(timelines, neighbour.id);
+    }));
+  },
+  
+  // Rename a sequence or change its resolution or frame rate
+  updateSequence: (sequenceId, { name, ...settings }) => {
+    set(withHistory('Edit sequence', (state) => {
+      const sequence = state.timelines[sequenceId];
+      if (sequence?.kind !== 'sequence') return null;
+      
+      return {
+        timelines: {
+          ...state.timelines,
+          [sequenceId]: {
+            ...sequence,
+            name: name ?? sequence.name,
+            settings: normalizeSequenceSettings({ ...sequence.settings, ...settings }, sequence.settings),
+          },
+        },
+      };
+    }, `sequence:${sequenceId}`));
+  },
+  
+  // Clear all items. The project file stays attached, so undoing the clear
+  // brings back content that still saves to the same file.
   clearAll: () => {
-    set({
-      tracks: [
-        { id: 'video-track', name: 'Video Track', type: 'video', items: [] },
-        { id: 'audio-track', name: 'Audio Track', type: 'audio', items: [] },
-      ],
-      selectedItemId: null,
+    set(withHistory('Clear timeline', () => ({
+      tracks: createDefaultTracks(),
+      markers: [],
+      timelines: createInitialTimelines(),
+      activeTimelineId: DEFAULT_SEQUENCE_ID,
+      activeSequenceId: DEFAULT_SEQUENCE_ID,
+      openTimelineIds: [],
+      ...selectionOf([]),
       playhead: 0,
+      inPoint: null,
+      outPoint: null,
       duration: 0,
       isPlaying: false,
+    })));
+  },
+  
+  // Undo/redo
+  undo: () => set(undoHistory),
+  redo: () => set(redoHistory),
+  canUndo: () => get().history.past.length > 0,
+  canRedo: () => get().history.future.length > 0,
+  
+  // Replace the timeline with a project returned by parseProject
+  loadProject: (project) => {
+    const timelines = {};
+    project.sequences.forEach(sequence => {
+      timelines[sequence.id] = {
+        ...createSequence(sequence.id, sequence.name, withPlaceholderThumbnails(sequence.tracks), sequence.settings),
+        markers: sortMarkers(sequence.markers),
+        playhead: sequence.playhead,
+        inPoint: sequence.inPoint,
+        outPoint: sequence.outPoint,
+      };
+    });
+    project.compounds.forEach(compound => {
+      timelines[compound.id] = {
+        ...createTimeline(compound.id, compound.name, 'compound', withPlaceholderThumbnails(compound.tracks)),
+        markers: sortMarkers(compound.markers),
+      };
+    });
+    const view = showTimeline(timelines, project.activeSequenceId);
+    
+    set({
+      ...view,
+      openTimelineIds: [],
+      zoom: Math.max(0.1, Math.min(10, project.zoom)),
+      playhead: Math.min(view.playhead, view.duration),
+      filters: project.filters,
+      history: createHistory(),
     });
+    
+    return get().checkMediaFiles()
+      .catch(err => console.warn('Failed to check media files:', err))
+      .then(() => get().regenerateThumbnails());
+  },
+  
+  // Thumbnails are not stored in project files, so rebuild them from the media.
+  // Pass a list of paths to only rebuild the items using those files.
+  regenerateThumbnails: async (paths = null) => {
+    // Duplicated sequences share items, which only need rendering once
+    const done = new Set();
+    for (const track of getAllTimelineTracks(get())) {
+      for (const item of track.items) {
+        if (item.type === 'audio' || isCompound(item) || item.offline) continue;
+        if (paths && !paths.includes(item.path)) continue;
+        if (done.has(`${track.id}/${item.id}`)) continue;
+        done.add(`${track.id}/${item.id}`);
+        
+        try {
+          const result = await loadItemThumbnail(item);
+          get().updateItemThumbnail(track.id, item.id, result.thumbnail);
+        } catch (err) {
+          console.warn(`Failed to regenerate thumbnail for ${item.name}:`, err);
+        }
+      }
+    }
+  },
+  
+  // Ask the main process which media files exist and flag missing items offline
+  checkMediaFiles: async () => {
+    if (!window.electronAPI) return;
+    
+    const paths = [...new Set(getAllTimelineTracks(get()).flatMap(track => track.items
+      .filter(item => !isCompound(item))
+      .map(item => item.path)))];
+    if (paths.length === 0) return;
+    
+    const results = await window.electronAPI.checkMediaFiles(paths);
+    set((state) => mapAllTimelineItems(state, (item) => {
+      const result = results[item.path];
+      if (!result || isCompound(item)) return item;
+      return {
+        ...item,
+        offline: !result.exists,
+        fileSize: item.fileSize ?? result.size,
+      };
+    }));
+  },
+  
+  // Point every item using a moved file at its new location
+  // relinks: { [oldPath]: newPath }
+  relinkMedia: (relinks) => {
+    set(withHistory('Relink media', (state) => mapAllTimelineItems(state, (item) => {
+      if (!relinks[item.path]) return item;
+      return { ...item, path: relinks[item.path], offline: false };
+    })));
+    
+    return get().regenerateThumbnails(Object.values(relinks));
+  },
+  
+  // Save to the current project file, asking for a location on first save or "Save As"
+  saveProject: async (saveAs = false) => {
+    if (!window.electronAPI) return null;
+    
+    const state = get();
+    const result = await window.electronAPI.saveProject(
+      serializeProject(state),
+      state.projectPath,
+      saveAs
+    );
+    if (result.canceled) return null;
+    
+    set({ projectPath: result.filePath, lastSavedAt: Date.now() });
+    return result.filePath;
+  },
+  
+  // Pick a project file and load it into the editor
+  openProject: async () => {
+    if (!window.electronAPI) return false;
+    
+    const result = await window.electronAPI.openProject();
+    if (result.canceled) return false;
+    
+    const project = parseProject(result.contents);
+    set({ projectPath: result.filePath });
+    get().loadProject(project);
+    set({ lastSavedAt: Date.now() });
+    return true;
+  },
+  
+  // Export the current sequence's cuts as a CMX3600 EDL
+  exportEdl: async () => {
+    if (!window.electronAPI) return null;
+    
+    const sequence = withActiveTimeline(get())[get().activeSequenceId];
+    const result = await window.electronAPI.exportEdl(
+      buildEdl(sequence),
+      `${sequence.name}.${EDL_FILE_EXTENSION}`
+    );
+    return result.canceled ? null : result.filePath;
   },
 }));
 
@@ -0,0 +1,193 @@
+// Waveforms - the min/max peaks of an audio file, decoded once with Web Audio
+// and kept at several resolutions so a clip draws from the level closest to
+// the current zoom instead of scanning every sample.
+
+import useEditorStore from './useEditorStore';
+import { getMediaTimeAt } from './trim';
+import { getAllTimelineTracks } from './timelines';
+
+// Finest level of peaks; coarser levels halve it down to the minimum
+export const PEAKS_PER_SECOND = 128;
+const MIN_PEAKS_PER_SECOND = 1;
+
+// Peaks are stored as whole numbers so the cached files stay small
+const PEAK_SCALE = 127;
+
+const peakLevels = new Map();
+
+/**
+ * Min/max peaks of decoded audio, all channels mixed together
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} peaksPerSecond - Resolution of the peaks
+ * @returns {{peaksPerSecond: number, min: Array<number>, max: Array<number>}} -
+ *   Peaks scaled to -127..127
+ */
+export const computePeaks = (audioBuffer, peaksPerSecond = PEAKS_PER_SECOND) => {
+  const samplesPerPeak = audioBuffer.sampleRate / peaksPerSecond;
+  const length = Math.max(1, Math.ceil(audioBuffer.length / samplesPerPeak));
+  const min = new Array(length).fill(0);
+  const max = new Array(length).fill(0);
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const samples = audioBuffer.getChannelData(channel);
+    for (let peak = 0; peak < length; peak++) {
+      const end = Math.min(samples.length, Math.floor((peak + 1) * samplesPerPeak));
+      for (let i = Math.floor(peak * samplesPerPeak); i < end; i++) {
+        const value = Math.round(samples[i] * PEAK_SCALE);
+        if (value < min[peak]) min[peak] = value;
+        if (value > max[peak]) max[peak] = value;
+      }
+    }
+  }
+
+  return { peaksPerSecond, min, max };
+};
+
+/**
+ * Build the coarser levels from the finest peaks, each half the resolution
+ * of the one before
+ * @param {{peaksPerSecond: number, min: Array<number>, max: Array<number>}} peaks
+ * @returns {Array<{peaksPerSecond: number, min: Array<number>, max: Array<number>}>} -
+ *   Finest first
+ */
+export const buildPeakLevels = (peaks) => {
+  const levels = [peaks];
+  let level = peaks;
+  while (level.peaksPerSecond / 2 >= MIN_PEAKS_PER_SECOND && level.min.length > 1) {
+    const length = Math.ceil(level.min.length / 2);
+    const next = { peaksPerSecond: level.peaksPerSecond / 2, min: new Array(length), max: new Array(length) };
+    for (let i = 0; i < length; i++) {
+      next.min[i] = Math.min(level.min[2 * i], level.min[2 * i + 1] ?? 0);
+      next.max[i] = Math.max(level.max[2 * i], level.max[2 * i + 1] ?? 0);
+    }
+    levels.push(next);
+    level = next;
+  }
+  return levels;
+};
+
+/**
+ * The coarsest level that still has a peak for every pixel
+ * @param {Array} levels - Peak levels, finest first
+ * @param {number} peaksPerSecond - Media seconds' worth of pixels
+ * @returns {Object}
+ */
+export const getPeakLevel = (levels, peaksPerSecond) => (
+  [...levels].reverse().find(level => level.peaksPerSecond >= peaksPerSecond) || levels[0]
+);
+
+/**
+ * Peaks to draw for a stretch of a clip, one per pixel column. The clip's
+ * trim, speed and direction decide which media each column covers.
+ * @param {Array} levels - Peak levels, finest first
+ * @param {Object} item - Timeline item
+ * @param {number} width - Rendered width of the clip (px)
+ * @param {number} from - First column, from the clip's left edge
+ * @param {number} count - Number of columns
+ * @returns {Array<{min: number, max: number}>} - Peaks between -1 and 1
+ */
+export const getWaveformColumns = (levels, item, width, from, count) => {
+  const secondsPerPixel = item.duration / width;
+  const mediaPerPixel = Math.abs(getMediaTimeAt(item, item.startTime + secondsPerPixel) - getMediaTimeAt(item, item.startTime));
+  const level = getPeakLevel(levels, mediaPerPixel > 0 ? 1 / mediaPerPixel : Infinity);
+
+  const columns = [];
+  for (let x = from; x < from + count; x++) {
+    const a = getMediaTimeAt(item, item.startTime + x * secondsPerPixel) * level.peaksPerSecond;
+    const b = getMediaTimeAt(item, item.startTime + (x + 1) * secondsPerPixel) * level.peaksPerSecond;
+    const start = Math.max(0, Math.floor(Math.min(a, b)));
+    const end = Math.min(level.min.length, Math.max(start + 1, Math.ceil(Math.max(a, b))));
+
+    let low = 0;
+    let high = 0;
+    for (let i = start; i < end; i++) {
+      low = Math.min(low, level.min[i]);
+      high = Math.max(high, level.max[i]);
+    }
+    columns.push({ min: low / PEAK_SCALE, max: high / PEAK_SCALE });
+  }
+  return columns;
+};
+
+// Read a media file's bytes: local files through the main process, blob:
+// URLs (files dropped without a path) directly
+const readAudioData = async (path) => {
+  if (window.electronAPI?.readMediaFile && !path.startsWith('blob:')) {
+    const bytes = await window.electronAPI.readMediaFile(path);
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  }
+  const response = await fetch(path);
+  return response.arrayBuffer();
+};
+
+// Decode a media file's audio into peaks, or null without Web Audio (jsdom)
+const decodePeaks = async (path) => {
+  if (typeof OfflineAudioContext === 'undefined') return null;
+
+  const context = new OfflineAudioContext(1, 1, 44100);
+  const audioBuffer = await context.decodeAudioData(await readAudioData(path));
+  return computePeaks(audioBuffer);
+};
+
+/**
+ * Peak levels of a media file. Decoded peaks are cached on disk by the main
+ * process, and every file is decoded at most once per session.
+ * @param {string} path - Audio or video file
+ * @returns {Promise<Array|null>} - Peak levels, finest first, or null if the
+ *   audio can't be decoded here
+ */
+export const loadPeakLevels = (path) => {
+  if (peakLevels.has(path)) return peakLevels.get(path);
+
+  const api = window.electronAPI;
+  const levels = (async () => {
+    const cached = api?.getPeaks ? await api.getPeaks(path) : null;
+    if (cached) return buildPeakLevels(cached);
+
+    const peaks = await decodePeaks(path);
+    if (!peaks) return null;
+    if (api?.savePeaks && !path.startsWith('blob:')) {
+      api.savePeaks(path, peaks).catch(err => console.warn('Failed to cache waveform:', err));
+    }
+    return buildPeakLevels(peaks);
+  })();
+
+  // A file that failed to decode may be relinked, so try again next time
+  levels.catch(() => peakLevels.delete(path));
+  peakLevels.set(path, levels);
+  return levels;
+};
+
+/**
+ * Forget the peaks decoded this session
+ */
+export const clearPeakLevels = () => {
+  peakLevels.clear();
+};
+
+/**
+ * Keep the main process told which media files the project uses. It only
+ * lets the renderer read those for waveforms.
+ * @returns {Function} - Stops updating
+ */
+export const startMediaAccess = () => {
+  const api = window.electronAPI;
+  if (!api?.setProjectMedia) return () => {};
+
+  let sentKey = null;
+  const update = (state) => {
+    const paths = [...new Set(getAllTimelineTracks(state).flatMap(track => track.items
+      .map(item => item.path)
+      .filter(path => path && !path.startsWith('blob:'))))].sort();
+    const key = JSON.stringify(paths);
+    if (key === sentKey) return;
+
+    sentKey = key;
+    api.setProjectMedia(paths).catch(err => console.warn('Failed to update project media:', err));
+  };
+
+  update(useEditorStore.getState());
+  return useEditorStore.subscribe((state, prevState) => {
+    if (state.tracks !== prevState.tracks || state.timelines !== prevState.timelines) update(state);
+  });
+};
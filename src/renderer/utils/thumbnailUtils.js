@@ -206,7 +206,7 @@ export async function generateThumbnail(path, type) {
     } else if (type === 'image' || isImageFile(path)) {
       return await generateImageThumbnail(path);
     } else if (type === 'audio' || isAudioFile(path)) {
-      // Return null for audio files - they'll use a placeholder
+      // Return null for audio files - timeline clips draw their waveform instead
       return null;
     }
     return null;
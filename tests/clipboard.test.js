@@ -0,0 +1,120 @@
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import { createTrack } from '../src/renderer/store/tracks';
+import { createClipboard, pasteClipboard } from '../src/renderer/store/clipboard';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { clip, layout, createId, resetIds, getTrack, addClip } from './fixtures';
+
+beforeEach(() => {
+  resetIds();
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+    useEditorStore.setState({ clipboard: null });
+  });
+});
+
+describe('clipboard helpers', () => {
+  const v1 = { ...createTrack('v1', 'video', 'Video 1'), items: [clip('a', 2, 3, { sourceIn: 4, sourceOut: 7 })] };
+  const v2 = { ...createTrack('v2', 'video', 'Video 2'), items: [clip('b', 6, 2)] };
+  const a1 = { ...createTrack('a1', 'audio', 'Audio 1'), items: [] };
+
+  test('remembers spacing and relative tracks', () => {
+    const clipboard = createClipboard([v1, v2], new Set(['a', 'b']));
+
+    expect(clipboard.entries.map(entry => [entry.item.id, entry.trackOffset, entry.timeOffset]))
+      .toEqual([['a', 0, 0], ['b', 1, 4]]);
+  });
+
+  test('pastes with new ids relative to the target track, keeping trims', () => {
+    const clipboard = createClipboard([v1, v2], new Set(['a', 'b']));
+    const { tracks, pastedIds } = pasteClipboard([v1, v2, a1], clipboard, 'v1', 10, EDIT_MODES.OVERWRITE, createId);
+
+    expect(pastedIds).toEqual(['new-1', 'new-2']);
+    expect(layout(tracks[0].items)).toEqual([['a', 2, 3], ['new-1', 10, 3]]);
+    expect(tracks[0].items[1]).toMatchObject({ sourceIn: 4, sourceOut: 7 });
+    expect(layout(tracks[1].items)).toEqual([['b', 6, 2], ['new-2', 14, 2]]);
+  });
+
+  test('falls back to a track of the right type', () => {
+    const clipboard = createClipboard([v1, v2], new Set(['b']));
+    // Audio 1 cannot take a video clip, so it goes back to Video 2
+    const { tracks } = pasteClipboard([v1, v2, a1], clipboard, 'a1', 0, EDIT_MODES.OVERWRITE, createId);
+
+    expect(layout(tracks[1].items)).toEqual([['new-1', 0, 2], ['b', 6, 2]]);
+    expect(tracks[2].items).toHaveLength(0);
+  });
+});
+
+describe('store clipboard', () => {
+  test('paste respects ripple mode', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 4);
+    addClip('video-track', 'b.mp4', 4, 4);
+    act(() => {
+      useEditorStore.getState().setEditMode(EDIT_MODES.RIPPLE);
+      useEditorStore.getState().selectItem(a);
+      useEditorStore.getState().copySelectedItems();
+      useEditorStore.getState().setPlayhead(3);
+      useEditorStore.getState().pasteClipboard();
+    });
+
+    const items = getTrack('video-track').items;
+    expect(items.map(item => [item.name, item.startTime])).toEqual([['a.mp4', 0], ['a.mp4', 4], ['b.mp4', 8]]);
+  });
+
+  test('paste overwrites in overwrite mode and selects the pasted clips', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    addClip('video-track', 'b.mp4', 4, 6);
+    let pastedIds;
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      useEditorStore.getState().copySelectedItems();
+      useEditorStore.getState().setPlayhead(5);
+      pastedIds = useEditorStore.getState().pasteClipboard();
+    });
+
+    expect(getTrack('video-track').items.map(item => [item.name, item.startTime, item.duration]))
+      .toEqual([['a.mp4', 0, 2], ['b.mp4', 4, 1], ['a.mp4', 5, 2], ['b.mp4', 7, 3]]);
+    expect([...useEditorStore.getState().selectedItemIds]).toEqual(pastedIds);
+  });
+
+  test('cut removes the clips and paste brings them back in one undo step each', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    const music = addClip('audio-track', 'music.mp3', 1, 3);
+    act(() => {
+      useEditorStore.getState().setSelection([a, music]);
+      useEditorStore.getState().cutSelectedItems();
+    });
+    expect(useEditorStore.getState().tracks.every(track => track.items.length === 0)).toBe(true);
+
+    act(() => {
+      useEditorStore.getState().setPlayhead(0);
+      useEditorStore.getState().pasteClipboard();
+    });
+    expect(layout(getTrack('audio-track').items)).toEqual([[expect.any(String), 1, 3]]);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getTrack('audio-track').items).toHaveLength(0);
+  });
+});
+
+describe('TimelinePanel clipboard shortcuts', () => {
+  test('Ctrl+C and Ctrl+V paste at the playhead, Ctrl+X cuts', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      useEditorStore.getState().setPlayhead(1);
+    });
+    render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'c', ctrlKey: true });
+    act(() => useEditorStore.getState().setPlayhead(2));
+    fireEvent.keyDown(window, { key: 'v', ctrlKey: true });
+    expect(getTrack('video-track').items.map(item => item.startTime)).toEqual([0, 2]);
+
+    fireEvent.keyDown(window, { key: 'x', ctrlKey: true });
+    expect(getTrack('video-track').items.map(item => item.startTime)).toEqual([0]);
+  });
+});
@@ -0,0 +1,216 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import { createTrack } from '../src/renderer/store/tracks';
+import { DEFAULT_SEQUENCE_ID, createTimeline } from '../src/renderer/store/timelines';
+import {
+  collapseToCompound,
+  getRenderLayersAtTime,
+  getRenderAudioAtTime,
+} from '../src/renderer/store/compounds';
+import { serializeProject, parseProject } from '../src/renderer/store/projectFile';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { trimmedClip, createId, resetIds, getTrack, addClip } from './fixtures';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  generateThumbnail: jest.fn(() => Promise.resolve({ thumbnail: 'data:image/jpeg;base64,frame' })),
+  createPlaceholderThumbnail: jest.fn(() => 'data:image/png;base64,placeholder'),
+}));
+
+const compoundClip = (id, compoundId, startTime, duration, sourceIn = 0) => ({
+  id, name: id, path: '', type: 'compound', compoundId, startTime, duration, sourceIn, sourceOut: sourceIn + duration,
+});
+
+beforeEach(() => {
+  resetIds();
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+  });
+});
+
+describe('compound helpers', () => {
+  test('collapses the selection into a clip and a timeline of its own', () => {
+    const v1 = { ...createTrack('v1', 'video', 'Video 1'), items: [trimmedClip('a', 2, 3), trimmedClip('b', 6, 2)] };
+    const a1 = { ...createTrack('a1', 'audio', 'Audio 1'), items: [trimmedClip('music', 3, 4, { type: 'audio' })] };
+
+    const { tracks, timeline, item } = collapseToCompound([v1, a1], new Set(['a', 'music']), {
+      compoundId: 'c1', name: 'Compound 1', createId,
+    });
+
+    // b overlaps the span on the video track, so it goes inside whole
+    expect(item).toMatchObject({ type: 'compound', compoundId: 'c1', startTime: 2, duration: 6, mediaDuration: 6 });
+    expect(tracks[0].items.map(i => [i.id, i.startTime, i.duration])).toEqual([[item.id, 2, 6]]);
+    expect(tracks[1].items).toHaveLength(0);
+
+    expect(timeline).toMatchObject({ id: 'c1', name: 'Compound 1', kind: 'compound' });
+    expect(timeline.tracks.map(track => track.type)).toEqual(['video', 'audio']);
+    expect(timeline.tracks[0].items.map(i => [i.id, i.startTime])).toEqual([['a', 0], ['b', 4]]);
+    expect(timeline.tracks[1].items.map(i => [i.id, i.startTime])).toEqual([['music', 1]]);
+  });
+
+  test('takes unselected clips between the selected ones along', () => {
+    const v1 = { ...createTrack('v1', 'video', 'Video 1'), items: [trimmedClip('a', 0, 5), trimmedClip('b', 5, 5), trimmedClip('c', 10, 5)] };
+    const v2 = { ...createTrack('v2', 'video', 'Video 2'), items: [trimmedClip('title', 4, 3)] };
+
+    const { tracks, timeline, item } = collapseToCompound([v1, v2], new Set(['a', 'c']), {
+      compoundId: 'c1', name: 'Compound 1', createId,
+    });
+
+    expect(tracks[0].items.map(i => [i.id, i.startTime, i.duration])).toEqual([[item.id, 0, 15]]);
+    expect(timeline.tracks[0].items.map(i => [i.id, i.startTime])).toEqual([['a', 0], ['b', 5], ['c', 10]]);
+    // Only the compound's own track is covered by it
+    expect(tracks[1].items.map(i => i.id)).toEqual(['title']);
+  });
+
+  test('renders compound contents at the right time offset', () => {
+    const inner = createTimeline('c1', 'Compound 1', 'compound', [
+      { ...createTrack('i1', 'video', 'Video'), items: [trimmedClip('title.png', 0, 2, { type: 'image' }), trimmedClip('a.mp4', 2, 4)] },
+      { ...createTrack('i2', 'audio', 'Audio'), items: [trimmedClip('music.mp3', 0, 6, { type: 'audio' })] },
+    ]);
+    const bottom = { ...createTrack('v2', 'video', 'Video 2'), items: [trimmedClip('bg.mp4', 0, 20)] };
+    // Trimmed to start 1s into the compound, placed at 10s
+    const top = { ...createTrack('v1', 'video', 'Video 1'), items: [compoundClip('cc', 'c1', 10, 5, 1)] };
+    const timelines = { c1: inner };
+
+    const layers = getRenderLayersAtTime([top, bottom], timelines, 12);
+    expect(layers.map(layer => layer.id)).toEqual(['bg.mp4', 'cc/a.mp4']);
+    // The media time works out the same as for a clip on the outer timeline
+    expect(12 - layers[1].startTime + layers[1].sourceIn).toBe(1);
+
+    expect(getRenderLayersAtTime([top, bottom], timelines, 10.5).map(layer => layer.id)).toEqual(['bg.mp4', 'cc/title.png']);
+    expect(getRenderAudioAtTime([top], timelines, 12).map(item => item.id)).toEqual(['cc/music.mp3']);
+    expect(getRenderAudioAtTime([{ ...top, muted: true }], timelines, 12)).toHaveLength(0);
+  });
+
+  test('stops at a compound that contains itself', () => {
+    const loop = createTimeline('c1', 'Loop', 'compound', [
+      { ...createTrack('i1', 'video', 'Video'), items: [compoundClip('self', 'c1', 0, 5)] },
+    ]);
+    const track = { ...createTrack('v1', 'video', 'Video 1'), items: [compoundClip('cc', 'c1', 0, 5)] };
+
+    expect(getRenderLayersAtTime([track], { c1: loop }, 1)).toEqual([]);
+  });
+});
+
+describe('store compound clips', () => {
+  test('creating a compound is one undo step and selects the new clip', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    const music = addClip('audio-track', 'music.mp3', 1, 3);
+    let compoundId;
+    act(() => {
+      useEditorStore.getState().setSelection([a, music]);
+      compoundId = useEditorStore.getState().createCompoundClip();
+    });
+
+    const state = useEditorStore.getState();
+    expect(state.timelines[compoundId]).toMatchObject({ name: 'Compound 1', kind: 'compound' });
+    expect(getTrack('video-track').items).toEqual([expect.objectContaining({ type: 'compound', compoundId, duration: 4 })]);
+    expect([...state.selectedItemIds]).toEqual([getTrack('video-track').items[0].id]);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getTrack('video-track').items.map(item => item.name)).toEqual(['a.mp4']);
+    expect(useEditorStore.getState().timelines[compoundId]).toBeUndefined();
+  });
+
+  test('opening a compound edits its contents in their own tab', () => {
+    const a = addClip('video-track', 'a.mp4', 4, 2);
+    let compoundId;
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      compoundId = useEditorStore.getState().createCompoundClip('Intro');
+      useEditorStore.getState().setPlayhead(5);
+      useEditorStore.getState().openTimeline(compoundId);
+    });
+
+    let state = useEditorStore.getState();
+    expect(state.activeTimelineId).toBe(compoundId);
+    expect(state.openTimelineIds).toEqual([compoundId]);
+    expect(state.playhead).toBe(0);
+    expect(state.tracks[0].items.map(item => [item.name, item.startTime])).toEqual([['a.mp4', 0]]);
+
+    // Make the compound's contents longer
+    act(() => {
+      useEditorStore.getState().addMediaItem(state.tracks[0].id, {
+        name: 'b.mp4', path: '/media/b.mp4', type: 'video', startTime: 2, duration: 3,
+      });
+      useEditorStore.getState().closeTimeline(compoundId);
+    });
+
+    state = useEditorStore.getState();
+    expect(state.activeTimelineId).toBe(DEFAULT_SEQUENCE_ID);
+    expect(state.openTimelineIds).toEqual([]);
+    expect(state.playhead).toBe(5);
+    expect(state.timelines[compoundId].tracks[0].items).toHaveLength(2);
+    // The clip can now be trimmed out to the new end of its contents
+    expect(getTrack('video-track').items[0]).toMatchObject({ duration: 2, mediaDuration: 5 });
+  });
+
+  test('undo returns to the tab the edit was made in', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    let compoundId;
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      compoundId = useEditorStore.getState().createCompoundClip();
+      useEditorStore.getState().openTimeline(compoundId);
+    });
+    const innerTrackId = useEditorStore.getState().tracks[0].id;
+    act(() => {
+      useEditorStore.getState().addMediaItem(innerTrackId, {
+        name: 'b.mp4', path: '/media/b.mp4', type: 'video', startTime: 2, duration: 3,
+      });
+      useEditorStore.getState().openTimeline(DEFAULT_SEQUENCE_ID);
+      useEditorStore.getState().undo();
+    });
+
+    const state = useEditorStore.getState();
+    expect(state.activeTimelineId).toBe(compoundId);
+    expect(state.tracks[0].items.map(item => item.name)).toEqual(['a.mp4']);
+  });
+
+  test('projects keep compounds and save the sequence while a compound is open', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    let compoundId;
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      compoundId = useEditorStore.getState().createCompoundClip('Intro');
+      useEditorStore.getState().openTimeline(compoundId);
+    });
+
+    const project = parseProject(JSON.stringify(serializeProject(useEditorStore.getState())));
+    expect(project.sequences[0].tracks[0].items.map(item => item.type)).toEqual(['compound']);
+    expect(project.compounds).toEqual([
+      expect.objectContaining({ id: compoundId, name: 'Intro', tracks: [expect.objectContaining({ type: 'video' })] }),
+    ]);
+
+    act(() => {
+      useEditorStore.getState().clearAll();
+      useEditorStore.getState().loadProject(project);
+    });
+    const state = useEditorStore.getState();
+    expect(state.activeTimelineId).toBe(DEFAULT_SEQUENCE_ID);
+    expect(state.timelines[compoundId].tracks[0].items.map(item => item.name)).toEqual(['a.mp4']);
+  });
+});
+
+describe('TimelinePanel compound clips', () => {
+  test('Ctrl+G collapses the selection and double-click opens it in a tab', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    act(() => useEditorStore.getState().selectItem(a));
+    render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'g', ctrlKey: true });
+    fireEvent.doubleClick(screen.getByText('Compound 1'));
+
+    expect(screen.getByRole('tab', { name: /Compound 1/ })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByText('a.mp4')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('tab', { name: /Sequence 1/ }));
+    expect(screen.getByRole('tab', { name: /Sequence 1/ })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.queryByText('a.mp4')).toBeNull();
+
+    fireEvent.click(screen.getByTitle('Close Compound 1'));
+    expect(screen.queryByRole('tab', { name: /Compound 1/ })).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES, placeItem, packItems, splitItem } from '../src/renderer/store/editModes';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { clip, layout, createId, resetIds, addClip } from './fixtures';
+
+beforeEach(() => {
+  resetIds();
+});
+
+describe('editModes', () => {
+  const track = [clip('a', 0, 10), clip('b', 10, 10), clip('c', 25, 5)];
+  const moved = clip('m', 0, 4);
+
+  test('splitItem keeps the media offset of the right part', () => {
+    const [left, right] = splitItem(clip('a', 10, 10, { sourceIn: 2 }), 13, 'a2');
+
+    expect(left).toMatchObject({ id: 'a', startTime: 10, duration: 3, sourceIn: 2 });
+    expect(right).toMatchObject({ id: 'a2', startTime: 13, duration: 7, sourceIn: 5 });
+  });
+
+  test('packItems lays clips out back-to-back', () => {
+    expect(layout(packItems(track))).toEqual([['a', 0, 10], ['b', 10, 10], ['c', 20, 5]]);
+  });
+
+  test('ripple orders the clip by drop position and removes gaps', () => {
+    const items = placeItem(track, moved, 12, EDIT_MODES.RIPPLE, createId);
+
+    expect(layout(items)).toEqual([['a', 0, 10], ['m', 10, 4], ['b', 14, 10], ['c', 24, 5]]);
+  });
+
+  test('insert splits the clip under the drop point and pushes later clips right', () => {
+    const items = placeItem(track, moved, 15, EDIT_MODES.INSERT, createId);
+
+    expect(layout(items)).toEqual([
+      ['a', 0, 10], ['b', 10, 5], ['m', 15, 4], ['new-1', 19, 5], ['c', 29, 5],
+    ]);
+    expect(items[3].sourceIn).toBe(5);
+  });
+
+  test('insert into a gap keeps the gap before the clip', () => {
+    const items = placeItem(track, moved, 21, EDIT_MODES.INSERT, createId);
+
+    expect(layout(items)).toEqual([['a', 0, 10], ['b', 10, 10], ['m', 21, 4], ['c', 29, 5]]);
+  });
+
+  test('overwrite trims clips the moved clip partly covers', () => {
+    const items = placeItem(track, moved, 8, EDIT_MODES.OVERWRITE, createId);
+
+    expect(layout(items)).toEqual([['a', 0, 8], ['m', 8, 4], ['b', 12, 8], ['c', 25, 5]]);
+    expect(items[2].sourceIn).toBe(2);
+  });
+
+  test('overwrite removes covered clips and splits the clip it lands inside', () => {
+    const covered = placeItem(track, clip('m', 0, 6), 24, EDIT_MODES.OVERWRITE, createId);
+    expect(layout(covered)).toEqual([['a', 0, 10], ['b', 10, 10], ['m', 24, 6]]);
+
+    const inside = placeItem(track, moved, 2, EDIT_MODES.OVERWRITE, createId);
+    expect(layout(inside)).toEqual([
+      ['a', 0, 2], ['m', 2, 4], ['new-1', 6, 4], ['b', 10, 10], ['c', 25, 5],
+    ]);
+    expect(inside[2].sourceIn).toBe(6);
+  });
+});
+
+describe('useEditorStore edit modes', () => {
+  const getVideoItems = () => useEditorStore.getState().tracks[0].items;
+
+  beforeEach(() => {
+    act(() => {
+      useEditorStore.getState().clearAll();
+      useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+    });
+  });
+
+  test('defaults to ripple and ignores unknown modes', () => {
+    expect(useEditorStore.getInitialState().editMode).toBe(EDIT_MODES.RIPPLE);
+
+    act(() => useEditorStore.getState().setEditMode('sideways'));
+    expect(useEditorStore.getState().editMode).toBe(EDIT_MODES.OVERWRITE);
+  });
+
+  test('moving a clip leaves a gap behind it', () => {
+    addClip('video-track', 'a.mp4', 0, 5);
+    const b = addClip('video-track', 'b.mp4', 5, 5);
+
+    act(() => useEditorStore.getState().moveMediaItem('video-track', b, 12));
+
+    expect(getVideoItems().map(item => item.startTime)).toEqual([0, 12]);
+    expect(useEditorStore.getState().duration).toBe(17);
+  });
+
+  test('ripple moves repack the track', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    addClip('video-track', 'b.mp4', 8, 5);
+    act(() => useEditorStore.getState().setEditMode(EDIT_MODES.RIPPLE));
+
+    act(() => useEditorStore.getState().moveMediaItem('video-track', a, 20));
+
+    expect(getVideoItems().map(item => [item.name, item.startTime])).toEqual([['b.mp4', 0], ['a.mp4', 5]]);
+  });
+
+  test('insert moves to another track push its clips right', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    act(() => {
+      useEditorStore.getState().addMediaItem('audio-track', {
+        name: 'music.mp3', path: '/media/music.mp3', type: 'audio', startTime: 2, duration: 10,
+      });
+      useEditorStore.getState().setEditMode(EDIT_MODES.INSERT);
+    });
+
+    act(() => useEditorStore.getState().moveItemToTrack('video-track', 'audio-track', a, 0));
+
+    const audioItems = useEditorStore.getState().tracks[1].items;
+    expect(audioItems.map(item => [item.name, item.startTime])).toEqual([['a.mp4', 0], ['music.mp3', 7]]);
+  });
+
+  test('an overwrite is undone in one step', () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    const b = addClip('video-track', 'b.mp4', 10, 4);
+
+    act(() => useEditorStore.getState().moveMediaItem('video-track', b, 3));
+    expect(getVideoItems()).toHaveLength(3);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems().map(item => [item.name, item.startTime, item.duration])).toEqual([
+      ['a.mp4', 0, 10], ['b.mp4', 10, 4],
+    ]);
+  });
+
+  test('the timeline toolbar switches the edit mode', () => {
+    render(<TimelinePanel />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Insert' }));
+
+    expect(useEditorStore.getState().editMode).toBe(EDIT_MODES.INSERT);
+    expect(screen.getByRole('button', { name: 'Insert' })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
@@ -0,0 +1,100 @@
+import { act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { buildEdl, getPictureSegments } from '../src/renderer/store/edl';
+
+const getState = () => useEditorStore.getState();
+
+const a = { id: 'a', name: 'a.mp4', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 4, sourceIn: 10 };
+const b = { id: 'b', name: 'b.mp4', path: '/media/b.mp4', type: 'video', startTime: 4, duration: 2, speed: 2 };
+const title = { id: 't', name: 'title.png', path: '/media/title.png', type: 'image', startTime: 2, duration: 1 };
+const audio = { id: 'a-audio', name: 'a.mp4', path: '/media/a.mp4', type: 'audio', startTime: 0, duration: 4, sourceIn: 10 };
+
+const sequence = (changes = {}) => ({
+  name: 'Sequence 1',
+  settings: { width: 1920, height: 1080, fps: 25 },
+  tracks: [
+    { id: 'video-2', type: 'video', items: [title], ...changes.titleTrack },
+    { id: 'video-track', type: 'video', items: [a, b] },
+    { id: 'audio-track', type: 'audio', items: [audio] },
+  ],
+});
+
+afterEach(() => {
+  delete window.electronAPI;
+});
+
+describe('EDL export', () => {
+  test('the picture is the top visible clip at each moment', () => {
+    expect(getPictureSegments(sequence().tracks).map(({ item, startTime, endTime }) => [item.id, startTime, endTime]))
+      .toEqual([['a', 0, 2], ['t', 2, 3], ['a', 3, 4], ['b', 4, 6]]);
+
+    // With the title hidden the clip below is one stretch again
+    expect(getPictureSegments(sequence({ titleTrack: { hidden: true } }).tracks).map(({ item, startTime, endTime }) => [item.id, startTime, endTime]))
+      .toEqual([['a', 0, 4], ['b', 4, 6]]);
+  });
+
+  test('events list source and record timecode in record order', () => {
+    expect(buildEdl(sequence()).split('\n')).toEqual([
+      'TITLE: Sequence 1',
+      'FCM: NON-DROP FRAME',
+      '',
+      '001  AX       V     C        00:00:10:00 00:00:12:00 00:00:00:00 00:00:02:00',
+      '* FROM CLIP NAME: a.mp4',
+      '* SOURCE FILE: /media/a.mp4',
+      '',
+      '002  AX       A     C        00:00:10:00 00:00:14:00 00:00:00:00 00:00:04:00',
+      '* FROM CLIP NAME: a.mp4',
+      '* SOURCE FILE: /media/a.mp4',
+      '',
+      '003  AX       V     C        00:00:00:00 00:00:01:00 00:00:02:00 00:00:03:00',
+      '* FROM CLIP NAME: title.png',
+      '* SOURCE FILE: /media/title.png',
+      '',
+      '004  AX       V     C        00:00:13:00 00:00:14:00 00:00:03:00 00:00:04:00',
+      '* FROM CLIP NAME: a.mp4',
+      '* SOURCE FILE: /media/a.mp4',
+      '',
+      '005  AX       V     C        00:00:00:00 00:00:02:00 00:00:04:00 00:00:06:00',
+      'M2   AX       050.0                00:00:00:00',
+      '* FROM CLIP NAME: b.mp4',
+      '* SOURCE FILE: /media/b.mp4',
+      '',
+    ]);
+  });
+
+  test('drop-frame sequences use drop-frame timecode; reversed clips a negative speed', () => {
+    const edl = buildEdl({
+      name: 'NTSC',
+      settings: { fps: 29.97 },
+      tracks: [{ id: 'v', type: 'video', items: [{ ...b, startTime: 60, reversed: true, speed: 1 }] }],
+    });
+
+    expect(edl).toContain('FCM: DROP FRAME');
+    // Source timecode runs backwards from where the M2 line starts playback
+    expect(edl).toMatch(/^001 {2}AX {7}V {5}C {8}00:00:02;00 00:00:00;00 00:00:59;28 00:01:02;00$/m);
+    expect(edl).toMatch(/^M2 {3}AX {7}-030\.0 {15}00:00:02;00$/m);
+  });
+
+  test('reversed clips with a speed change start from the last media they show', () => {
+    const reversed = { ...a, duration: 2, sourceIn: 10, sourceOut: 14, speed: 2, reversed: true };
+    const edl = buildEdl({ name: 'Reverse', settings: { fps: 25 }, tracks: [{ id: 'v', type: 'video', items: [reversed] }] });
+
+    expect(edl.split('\n').slice(3, 5)).toEqual([
+      '001  AX       V     C        00:00:14:00 00:00:12:00 00:00:00:00 00:00:02:00',
+      'M2   AX       -050.0               00:00:14:00',
+    ]);
+  });
+
+  test('the current sequence is saved through the main process', async () => {
+    window.electronAPI = { exportEdl: jest.fn(() => Promise.resolve({ canceled: false, filePath: '/out/Sequence 1.edl' })) };
+    act(() => {
+      getState().clearAll();
+      getState().addMediaItem('video-track', { name: 'a.mp4', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 2 });
+    });
+
+    expect(await getState().exportEdl()).toBe('/out/Sequence 1.edl');
+    const [contents, defaultName] = window.electronAPI.exportEdl.mock.calls[0];
+    expect(defaultName).toBe('Sequence 1.edl');
+    expect(contents).toContain('001  AX       V     C        00:00:00:00 00:00:02:00 00:00:00:00 00:00:02:00');
+  });
+});
@@ -0,0 +1,99 @@
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import { createVideoFrameGrabber } from '../src/renderer/store/thumbnailGenerator';
+import { getFilmstripFrames, getCachedFrame, loadFrame, clearFrameCache } from '../src/renderer/store/filmstrip';
+import Filmstrip from '../src/renderer/components/Timeline/Filmstrip';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  createVideoFrameGrabber: jest.fn(),
+}));
+
+const capture = jest.fn((time) => Promise.resolve(`data:frame-${time}`));
+const dispose = jest.fn();
+
+const clip = (changes = {}) => ({ id: 'a', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 10, thumbnail: 'data:thumb', ...changes });
+
+beforeEach(() => {
+  clearFrameCache();
+  capture.mockClear();
+  dispose.mockClear();
+  createVideoFrameGrabber.mockClear();
+  createVideoFrameGrabber.mockImplementation(() => ({ capture, dispose }));
+});
+
+describe('filmstrip layout', () => {
+  test('frames tile the clip; zooming in keeps the frames already shown', () => {
+    expect(getFilmstripFrames(clip(), 160, 80)).toEqual([
+      { left: 0, width: 80, time: 4 },
+      { left: 80, width: 80, time: 8 },
+    ]);
+    expect(getFilmstripFrames(clip(), 320, 80).map(frame => frame.time)).toEqual([2, 4, 6, 8]);
+
+    // The last frame is cut to the clip's width
+    expect(getFilmstripFrames(clip(), 200, 80).map(frame => frame.width)).toEqual([80, 80, 40]);
+  });
+
+  test('frame times follow the clip\'s trim, speed and direction', () => {
+    expect(getFilmstripFrames(clip({ sourceIn: 20 }), 160, 80).map(frame => frame.time)).toEqual([24, 28]);
+    expect(getFilmstripFrames(clip({ speed: 2 }), 160, 80).map(frame => frame.time)).toEqual([8, 16]);
+    expect(getFilmstripFrames(clip({ reversed: true }), 160, 80).map(frame => frame.time)).toEqual([8, 4]);
+  });
+});
+
+describe('frame cache', () => {
+  test('each frame is captured once and the file is closed when idle', async () => {
+    const first = loadFrame('/media/a.mp4', 2);
+    const again = loadFrame('/media/a.mp4', 2);
+    const other = loadFrame('/media/a.mp4', 4);
+
+    expect(await first).toBe('data:frame-2');
+    expect(await again).toBe('data:frame-2');
+    expect(await other).toBe('data:frame-4');
+    expect(capture).toHaveBeenCalledTimes(2);
+    expect(createVideoFrameGrabber).toHaveBeenCalledTimes(1);
+    expect(dispose).toHaveBeenCalledTimes(1);
+
+    expect(getCachedFrame('/media/a.mp4', 2)).toBe('data:frame-2');
+    expect(getCachedFrame('/media/b.mp4', 2)).toBeNull();
+    expect(await loadFrame('/media/a.mp4', 2)).toBe('data:frame-2');
+    expect(capture).toHaveBeenCalledTimes(2);
+  });
+
+  test('a failed capture is not cached', async () => {
+    capture.mockImplementationOnce(() => Promise.reject(new Error('Failed to load video')));
+
+    await expect(loadFrame('/media/a.mp4', 2)).rejects.toThrow('Failed to load video');
+    expect(getCachedFrame('/media/a.mp4', 2)).toBeNull();
+    expect(await loadFrame('/media/a.mp4', 2)).toBe('data:frame-2');
+  });
+});
+
+describe('Filmstrip', () => {
+  let observers;
+
+  beforeEach(() => {
+    observers = [];
+    global.IntersectionObserver = jest.fn(function IntersectionObserver(callback) {
+      this.observe = (element) => observers.push({ element, callback });
+      this.disconnect = jest.fn();
+    });
+  });
+
+  afterEach(() => {
+    delete global.IntersectionObserver;
+  });
+
+  test('frames are captured as they scroll into view', async () => {
+    const { container } = render(<Filmstrip item={clip()} width={160} />);
+
+    const images = () => [...container.querySelectorAll('.filmstrip-frame img')].map(img => img.getAttribute('src'));
+    expect(images()).toEqual(['data:thumb', 'data:thumb']);
+    expect(capture).not.toHaveBeenCalled();
+
+    await act(async () => {
+      observers[1].callback([{ isIntersecting: true, target: observers[1].element }]);
+    });
+    expect(capture).toHaveBeenCalledWith(8);
+    expect(images()).toEqual(['data:thumb', 'data:frame-8']);
+  });
+});
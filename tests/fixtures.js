@@ -0,0 +1,38 @@
+// Clips and store helpers shared by the timeline test suites
+import { act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+
+// A video clip for the store helpers; pass a type, trims or flags in extra
+export const clip = (id, startTime, duration, extra = {}) => ({
+  id, name: id, path: `/media/${id}`, type: 'video', startTime, duration, ...extra,
+});
+
+// A clip trimmed out of 20s of media, for trim, slip and speed tests
+export const trimmedClip = (id, startTime, duration, extra = {}) => {
+  const sourceIn = extra.sourceIn ?? 0;
+  return clip(id, startTime, duration, { sourceIn, sourceOut: sourceIn + duration, mediaDuration: 20, ...extra });
+};
+
+// Clips as [id, startTime, duration], easy to compare in one expectation
+export const layout = (items) => items.map(item => [item.id, item.startTime, item.duration]);
+
+// Ids for the helpers that create clips: new-1, new-2, ... Call resetIds
+// before each test so expected ids don't depend on test order.
+let nextId = 1;
+export const createId = () => `new-${nextId++}`;
+export const resetIds = () => {
+  nextId = 1;
+};
+
+export const getTrack = (trackId) => useEditorStore.getState().tracks.find(track => track.id === trackId);
+
+// Add a clip of the track's type to the store; returns its id
+export const addClip = (trackId, name, startTime, duration, extra = {}) => {
+  let id;
+  act(() => {
+    id = useEditorStore.getState().addMediaItem(trackId, {
+      name, path: `/media/${name}`, type: getTrack(trackId).type, startTime, duration, ...extra,
+    });
+  });
+  return id;
+};
@@ -0,0 +1,157 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { getTrackGaps, getGapAt, closeGap, closeAllGaps, rippleDeleteItems } from '../src/renderer/store/gaps';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { clip, addClip, getTrack } from './fixtures';
+
+const getState = () => useEditorStore.getState();
+
+const startTimes = () => getState().tracks[0].items.map(item => [item.name, item.startTime]);
+
+beforeEach(() => {
+  act(() => {
+    getState().clearAll();
+    getState().setEditMode('overwrite');
+  });
+});
+
+describe('gaps', () => {
+  const items = [clip('a', 2, 3), clip('b', 5, 2), clip('c', 10, 1)];
+
+  test('finds the empty stretches before and between clips', () => {
+    expect(getTrackGaps(items)).toEqual([
+      { startTime: 0, endTime: 2 },
+      { startTime: 7, endTime: 10 },
+    ]);
+    expect(getGapAt(items, 8)).toEqual({ startTime: 7, endTime: 10 });
+    expect(getGapAt(items, 6)).toBeNull();
+    expect(getGapAt(items, 12)).toBeNull();
+  });
+
+  test('closing a gap moves only the clips after it', () => {
+    expect(closeGap(items, { startTime: 7, endTime: 10 }).map(item => item.startTime)).toEqual([2, 5, 7]);
+    expect(closeAllGaps(items).map(item => item.startTime)).toEqual([0, 3, 5]);
+  });
+
+  test('ripple delete closes up after each removed clip and keeps other gaps', () => {
+    expect(rippleDeleteItems(items, ['a']).map(item => [item.id, item.startTime])).toEqual([['b', 2], ['c', 7]]);
+    expect(rippleDeleteItems(items, ['a', 'b']).map(item => [item.id, item.startTime])).toEqual([['c', 5]]);
+  });
+});
+
+describe('delete operations', () => {
+  test('delete leaves a gap; ripple delete closes it', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 3);
+    addClip('video-track', 'b.mp4', 3, 2);
+
+    act(() => {
+      getState().selectItem(a);
+      getState().removeSelectedItems();
+    });
+    expect(startTimes()).toEqual([['b.mp4', 3]]);
+
+    act(() => getState().undo());
+    act(() => {
+      getState().selectItem(a);
+      getState().rippleDeleteSelectedItems();
+    });
+    expect(startTimes()).toEqual([['b.mp4', 0]]);
+    expect(getState().duration).toBe(2);
+  });
+
+  test('a selected gap is removed like a clip', () => {
+    addClip('video-track', 'a.mp4', 0, 2);
+    addClip('video-track', 'b.mp4', 5, 2);
+
+    act(() => {
+      expect(getState().selectGapAt('video-track', 3)).toBe(true);
+    });
+    expect(getState().selectedGap).toEqual({ trackId: 'video-track', startTime: 2, endTime: 5 });
+
+    act(() => getState().removeSelectedGap());
+    expect(startTimes()).toEqual([['a.mp4', 0], ['b.mp4', 2]]);
+    expect(getState().selectedGap).toBeNull();
+  });
+
+  test('closing a track\'s gaps packs it from the start', () => {
+    addClip('video-track', 'a.mp4', 1, 2);
+    addClip('video-track', 'b.mp4', 6, 2);
+
+    act(() => getState().closeTrackGaps(['video-track']));
+    expect(startTimes()).toEqual([['a.mp4', 0], ['b.mp4', 2]]);
+
+    // Nothing left to close is not an undo step
+    const steps = getState().history.past.length;
+    act(() => getState().closeTrackGaps(['video-track']));
+    expect(getState().history.past).toHaveLength(steps);
+  });
+});
+
+describe('gap edits on linked clips', () => {
+  const startsOf = (trackId) => getTrack(trackId).items.map(item => [item.name, item.startTime]);
+
+  // A video clip with its sound linked to it on the audio track
+  const addFootage = (name, startTime, duration) => {
+    const id = addClip('video-track', name, startTime, duration);
+    act(() => getState().addLinkedAudio('video-track', id));
+    return id;
+  };
+
+  test('closing a gap moves the linked audio along', () => {
+    addFootage('a.mp4', 2, 3);
+
+    act(() => {
+      getState().selectGapAt('video-track', 1);
+      getState().removeSelectedGap();
+    });
+    expect(startsOf('video-track')).toEqual([['a.mp4', 0]]);
+    expect(startsOf('audio-track')).toEqual([['a.mp4', 0]]);
+  });
+
+  test('ripple delete moves the clips linked to the clips after it', () => {
+    const x = addClip('video-track', 'x.mp4', 0, 2);
+    addFootage('a.mp4', 2, 3);
+
+    act(() => {
+      getState().selectItem(x);
+      getState().rippleDeleteSelectedItems();
+    });
+    expect(startsOf('video-track')).toEqual([['a.mp4', 0]]);
+    expect(startsOf('audio-track')).toEqual([['a.mp4', 0]]);
+  });
+
+  test('an edit that would pull linked clips out of sync does nothing', () => {
+    addClip('audio-track', 'music.mp3', 0, 2);
+    addFootage('a.mp4', 2, 3);
+    const steps = getState().history.past.length;
+
+    // The linked audio can't move left over the music
+    act(() => getState().closeTrackGaps(['video-track']));
+    expect(startsOf('video-track')).toEqual([['a.mp4', 2]]);
+    expect(getState().history.past).toHaveLength(steps);
+  });
+});
+
+describe('TimelinePanel gaps', () => {
+  test('Shift+Delete ripple deletes and Delete closes a selected gap', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 2);
+    addClip('video-track', 'b.mp4', 4, 2);
+    addClip('video-track', 'c.mp4', 8, 2);
+    render(<TimelinePanel />);
+
+    act(() => getState().selectItem(a));
+    fireEvent.keyDown(window, { key: 'Delete', shiftKey: true });
+    expect(startTimes()).toEqual([['b.mp4', 2], ['c.mp4', 6]]);
+
+    act(() => {
+      getState().selectGapAt('video-track', 5);
+    });
+    expect(document.querySelector('.track-gap.selected')).toBeInTheDocument();
+    fireEvent.keyDown(window, { key: 'Delete' });
+    expect(startTimes()).toEqual([['b.mp4', 2], ['c.mp4', 4]]);
+
+    fireEvent.click(screen.getByTitle('Close all gaps on this track'));
+    expect(startTimes()).toEqual([['b.mp4', 0], ['c.mp4', 2]]);
+  });
+});
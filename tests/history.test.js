@@ -0,0 +1,204 @@
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import {
+  createHistory,
+  recordHistory,
+  HISTORY_LIMIT,
+  MERGE_WINDOW_MS,
+} from '../src/renderer/store/history';
+
+const getVideoItems = () => useEditorStore.getState().tracks.find(t => t.id === 'video-track').items;
+
+const addClip = (name, duration = 5) => {
+  let id;
+  act(() => {
+    id = useEditorStore.getState().addMediaItem('video-track', { name, type: 'video', duration });
+  });
+  return id;
+};
+
+beforeEach(() => {
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.setState({ history: createHistory() });
+  });
+});
+
+describe('recordHistory', () => {
+  const state = { tracks: [], duration: 0, filters: {}, selectedItemId: null };
+
+  test('merges changes with the same key inside the merge window', () => {
+    let history = recordHistory(createHistory(), state, 'Adjust filter', 'filter:brightness', 1000);
+    history = recordHistory(history, { ...state, duration: 1 }, 'Adjust filter', 'filter:brightness', 1200);
+
+    expect(history.past).toHaveLength(1);
+    expect(history.past[0].snapshot.duration).toBe(0);
+  });
+
+  test('does not merge changes outside the merge window', () => {
+    let history = recordHistory(createHistory(), state, 'Adjust filter', 'filter:brightness', 1000);
+    history = recordHistory(history, state, 'Adjust filter', 'filter:brightness', 1000 + MERGE_WINDOW_MS + 1);
+
+    expect(history.past).toHaveLength(2);
+  });
+
+  test('caps the number of entries', () => {
+    let history = createHistory();
+    for (let i = 0; i < HISTORY_LIMIT + 20; i++) {
+      history = recordHistory(history, { ...state, duration: i }, 'Change');
+    }
+
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0].snapshot.duration).toBe(20);
+  });
+});
+
+describe('Store undo/redo', () => {
+  test('undoes and redoes adding an item', () => {
+    addClip('clip.mp4');
+
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()).toHaveLength(0);
+    expect(useEditorStore.getState().duration).toBe(0);
+
+    act(() => useEditorStore.getState().redo());
+    expect(getVideoItems()).toHaveLength(1);
+    expect(useEditorStore.getState().duration).toBe(5);
+  });
+
+  test('restores a removed item and its selection', () => {
+    const id = addClip('clip.mp4');
+    act(() => {
+      useEditorStore.getState().selectItem(id);
+      useEditorStore.getState().removeMediaItem('video-track', id);
+    });
+
+    act(() => useEditorStore.getState().undo());
+
+    expect(getVideoItems()[0].id).toBe(id);
+    expect(useEditorStore.getState().selectedItemId).toBe(id);
+  });
+
+  test('undoes reorder, move to track and duration changes', () => {
+    const first = addClip('first.mp4', 5);
+    addClip('second.mp4', 10);
+
+    act(() => useEditorStore.getState().reorderItems('video-track', 0, 1));
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()[0].id).toBe(first);
+
+    act(() => useEditorStore.getState().moveItemToTrack('video-track', 'audio-track', first, 2));
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems().map(i => i.id)).toContain(first);
+
+    act(() => useEditorStore.getState().updateItemDuration('video-track', first, 20));
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()[0].duration).toBe(5);
+  });
+
+  test('merges a slider drag into a single undo step', () => {
+    act(() => {
+      [10, 20, 30, 40].forEach(value => useEditorStore.getState().setFilter('brightness', value));
+    });
+
+    expect(useEditorStore.getState().history.past).toHaveLength(1);
+
+    act(() => useEditorStore.getState().undo());
+    expect(useEditorStore.getState().filters.brightness).toBe(0);
+  });
+
+  test('resetting the filters is one undo step, and unchanged filters are none', () => {
+    act(() => {
+      useEditorStore.getState().setFilter('brightness', 0);
+      useEditorStore.getState().resetFilters();
+    });
+    expect(useEditorStore.getState().history.past).toHaveLength(0);
+
+    act(() => {
+      useEditorStore.getState().setFilter('brightness', 20);
+      useEditorStore.getState().setFilter('contrast', -10);
+      useEditorStore.getState().setFilter('saturation', 5);
+    });
+    const steps = useEditorStore.getState().history.past.length;
+
+    act(() => useEditorStore.getState().resetFilters());
+    expect(useEditorStore.getState().history.past).toHaveLength(steps + 1);
+    expect(useEditorStore.getState().filters).toEqual({ brightness: 0, contrast: 0, saturation: 0 });
+
+    act(() => useEditorStore.getState().undo());
+    expect(useEditorStore.getState().filters).toEqual({ brightness: 20, contrast: -10, saturation: 5 });
+  });
+
+  test('undoes clearing the timeline', () => {
+    addClip('clip.mp4');
+    act(() => useEditorStore.getState().clearAll());
+    act(() => useEditorStore.getState().undo());
+
+    expect(getVideoItems()).toHaveLength(1);
+  });
+
+  test('clearing and undoing keep the project file', () => {
+    act(() => useEditorStore.setState({ projectPath: '/projects/demo.aiproj' }));
+    addClip('clip.mp4');
+    act(() => useEditorStore.getState().clearAll());
+    expect(useEditorStore.getState().projectPath).toBe('/projects/demo.aiproj');
+
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()).toHaveLength(1);
+    expect(useEditorStore.getState().projectPath).toBe('/projects/demo.aiproj');
+  });
+
+  test('undoing an edit in a closed tab reopens the tab', () => {
+    const id = addClip('clip.mp4');
+    let compoundId;
+    act(() => {
+      useEditorStore.getState().selectItem(id);
+      compoundId = useEditorStore.getState().createCompoundClip();
+      useEditorStore.getState().openTimeline(compoundId);
+    });
+    addClip('inner.mp4');
+    act(() => useEditorStore.getState().closeTimeline(compoundId));
+    act(() => useEditorStore.getState().undo());
+
+    const state = useEditorStore.getState();
+    expect(state.activeTimelineId).toBe(compoundId);
+    expect(state.openTimelineIds).toEqual([compoundId]);
+  });
+
+  test('a new change discards the redo stack', () => {
+    addClip('first.mp4');
+    act(() => useEditorStore.getState().undo());
+    addClip('second.mp4');
+
+    expect(useEditorStore.getState().canRedo()).toBe(false);
+  });
+
+  test('media info from import is not an undo step', () => {
+    const id = addClip('clip.mp4');
+    act(() => {
+      useEditorStore.getState().updateItemMedia('video-track', id, { thumbnail: 'data:thumb', duration: 42 });
+    });
+
+    expect(useEditorStore.getState().history.past).toHaveLength(1);
+    expect(useEditorStore.getState().duration).toBe(42);
+  });
+});
+
+describe('TimelinePanel undo shortcuts', () => {
+  test('Ctrl+Z undoes and Ctrl+Shift+Z redoes', () => {
+    render(<TimelinePanel />);
+    addClip('clip.mp4');
+
+    act(() => {
+      fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    });
+    expect(getVideoItems()).toHaveLength(0);
+
+    act(() => {
+      fireEvent.keyDown(window, { key: 'Z', ctrlKey: true, shiftKey: true });
+    });
+    expect(getVideoItems()).toHaveLength(1);
+  });
+});
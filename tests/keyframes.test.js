@@ -0,0 +1,208 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import {
+  getPropertyKeys,
+  getPropertyValue,
+  getClipProperties,
+  setKeyframe,
+  removeKeyframe,
+} from '../src/renderer/store/keyframes';
+import { EDIT_MODES, splitItem } from '../src/renderer/store/editModes';
+import { applyTrim } from '../src/renderer/store/trim';
+import { applySpeed } from '../src/renderer/store/speed';
+import { serializeProject, parseProject } from '../src/renderer/store/projectFile';
+import ClipProperties from '../src/renderer/components/Preview/ClipProperties';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { addClip } from './fixtures';
+
+const keyframe = (id, time, value, easing = 'linear') => ({ id, time, value, easing });
+
+// Fades in over the first 2s of a 10s clip, then holds
+const fading = {
+  id: 'fade',
+  name: 'fade.mp4',
+  path: '/media/fade.mp4',
+  type: 'video',
+  startTime: 5,
+  duration: 10,
+  sourceIn: 0,
+  sourceOut: 10,
+  mediaDuration: 20,
+  keyframes: { opacity: [keyframe('k1', 0, 0), keyframe('k2', 2, 100)] },
+};
+
+const getState = () => useEditorStore.getState();
+const getVideoItem = () => getState().tracks[0].items[0];
+
+beforeEach(() => {
+  act(() => {
+    getState().clearAll();
+    getState().setEditMode(EDIT_MODES.OVERWRITE);
+  });
+});
+
+describe('keyframe evaluation', () => {
+  test('interpolates between keyframes and holds outside them', () => {
+    expect(getPropertyValue(fading, 'opacity', -1)).toBe(0);
+    expect(getPropertyValue(fading, 'opacity', 0.5)).toBe(25);
+    expect(getPropertyValue(fading, 'opacity', 5)).toBe(100);
+  });
+
+  test('hold and bezier easing shape the change to the next keyframe', () => {
+    const held = { ...fading, keyframes: { opacity: [keyframe('k1', 0, 0, 'hold'), keyframe('k2', 2, 100)] } };
+    expect(getPropertyValue(held, 'opacity', 1.99)).toBe(0);
+    expect(getPropertyValue(held, 'opacity', 2)).toBe(100);
+
+    const eased = { ...fading, keyframes: { opacity: [keyframe('k1', 0, 0, 'bezier'), keyframe('k2', 2, 100)] } };
+    expect(getPropertyValue(eased, 'opacity', 1)).toBeCloseTo(50);
+    expect(getPropertyValue(eased, 'opacity', 0.5)).toBeLessThan(25);
+    expect(getPropertyValue(eased, 'opacity', 1.5)).toBeGreaterThan(75);
+  });
+
+  test('properties without keyframes use their static value or default', () => {
+    const item = { ...fading, properties: { scale: 150 } };
+    expect(getClipProperties(item, 1)).toMatchObject({ opacity: 50, scale: 150, rotation: 0 });
+    expect(getPropertyKeys({ type: 'audio' })).toEqual(['volume']);
+    expect(getPropertyKeys({ type: 'compound' })).toEqual([]);
+  });
+
+  test('setting a value at a keyframe changes it and removing the last keeps its value', () => {
+    let item = setKeyframe(fading, 'opacity', 2.0005, 80, () => 'new');
+    expect(item.keyframes.opacity.map(k => [k.id, k.value])).toEqual([['k1', 0], ['k2', 80]]);
+
+    item = setKeyframe(item, 'opacity', 1, 500, () => 'k3');
+    expect(item.keyframes.opacity.map(k => [k.id, k.value])).toEqual([['k1', 0], ['k3', 100], ['k2', 80]]);
+
+    const single = { ...fading, keyframes: { opacity: [keyframe('k1', 1, 40)] } };
+    const removed = removeKeyframe(single, 'opacity', 'k1');
+    expect(removed.keyframes.opacity).toBeUndefined();
+    expect(removed.properties.opacity).toBe(40);
+  });
+});
+
+describe('keyframes follow clip edits', () => {
+  test('split halves keep showing the same animation', () => {
+    const [left, right] = splitItem(fading, 6, 'right');
+
+    expect(getPropertyValue(left, 'opacity', 0.5)).toBe(25);
+    expect(getPropertyValue(right, 'opacity', 0)).toBe(50);
+    expect(getPropertyValue(right, 'opacity', 1)).toBe(100);
+    expect(right.keyframes.opacity.map(k => k.time)).toEqual([-1, 1]);
+  });
+
+  test('trimming the start keeps keyframes on the same media', () => {
+    const trimmed = applyTrim(fading, 'start', 6);
+    expect(trimmed.keyframes.opacity.map(k => k.time)).toEqual([-1, 1]);
+    expect(applyTrim(fading, 'end', 10).keyframes).toBe(fading.keyframes);
+  });
+
+  test('speed changes stretch the keyframes with the clip', () => {
+    const [slowed] = applySpeed([fading], fading, { speed: 0.5 }, EDIT_MODES.RIPPLE, () => 'new');
+    expect(slowed.keyframes.opacity.map(k => k.time)).toEqual([0, 4]);
+  });
+});
+
+describe('store keyframes', () => {
+  test('values change the whole clip until a property has keyframes', () => {
+    const id = addClip('video-track', 'a.mp4', 2, 10, { mediaDuration: 20 });
+    act(() => getState().setItemProperty('video-track', id, 'opacity', 60));
+    expect(getVideoItem().properties.opacity).toBe(60);
+
+    act(() => {
+      getState().setPlayhead(4);
+      getState().toggleItemKeyframe('video-track', id, 'opacity');
+      getState().setPlayhead(7);
+      getState().setItemProperty('video-track', id, 'opacity', 10);
+    });
+
+    expect(getVideoItem().keyframes.opacity.map(k => [k.time, k.value])).toEqual([[2, 60], [5, 10]]);
+
+    // Toggling again at a keyframe removes it
+    act(() => getState().toggleItemKeyframe('video-track', id, 'opacity'));
+    expect(getVideoItem().keyframes.opacity).toHaveLength(1);
+  });
+
+  test('dragging a keyframe is one undo step and stays inside the clip', () => {
+    const id = addClip('video-track', 'a.mp4', 0, 4, { mediaDuration: 20 });
+    act(() => getState().toggleItemKeyframe('video-track', id, 'scale'));
+    const keyframeId = getVideoItem().keyframes.scale[0].id;
+    const before = getState().history.past.length;
+
+    act(() => {
+      getState().updateItemKeyframe('video-track', id, 'scale', keyframeId, { time: 1 });
+      getState().updateItemKeyframe('video-track', id, 'scale', keyframeId, { time: 9, easing: 'hold' });
+    });
+
+    expect(getVideoItem().keyframes.scale[0]).toMatchObject({ time: 4, easing: 'hold' });
+    expect(getState().history.past.length).toBe(before + 1);
+  });
+
+  test('clips on locked tracks and missing properties are left alone', () => {
+    const id = addClip('video-track', 'a.mp4', 0, 4, { mediaDuration: 20 });
+    act(() => getState().setItemProperty('video-track', id, 'volume', 20));
+    expect(getVideoItem().properties).toBeUndefined();
+
+    act(() => {
+      getState().toggleTrackFlag('video-track', 'locked');
+      getState().setItemProperty('video-track', id, 'opacity', 20);
+    });
+    expect(getVideoItem().properties).toBeUndefined();
+  });
+
+  test('animation survives a save and load, invalid keyframes do not', () => {
+    const id = addClip('video-track', 'a.mp4', 0, 4, { mediaDuration: 20 });
+    act(() => getState().toggleItemKeyframe('video-track', id, 'rotation'));
+
+    const saved = serializeProject(getState());
+    saved.timeline.sequences[0].tracks[0].items[0].keyframes.opacity = [{ time: 'soon', value: 5 }];
+    const project = parseProject(JSON.stringify(saved));
+
+    expect(project.sequences[0].tracks[0].items[0].keyframes).toEqual({
+      rotation: [expect.objectContaining({ time: 0, value: 0, easing: 'linear' })],
+    });
+  });
+});
+
+describe('keyframe UI', () => {
+  test('the properties panel edits values and keyframes at the playhead', () => {
+    const handlers = {
+      onChange: jest.fn(),
+      onToggleKeyframe: jest.fn(),
+      onKeyframeChange: jest.fn(),
+      onSeek: jest.fn(),
+    };
+    render(<ClipProperties item={fading} time={2} {...handlers} />);
+
+    fireEvent.change(screen.getByLabelText('Scale'), { target: { value: '120' } });
+    expect(handlers.onChange).toHaveBeenCalledWith('scale', 120);
+
+    fireEvent.click(screen.getByTitle('Remove Opacity keyframe'));
+    expect(handlers.onToggleKeyframe).toHaveBeenCalledWith('opacity');
+
+    fireEvent.change(screen.getByLabelText('Opacity easing'), { target: { value: 'bezier' } });
+    expect(handlers.onKeyframeChange).toHaveBeenCalledWith('opacity', 'k2', { easing: 'bezier' });
+
+    fireEvent.click(screen.getByTitle('Previous Opacity keyframe'));
+    expect(handlers.onSeek).toHaveBeenCalledWith(5);
+    expect(screen.getByTitle('Next Opacity keyframe')).toBeDisabled();
+  });
+
+  test('timeline clips expand a keyframe lane and click to a keyframe', () => {
+    const id = addClip('video-track', 'a.mp4', 2, 10, { mediaDuration: 20 });
+    act(() => {
+      getState().setPlayhead(3);
+      getState().toggleItemKeyframe('video-track', id, 'rotation');
+      getState().setPlayhead(0);
+    });
+    render(<TimelinePanel />);
+
+    expect(screen.queryByTitle(/^Rotation 0 at/)).toBeNull();
+    fireEvent.click(screen.getByTitle('Show keyframes'));
+
+    const diamond = screen.getByTitle('Rotation 0 at 00:00:01:00 (linear)');
+    fireEvent.mouseDown(diamond, { clientX: 100 });
+    fireEvent.mouseUp(window);
+    expect(getState().playhead).toBe(3);
+  });
+});
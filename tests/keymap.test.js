@@ -0,0 +1,211 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import preferences from '../src/main/preferences';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import {
+  normalizeCombo,
+  getEventCombo,
+  getKeyBindings,
+  normalizeKeyBindings,
+  findConflicts,
+  assignKeyBinding,
+  removeKeyBinding,
+  resetKeyBinding,
+} from '../src/renderer/store/keymap';
+import { serializeProject, parseProject } from '../src/renderer/store/projectFile';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import KeyBindingsDialog from '../src/renderer/components/KeyBindingsDialog';
+
+const getState = () => useEditorStore.getState();
+
+const addClip = () => act(() => {
+  getState().addMediaItem('video-track', { name: 'a.mp4', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 10 });
+});
+
+beforeEach(() => {
+  act(() => {
+    getState().clearAll();
+    getState().pause();
+    getState().setKeyBindings({});
+  });
+});
+
+describe('keymap', () => {
+  test('combos are spelled one way whatever the event or text', () => {
+    expect(normalizeCombo('shift+cmd+z')).toBe('Ctrl+Shift+Z');
+    expect(normalizeCombo('Ctrl++')).toBe('Ctrl++');
+    expect(normalizeCombo('Shift+=')).toBe('=');
+    expect(normalizeCombo('shift+space')).toBe('Shift+Space');
+    expect(normalizeCombo('Hyper+K')).toBeNull();
+    expect(normalizeCombo('Shift')).toBeNull();
+
+    expect(getEventCombo({ key: 'Z', ctrlKey: true, shiftKey: true })).toBe('Ctrl+Shift+Z');
+    expect(getEventCombo({ key: 'm' })).toBe('M');
+    expect(getEventCombo({ key: '+', shiftKey: true })).toBe('+');
+    expect(getEventCombo({ key: 'ArrowLeft', altKey: true, shiftKey: true })).toBe('Alt+Shift+ArrowLeft');
+    expect(getEventCombo({ key: 'Control', ctrlKey: true })).toBeNull();
+  });
+
+  test('the default keys have no conflicts', () => {
+    expect(findConflicts(getKeyBindings())).toEqual({});
+  });
+
+  test('assigning a taken key moves it; overrides can be reset', () => {
+    const overrides = assignKeyBinding({}, 'edit.split', 'M');
+    const bindings = getKeyBindings(overrides);
+    expect(bindings['edit.split']).toEqual(['S', 'Ctrl+K', 'M']);
+    expect(bindings['markers.add']).toEqual([]);
+    expect(findConflicts(bindings)).toEqual({});
+
+    const removed = removeKeyBinding(overrides, 'edit.split', 'S');
+    expect(getKeyBindings(removed)['edit.split']).toEqual(['Ctrl+K', 'M']);
+    expect(getKeyBindings(resetKeyBinding(removed, 'edit.split'))['edit.split']).toEqual(['S', 'Ctrl+K']);
+
+    // A hand-edited file can still bind one key twice
+    expect(findConflicts(getKeyBindings({ 'edit.split': ['M'] }))).toEqual({ M: ['markers.add', 'edit.split'] });
+  });
+
+  test('saved overrides drop unknown commands and invalid keys', () => {
+    expect(normalizeKeyBindings({
+      'edit.split': ['b', 'Hyper+B', 'B'],
+      'edit.fly': ['F'],
+      'edit.undo': 'Ctrl+Z',
+    })).toEqual({ 'edit.split': ['B'] });
+    expect(normalizeKeyBindings(null)).toEqual({});
+  });
+});
+
+describe('Preferences file (main process)', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-media-editor-preferences-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes merge into the file and read back', async () => {
+    expect(await preferences.readPreferences(dir)).toEqual({});
+
+    await preferences.writePreferences(dir, { keyBindings: { 'edit.split': ['B'] } });
+    await preferences.writePreferences(dir, { other: true });
+    expect(await preferences.readPreferences(dir)).toEqual({ keyBindings: { 'edit.split': ['B'] }, other: true });
+  });
+
+  test('a corrupt file reads as no preferences', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fs.writeFileSync(path.join(dir, preferences.PREFERENCES_FILE), '{not json');
+    expect(await preferences.readPreferences(dir)).toEqual({});
+    console.warn.mockRestore();
+  });
+});
+
+describe('shuttle', () => {
+  test('repeated presses speed up; the other direction starts over', () => {
+    addClip();
+    act(() => getState().shuttleForward());
+    expect(getState()).toMatchObject({ isPlaying: true, shuttleRate: 1 });
+
+    act(() => {
+      getState().shuttleForward();
+      getState().shuttleForward();
+      getState().shuttleForward();
+      getState().shuttleForward();
+    });
+    expect(getState().shuttleRate).toBe(8);
+
+    act(() => getState().shuttleReverse());
+    expect(getState().shuttleRate).toBe(-1);
+    act(() => getState().shuttleReverse());
+    expect(getState().shuttleRate).toBe(-2);
+
+    act(() => getState().pause());
+    expect(getState()).toMatchObject({ isPlaying: false, shuttleRate: 0 });
+  });
+
+  test('J, K and L drive playback from the timeline', () => {
+    addClip();
+    render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'l' });
+    fireEvent.keyDown(window, { key: 'l' });
+    expect(getState().shuttleRate).toBe(2);
+    fireEvent.keyDown(window, { key: 'j' });
+    expect(getState().shuttleRate).toBe(-1);
+    fireEvent.keyDown(window, { key: 'k' });
+    expect(getState().isPlaying).toBe(false);
+  });
+});
+
+describe('in and out points', () => {
+  test('I and O mark the playhead; a mark past the other clears it', () => {
+    addClip();
+    render(<TimelinePanel />);
+
+    act(() => getState().setPlayhead(2));
+    fireEvent.keyDown(window, { key: 'i' });
+    act(() => getState().setPlayhead(6));
+    fireEvent.keyDown(window, { key: 'o' });
+    expect(getState()).toMatchObject({ inPoint: 2, outPoint: 6 });
+
+    fireEvent.keyDown(window, { key: 'I', shiftKey: true });
+    expect(getState().playhead).toBe(2);
+
+    act(() => getState().setInPoint(7));
+    expect(getState()).toMatchObject({ inPoint: 7, outPoint: null });
+
+    fireEvent.keyDown(window, { key: 'X', ctrlKey: true, shiftKey: true });
+    expect(getState()).toMatchObject({ inPoint: null, outPoint: null });
+  });
+
+  test('each sequence keeps its own marks, also in the project file', () => {
+    addClip();
+    act(() => {
+      getState().setInPoint(1);
+      getState().setOutPoint(4);
+      getState().addSequence();
+    });
+    expect(getState()).toMatchObject({ inPoint: null, outPoint: null });
+
+    const project = parseProject(JSON.stringify(serializeProject(getState())));
+    expect(project.sequences[0]).toMatchObject({ inPoint: 1, outPoint: 4 });
+
+    act(() => getState().openTimeline(project.sequences[0].id));
+    expect(getState()).toMatchObject({ inPoint: 1, outPoint: 4 });
+  });
+});
+
+describe('key bindings', () => {
+  test('the timeline follows changed bindings', () => {
+    addClip();
+    act(() => getState().setPlayhead(5));
+    render(<TimelinePanel />);
+
+    act(() => getState().setKeyBindings({ 'edit.split': ['B'] }));
+    fireEvent.keyDown(window, { key: 's' });
+    expect(getState().tracks[0].items).toHaveLength(1);
+
+    fireEvent.keyDown(window, { key: 'b' });
+    expect(getState().tracks[0].items).toHaveLength(2);
+    expect(screen.getByTitle('Split at playhead (B)')).toBeInTheDocument();
+  });
+
+  test('recording a taken key asks before moving it', () => {
+    render(<KeyBindingsDialog onClose={() => {}} />);
+
+    const add = screen.getByLabelText('Add key for Split at playhead');
+    fireEvent.click(add);
+    fireEvent.keyDown(add, { key: 'm' });
+    expect(screen.getByRole('alert')).toHaveTextContent('M is used by Add marker');
+    expect(getState().keyBindings).toEqual({});
+
+    fireEvent.click(screen.getByText('Reassign'));
+    expect(getKeyBindings(getState().keyBindings)['edit.split']).toEqual(['S', 'Ctrl+K', 'M']);
+    expect(getKeyBindings(getState().keyBindings)['markers.add']).toEqual([]);
+  });
+});
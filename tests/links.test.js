@@ -0,0 +1,214 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import { createTrack } from '../src/renderer/store/tracks';
+import { withLinkedItems, remapLinks, unlinkItems } from '../src/renderer/store/links';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { clip, createId, resetIds, getTrack } from './fixtures';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  generateThumbnail: jest.fn(() => Promise.resolve({ thumbnail: 'data:image/jpeg;base64,split' })),
+  createPlaceholderThumbnail: jest.fn(() => 'data:image/png;base64,placeholder'),
+}));
+
+const layout = (trackId) => getTrack(trackId).items.map(item => [item.startTime, item.duration]);
+
+// Import a video and give it its linked audio, as App does for footage with sound
+const importFootage = (name, startTime, duration, extra = {}) => {
+  let videoId;
+  let audioId;
+  act(() => {
+    videoId = useEditorStore.getState().addMediaItem('video-track', {
+      name, path: `/media/${name}`, type: 'video', startTime, duration, mediaDuration: 20, ...extra,
+    });
+    audioId = useEditorStore.getState().addLinkedAudio('video-track', videoId);
+  });
+  return { videoId, audioId };
+};
+
+beforeEach(() => {
+  resetIds();
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+  });
+});
+
+describe('link helpers', () => {
+  const tracks = [
+    { ...createTrack('v1', 'video', 'Video 1'), items: [clip('a', 0, 4, { linkId: 'l1' }), clip('b', 4, 2)] },
+    { ...createTrack('a1', 'audio', 'Audio 1'), items: [clip('a-audio', 0, 4, { type: 'audio', linkId: 'l1' })] },
+  ];
+
+  test('expands ids with their linked clips', () => {
+    expect([...withLinkedItems(tracks, ['a-audio'])].sort()).toEqual(['a', 'a-audio']);
+    expect([...withLinkedItems(tracks, ['b'])]).toEqual(['b']);
+  });
+
+  test('copies get a shared new link, lone copies none', () => {
+    const copies = remapLinks([clip('x', 0, 1, { linkId: 'l1' }), clip('y', 0, 1, { linkId: 'l1' })], createId);
+    expect(copies[0].linkId).toBe('link-new-1');
+    expect(copies[1].linkId).toBe('link-new-1');
+
+    const [lone] = remapLinks([clip('x', 0, 1, { linkId: 'l1' })], createId);
+    expect(lone).not.toHaveProperty('linkId');
+  });
+
+  test('unlinking breaks the whole link', () => {
+    const unlinked = unlinkItems(tracks, ['a']);
+    expect(unlinked.flatMap(track => track.items).some(item => item.linkId)).toBe(false);
+    expect(unlinkItems(tracks, ['b'])).toBeNull();
+  });
+});
+
+describe('linked footage in the store', () => {
+  test('addLinkedAudio adds an aligned audio clip without an extra undo step', () => {
+    const before = useEditorStore.getState().history.past.length;
+    const { audioId } = importFootage('clip.mp4', 2, 6);
+
+    const audio = getTrack('audio-track').items[0];
+    expect(audio).toMatchObject({ id: audioId, type: 'audio', path: '/media/clip.mp4', startTime: 2, duration: 6 });
+    expect(audio.linkId).toBe(getTrack('video-track').items[0].linkId);
+    expect(useEditorStore.getState().history.past.length).toBe(before + 1);
+
+    act(() => useEditorStore.getState().undo());
+    expect(useEditorStore.getState().tracks.every(track => track.items.length === 0)).toBe(true);
+  });
+
+  test('audio that arrives after another edit is its own undo step, never half an import', () => {
+    let videoId;
+    act(() => {
+      videoId = useEditorStore.getState().addMediaItem('video-track', {
+        name: 'clip.mp4', path: '/media/clip.mp4', type: 'video', startTime: 0, duration: 6,
+      });
+    });
+    act(() => useEditorStore.getState().addMarker(1));
+    act(() => {
+      useEditorStore.getState().updateItemMedia('video-track', videoId, { duration: 4 });
+      useEditorStore.getState().addLinkedAudio('video-track', videoId);
+    });
+
+    act(() => useEditorStore.getState().undo());
+    expect(getTrack('audio-track').items).toHaveLength(0);
+    expect(getTrack('video-track').items[0].duration).toBe(6);
+    expect(getTrack('video-track').items[0].linkId).toBeUndefined();
+    expect(useEditorStore.getState().markers).toHaveLength(1);
+
+    act(() => useEditorStore.getState().undo());
+    act(() => useEditorStore.getState().undo());
+    expect(useEditorStore.getState().tracks.every(track => track.items.length === 0)).toBe(true);
+
+    // Media read after the import was undone changes nothing
+    act(() => useEditorStore.getState().addLinkedAudio('video-track', videoId));
+    expect(useEditorStore.getState().canRedo()).toBe(true);
+  });
+
+  test('audio goes to a new track when the audio track is busy', () => {
+    act(() => {
+      useEditorStore.getState().addMediaItem('audio-track', {
+        name: 'music.mp3', path: '/media/music.mp3', type: 'audio', startTime: 0, duration: 10,
+      });
+    });
+    importFootage('clip.mp4', 2, 6);
+
+    const audioTracks = useEditorStore.getState().tracks.filter(track => track.type === 'audio');
+    expect(audioTracks).toHaveLength(2);
+    expect(audioTracks[1].items[0]).toMatchObject({ type: 'audio', startTime: 2 });
+  });
+
+  test('selecting, moving and removing act on both clips', () => {
+    const { videoId, audioId } = importFootage('clip.mp4', 0, 4);
+    act(() => useEditorStore.getState().selectItem(videoId));
+    expect([...useEditorStore.getState().selectedItemIds].sort()).toEqual([videoId, audioId].sort());
+
+    act(() => useEditorStore.getState().moveMediaItem('video-track', videoId, 3));
+    expect(layout('video-track')).toEqual([[3, 4]]);
+    expect(layout('audio-track')).toEqual([[3, 4]]);
+
+    act(() => useEditorStore.getState().removeMediaItem('audio-track', audioId));
+    expect(useEditorStore.getState().tracks.every(track => track.items.length === 0)).toBe(true);
+  });
+
+  test('moving the video to another video track leaves the audio on its track', () => {
+    const { videoId } = importFootage('clip.mp4', 0, 4);
+    let upperId;
+    act(() => {
+      upperId = useEditorStore.getState().addTrack('video');
+      useEditorStore.getState().moveItemToTrack('video-track', upperId, videoId, 1);
+    });
+
+    expect(layout(upperId)).toEqual([[1, 4]]);
+    expect(layout('audio-track')).toEqual([[1, 4]]);
+  });
+
+  test('trims both clips by the same amount, limited by either', () => {
+    const { videoId, audioId } = importFootage('clip.mp4', 4, 4, { sourceIn: 4 });
+    act(() => {
+      useEditorStore.getState().addMediaItem('audio-track', {
+        name: 'music.mp3', path: '/media/music.mp3', type: 'audio', startTime: 0, duration: 3,
+      });
+      useEditorStore.getState().trimItem('video-track', videoId, 'start', 1);
+    });
+
+    // The media allows starting at 0 but the music clip on the audio track stops the trim at 3
+    expect(getTrack('video-track').items[0]).toMatchObject({ startTime: 3, duration: 5 });
+    expect(getTrack('audio-track').items.find(item => item.id === audioId)).toMatchObject({ startTime: 3, duration: 5 });
+  });
+
+  test('splitting cuts both clips and links the right halves', () => {
+    const { videoId } = importFootage('clip.mp4', 0, 6);
+    act(() => useEditorStore.getState().splitItemAt(videoId, 2));
+
+    const [videoLeft, videoRight] = getTrack('video-track').items;
+    const [audioLeft, audioRight] = getTrack('audio-track').items;
+    expect(layout('audio-track')).toEqual([[0, 2], [2, 4]]);
+    expect(videoLeft.linkId).toBe(audioLeft.linkId);
+    expect(videoRight.linkId).toBe(audioRight.linkId);
+    expect(videoRight.linkId).not.toBe(videoLeft.linkId);
+  });
+
+  test('duplicates stay linked to each other', () => {
+    const { videoId } = importFootage('clip.mp4', 0, 2);
+    let copyIds;
+    act(() => {
+      useEditorStore.getState().selectItem(videoId);
+      copyIds = useEditorStore.getState().duplicateSelectedItems();
+    });
+
+    const copies = useEditorStore.getState().tracks.flatMap(track => track.items)
+      .filter(item => copyIds.includes(item.id));
+    expect(copies).toHaveLength(2);
+    expect(copies[0].linkId).toBe(copies[1].linkId);
+    expect(copies[0].linkId).not.toBe(getTrack('video-track').items[0].linkId);
+  });
+
+  test('unlinked clips are edited on their own', () => {
+    const { videoId } = importFootage('clip.mp4', 0, 4);
+    act(() => {
+      useEditorStore.getState().selectItem(videoId);
+      useEditorStore.getState().unlinkSelectedItems();
+      useEditorStore.getState().moveMediaItem('video-track', videoId, 2);
+    });
+
+    expect(layout('video-track')).toEqual([[2, 4]]);
+    expect(layout('audio-track')).toEqual([[0, 4]]);
+  });
+});
+
+describe('TimelinePanel links', () => {
+  test('shows linked clips and toggles the link with Ctrl+L', () => {
+    const { videoId } = importFootage('clip.mp4', 0, 4);
+    act(() => useEditorStore.getState().selectItem(videoId));
+    render(<TimelinePanel />);
+
+    expect(screen.getAllByTitle(/^Linked clip/)).toHaveLength(2);
+    expect(screen.getByTitle('Unlink the selected clips (Ctrl+L)')).toHaveAttribute('aria-pressed', 'true');
+
+    fireEvent.keyDown(window, { key: 'l', ctrlKey: true });
+    expect(screen.queryAllByTitle(/^Linked clip/)).toHaveLength(0);
+
+    fireEvent.click(screen.getByTitle('Link the selected clips (Ctrl+L)'));
+    expect(screen.getAllByTitle(/^Linked clip/)).toHaveLength(2);
+  });
+});
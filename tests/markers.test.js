@@ -0,0 +1,159 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { serializeProject, parseProject } from '../src/renderer/store/projectFile';
+import {
+  createMarker,
+  moveMarkerTo,
+  getNextMarkerTime,
+  getPreviousMarkerTime,
+} from '../src/renderer/store/markers';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+
+const getMarkers = () => useEditorStore.getState().markers;
+
+beforeEach(() => {
+  act(() => {
+    useEditorStore.getState().clearAll();
+  });
+});
+
+describe('marker helpers', () => {
+  test('names and colors new markers and regions separately', () => {
+    const first = createMarker('m1', [], { time: 2 });
+    const region = createMarker('r1', [first], { time: 4, endTime: 8 });
+
+    expect(first).toMatchObject({ name: 'Marker 1', endTime: null, note: '' });
+    expect(region).toMatchObject({ name: 'Region 1', time: 4, endTime: 8 });
+    expect(region.color).not.toBe(first.color);
+  });
+
+  test('moving a region keeps its length', () => {
+    const region = createMarker('r1', [], { time: 4, endTime: 8 });
+
+    expect(moveMarkerTo(region, 10)).toMatchObject({ time: 10, endTime: 14 });
+    expect(moveMarkerTo(region, -3)).toMatchObject({ time: 0, endTime: 4 });
+  });
+
+  test('finds the next and previous marker from a time', () => {
+    const markers = [{ time: 8 }, { time: 2 }, { time: 5 }];
+
+    expect(getNextMarkerTime(markers, 2)).toBe(5);
+    expect(getPreviousMarkerTime(markers, 5)).toBe(2);
+    expect(getNextMarkerTime(markers, 8)).toBeNull();
+    expect(getPreviousMarkerTime(markers, 2)).toBeNull();
+  });
+});
+
+describe('store markers', () => {
+  test('adds markers at the playhead in timeline order and undoes them', () => {
+    act(() => {
+      useEditorStore.getState().addMarker({ time: 6 });
+      useEditorStore.getState().setPlayhead(0);
+      useEditorStore.getState().addMarker({ name: 'Intro' });
+    });
+
+    expect(getMarkers().map(marker => [marker.name, marker.time])).toEqual([['Intro', 0], ['Marker 1', 6]]);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getMarkers()).toHaveLength(1);
+  });
+
+  test('adds a region over the selected clips', () => {
+    act(() => {
+      const a = useEditorStore.getState().addMediaItem('video-track', { name: 'a.mp4', startTime: 2, duration: 3 });
+      const b = useEditorStore.getState().addMediaItem('audio-track', { name: 'b.mp3', type: 'audio', startTime: 4, duration: 6 });
+      useEditorStore.getState().setSelection([a, b]);
+      useEditorStore.getState().addRegion();
+    });
+
+    expect(getMarkers()[0]).toMatchObject({ time: 2, endTime: 10, name: 'Region 1' });
+  });
+
+  test('edits, moves and removes markers', () => {
+    let id;
+    act(() => {
+      id = useEditorStore.getState().addMarker({ time: 1 });
+      useEditorStore.getState().updateMarker(id, { name: 'Beat', note: 'Cut here', color: '#4caf50' });
+      useEditorStore.getState().moveMarker(id, 3.5);
+    });
+
+    expect(getMarkers()[0]).toMatchObject({ id, name: 'Beat', note: 'Cut here', color: '#4caf50', time: 3.5 });
+
+    act(() => useEditorStore.getState().removeMarker(id));
+    expect(getMarkers()).toHaveLength(0);
+  });
+
+  test('jumps between markers', () => {
+    act(() => {
+      useEditorStore.getState().addMediaItem('video-track', { name: 'a.mp4', startTime: 0, duration: 20 });
+      useEditorStore.getState().addMarker({ time: 4 });
+      useEditorStore.getState().addMarker({ time: 12 });
+      useEditorStore.getState().setPlayhead(5);
+      useEditorStore.getState().goToNextMarker();
+    });
+    expect(useEditorStore.getState().playhead).toBe(12);
+
+    act(() => {
+      useEditorStore.getState().goToPreviousMarker();
+      useEditorStore.getState().goToPreviousMarker();
+    });
+    expect(useEditorStore.getState().playhead).toBe(4);
+  });
+
+  test('markers are saved with the project', () => {
+    act(() => {
+      useEditorStore.getState().addMarker({ time: 3, name: 'Drop', note: 'Bass', color: '#2196f3' });
+      useEditorStore.getState().addMarker({ time: 5, endTime: 9 });
+    });
+
+    const project = parseProject(JSON.stringify(serializeProject(useEditorStore.getState())));
+
+    expect(project.sequences[0].markers).toEqual([
+      expect.objectContaining({ time: 3, endTime: null, name: 'Drop', note: 'Bass', color: '#2196f3' }),
+      expect.objectContaining({ time: 5, endTime: 9, name: 'Region 1' }),
+    ]);
+
+    act(() => useEditorStore.getState().clearAll());
+    act(() => {
+      useEditorStore.getState().loadProject(project);
+    });
+    expect(getMarkers().map(marker => marker.name)).toEqual(['Drop', 'Region 1']);
+  });
+});
+
+describe('TimelinePanel markers', () => {
+  test('M adds a flag on the ruler and clicking it opens the editor', () => {
+    act(() => useEditorStore.getState().setZoom(10));
+    const { container } = render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'm' });
+    const flag = container.querySelector('.marker-flag');
+    expect(flag).toHaveTextContent('Marker 1');
+
+    fireEvent.mouseDown(flag, { clientX: 0 });
+    fireEvent.mouseUp(window);
+    fireEvent.change(screen.getByLabelText('Marker name'), { target: { value: 'Chorus' } });
+    fireEvent.change(screen.getByLabelText('Marker note'), { target: { value: 'Louder' } });
+
+    expect(getMarkers()[0]).toMatchObject({ name: 'Chorus', note: 'Louder' });
+    expect(flag).toHaveTextContent('Chorus');
+  });
+
+  test('dragging a flag moves the marker', () => {
+    act(() => {
+      useEditorStore.getState().setZoom(10);
+      useEditorStore.getState().addMarker({ time: 2.3 });
+      if (useEditorStore.getState().snappingEnabled) useEditorStore.getState().toggleSnapping();
+    });
+    const { container } = render(<TimelinePanel />);
+
+    fireEvent.mouseDown(container.querySelector('.marker-flag'), { clientX: 23 });
+    fireEvent.mouseMove(window, { clientX: 55 });
+    fireEvent.mouseUp(window);
+
+    expect(getMarkers()[0].time).toBeCloseTo(5.5);
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    act(() => useEditorStore.getState().toggleSnapping());
+  });
+});
@@ -0,0 +1,116 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import TimelineMinimap from '../src/renderer/components/Timeline/TimelineMinimap';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+
+const getState = () => useEditorStore.getState();
+
+const tracks = [
+  { id: 'v1', type: 'video', items: [{ id: 'a', startTime: 0, duration: 20 }, { id: 'b', startTime: 50, duration: 30 }] },
+  { id: 'a1', type: 'audio', muted: true, items: [{ id: 'c', startTime: 10, duration: 10 }] },
+];
+
+// The map is 100px wide in these tests, so with 100s of timeline 1px = 1s
+const mockWidth = (element, width = 100) => {
+  element.getBoundingClientRect = () => ({ left: 0, top: 0, width, height: 16, right: width, bottom: 16 });
+};
+
+const renderMinimap = (props = {}) => {
+  const handlers = { onScrollTo: jest.fn(), onZoomTo: jest.fn() };
+  render(
+    <TimelineMinimap
+      tracks={tracks}
+      duration={100}
+      playhead={25}
+      visibleStart={20}
+      visibleEnd={40}
+      {...handlers}
+      {...props}
+    />
+  );
+  const map = screen.getByLabelText('Timeline overview');
+  mockWidth(map);
+  return { map, ...handlers };
+};
+
+describe('TimelineMinimap', () => {
+  test('shows every clip, the playhead and the visible range in proportion', () => {
+    const { map } = renderMinimap();
+
+    const clips = map.querySelectorAll('.minimap-clip');
+    expect(clips).toHaveLength(3);
+    expect(clips[1].style.left).toBe('50%');
+    expect(clips[1].style.width).toBe('30%');
+    expect(map.querySelector('.minimap-row.audio-track')).toHaveClass('off');
+    expect(map.querySelector('.minimap-playhead').style.left).toBe('25%');
+
+    const viewport = map.querySelector('.minimap-viewport');
+    expect(viewport.style.left).toBe('20%');
+    expect(viewport.style.width).toBe('20%');
+  });
+
+  test('dragging the rectangle scrolls and dragging an edge zooms', () => {
+    const { map, onScrollTo, onZoomTo } = renderMinimap();
+    const viewport = map.querySelector('.minimap-viewport');
+
+    fireEvent.mouseDown(viewport, { clientX: 30 });
+    fireEvent.mouseMove(window, { clientX: 45 });
+    fireEvent.mouseUp(window);
+    expect(onScrollTo).toHaveBeenLastCalledWith(35);
+
+    fireEvent.mouseDown(map.querySelector('.minimap-handle.end'), { clientX: 40 });
+    fireEvent.mouseMove(window, { clientX: 60 });
+    fireEvent.mouseUp(window);
+    expect(onZoomTo).toHaveBeenLastCalledWith(20, 60);
+
+    // An edge cannot be dragged past the other one
+    fireEvent.mouseDown(map.querySelector('.minimap-handle.start'), { clientX: 20 });
+    fireEvent.mouseMove(window, { clientX: 90 });
+    fireEvent.mouseUp(window);
+    expect(onZoomTo).toHaveBeenLastCalledWith(32, 40);
+
+    // Dragging stops on release
+    fireEvent.mouseMove(window, { clientX: 0 });
+    expect(onZoomTo).toHaveBeenCalledTimes(2);
+    expect(onScrollTo).toHaveBeenCalledTimes(1);
+  });
+
+  test('clicking the strip centres the view there', () => {
+    const { map, onScrollTo } = renderMinimap();
+
+    fireEvent.mouseDown(map, { button: 0, clientX: 70 });
+    expect(onScrollTo).toHaveBeenCalledWith(60);
+  });
+});
+
+describe('TimelinePanel minimap', () => {
+  beforeEach(() => {
+    act(() => {
+      getState().clearAll();
+      getState().setZoom(1);
+    });
+  });
+
+  test('resizing the rectangle zooms the timeline to that range', () => {
+    act(() => {
+      getState().addMediaItem('video-track', { name: 'a.mp4', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 100 });
+    });
+
+    // jsdom has no layout: give the tracks 500px of room before mounting
+    const clientWidth = jest.spyOn(HTMLElement.prototype, 'clientWidth', 'get').mockReturnValue(660);
+    render(<TimelinePanel />);
+    clientWidth.mockRestore();
+
+    const map = screen.getByLabelText('Timeline overview');
+    mockWidth(map);
+
+    // 500px at 1px/s shows the whole 100s, but the map spans at least the view
+    fireEvent.mouseDown(map.querySelector('.minimap-handle.end'), { clientX: 100 });
+    fireEvent.mouseMove(window, { clientX: 10 });
+    fireEvent.mouseUp(window);
+
+    // The view now spans 0-50s of the 500s map
+    expect(getState().zoom).toBe(10);
+  });
+});
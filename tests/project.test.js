@@ -0,0 +1,215 @@
+import { act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import {
+  serializeProject,
+  parseProject,
+  PROJECT_FILE_FORMAT,
+  PROJECT_SCHEMA_VERSION,
+} from '../src/renderer/store/projectFile';
+import { generateThumbnail } from '../src/renderer/store/thumbnailGenerator';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  generateThumbnail: jest.fn(() => Promise.resolve({ thumbnail: 'data:image/jpeg;base64,regen', duration: 5 })),
+  createPlaceholderThumbnail: jest.fn(() => 'data:image/png;base64,placeholder'),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  act(() => {
+    useEditorStore.getState().clearAll();
+  });
+  delete window.electronAPI;
+});
+
+const addSampleItems = () => {
+  act(() => {
+    useEditorStore.getState().addMediaItem('video-track', {
+      name: 'clip.mp4',
+      path: '/media/clip.mp4',
+      type: 'video',
+      duration: 12,
+      startTime: 0,
+      thumbnail: 'data:image/jpeg;base64,thumb',
+    });
+    useEditorStore.getState().addMediaItem('audio-track', {
+      name: 'music.mp3',
+      path: '/media/music.mp3',
+      type: 'audio',
+      duration: 20,
+      startTime: 0,
+    });
+    useEditorStore.getState().setFilter('brightness', 25);
+    useEditorStore.getState().setZoom(4);
+    useEditorStore.getState().setPlayhead(6);
+  });
+};
+
+describe('Project file format', () => {
+  test('serializes sequences, filters and zoom with a schema version', () => {
+    addSampleItems();
+
+    const project = serializeProject(useEditorStore.getState());
+
+    expect(project.format).toBe(PROJECT_FILE_FORMAT);
+    expect(project.version).toBe(PROJECT_SCHEMA_VERSION);
+    expect(project.timeline.sequences).toHaveLength(1);
+    expect(project.timeline.sequences[0].tracks).toHaveLength(2);
+    expect(project.timeline.sequences[0].tracks[0].items[0].name).toBe('clip.mp4');
+    expect(project.timeline.sequences[0].playhead).toBe(6);
+    expect(project.timeline.zoom).toBe(4);
+    expect(project.timeline.filters.brightness).toBe(25);
+  });
+
+  test('does not write thumbnails to disk', () => {
+    addSampleItems();
+
+    const project = serializeProject(useEditorStore.getState());
+
+    expect(project.timeline.sequences[0].tracks[0].items[0]).not.toHaveProperty('thumbnail');
+  });
+
+  test('round-trips through JSON text', () => {
+    addSampleItems();
+
+    const text = JSON.stringify(serializeProject(useEditorStore.getState()));
+    const parsed = parseProject(text);
+
+    expect(parsed.sequences[0].tracks[0].items[0].path).toBe('/media/clip.mp4');
+    expect(parsed.sequences[0].tracks[1].items[0].duration).toBe(20);
+    expect(parsed.filters).toEqual({ brightness: 25, contrast: 0, saturation: 0 });
+  });
+
+  test('rejects invalid JSON', () => {
+    expect(() => parseProject('{not json')).toThrow('not valid JSON');
+  });
+
+  test('rejects files from other applications', () => {
+    expect(() => parseProject({ format: 'something-else', version: 1 })).toThrow(
+      'Not an AI Media Editor project file'
+    );
+  });
+
+  test('rejects projects from a newer schema version', () => {
+    expect(() => parseProject({
+      format: PROJECT_FILE_FORMAT,
+      version: PROJECT_SCHEMA_VERSION + 1,
+      timeline: { tracks: [] },
+    })).toThrow('newer version');
+  });
+
+  test('fills in missing item fields', () => {
+    const parsed = parseProject({
+      format: PROJECT_FILE_FORMAT,
+      version: PROJECT_SCHEMA_VERSION,
+      timeline: {
+        sequences: [{
+          id: 'main',
+          tracks: [{ id: 'video-track', items: [{ id: 1, path: '/a.png', type: 'image' }] }],
+        }],
+      },
+    });
+
+    const item = parsed.sequences[0].tracks[0].items[0];
+    expect(item.id).toBe('1');
+    expect(item.startTime).toBe(0);
+    expect(item.duration).toBe(5);
+    expect(parsed.zoom).toBe(1);
+  });
+
+  test('clips playing from blob: URLs load offline', () => {
+    const parsed = parseProject({
+      format: PROJECT_FILE_FORMAT,
+      version: PROJECT_SCHEMA_VERSION,
+      timeline: {
+        sequences: [{
+          id: 'main',
+          tracks: [{
+            id: 'video-track',
+            items: [{ id: 1, path: 'blob:file:///1234', name: 'dropped.mp4' }, { id: 2, path: '/a.mp4', startTime: 5 }],
+          }],
+        }],
+      },
+    });
+
+    const [dropped, saved] = parsed.sequences[0].tracks[0].items;
+    expect(dropped).toMatchObject({ name: 'dropped.mp4', offline: true });
+    expect(saved.offline).toBeUndefined();
+  });
+});
+
+describe('Loading projects into the store', () => {
+  test('rebuilds the store from a project', async () => {
+    addSampleItems();
+    const project = parseProject(serializeProject(useEditorStore.getState()));
+
+    act(() => {
+      useEditorStore.getState().clearAll();
+    });
+
+    await act(async () => {
+      await useEditorStore.getState().loadProject(project);
+    });
+
+    const state = useEditorStore.getState();
+    expect(state.tracks[0].items).toHaveLength(1);
+    expect(state.duration).toBe(20);
+    expect(state.zoom).toBe(4);
+    expect(state.playhead).toBe(6);
+    expect(state.filters.brightness).toBe(25);
+    expect(state.selectedItemId).toBeNull();
+  });
+
+  test('regenerates thumbnails for visual media only', async () => {
+    addSampleItems();
+    const project = parseProject(serializeProject(useEditorStore.getState()));
+
+    await act(async () => {
+      await useEditorStore.getState().loadProject(project);
+    });
+
+    expect(generateThumbnail).toHaveBeenCalledTimes(1);
+    expect(generateThumbnail).toHaveBeenCalledWith(
+      expect.objectContaining({ path: '/media/clip.mp4', type: 'video' })
+    );
+    expect(useEditorStore.getState().tracks[0].items[0].thumbnail).toBe('data:image/jpeg;base64,regen');
+  });
+
+  test('saves through the electron API and remembers the path', async () => {
+    addSampleItems();
+    window.electronAPI = {
+      saveProject: jest.fn(() => Promise.resolve({ canceled: false, filePath: '/projects/demo.aiproj' })),
+    };
+
+    await act(async () => {
+      await useEditorStore.getState().saveProject();
+    });
+
+    expect(window.electronAPI.saveProject).toHaveBeenCalledWith(
+      expect.objectContaining({ format: PROJECT_FILE_FORMAT }),
+      null,
+      false
+    );
+    expect(useEditorStore.getState().projectPath).toBe('/projects/demo.aiproj');
+  });
+
+  test('opens a project through the electron API', async () => {
+    addSampleItems();
+    const contents = JSON.stringify(serializeProject(useEditorStore.getState()));
+    act(() => {
+      useEditorStore.getState().clearAll();
+    });
+    window.electronAPI = {
+      openProject: jest.fn(() => Promise.resolve({ canceled: false, filePath: '/projects/demo.aiproj', contents })),
+      checkMediaFiles: jest.fn(() => Promise.resolve({})),
+    };
+
+    let opened;
+    await act(async () => {
+      opened = await useEditorStore.getState().openProject();
+    });
+
+    expect(opened).toBe(true);
+    expect(useEditorStore.getState().projectPath).toBe('/projects/demo.aiproj');
+    expect(useEditorStore.getState().tracks[1].items[0].name).toBe('music.mp3');
+  });
+});
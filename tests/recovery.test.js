@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { act } from '@testing-library/react';
+import recovery from '../src/main/recovery';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { startAutosave, restoreRecoverySession } from '../src/renderer/store/autosave';
+import { serializeProject } from '../src/renderer/store/projectFile';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  generateThumbnail: jest.fn(() => Promise.resolve({ thumbnail: 'data:image/jpeg;base64,regen' })),
+  createPlaceholderThumbnail: jest.fn(() => 'data:image/png;base64,placeholder'),
+}));
+
+describe('Recovery snapshots (main process)', () => {
+  let dir;
+  let now;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-media-editor-recovery-'));
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns null when there is nothing to recover', async () => {
+    expect(await recovery.readLatestSnapshot(path.join(dir, 'missing'))).toBeNull();
+  });
+
+  test('reads back the newest snapshot', async () => {
+    await recovery.writeSnapshot(dir, { savedAt: 'first' });
+    await recovery.writeSnapshot(dir, { savedAt: 'second' });
+
+    const latest = await recovery.readLatestSnapshot(dir);
+    expect(latest.savedAt).toBe('second');
+  });
+
+  test('keeps only a rotating set of snapshots', async () => {
+    for (let i = 0; i < 4; i++) {
+      await recovery.writeSnapshot(dir, { savedAt: `snapshot-${i}` }, 3);
+    }
+
+    const snapshots = await recovery.listSnapshots(dir);
+    expect(snapshots).toHaveLength(3);
+    expect((await recovery.readLatestSnapshot(dir)).savedAt).toBe('snapshot-3');
+  });
+
+  test('skips corrupt snapshots', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await recovery.writeSnapshot(dir, { savedAt: 'good' });
+    fs.writeFileSync(path.join(dir, `session-${now + 100}.json`), '{truncated');
+
+    expect((await recovery.readLatestSnapshot(dir)).savedAt).toBe('good');
+    console.warn.mockRestore();
+  });
+
+  test('clears all snapshots', async () => {
+    await recovery.writeSnapshot(dir, { savedAt: 'a' });
+    await recovery.writeSnapshot(dir, { savedAt: 'b' });
+
+    await recovery.clearSnapshots(dir);
+
+    expect(await recovery.listSnapshots(dir)).toHaveLength(0);
+  });
+});
+
+describe('Autosave (renderer)', () => {
+  let stopAutosave;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    act(() => {
+      useEditorStore.getState().clearAll();
+    });
+    window.electronAPI = {
+      autosaveSession: jest.fn(() => Promise.resolve()),
+      clearRecoverySession: jest.fn(() => Promise.resolve()),
+      checkMediaFiles: jest.fn(() => Promise.resolve({})),
+    };
+    stopAutosave = startAutosave(1000);
+  });
+
+  afterEach(() => {
+    stopAutosave();
+    jest.useRealTimers();
+    delete window.electronAPI;
+  });
+
+  const addClip = () => {
+    act(() => {
+      useEditorStore.getState().addMediaItem('video-track', {
+        name: 'clip.mp4',
+        path: '/media/clip.mp4',
+        type: 'video',
+        duration: 10,
+      });
+    });
+  };
+
+  test('does not write a snapshot when nothing changed', () => {
+    jest.advanceTimersByTime(3000);
+    expect(window.electronAPI.autosaveSession).not.toHaveBeenCalled();
+  });
+
+  test('writes one snapshot per change', () => {
+    addClip();
+    jest.advanceTimersByTime(3000);
+
+    expect(window.electronAPI.autosaveSession).toHaveBeenCalledTimes(1);
+    const snapshot = window.electronAPI.autosaveSession.mock.calls[0][0];
+    expect(snapshot.project.timeline.sequences[0].tracks[0].items[0].name).toBe('clip.mp4');
+  });
+
+  test('writes a snapshot when only markers change', () => {
+    act(() => {
+      useEditorStore.getState().addMarker();
+    });
+    jest.advanceTimersByTime(1000);
+
+    expect(window.electronAPI.autosaveSession).toHaveBeenCalledTimes(1);
+    const snapshot = window.electronAPI.autosaveSession.mock.calls[0][0];
+    expect(snapshot.project.timeline.sequences[0].markers).toHaveLength(1);
+  });
+
+  test('ignores playhead and zoom changes', () => {
+    act(() => {
+      useEditorStore.getState().setZoom(3);
+      useEditorStore.getState().setPlayhead(2);
+    });
+    jest.advanceTimersByTime(1000);
+
+    expect(window.electronAPI.autosaveSession).not.toHaveBeenCalled();
+  });
+
+  test('clears recovery snapshots after the project is saved', () => {
+    addClip();
+    jest.advanceTimersByTime(1000);
+
+    act(() => {
+      useEditorStore.setState({ lastSavedAt: Date.now() });
+    });
+    jest.advanceTimersByTime(3000);
+
+    expect(window.electronAPI.clearRecoverySession).toHaveBeenCalled();
+    expect(window.electronAPI.autosaveSession).toHaveBeenCalledTimes(1);
+  });
+
+  test('restores a snapshot as unsaved work', async () => {
+    addClip();
+    const snapshot = {
+      savedAt: new Date().toISOString(),
+      projectPath: '/projects/demo.aiproj',
+      project: serializeProject(useEditorStore.getState()),
+    };
+    act(() => {
+      useEditorStore.getState().clearAll();
+    });
+
+    await act(async () => {
+      await restoreRecoverySession(snapshot);
+    });
+
+    const state = useEditorStore.getState();
+    expect(state.projectPath).toBe('/projects/demo.aiproj');
+    expect(state.tracks[0].items).toHaveLength(1);
+    expect(state.lastSavedAt).toBeNull();
+  });
+});
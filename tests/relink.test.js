@@ -0,0 +1,181 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import mediaFiles from '../src/main/mediaFiles';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { getMissingMedia, findRelinkMatches } from '../src/renderer/store/relink';
+import TimelineItem from '../src/renderer/components/Timeline/TimelineItem';
+import { generateThumbnail } from '../src/renderer/store/thumbnailGenerator';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  generateThumbnail: jest.fn(() => Promise.resolve({ thumbnail: 'data:image/jpeg;base64,regen' })),
+  createPlaceholderThumbnail: jest.fn(() => 'data:image/png;base64,placeholder'),
+}));
+
+describe('Media file checks (main process)', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-media-editor-relink-'));
+    fs.mkdirSync(path.join(dir, 'footage', 'day1'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'footage', 'day1', 'clip.mp4'), 'twelve bytes');
+    fs.writeFileSync(path.join(dir, 'footage', 'Clip.mp4'), 'different size');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reports existing and missing files', async () => {
+    const existing = path.join(dir, 'footage', 'day1', 'clip.mp4');
+    const results = await mediaFiles.checkMediaFiles([existing, '/nope/missing.mp4', 'blob:abc']);
+
+    expect(results[existing]).toEqual({ exists: true, size: 12 });
+    expect(results['/nope/missing.mp4'].exists).toBe(false);
+    expect(results['blob:abc'].exists).toBe(false);
+  });
+
+  test('finds files by name in nested folders', async () => {
+    const matches = await mediaFiles.findMediaInFolder(dir, [
+      { path: '/old/clip.mp4', name: 'clip.mp4', size: null },
+    ]);
+
+    expect(matches['/old/clip.mp4']).toHaveLength(2);
+  });
+
+  test('uses the file size to rule out files with the same name', async () => {
+    const matches = await mediaFiles.findMediaInFolder(dir, [
+      { path: '/old/clip.mp4', name: 'clip.mp4', size: 12 },
+      { path: '/old/other.mp4', name: 'other.mp4', size: 5 },
+    ]);
+
+    expect(matches['/old/clip.mp4']).toEqual([path.join(dir, 'footage', 'day1', 'clip.mp4')]);
+    expect(matches['/old/other.mp4']).toBeUndefined();
+  });
+
+  test('skips broken links instead of failing the search', async () => {
+    fs.symlinkSync(path.join(dir, 'gone.mp4'), path.join(dir, 'clip.mp4'));
+
+    const matches = await mediaFiles.findMediaInFolder(dir, [
+      { path: '/old/clip.mp4', name: 'clip.mp4', size: 12 },
+    ]);
+
+    expect(matches['/old/clip.mp4']).toEqual([path.join(dir, 'footage', 'day1', 'clip.mp4')]);
+  });
+});
+
+describe('Relinking in the store', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    act(() => {
+      useEditorStore.getState().clearAll();
+      useEditorStore.getState().addMediaItem('video-track', {
+        name: 'clip.mp4', path: '/old/clip.mp4', type: 'video', duration: 10, startTime: 0,
+      });
+      useEditorStore.getState().addMediaItem('video-track', {
+        name: 'clip.mp4', path: '/old/clip.mp4', type: 'video', duration: 10, startTime: 10,
+      });
+      useEditorStore.getState().addMediaItem('video-track', {
+        name: 'still.png', path: '/media/still.png', type: 'image', duration: 5, startTime: 20,
+      });
+    });
+    window.electronAPI = {
+      checkMediaFiles: jest.fn(() => Promise.resolve({
+        '/old/clip.mp4': { exists: false, size: null },
+        '/media/still.png': { exists: true, size: 2048 },
+      })),
+    };
+  });
+
+  afterEach(() => {
+    delete window.electronAPI;
+  });
+
+  const getItems = () => useEditorStore.getState().tracks[0].items;
+
+  test('flags items whose media is missing as offline', async () => {
+    await act(async () => {
+      await useEditorStore.getState().checkMediaFiles();
+    });
+
+    expect(getItems().map(item => !!item.offline)).toEqual([true, true, false]);
+    expect(getItems()[2].fileSize).toBe(2048);
+  });
+
+  test('groups offline items by media file', async () => {
+    await act(async () => {
+      await useEditorStore.getState().checkMediaFiles();
+    });
+
+    const missing = getMissingMedia(useEditorStore.getState().tracks);
+    expect(missing).toEqual([
+      { path: '/old/clip.mp4', name: 'clip.mp4', size: null, duration: 10, itemCount: 2 },
+    ]);
+  });
+
+  test('relinks every item using a file in one undoable step', async () => {
+    await act(async () => {
+      await useEditorStore.getState().checkMediaFiles();
+    });
+
+    await act(async () => {
+      await useEditorStore.getState().relinkMedia({ '/old/clip.mp4': '/new/clip.mp4' });
+    });
+
+    expect(getItems().slice(0, 2).every(item => item.path === '/new/clip.mp4' && !item.offline)).toBe(true);
+    expect(generateThumbnail).toHaveBeenCalledTimes(2);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getItems()[0].path).toBe('/old/clip.mp4');
+  });
+
+  test('skips thumbnails for offline media after loading', async () => {
+    await act(async () => {
+      await useEditorStore.getState().checkMediaFiles();
+      await useEditorStore.getState().regenerateThumbnails();
+    });
+
+    expect(generateThumbnail).toHaveBeenCalledTimes(1);
+    expect(generateThumbnail).toHaveBeenCalledWith(expect.objectContaining({ path: '/media/still.png' }));
+  });
+
+  test('uses the duration to choose between several candidates', async () => {
+    window.electronAPI.findMediaInFolder = jest.fn(() => Promise.resolve({
+      '/old/clip.mp4': ['/a/clip.mp4', '/b/clip.mp4'],
+    }));
+    const getDuration = jest.fn(candidate => Promise.resolve(candidate === '/b/clip.mp4' ? 10 : 3));
+
+    const relinks = await findRelinkMatches('/search', [
+      { path: '/old/clip.mp4', name: 'clip.mp4', size: null, duration: 10, itemCount: 2 },
+    ], getDuration);
+
+    expect(relinks).toEqual({ '/old/clip.mp4': '/b/clip.mp4' });
+  });
+});
+
+describe('TimelineItem offline state', () => {
+  test('shows an offline badge', () => {
+    render(
+      <DndProvider backend={HTML5Backend}>
+        <TimelineItem
+          item={{ id: 'a', name: 'clip.mp4', path: '/old/clip.mp4', type: 'video', duration: 5, startTime: 0, offline: true }}
+          index={0}
+          trackId="video-track"
+          zoom={10}
+          isSelected={false}
+          onSelect={jest.fn()}
+          onRemove={jest.fn()}
+          onMove={jest.fn()}
+          onReorder={jest.fn()}
+        />
+      </DndProvider>
+    );
+
+    expect(screen.getByText('⚠ Offline')).toBeInTheDocument();
+    expect(screen.getByTitle('Media offline: /old/clip.mp4')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,193 @@
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import { createTrack } from '../src/renderer/store/tracks';
+import {
+  getItemsInRange,
+  moveItemGroup,
+  duplicateItemGroup,
+} from '../src/renderer/store/selection';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { clip, layout, createId, resetIds, getTrack, addClip } from './fixtures';
+
+beforeEach(() => {
+  resetIds();
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+  });
+});
+
+describe('selection helpers', () => {
+  const v1 = { ...createTrack('v1', 'video', 'Video 1'), items: [clip('a', 0, 5), clip('b', 10, 5)] };
+  const v2 = { ...createTrack('v2', 'video', 'Video 2'), items: [clip('c', 2, 4)] };
+  const a1 = { ...createTrack('a1', 'audio', 'Audio 1'), items: [clip('m', 0, 20, { type: 'audio' })] };
+
+  test('getItemsInRange returns clips on the covered tracks that overlap the range', () => {
+    expect(getItemsInRange([v1, v2, a1], ['v1', 'v2'], 4, 11)).toEqual(['a', 'b', 'c']);
+    expect(getItemsInRange([v1, v2, a1], ['v1'], 5, 10)).toEqual([]);
+  });
+
+  test('moveItemGroup moves clips on several tracks by the same offset', () => {
+    const tracks = moveItemGroup([v1, v2], new Set(['a', 'c']), 3, 0, EDIT_MODES.OVERWRITE, createId);
+
+    expect(layout(tracks[0].items)).toEqual([['a', 3, 5], ['b', 10, 5]]);
+    expect(layout(tracks[1].items)).toEqual([['c', 5, 4]]);
+  });
+
+  test('moveItemGroup stops at the start of the timeline', () => {
+    const tracks = moveItemGroup([v1, v2], new Set(['b', 'c']), -5, 0, EDIT_MODES.OVERWRITE, createId);
+
+    expect(layout(tracks[0].items)).toEqual([['a', 0, 5], ['b', 8, 5]]);
+    expect(layout(tracks[1].items)).toEqual([['c', 0, 4]]);
+  });
+
+  test('moveItemGroup only changes track when every clip has a matching track to land on', () => {
+    const down = moveItemGroup([v1, v2, a1], new Set(['a']), 0, 1, EDIT_MODES.OVERWRITE, createId);
+    expect(layout(down[0].items)).toEqual([['b', 10, 5]]);
+    expect(layout(down[1].items)).toEqual([['a', 0, 5], ['c', 5, 1]]);
+
+    // v2 -> a1 would put a video clip on an audio track
+    const blocked = moveItemGroup([v1, v2, a1], new Set(['a', 'c']), 1, 1, EDIT_MODES.OVERWRITE, createId);
+    expect(layout(blocked[0].items)).toEqual([['a', 1, 5], ['b', 10, 5]]);
+    expect(layout(blocked[1].items)).toEqual([['c', 3, 4]]);
+  });
+
+  test('duplicateItemGroup places copies after the selection keeping their spacing', () => {
+    const { tracks, copyIds } = duplicateItemGroup([v1, v2], new Set(['a', 'c']), EDIT_MODES.OVERWRITE, createId);
+
+    expect(copyIds).toEqual(['new-1', 'new-2']);
+    expect(layout(tracks[0].items)).toEqual([['a', 0, 5], ['new-1', 6, 5], ['b', 11, 4]]);
+    expect(layout(tracks[1].items)).toEqual([['c', 2, 4], ['new-2', 8, 4]]);
+  });
+});
+
+describe('store selection', () => {
+  test('toggle adds and removes items while keeping a primary item', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    const music = addClip('audio-track', 'music.mp3', 0, 5);
+
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      useEditorStore.getState().selectItem(music, { toggle: true });
+    });
+    expect([...useEditorStore.getState().selectedItemIds]).toEqual([a, music]);
+    expect(useEditorStore.getState().selectedItemId).toBe(music);
+
+    act(() => useEditorStore.getState().selectItem(music, { toggle: true }));
+    expect([...useEditorStore.getState().selectedItemIds]).toEqual([a]);
+    expect(useEditorStore.getState().selectedItemId).toBe(a);
+  });
+
+  test('removes the whole selection across tracks in one undo step', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    const b = addClip('video-track', 'b.mp4', 5, 5);
+    const music = addClip('audio-track', 'music.mp3', 0, 5);
+
+    act(() => {
+      useEditorStore.getState().setSelection([a, music]);
+      useEditorStore.getState().removeSelectedItems();
+    });
+
+    expect(getTrack('video-track').items.map(item => item.id)).toEqual([b]);
+    expect(getTrack('audio-track').items).toHaveLength(0);
+    expect(useEditorStore.getState().selectedItemIds.size).toBe(0);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getTrack('audio-track').items).toHaveLength(1);
+    expect(useEditorStore.getState().selectedItemIds.has(music)).toBe(true);
+  });
+
+  test('keeps clips on locked tracks out of group edits', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    const music = addClip('audio-track', 'music.mp3', 0, 5);
+
+    act(() => {
+      useEditorStore.getState().toggleTrackFlag('audio-track', 'locked');
+      useEditorStore.getState().setSelection([a, music]);
+      useEditorStore.getState().moveSelectedItems(2);
+    });
+
+    expect(getTrack('video-track').items[0].startTime).toBe(2);
+    expect(getTrack('audio-track').items[0].startTime).toBe(0);
+  });
+
+  test('nudges the selection by frames and merges repeated nudges', () => {
+    const a = addClip('video-track', 'a.mp4', 1, 5);
+    const undoSteps = useEditorStore.getState().history.past.length;
+
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      useEditorStore.getState().nudgeSelection(15);
+      useEditorStore.getState().nudgeSelection(15);
+    });
+
+    expect(getTrack('video-track').items[0].startTime).toBeCloseTo(2);
+    expect(useEditorStore.getState().history.past).toHaveLength(undoSteps + 1);
+  });
+
+  test('duplicate selects the copies', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    let copyIds;
+    act(() => {
+      useEditorStore.getState().selectItem(a);
+      copyIds = useEditorStore.getState().duplicateSelectedItems();
+    });
+
+    expect(copyIds).toHaveLength(1);
+    expect([...useEditorStore.getState().selectedItemIds]).toEqual(copyIds);
+    expect(layout(getTrack('video-track').items)).toEqual([[a, 0, 5], [copyIds[0], 5, 5]]);
+  });
+});
+
+describe('TimelinePanel selection', () => {
+  test('Shift-click extends the selection and Delete removes all of it', () => {
+    addClip('video-track', 'a.mp4', 0, 5);
+    addClip('audio-track', 'music.mp3', 0, 5);
+    const { container } = render(<TimelinePanel />);
+
+    const [video, audio] = container.querySelectorAll('.timeline-item-v2');
+    fireEvent.click(video);
+    fireEvent.click(audio, { shiftKey: true });
+    expect(container.querySelectorAll('.timeline-item-v2.selected')).toHaveLength(2);
+
+    fireEvent.keyDown(window, { key: 'Delete' });
+    expect(useEditorStore.getState().tracks.every(track => track.items.length === 0)).toBe(true);
+  });
+
+  test('a marquee drag selects the clips it touches', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    addClip('video-track', 'b.mp4', 20, 5);
+    const music = addClip('audio-track', 'music.mp3', 2, 5);
+    act(() => useEditorStore.getState().setZoom(10));
+    const { container } = render(<TimelinePanel />);
+
+    const tracksContainer = container.querySelector('.tracks-container');
+    tracksContainer.getBoundingClientRect = () => ({ left: 0, top: 0, right: 1000, bottom: 120 });
+    const [videoRow, audioRow] = container.querySelectorAll('[data-track-id]');
+    videoRow.getBoundingClientRect = () => ({ left: 0, top: 0, right: 1000, bottom: 60 });
+    audioRow.getBoundingClientRect = () => ({ left: 0, top: 60, right: 1000, bottom: 120 });
+
+    // From 1s to 10s (the 160px track headers come first), across both tracks
+    fireEvent.mouseDown(container.querySelector('.track-content'), { button: 0, clientX: 170, clientY: 10 });
+    fireEvent.mouseMove(window, { clientX: 260, clientY: 100 });
+    expect(container.querySelector('.marquee-selection')).toBeInTheDocument();
+    fireEvent.mouseUp(window);
+
+    expect([...useEditorStore.getState().selectedItemIds].sort()).toEqual([a, music].sort());
+    expect(container.querySelector('.marquee-selection')).not.toBeInTheDocument();
+  });
+
+  test('Alt+Arrow nudges and Ctrl+D duplicates the selection', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 5);
+    act(() => useEditorStore.getState().selectItem(a));
+    render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'ArrowRight', altKey: true, shiftKey: true });
+    expect(getTrack('video-track').items[0].startTime).toBeCloseTo(10 / 30);
+
+    fireEvent.keyDown(window, { key: 'd', ctrlKey: true });
+    expect(getTrack('video-track').items).toHaveLength(2);
+  });
+});
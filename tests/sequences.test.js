@@ -0,0 +1,199 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import {
+  DEFAULT_SEQUENCE_ID,
+  createInitialTimelines,
+  createSequence,
+  getNewSequenceName,
+  normalizeSequenceSettings,
+} from '../src/renderer/store/timelines';
+import { serializeProject, parseProject } from '../src/renderer/store/projectFile';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { addClip } from './fixtures';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  generateThumbnail: jest.fn(() => Promise.resolve({ thumbnail: 'data:image/jpeg;base64,regen' })),
+  createPlaceholderThumbnail: jest.fn(() => 'data:image/png;base64,placeholder'),
+}));
+
+const getState = () => useEditorStore.getState();
+const getSequenceNames = () => Object.values(getState().timelines)
+  .filter(timeline => timeline.kind === 'sequence')
+  .map(sequence => sequence.name);
+
+beforeEach(() => {
+  act(() => getState().clearAll());
+  delete window.electronAPI;
+});
+
+describe('sequence helpers', () => {
+  test('new sequence names skip names in use', () => {
+    const timelines = {
+      ...createInitialTimelines(),
+      b: createSequence('b', 'Sequence 3'),
+    };
+    expect(getNewSequenceName(timelines)).toBe('Sequence 4');
+    expect(getNewSequenceName(createInitialTimelines())).toBe('Sequence 2');
+  });
+
+  test('invalid settings fall back', () => {
+    expect(normalizeSequenceSettings({ width: 1280, height: 720, fps: 25 })).toEqual({ width: 1280, height: 720, fps: 25 });
+    expect(normalizeSequenceSettings({ width: -5, height: 'tall', fps: 31 }, { width: 640, height: 480, fps: 24 }))
+      .toEqual({ width: 640, height: 480, fps: 24 });
+  });
+});
+
+describe('store sequences', () => {
+  test('each sequence has its own tracks and playhead', () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    act(() => getState().setPlayhead(4));
+
+    let sequenceId;
+    act(() => {
+      sequenceId = getState().addSequence({ width: 1080, height: 1920 });
+    });
+
+    expect(getState()).toMatchObject({ activeTimelineId: sequenceId, activeSequenceId: sequenceId, playhead: 0 });
+    expect(getState().tracks.every(track => track.items.length === 0)).toBe(true);
+    expect(getState().timelines[sequenceId].settings).toEqual({ width: 1080, height: 1920, fps: 30 });
+
+    addClip('video-track', 'b.mp4', 0, 3);
+    act(() => getState().openTimeline(DEFAULT_SEQUENCE_ID));
+
+    expect(getState().playhead).toBe(4);
+    expect(getState().tracks[0].items.map(item => item.name)).toEqual(['a.mp4']);
+    expect(getState().timelines[sequenceId].tracks[0].items.map(item => item.name)).toEqual(['b.mp4']);
+  });
+
+  test('duplicates are independent copies', () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    act(() => getState().updateSequence(DEFAULT_SEQUENCE_ID, { fps: 25 }));
+
+    let copyId;
+    act(() => {
+      copyId = getState().duplicateSequence(DEFAULT_SEQUENCE_ID);
+    });
+
+    expect(getState().activeSequenceId).toBe(copyId);
+    expect(getSequenceNames()).toEqual(['Sequence 1', 'Sequence 1 copy']);
+    expect(getState().timelines[copyId].settings.fps).toBe(25);
+
+    act(() => getState().removeMediaItem('video-track', getState().tracks[0].items[0].id));
+    expect(getState().timelines[DEFAULT_SEQUENCE_ID].tracks[0].items).toHaveLength(1);
+  });
+
+  test('deleting the edited sequence shows its neighbour and can be undone', () => {
+    act(() => getState().deleteSequence(DEFAULT_SEQUENCE_ID));
+    expect(getSequenceNames()).toEqual(['Sequence 1']);
+
+    let second;
+    act(() => {
+      second = getState().addSequence();
+      getState().deleteSequence(second);
+    });
+
+    expect(getSequenceNames()).toEqual(['Sequence 1']);
+    expect(getState().activeSequenceId).toBe(DEFAULT_SEQUENCE_ID);
+
+    act(() => getState().undo());
+    expect(getSequenceNames()).toEqual(['Sequence 1', 'Sequence 2']);
+    expect(getState().activeSequenceId).toBe(second);
+  });
+
+  test('frame steps and nudges use the sequence frame rate', () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    act(() => {
+      getState().updateSequence(DEFAULT_SEQUENCE_ID, { fps: 25 });
+      getState().stepForward();
+    });
+    expect(getState().playhead).toBeCloseTo(0.04);
+
+    act(() => {
+      getState().setEditMode(EDIT_MODES.OVERWRITE);
+      getState().selectItem(getState().tracks[0].items[0].id);
+      getState().nudgeSelection(5);
+    });
+    expect(getState().tracks[0].items[0].startTime).toBeCloseTo(0.2);
+  });
+
+  test('closing a compound returns to the sequence it was opened from', () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    let sequenceId;
+    let compoundId;
+    act(() => {
+      sequenceId = getState().duplicateSequence(DEFAULT_SEQUENCE_ID);
+      getState().selectItem(getState().tracks[0].items[0].id);
+      compoundId = getState().createCompoundClip();
+      getState().openTimeline(compoundId);
+    });
+    expect(getState().activeSequenceId).toBe(sequenceId);
+
+    act(() => getState().closeTimeline(compoundId));
+    expect(getState().activeTimelineId).toBe(sequenceId);
+  });
+});
+
+describe('sequences in project files', () => {
+  test('every sequence is saved with its settings and the one being edited', async () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    let sequenceId;
+    act(() => {
+      sequenceId = getState().addSequence({ width: 1280, height: 720, fps: 60 });
+    });
+    addClip('video-track', 'b.mp4', 2, 3);
+    act(() => getState().setPlayhead(3));
+
+    const project = parseProject(JSON.stringify(serializeProject(getState())));
+    expect(project.activeSequenceId).toBe(sequenceId);
+    expect(project.sequences.map(sequence => [sequence.name, sequence.settings.fps, sequence.playhead]))
+      .toEqual([['Sequence 1', 30, 0], ['Sequence 2', 60, 3]]);
+
+    act(() => getState().clearAll());
+    await act(async () => {
+      await getState().loadProject(project);
+    });
+
+    expect(getState()).toMatchObject({ activeSequenceId: sequenceId, playhead: 3 });
+    expect(getState().tracks[0].items.map(item => item.name)).toEqual(['b.mp4']);
+    // Sequences that are not on screen get their thumbnails too
+    expect(getState().timelines[DEFAULT_SEQUENCE_ID].tracks[0].items[0].thumbnail).toBe('data:image/jpeg;base64,regen');
+  });
+
+  test('single-timeline projects open as one sequence', () => {
+    const project = parseProject({
+      format: 'ai-media-editor-project',
+      version: 1,
+      timeline: { tracks: [{ id: 'video-track', items: [] }], playhead: 2, zoom: 3 },
+    });
+
+    expect(project.sequences).toEqual([expect.objectContaining({
+      id: DEFAULT_SEQUENCE_ID,
+      name: 'Sequence 1',
+      settings: { width: 1920, height: 1080, fps: 30 },
+      playhead: 2,
+    })]);
+    expect(project.activeSequenceId).toBe(DEFAULT_SEQUENCE_ID);
+    expect(project.zoom).toBe(3);
+  });
+});
+
+describe('TimelinePanel sequence tabs', () => {
+  test('adds, configures and deletes sequences from the tab bar', () => {
+    render(<TimelinePanel />);
+    expect(screen.getByTitle('A project needs at least one sequence')).toBeDisabled();
+
+    fireEvent.click(screen.getByTitle('New sequence'));
+    expect(screen.getByRole('tab', { name: /Sequence 2/ })).toHaveAttribute('aria-selected', 'true');
+
+    fireEvent.click(screen.getByTitle(/^Sequence 2 settings/));
+    fireEvent.change(screen.getByLabelText('Frame rate'), { target: { value: '24' } });
+    fireEvent.change(screen.getByLabelText('Resolution'), { target: { value: '1280x720' } });
+    expect(getState().timelines[getState().activeSequenceId].settings).toEqual({ width: 1280, height: 720, fps: 24 });
+
+    fireEvent.click(screen.getByTitle('Delete Sequence 2'));
+    expect(screen.queryByRole('tab', { name: /Sequence 2/ })).toBeNull();
+    expect(screen.getByRole('tab', { name: /Sequence 1/ })).toHaveAttribute('aria-selected', 'true');
+  });
+});
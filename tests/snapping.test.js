@@ -0,0 +1,113 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { createTrack } from '../src/renderer/store/tracks';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import {
+  getSnapThreshold,
+  getSnapTargets,
+  snapTime,
+  snapItemEdges,
+} from '../src/renderer/store/snapping';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { clip } from './fixtures';
+
+const getVideoItems = () => useEditorStore.getState().tracks[0].items;
+
+beforeEach(() => {
+  act(() => {
+    useEditorStore.getState().clearAll();
+    if (!useEditorStore.getState().snappingEnabled) {
+      useEditorStore.getState().toggleSnapping();
+    }
+  });
+});
+
+describe('snapping', () => {
+  const track = { ...createTrack('v1', 'video', 'Video 1'), items: [clip('a', 0, 4.3), clip('b', 10.6, 2)] };
+
+  test('the threshold is a fixed pixel distance, so it shrinks as you zoom in', () => {
+    expect(getSnapThreshold(10)).toBeCloseTo(0.8);
+    expect(getSnapThreshold(100)).toBeCloseTo(0.08);
+  });
+
+  test('collects the playhead, clip edges and markers, skipping dragged clips', () => {
+    const targets = getSnapTargets([track], {
+      playhead: 7.5,
+      markers: [{ time: 20 }, { time: 30, endTime: 35 }],
+      excludeIds: ['b'],
+    });
+
+    expect(targets).toEqual([0, 4.3, 7.5, 20, 30, 35]);
+  });
+
+  test('snaps to the nearest target inside the threshold', () => {
+    expect(snapTime(4.5, [4.3, 7.5], 0.5)).toEqual({ time: 4.3, guide: 4.3 });
+    expect(snapTime(5.6, [4.3, 7.5], 0.2)).toEqual({ time: 5.6, guide: null });
+  });
+
+  test('falls back to whole seconds and prefers targets on a tie', () => {
+    expect(snapTime(5.9, [4.3], 0.2)).toEqual({ time: 6, guide: 6 });
+    expect(snapTime(6.25, [6.5], 0.25)).toEqual({ time: 6.5, guide: 6.5 });
+  });
+
+  test('snaps a clip by whichever edge is closer', () => {
+    // The end (7.4) is closer to 7.5 than the start (4.4) is to 4.3
+    expect(snapItemEdges(4.45, 2.95, [4.3, 7.5], 0.3)).toEqual({ startTime: 4.55, guide: 7.5 });
+    expect(snapItemEdges(4.35, 2.95, [4.3, 7.5], 0.3)).toEqual({ startTime: 4.3, guide: 4.3 });
+  });
+});
+
+describe('TimelinePanel snapping', () => {
+  const addClips = () => {
+    act(() => {
+      useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+      useEditorStore.getState().addMediaItem('video-track', { name: 'a.mp4', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 4.3 });
+      useEditorStore.getState().addMediaItem('video-track', { name: 'b.mp4', path: '/media/b.mp4', type: 'video', startTime: 10.6, duration: 2, sourceIn: 8, sourceOut: 10, mediaDuration: 20 });
+      useEditorStore.getState().setZoom(10);
+    });
+  };
+
+  test('trimming snaps to a neighbouring clip edge and shows a guide', () => {
+    addClips();
+    const { container } = render(<TimelinePanel />);
+
+    // Drag b's start from 10.6s towards a's end (4.3s); 4.5s is within 8px
+    const handle = container.querySelectorAll('.resize-handle-left')[1];
+    fireEvent.mouseDown(handle, { clientX: 106 });
+    fireEvent.mouseMove(window, { clientX: 45 });
+
+    expect(getVideoItems()[1].startTime).toBeCloseTo(4.3);
+    expect(container.querySelector('.snap-guide')).toHaveStyle({ left: '203px' });
+
+    fireEvent.mouseUp(window);
+    expect(container.querySelector('.snap-guide')).not.toBeInTheDocument();
+  });
+
+  test('holding Alt trims without snapping', () => {
+    addClips();
+    const { container } = render(<TimelinePanel />);
+
+    const handle = container.querySelectorAll('.resize-handle-left')[1];
+    fireEvent.mouseDown(handle, { clientX: 106 });
+    fireEvent.mouseMove(window, { clientX: 45, altKey: true });
+    fireEvent.mouseUp(window);
+
+    expect(getVideoItems()[1].startTime).toBeCloseTo(4.5);
+  });
+
+  test('N toggles snapping off', () => {
+    addClips();
+    const { container } = render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'n' });
+    expect(screen.getByTitle('Snapping (N). Hold Alt while dragging to place freely')).toHaveAttribute('aria-pressed', 'false');
+
+    const handle = container.querySelectorAll('.resize-handle-left')[1];
+    fireEvent.mouseDown(handle, { clientX: 106 });
+    fireEvent.mouseMove(window, { clientX: 45 });
+    fireEvent.mouseUp(window);
+
+    expect(getVideoItems()[1].startTime).toBeCloseTo(4.5);
+  });
+});
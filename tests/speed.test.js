@@ -0,0 +1,130 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES, splitItem } from '../src/renderer/store/editModes';
+import { applyTrim, getMediaTimeAt } from '../src/renderer/store/trim';
+import { slipItem } from '../src/renderer/store/trimTools';
+import { applySpeed, canChangeSpeed } from '../src/renderer/store/speed';
+import { serializeProject, parseProject } from '../src/renderer/store/projectFile';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { trimmedClip, layout, addClip } from './fixtures';
+
+// 4s of media from 2s to 6s, played at 2x
+const fast = trimmedClip('fast', 10, 2, { sourceIn: 2, sourceOut: 6, speed: 2, mediaDuration: 10 });
+
+const getVideoItems = () => useEditorStore.getState().tracks[0].items;
+
+beforeEach(() => {
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+  });
+});
+
+describe('speed and media time', () => {
+  test('maps timeline time to media time at the clip speed and direction', () => {
+    expect(getMediaTimeAt(fast, 10)).toBe(2);
+    expect(getMediaTimeAt(fast, 11.5)).toBe(5);
+    expect(getMediaTimeAt({ ...fast, reversed: true }, 10)).toBe(6);
+    expect(getMediaTimeAt({ ...fast, reversed: true }, 11.5)).toBe(3);
+  });
+
+  test('trims are limited by the media left at the clip speed', () => {
+    // 4s of media after the out point is 2s of timeline at 2x
+    expect(applyTrim(fast, 'end', 20)).toMatchObject({ duration: 4, sourceIn: 2, sourceOut: 10 });
+    // 2s of media before the in point is 1s of timeline
+    expect(applyTrim(fast, 'start', 0)).toMatchObject({ startTime: 9, duration: 3, sourceIn: 0, sourceOut: 6 });
+  });
+
+  test('reversed clips trim the media at the other end', () => {
+    const reversed = { ...fast, reversed: true };
+
+    // The start plays the out point, so extending it uses the media after it
+    expect(applyTrim(reversed, 'start', 0)).toMatchObject({ startTime: 8, sourceIn: 2, sourceOut: 10 });
+    expect(applyTrim(reversed, 'end', 11)).toMatchObject({ duration: 1, sourceIn: 4, sourceOut: 6 });
+  });
+
+  test('split halves continue the media at the clip speed', () => {
+    const [left, right] = splitItem(fast, 11, 'right');
+    expect(left).toMatchObject({ duration: 1, sourceIn: 2, sourceOut: 4 });
+    expect(right).toMatchObject({ startTime: 11, duration: 1, sourceIn: 4, sourceOut: 6 });
+
+    const [reversedLeft, reversedRight] = splitItem({ ...fast, reversed: true }, 11, 'right');
+    expect(reversedLeft).toMatchObject({ sourceIn: 4, sourceOut: 6 });
+    expect(reversedRight).toMatchObject({ sourceIn: 2, sourceOut: 4 });
+  });
+
+  test('slip keeps the length of media the clip plays', () => {
+    expect(slipItem([fast], fast, 10).items[0]).toMatchObject({ sourceIn: 6, sourceOut: 10, duration: 2 });
+  });
+});
+
+describe('applySpeed', () => {
+  const items = [trimmedClip('a', 0, 4), trimmedClip('b', 4, 2)];
+
+  test('changes the clip length and moves later clips in ripple mode', () => {
+    const result = applySpeed(items, items[0], { speed: 0.5 }, EDIT_MODES.RIPPLE, () => 'new');
+    expect(layout(result)).toEqual([['a', 0, 8], ['b', 8, 2]]);
+    expect(result[0]).toMatchObject({ speed: 0.5, sourceIn: 0, sourceOut: 4 });
+  });
+
+  test('covers later clips in overwrite mode', () => {
+    const result = applySpeed(items, items[0], { speed: 0.8 }, EDIT_MODES.OVERWRITE, () => 'new');
+    expect(layout(result)).toEqual([['a', 0, 5], ['b', 5, 1]]);
+  });
+
+  test('keeps the speed in range', () => {
+    expect(applySpeed(items, items[0], { speed: 50 }, EDIT_MODES.RIPPLE, () => 'new')[0].speed).toBe(10);
+    expect(applySpeed(items, items[0], { speed: 0.01 }, EDIT_MODES.RIPPLE, () => 'new')[0].speed).toBe(0.1);
+  });
+
+  test('only applies to video and audio', () => {
+    expect(canChangeSpeed(trimmedClip('still', 0, 4, { type: 'image' }))).toBe(false);
+    expect(canChangeSpeed(trimmedClip('music', 0, 4, { type: 'audio' }))).toBe(true);
+  });
+});
+
+describe('store clip speed', () => {
+  test('linked audio follows and repeated changes are one undo step', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 6, { mediaDuration: 20 });
+    act(() => useEditorStore.getState().addLinkedAudio('video-track', a));
+    const before = useEditorStore.getState().history.past.length;
+
+    act(() => {
+      useEditorStore.getState().setItemSpeed('video-track', a, { speed: 1.5 });
+      useEditorStore.getState().setItemSpeed('video-track', a, { speed: 2 });
+    });
+
+    expect(getVideoItems()[0]).toMatchObject({ duration: 3, speed: 2 });
+    expect(useEditorStore.getState().tracks[1].items[0]).toMatchObject({ duration: 3, speed: 2 });
+    expect(useEditorStore.getState().history.past.length).toBe(before + 1);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()[0].duration).toBe(6);
+  });
+
+  test('speed and direction survive a save and load', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 6, { mediaDuration: 20 });
+    act(() => useEditorStore.getState().setItemSpeed('video-track', a, { speed: 3, reversed: true }));
+
+    const project = parseProject(JSON.stringify(serializeProject(useEditorStore.getState())));
+    expect(project.sequences[0].tracks[0].items[0]).toMatchObject({ duration: 2, speed: 3, reversed: true });
+  });
+});
+
+describe('TimelinePanel clip speed', () => {
+  test('edits the speed and direction of the clicked clip', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 6, { mediaDuration: 20 });
+    act(() => useEditorStore.getState().selectItem(a));
+    render(<TimelinePanel />);
+
+    const input = screen.getByLabelText('Speed');
+    fireEvent.change(input, { target: { value: '2' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(getVideoItems()[0]).toMatchObject({ duration: 3, speed: 2 });
+
+    fireEvent.click(screen.getByTitle('Play the clip backwards'));
+    expect(getVideoItems()[0].reversed).toBe(true);
+    expect(screen.getByTitle('Clip speed')).toHaveTextContent('◀ 2x');
+  });
+});
@@ -0,0 +1,129 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { generateThumbnail } from '../src/renderer/store/thumbnailGenerator';
+import { addClip } from './fixtures';
+
+jest.mock('../src/renderer/store/thumbnailGenerator', () => ({
+  generateThumbnail: jest.fn(() => Promise.resolve({ thumbnail: 'data:image/jpeg;base64,split' })),
+  createPlaceholderThumbnail: jest.fn(() => 'data:image/png;base64,placeholder'),
+}));
+
+const getVideoItems = () => useEditorStore.getState().tracks[0].items;
+const getAudioItems = () => useEditorStore.getState().tracks[1].items;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.getState().setActiveTool('select');
+  });
+});
+
+describe('Splitting clips', () => {
+  test('splits an item into two parts with continuous source offsets', async () => {
+    const id = addClip('video-track', 'a.mp4', 2, 10, { thumbnail: 'data:original' });
+
+    let rightId;
+    await act(async () => {
+      rightId = useEditorStore.getState().splitItemAt(id, 6);
+    });
+
+    expect(getVideoItems().map(item => [item.id, item.startTime, item.duration, item.sourceIn, item.sourceOut]))
+      .toEqual([[id, 2, 4, 0, 4], [rightId, 6, 6, 4, 10]]);
+    expect(generateThumbnail).toHaveBeenCalledWith(expect.objectContaining({ path: '/media/a.mp4', seekTime: 4 }));
+    expect(getVideoItems()[1].thumbnail).toBe('data:image/jpeg;base64,split');
+  });
+
+  test('ignores splits at the very edge of a clip', () => {
+    const id = addClip('video-track', 'a.mp4', 0, 10);
+    const undoSteps = useEditorStore.getState().history.past.length;
+
+    let rightId;
+    act(() => {
+      rightId = useEditorStore.getState().splitItemAt(id, 0);
+    });
+
+    expect(rightId).toBeNull();
+    expect(getVideoItems()).toHaveLength(1);
+    expect(useEditorStore.getState().history.past).toHaveLength(undoSteps);
+  });
+
+  test('splits every clip under the playhead in one undo step', async () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    addClip('audio-track', 'music.mp3', 0, 20);
+    act(() => useEditorStore.getState().setPlayhead(5));
+
+    let cuts;
+    await act(async () => {
+      cuts = useEditorStore.getState().splitAtPlayhead();
+    });
+
+    expect(cuts).toBe(2);
+    expect(getVideoItems()).toHaveLength(2);
+    expect(getAudioItems()).toHaveLength(2);
+    expect(generateThumbnail).toHaveBeenCalledTimes(1);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()).toHaveLength(1);
+    expect(getAudioItems()).toHaveLength(1);
+  });
+
+  test('only splits the selected clip when it is under the playhead', () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    const music = addClip('audio-track', 'music.mp3', 0, 20);
+    act(() => {
+      useEditorStore.getState().setPlayhead(5);
+      useEditorStore.getState().selectItem(music);
+      useEditorStore.getState().splitAtPlayhead();
+    });
+
+    expect(getVideoItems()).toHaveLength(1);
+    expect(getAudioItems()).toHaveLength(2);
+  });
+});
+
+describe('TimelinePanel split controls', () => {
+  test('S splits at the playhead', async () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    act(() => useEditorStore.getState().setPlayhead(3));
+    render(<TimelinePanel />);
+
+    await act(async () => {
+      fireEvent.keyDown(window, { key: 's' });
+    });
+
+    expect(getVideoItems().map(item => item.duration)).toEqual([3, 7]);
+  });
+
+  test('Ctrl+K splits at the playhead', async () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    act(() => useEditorStore.getState().setPlayhead(4));
+    render(<TimelinePanel />);
+
+    await act(async () => {
+      fireEvent.keyDown(window, { key: 'k', ctrlKey: true });
+    });
+
+    expect(getVideoItems()).toHaveLength(2);
+  });
+
+  test('the razor tool splits where a clip is clicked', async () => {
+    addClip('video-track', 'a.mp4', 0, 10);
+    const { container } = render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'c' });
+    expect(useEditorStore.getState().activeTool).toBe('razor');
+    expect(screen.getByTitle('Razor tool: click a clip to split it (C)')).toHaveAttribute('aria-pressed', 'true');
+
+    const clip = container.querySelector('.timeline-item-v2');
+    clip.getBoundingClientRect = () => ({ left: 100, width: 200, top: 0, right: 300, bottom: 60, height: 60 });
+    await act(async () => {
+      fireEvent.click(clip, { clientX: 150 });
+    });
+
+    expect(getVideoItems().map(item => item.duration)).toEqual([2.5, 7.5]);
+    expect(useEditorStore.getState().selectedItemId).toBeNull();
+  });
+});
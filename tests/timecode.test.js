@@ -0,0 +1,117 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import {
+  getFrameDuration,
+  formatTimecode,
+  formatDefaultTimecode,
+  parseTimecode,
+  formatTime,
+  parseTime,
+  stepFrames,
+} from '../src/renderer/store/timecode';
+import { DEFAULT_SEQUENCE_ID, normalizeSequenceSettings } from '../src/renderer/store/timelines';
+import { getTrimPreviewFrames } from '../src/renderer/store/trimTools';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+
+const getState = () => useEditorStore.getState();
+
+beforeEach(() => {
+  act(() => {
+    getState().clearAll();
+    getState().setTimeDisplay('smpte');
+  });
+});
+
+describe('timecode', () => {
+  test('non-drop-frame rates count whole frames per second', () => {
+    expect(formatTimecode(3725.5, 25)).toBe('01:02:05:12');
+    expect(formatTimecode(1, 60)).toBe('00:00:01:00');
+    // 23.976 labels 24 frames per second but plays slightly slower
+    expect(getFrameDuration(23.976)).toBeCloseTo(1001 / 24000, 10);
+    expect(formatTimecode(24 * 1001 / 24000, 23.976)).toBe('00:00:01:00');
+    // Components without sequence settings count at the default 30 fps
+    expect(formatDefaultTimecode(61.5)).toBe('00:01:01:15');
+  });
+
+  test('29.97 drop-frame skips two labels a minute except every tenth', () => {
+    const frame = (n) => n * 1001 / 30000;
+    expect(formatTimecode(frame(1799), 29.97)).toBe('00:00:59;29');
+    expect(formatTimecode(frame(1800), 29.97)).toBe('00:01:00;02');
+    expect(formatTimecode(frame(17982), 29.97)).toBe('00:10:00;00');
+
+    expect(parseTimecode('00:01:00;02', 29.97)).toBeCloseTo(frame(1800), 9);
+    expect(parseTimecode('00:10:00;00', 29.97)).toBeCloseTo(frame(17982), 9);
+  });
+
+  test('times show and read as timecode, frames or seconds', () => {
+    expect(formatTime(2.5, 24, 'frames')).toBe('60');
+    expect(formatTime(2.5, 24, 'seconds')).toBe('2.50s');
+
+    expect(parseTime('01:00', 25)).toBe(1);
+    expect(parseTime('48', 24, 'smpte')).toBe(2);
+    expect(parseTime('2.5s', 24, 'frames')).toBe(2.5);
+    expect(parseTime('2.51', 24, 'seconds')).toBe(60 / 24);
+    expect(parseTime('00:00:01:30', 25)).toBeNull();
+    expect(parseTime('soon', 25)).toBeNull();
+  });
+
+  test('frame steps land on frame starts', () => {
+    expect(stepFrames(0, 1, 25)).toBe(0.04);
+    expect(stepFrames(0.05, -1, 25)).toBe(0.04);
+    expect(stepFrames(0.04, -1, 25)).toBe(0);
+    expect(stepFrames(0, -1, 25)).toBe(0);
+  });
+});
+
+describe('sequence frame rates', () => {
+  test('NTSC rates are valid sequence settings', () => {
+    expect(normalizeSequenceSettings({ width: 1920, height: 1080, fps: 29.97 }).fps).toBe(29.97);
+    expect(normalizeSequenceSettings({ width: 1920, height: 1080, fps: 23.976 }).fps).toBe(23.976);
+    expect(normalizeSequenceSettings({ width: 1920, height: 1080, fps: 29 }).fps).toBe(30);
+  });
+
+  test('frame steps and nudges use the real NTSC frame length', () => {
+    act(() => {
+      getState().addMediaItem('video-track', { name: 'a.mp4', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 10 });
+      getState().updateSequence(DEFAULT_SEQUENCE_ID, { fps: 29.97 });
+      getState().stepForward();
+    });
+    expect(getState().playhead).toBeCloseTo(1001 / 30000, 10);
+
+    act(() => {
+      getState().setEditMode(EDIT_MODES.OVERWRITE);
+      getState().selectItem(getState().tracks[0].items[0].id);
+      getState().nudgeSelection(30);
+    });
+    expect(getState().tracks[0].items[0].startTime).toBeCloseTo(1.001, 9);
+  });
+
+  test('trim previews show the frame before an out point at the sequence rate', () => {
+    const items = [{ id: 'a', name: 'a', path: '/a.mp4', type: 'video', startTime: 0, duration: 2, sourceIn: 0, sourceOut: 2 }];
+    expect(getTrimPreviewFrames(items, 'a', 'slip', 'end', 25)[1].time).toBeCloseTo(1.96);
+  });
+});
+
+describe('TimelinePanel time display', () => {
+  test('switches the display and seeks to a typed timecode', () => {
+    act(() => {
+      getState().addMediaItem('video-track', { name: 'a.mp4', path: '/media/a.mp4', type: 'video', startTime: 0, duration: 10 });
+    });
+    render(<TimelinePanel />);
+
+    const input = screen.getByLabelText('Playhead time');
+    expect(input).toHaveValue('00:00:00:00');
+
+    act(() => input.focus());
+    fireEvent.change(input, { target: { value: '00:00:02:15' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(getState().playhead).toBe(2.5);
+    expect(input).toHaveValue('00:00:02:15');
+
+    fireEvent.change(screen.getByLabelText('Time display'), { target: { value: 'frames' } });
+    expect(input).toHaveValue('75');
+    expect(screen.getByText('300', { selector: '.total-time' })).toBeInTheDocument();
+  });
+});
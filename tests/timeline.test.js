@@ -1,6 +1,7 @@
 import React from 'react';
 import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
 import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
 
 // Reset store between tests
 beforeEach(() => {
@@ -178,7 +179,10 @@ describe('useEditorStore', () => {
       expect(videoTrack.items).toHaveLength(1);
       expect(audioTrack.items).toHaveLength(0);
       
+      // Overwrite keeps the drop time; Ripple, the default, packs the clip to
+      // the start of the empty track (see the next test)
       act(() => {
+        useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
         useEditorStore.getState().moveItemToTrack('video-track', 'audio-track', itemId, 5);
       });
       
@@ -188,6 +192,26 @@ describe('useEditorStore', () => {
       expect(audioTrack.items).toHaveLength(1);
       expect(audioTrack.items[0].startTime).toBe(5);
     });
+    
+    test('should pack an item moved between tracks in the default ripple mode', () => {
+      let itemId;
+      act(() => {
+        itemId = useEditorStore.getState().addMediaItem('video-track', {
+          name: 'movable.mp4',
+          type: 'video',
+          duration: 5,
+        });
+      });
+      expect(useEditorStore.getInitialState().editMode).toBe(EDIT_MODES.RIPPLE);
+      
+      act(() => {
+        useEditorStore.getState().setEditMode(EDIT_MODES.RIPPLE);
+        useEditorStore.getState().moveItemToTrack('video-track', 'audio-track', itemId, 5);
+      });
+      
+      const audioTrack = useEditorStore.getState().tracks.find(t => t.id === 'audio-track');
+      expect(audioTrack.items.map(item => item.startTime)).toEqual([0]);
+    });
   });
 
   describe('Zoom controls', () => {
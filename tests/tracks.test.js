@@ -0,0 +1,186 @@
+import React from 'react';
+import { render, screen, fireEvent, createEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { serializeProject, parseProject } from '../src/renderer/store/projectFile';
+import {
+  createTrack,
+  getVisualLayersAtTime,
+  getAudioItemsAtTime,
+} from '../src/renderer/store/tracks';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { getTrack } from './fixtures';
+
+const clip = (id, type = 'video', extra = {}) => ({
+  id, name: id, path: `/media/${id}`, type, startTime: 0, duration: 10, ...extra,
+});
+
+const withItems = (track, items, flags = {}) => ({ ...track, items, ...flags });
+
+const getTrackIds = () => useEditorStore.getState().tracks.map(track => track.id);
+
+beforeEach(() => {
+  act(() => {
+    useEditorStore.getState().clearAll();
+  });
+});
+
+describe('track output rules', () => {
+  const top = withItems(createTrack('v2', 'video', 'Video 2'), [clip('title.png', 'image')]);
+  const bottom = withItems(createTrack('v1', 'video', 'Video 1'), [clip('a.mp4')]);
+  const music = withItems(createTrack('a1', 'audio', 'Audio 1'), [clip('music.mp3', 'audio')]);
+  const voice = withItems(createTrack('a2', 'audio', 'Audio 2'), [clip('voice.wav', 'audio')]);
+
+  test('draws the bottom video track first so the top track is composited over it', () => {
+    const layers = getVisualLayersAtTime([top, bottom, music], 5);
+
+    expect(layers.map(item => item.id)).toEqual(['a.mp4', 'title.png']);
+  });
+
+  test('hidden tracks and offline clips are left out of the picture', () => {
+    const hiddenTop = { ...top, hidden: true };
+    const offlineBottom = withItems(bottom, [clip('a.mp4', 'video', { offline: true })]);
+
+    expect(getVisualLayersAtTime([hiddenTop, bottom], 5).map(item => item.id)).toEqual(['a.mp4']);
+    expect(getVisualLayersAtTime([top, offlineBottom], 5).map(item => item.id)).toEqual(['title.png']);
+  });
+
+  test('solo only silences tracks of the same type', () => {
+    const tracks = [top, bottom, { ...music, solo: true }, voice];
+
+    expect(getAudioItemsAtTime(tracks, 5).map(item => item.id)).toEqual(['music.mp3']);
+    expect(getVisualLayersAtTime(tracks, 5)).toHaveLength(2);
+  });
+
+  test('muted tracks are not heard', () => {
+    const tracks = [music, { ...voice, muted: true }];
+
+    expect(getAudioItemsAtTime(tracks, 5).map(item => item.id)).toEqual(['music.mp3']);
+  });
+});
+
+describe('track management', () => {
+  test('adds video tracks above the others and audio tracks below', () => {
+    let videoId;
+    let audioId;
+    act(() => {
+      videoId = useEditorStore.getState().addTrack('video');
+      audioId = useEditorStore.getState().addTrack('audio');
+    });
+
+    expect(getTrackIds()).toEqual([videoId, 'video-track', 'audio-track', audioId]);
+    expect(getTrack(videoId).name).toBe('Video 2');
+    expect(getTrack(audioId).name).toBe('Audio 2');
+  });
+
+  test('removes a track and its clips but always keeps one track', () => {
+    act(() => {
+      const itemId = useEditorStore.getState().addMediaItem('audio-track', clip('music.mp3', 'audio'));
+      useEditorStore.getState().selectItem(itemId);
+      useEditorStore.getState().removeTrack('audio-track');
+      useEditorStore.getState().removeTrack('video-track');
+    });
+
+    expect(getTrackIds()).toEqual(['video-track']);
+    expect(useEditorStore.getState().selectedItemId).toBeNull();
+  });
+
+  test('renames, reorders and toggles tracks as undoable steps', () => {
+    act(() => {
+      useEditorStore.getState().renameTrack('video-track', '  B-roll ');
+      useEditorStore.getState().renameTrack('video-track', '   ');
+      useEditorStore.getState().moveTrack(0, 1);
+      useEditorStore.getState().toggleTrackFlag('audio-track', 'muted');
+    });
+
+    expect(getTrackIds()).toEqual(['audio-track', 'video-track']);
+    expect(getTrack('video-track').name).toBe('B-roll');
+    expect(getTrack('audio-track').muted).toBe(true);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getTrack('audio-track').muted).toBe(false);
+
+    act(() => useEditorStore.getState().undo());
+    expect(getTrackIds()).toEqual(['video-track', 'audio-track']);
+  });
+
+  test('locked tracks reject edits', () => {
+    let itemId;
+    act(() => {
+      itemId = useEditorStore.getState().addMediaItem('video-track', clip('a.mp4'));
+      useEditorStore.getState().toggleTrackFlag('video-track', 'locked');
+    });
+
+    act(() => {
+      useEditorStore.getState().moveMediaItem('video-track', itemId, 4);
+      useEditorStore.getState().trimItem('video-track', itemId, 'end', 5);
+      useEditorStore.getState().removeMediaItem('video-track', itemId);
+      useEditorStore.getState().moveItemToTrack('video-track', 'audio-track', itemId, 0);
+    });
+
+    expect(getTrack('video-track').items).toEqual([
+      expect.objectContaining({ id: itemId, startTime: 0, duration: 10 }),
+    ]);
+    expect(useEditorStore.getState().addMediaItem('video-track', clip('b.mp4'))).toBeNull();
+    expect(useEditorStore.getState().splitItemAt(itemId, 5)).toBeNull();
+  });
+
+  test('track flags survive a project save and load', () => {
+    act(() => {
+      useEditorStore.getState().toggleTrackFlag('video-track', 'hidden');
+      useEditorStore.getState().toggleTrackFlag('audio-track', 'solo');
+    });
+
+    const [{ tracks }] = parseProject(JSON.stringify(serializeProject(useEditorStore.getState()))).sequences;
+
+    expect(tracks[0]).toMatchObject({ id: 'video-track', hidden: true, solo: false, locked: false });
+    expect(tracks[1]).toMatchObject({ id: 'audio-track', solo: true, muted: false });
+  });
+});
+
+describe('TimelinePanel track headers', () => {
+  test('header toggles flip track flags', () => {
+    render(<TimelinePanel />);
+
+    fireEvent.click(screen.getAllByTitle('Mute track')[1]);
+
+    expect(getTrack('audio-track').muted).toBe(true);
+    expect(screen.getAllByTitle('Mute track')[1]).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('adds tracks from the timeline', () => {
+    render(<TimelinePanel />);
+
+    fireEvent.click(screen.getByText('+ Audio Track'));
+
+    expect(screen.getByText('Audio 2')).toBeInTheDocument();
+  });
+
+  test('double-click renames a track', () => {
+    render(<TimelinePanel />);
+
+    fireEvent.doubleClick(screen.getByText('Video Track'));
+    const input = screen.getByLabelText('Track name');
+    fireEvent.change(input, { target: { value: 'Titles' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(getTrack('video-track').name).toBe('Titles');
+  });
+
+  test('files dropped onto a track are handed over with the track and drop time', () => {
+    const onFileDrop = jest.fn();
+    act(() => useEditorStore.getState().setZoom(10));
+    const { container } = render(<TimelinePanel onFileDrop={onFileDrop} />);
+    const file = new File(['RIFF'], 'voice.wav', { type: 'audio/wav' });
+
+    const content = container.querySelector('[data-track-id="audio-track"] .track-content');
+    const dataTransfer = { types: ['Files'], files: [file] };
+
+    fireEvent.dragEnter(content, { dataTransfer });
+    // jsdom has no DragEvent, so give the drop its pointer position by hand
+    const drop = createEvent.drop(content, { dataTransfer });
+    Object.defineProperty(drop, 'clientX', { value: 40 });
+    fireEvent(content, drop);
+
+    expect(onFileDrop).toHaveBeenCalledWith('audio-track', [file], 4);
+  });
+});
@@ -0,0 +1,190 @@
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import { applyTrim, getTrimBounds, MIN_CLIP_DURATION } from '../src/renderer/store/trim';
+import { parseProject, serializeProject } from '../src/renderer/store/projectFile';
+import TimelineItem from '../src/renderer/components/Timeline/TimelineItem';
+
+const clip = (extra = {}) => ({
+  id: 'a', name: 'a.mp4', path: '/media/a.mp4', type: 'video',
+  startTime: 10, duration: 10, sourceIn: 5, sourceOut: 15, mediaDuration: 30, ...extra,
+});
+
+describe('applyTrim', () => {
+  test('trimming the start moves the in point with the clip start', () => {
+    expect(applyTrim(clip(), 'start', 12)).toMatchObject({
+      startTime: 12, duration: 8, sourceIn: 7, sourceOut: 15,
+    });
+  });
+
+  test('the start cannot be extended past the beginning of the media', () => {
+    expect(applyTrim(clip(), 'start', 0)).toMatchObject({
+      startTime: 5, duration: 15, sourceIn: 0, sourceOut: 15,
+    });
+  });
+
+  test('the end cannot be extended past the end of the media', () => {
+    expect(applyTrim(clip(), 'end', 100)).toMatchObject({
+      startTime: 10, duration: 25, sourceIn: 5, sourceOut: 30,
+    });
+  });
+
+  test('a trim never leaves less than the minimum clip length', () => {
+    expect(applyTrim(clip(), 'end', 0).duration).toBeCloseTo(MIN_CLIP_DURATION);
+    expect(applyTrim(clip(), 'start', 50).duration).toBeCloseTo(MIN_CLIP_DURATION);
+  });
+
+  test('stills can be stretched in both directions', () => {
+    const still = clip({ type: 'image', sourceIn: 0, sourceOut: 10, mediaDuration: undefined });
+
+    expect(applyTrim(still, 'start', 2)).toMatchObject({ startTime: 2, duration: 18, sourceIn: 0 });
+    expect(applyTrim(still, 'end', 60)).toMatchObject({ duration: 50, sourceOut: 50 });
+  });
+
+  test('bounds stop the trim at neighbouring clips', () => {
+    const items = [
+      { id: 'before', startTime: 0, duration: 8 },
+      clip(),
+      { id: 'after', startTime: 24, duration: 5 },
+    ];
+    const bounds = getTrimBounds(items, items[1]);
+
+    expect(bounds).toEqual({ min: 8, max: 24 });
+    expect(applyTrim(clip(), 'start', 6, bounds).startTime).toBe(8);
+    expect(applyTrim(clip(), 'end', 28, bounds).duration).toBe(14);
+  });
+});
+
+describe('useEditorStore trimming', () => {
+  const getVideoItems = () => useEditorStore.getState().tracks[0].items;
+
+  const addClip = (name, startTime, duration) => {
+    let id;
+    act(() => {
+      id = useEditorStore.getState().addMediaItem('video-track', {
+        name, path: `/media/${name}`, type: 'video', startTime, duration, mediaDuration: duration,
+      });
+    });
+    return id;
+  };
+
+  beforeEach(() => {
+    act(() => {
+      useEditorStore.getState().clearAll();
+      useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+    });
+  });
+
+  test('new clips play their media from the start', () => {
+    addClip('a.mp4', 0, 10);
+
+    expect(getVideoItems()[0]).toMatchObject({ sourceIn: 0, sourceOut: 10 });
+  });
+
+  test('the media duration read after import sets the out point', () => {
+    const id = addClip('a.mp4', 0, 10);
+
+    act(() => useEditorStore.getState().updateItemMedia('video-track', id, { duration: 42 }));
+
+    expect(getVideoItems()[0]).toMatchObject({ duration: 42, sourceOut: 42, mediaDuration: 42 });
+  });
+
+  test('trimming stops at the next clip and is one undo step', () => {
+    const a = addClip('a.mp4', 0, 10);
+    addClip('b.mp4', 12, 10);
+
+    act(() => {
+      useEditorStore.getState().trimItem('video-track', a, 'end', 8);
+      useEditorStore.getState().trimItem('video-track', a, 'end', 9);
+    });
+    expect(getVideoItems()[0]).toMatchObject({ duration: 9, sourceOut: 9 });
+
+    act(() => useEditorStore.getState().trimItem('video-track', a, 'start', 3));
+    expect(getVideoItems()[0]).toMatchObject({ startTime: 3, duration: 6, sourceIn: 3 });
+
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()[0]).toMatchObject({ startTime: 0, duration: 10, sourceIn: 0 });
+  });
+
+  test('ripple trims move the following clips', () => {
+    const a = addClip('a.mp4', 0, 10);
+    addClip('b.mp4', 10, 10);
+    act(() => useEditorStore.getState().setEditMode(EDIT_MODES.RIPPLE));
+
+    act(() => useEditorStore.getState().trimItem('video-track', a, 'start', 4));
+
+    expect(getVideoItems().map(item => [item.startTime, item.duration, item.sourceIn])).toEqual([
+      [0, 6, 4], [6, 10, 0],
+    ]);
+  });
+
+  test('ripple start trims measure every step of a drag from where it started', () => {
+    const a = addClip('a.mp4', 0, 10);
+    addClip('b.mp4', 10, 10);
+    act(() => useEditorStore.getState().setEditMode(EDIT_MODES.RIPPLE));
+    const origin = getVideoItems()[0];
+
+    act(() => {
+      [1, 2, 3].forEach(time => useEditorStore.getState().trimItem('video-track', a, 'start', time, origin));
+    });
+    expect(getVideoItems().map(item => [item.startTime, item.duration, item.sourceIn])).toEqual([
+      [0, 7, 3], [7, 10, 0],
+    ]);
+
+    // Dragging back gives the media back
+    act(() => useEditorStore.getState().trimItem('video-track', a, 'start', 1, origin));
+    expect(getVideoItems()[0]).toMatchObject({ startTime: 0, duration: 9, sourceIn: 1 });
+  });
+
+  test('in and out points survive a save and load', () => {
+    const a = addClip('a.mp4', 0, 10);
+    act(() => useEditorStore.getState().trimItem('video-track', a, 'start', 2));
+
+    const project = parseProject(JSON.stringify(serializeProject(useEditorStore.getState())));
+
+    expect(project.sequences[0].tracks[0].items[0]).toMatchObject({ sourceIn: 2, sourceOut: 10 });
+  });
+
+  test('old project files default to the start of the media', () => {
+    const project = parseProject({
+      format: 'ai-media-editor-project',
+      version: 1,
+      timeline: { tracks: [{ id: 'video-track', items: [{ id: 1, startTime: 4, duration: 6 }] }] },
+    });
+
+    expect(project.sequences[0].tracks[0].items[0]).toMatchObject({ sourceIn: 0, sourceOut: 6 });
+  });
+});
+
+describe('TimelineItem resize handles', () => {
+  test('dragging the right handle trims the end', () => {
+    const onTrim = jest.fn();
+    const { container } = render(
+      <DndProvider backend={HTML5Backend}>
+        <TimelineItem
+          item={clip()}
+          index={0}
+          trackId="video-track"
+          zoom={10}
+          isSelected={false}
+          onSelect={jest.fn()}
+          onRemove={jest.fn()}
+          onMove={jest.fn()}
+          onReorder={null}
+          onTrim={onTrim}
+        />
+      </DndProvider>
+    );
+
+    fireEvent.mouseDown(container.querySelector('.resize-handle-right'), { clientX: 200 });
+    fireEvent.mouseMove(window, { clientX: 250 });
+    fireEvent.mouseUp(window);
+    fireEvent.mouseMove(window, { clientX: 300 });
+
+    expect(onTrim).toHaveBeenCalledTimes(1);
+    expect(onTrim).toHaveBeenCalledWith('video-track', 'a', 'end', 25, clip());
+  });
+});
@@ -0,0 +1,159 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import { EDIT_MODES } from '../src/renderer/store/editModes';
+import {
+  getAdjacentItems,
+  slipItem,
+  slideItem,
+  rollEdit,
+  getTrimPreviewFrames,
+} from '../src/renderer/store/trimTools';
+import TimelinePanel from '../src/renderer/components/Timeline/TimelinePanel';
+import { trimmedClip, addClip } from './fixtures';
+
+const layout = (items) => items.map(item => [item.id, item.startTime, item.duration, item.sourceIn]);
+
+const getVideoItems = () => useEditorStore.getState().tracks[0].items;
+
+beforeEach(() => {
+  act(() => {
+    useEditorStore.getState().clearAll();
+    useEditorStore.getState().setEditMode(EDIT_MODES.OVERWRITE);
+    useEditorStore.getState().setActiveTool('select');
+  });
+});
+
+describe('trim tool helpers', () => {
+  const items = [
+    trimmedClip('a', 0, 4, { sourceIn: 2 }),
+    trimmedClip('b', 4, 4, { sourceIn: 5 }),
+    trimmedClip('c', 8, 4, { sourceIn: 1 }),
+  ];
+
+  test('finds the clips touching a clip', () => {
+    expect(getAdjacentItems(items, items[1])).toEqual({ previous: items[0], next: items[2] });
+    expect(getAdjacentItems([items[0], trimmedClip('far', 6, 1)], items[0])).toEqual({ previous: null, next: null });
+  });
+
+  test('slip moves the media window within the media', () => {
+    expect(layout(slipItem(items, items[1], 3).items)[1]).toEqual(['b', 4, 4, 8]);
+
+    const clamped = slipItem(items, items[1], -10);
+    expect(clamped.offset).toBe(-5);
+    expect(clamped.items[1]).toMatchObject({ sourceIn: 0, sourceOut: 4 });
+
+    expect(slipItem(items, items[1], 20).offset).toBe(11);
+    expect(slipItem(items, trimmedClip('still', 0, 4, { type: 'image' }), 2).offset).toBe(0);
+  });
+
+  test('slide trims the neighbours and keeps the run length', () => {
+    const { items: slid, offset } = slideItem(items, items[1], 1.5);
+
+    expect(offset).toBe(1.5);
+    expect(layout(slid)).toEqual([['a', 0, 5.5, 2], ['b', 5.5, 4, 5], ['c', 9.5, 2.5, 2.5]]);
+  });
+
+  test('slide stops where a neighbour runs out of media or length', () => {
+    // c cannot get shorter than 0.1s
+    expect(slideItem(items, items[1], 10).offset).toBeCloseTo(3.9);
+    // Sliding left extends c's start, and c has only 1s of media before its in point
+    expect(slideItem(items, items[1], -10).offset).toBe(-1);
+  });
+
+  test('slide without touching neighbours stops at the next clip', () => {
+    const spaced = [trimmedClip('a', 0, 2), trimmedClip('b', 4, 2), trimmedClip('c', 7, 2)];
+    expect(slideItem(spaced, spaced[1], 5).offset).toBe(1);
+    expect(slideItem(spaced, spaced[1], -5).offset).toBe(-2);
+  });
+
+  test('roll moves the cut between two clips', () => {
+    const { items: rolled, offset } = rollEdit(items, items[0], 'end', 1);
+
+    expect(offset).toBe(1);
+    expect(layout(rolled)).toEqual([['a', 0, 5, 2], ['b', 5, 3, 6], ['c', 8, 4, 1]]);
+
+    // The same cut, grabbed from the clip after it
+    expect(layout(rollEdit(items, items[1], 'start', 1).items)).toEqual(layout(rolled));
+  });
+
+  test('roll is limited by the media of both clips', () => {
+    // b's media starts 5s before its in point, so the cut can move back at most 3.9s (a keeps 0.1s)
+    expect(rollEdit(items, items[1], 'start', -10).offset).toBeCloseTo(-3.9);
+    // c has only 1s of media before its in point
+    expect(rollEdit(items, items[2], 'start', -5).offset).toBe(-1);
+  });
+
+  test('preview frames show the edit points', () => {
+    expect(getTrimPreviewFrames(items, 'b', 'slip').map(frame => [frame.label, frame.time]))
+      .toEqual([['In', 5], ['Out', 9 - 1 / 30]]);
+    expect(getTrimPreviewFrames(items, 'b', 'slide').map(frame => [frame.label, frame.name]))
+      .toEqual([['Previous out', 'a'], ['Next in', 'c']]);
+    expect(getTrimPreviewFrames(items, 'b', 'roll', 'start').map(frame => [frame.label, frame.name]))
+      .toEqual([['Outgoing', 'a'], ['Incoming', 'b']]);
+  });
+});
+
+describe('store trim tools', () => {
+  test('slip, slide and roll are undoable edits', () => {
+    const a = addClip('video-track', 'a.mp4', 0, 4, { sourceIn: 2, mediaDuration: 20 });
+    const b = addClip('video-track', 'b.mp4', 4, 4, { sourceIn: 5, mediaDuration: 20 });
+    const before = useEditorStore.getState().history.past.length;
+
+    act(() => useEditorStore.getState().slipItem('video-track', b, 7));
+    expect(getVideoItems()[1]).toMatchObject({ startTime: 4, sourceIn: 7, sourceOut: 11 });
+
+    act(() => useEditorStore.getState().rollEdit('video-track', a, 'end', 3));
+    expect(getVideoItems().map(item => [item.startTime, item.duration])).toEqual([[0, 3], [3, 5]]);
+    expect(getVideoItems()[1].sourceIn).toBe(6);
+
+    act(() => useEditorStore.getState().slideItem('video-track', b, 5));
+    expect(getVideoItems().map(item => [item.startTime, item.duration])).toEqual([[0, 5], [5, 5]]);
+
+    expect(useEditorStore.getState().history.past.length).toBe(before + 3);
+    act(() => useEditorStore.getState().undo());
+    expect(getVideoItems()[1].startTime).toBe(3);
+  });
+
+  test('locked tracks are left alone', () => {
+    const b = addClip('video-track', 'b.mp4', 4, 4, { sourceIn: 5, mediaDuration: 20 });
+    act(() => {
+      useEditorStore.getState().toggleTrackFlag('video-track', 'locked');
+      useEditorStore.getState().slipItem('video-track', b, 7);
+    });
+    expect(getVideoItems()[0].sourceIn).toBe(5);
+  });
+
+  test('linked audio follows a slip', () => {
+    const b = addClip('video-track', 'b.mp4', 4, 4, { sourceIn: 5, mediaDuration: 20 });
+    act(() => {
+      useEditorStore.getState().addLinkedAudio('video-track', b);
+      useEditorStore.getState().slipItem('video-track', b, 6);
+    });
+    expect(useEditorStore.getState().tracks[1].items[0]).toMatchObject({ sourceIn: 6, sourceOut: 10 });
+  });
+});
+
+describe('TimelinePanel trim tools', () => {
+  test('dragging with the roll tool moves the cut and shows a two-up preview', () => {
+    addClip('video-track', 'a.mp4', 0, 4, { sourceIn: 2, mediaDuration: 20 });
+    addClip('video-track', 'b.mp4', 4, 4, { sourceIn: 5, mediaDuration: 20 });
+    act(() => useEditorStore.getState().setZoom(10));
+    render(<TimelinePanel />);
+
+    fireEvent.keyDown(window, { key: 'r' });
+    expect(screen.getByTitle(/^Roll tool/)).toHaveAttribute('aria-pressed', 'true');
+
+    // jsdom has no layout, so the clip is 0px wide and grabbing it picks its end
+    const [first] = document.querySelectorAll('.timeline-item-v2');
+    fireEvent.mouseDown(first, { button: 0, clientX: 100 });
+    fireEvent.mouseMove(window, { clientX: 115, altKey: true });
+
+    expect(getVideoItems().map(item => [item.startTime, item.duration])).toEqual([[0, 5.5], [5.5, 2.5]]);
+    expect(screen.getByRole('group', { name: 'Trim preview' })).toHaveTextContent('Outgoing');
+    expect(screen.getByRole('group', { name: 'Trim preview' })).toHaveTextContent('Incoming');
+
+    fireEvent.mouseUp(window);
+    expect(screen.queryByRole('group', { name: 'Trim preview' })).toBeNull();
+  });
+});
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import React from 'react';
+import { render, waitFor, act } from '@testing-library/react';
+import peaksCache from '../src/main/peaksCache';
+import mediaFiles from '../src/main/mediaFiles';
+import useEditorStore from '../src/renderer/store/useEditorStore';
+import {
+  computePeaks,
+  buildPeakLevels,
+  getPeakLevel,
+  getWaveformColumns,
+  loadPeakLevels,
+  clearPeakLevels,
+  startMediaAccess,
+} from '../src/renderer/store/waveform';
+import Waveform from '../src/renderer/components/Timeline/Waveform';
+
+// Two channels of 8 samples a second for two seconds
+const audioBuffer = {
+  sampleRate: 8,
+  length: 16,
+  numberOfChannels: 2,
+  getChannelData: (channel) => Float32Array.from({ length: 16 }, (_, i) => (
+    channel === 0 ? (i % 4) / 4 : -(i % 8) / 8
+  )),
+};
+
+const peaks = { peaksPerSecond: 4, min: [-16, -48, -79, -111, -16, -48, -79, -111], max: [32, 95, 32, 95, 32, 95, 32, 95] };
+
+const clip = (changes = {}) => ({ id: 'a', path: '/media/a.wav', type: 'audio', startTime: 0, duration: 2, ...changes });
+
+afterEach(() => {
+  clearPeakLevels();
+  delete window.electronAPI;
+  delete global.OfflineAudioContext;
+});
+
+describe('waveform peaks', () => {
+  test('peaks hold the lowest and highest sample of every channel', () => {
+    expect(computePeaks(audioBuffer, 4)).toEqual(peaks);
+  });
+
+  test('each level halves the one before, and drawing picks the coarsest that is fine enough', () => {
+    const levels = buildPeakLevels(peaks);
+    expect(levels.map(level => level.peaksPerSecond)).toEqual([4, 2, 1]);
+    expect(levels[1]).toEqual({ peaksPerSecond: 2, min: [-48, -111, -48, -111], max: [95, 95, 95, 95] });
+    expect(levels[2]).toEqual({ peaksPerSecond: 1, min: [-111, -111], max: [95, 95] });
+
+    expect(getPeakLevel(levels, 0.5)).toBe(levels[2]);
+    expect(getPeakLevel(levels, 1.5)).toBe(levels[1]);
+    expect(getPeakLevel(levels, 100)).toBe(levels[0]);
+  });
+
+  test('columns follow the clip\'s trim and direction', () => {
+    const levels = buildPeakLevels(peaks);
+    const scale = (columns) => columns.map(column => [Math.round(column.min * 127), Math.round(column.max * 127)]);
+
+    expect(scale(getWaveformColumns(levels, clip(), 8, 0, 2))).toEqual([[-16, 32], [-48, 95]]);
+    expect(scale(getWaveformColumns(levels, clip({ duration: 1, sourceIn: 1 }), 4, 2, 2))).toEqual([[-79, 32], [-111, 95]]);
+    expect(scale(getWaveformColumns(levels, clip({ reversed: true }), 8, 0, 2))).toEqual([[-111, 95], [-79, 32]]);
+  });
+});
+
+describe('loading peaks', () => {
+  const decodeAudioData = jest.fn(() => Promise.resolve(audioBuffer));
+
+  beforeEach(() => {
+    decodeAudioData.mockClear();
+    global.OfflineAudioContext = jest.fn(() => ({ decodeAudioData }));
+  });
+
+  test('a file is decoded once and its peaks are cached on disk', async () => {
+    window.electronAPI = {
+      getPeaks: jest.fn(() => Promise.resolve(null)),
+      readMediaFile: jest.fn(() => Promise.resolve(new Uint8Array([1, 2, 3]))),
+      savePeaks: jest.fn(() => Promise.resolve()),
+    };
+
+    const levels = await loadPeakLevels('/media/a.wav');
+    expect(await loadPeakLevels('/media/a.wav')).toBe(levels);
+    expect(window.electronAPI.readMediaFile).toHaveBeenCalledTimes(1);
+    expect(decodeAudioData).toHaveBeenCalledTimes(1);
+    expect(window.electronAPI.savePeaks).toHaveBeenCalledWith('/media/a.wav', levels[0]);
+  });
+
+  test('cached peaks are used without decoding', async () => {
+    window.electronAPI = {
+      getPeaks: jest.fn(() => Promise.resolve(peaks)),
+      readMediaFile: jest.fn(),
+    };
+
+    const levels = await loadPeakLevels('/media/a.wav');
+    expect(levels[0]).toEqual(peaks);
+    expect(window.electronAPI.readMediaFile).not.toHaveBeenCalled();
+    expect(decodeAudioData).not.toHaveBeenCalled();
+  });
+
+  test('without Web Audio there are no peaks and nothing is cached', async () => {
+    delete global.OfflineAudioContext;
+    window.electronAPI = {
+      getPeaks: jest.fn(() => Promise.resolve(null)),
+      readMediaFile: jest.fn(),
+      savePeaks: jest.fn(),
+    };
+
+    expect(await loadPeakLevels('/media/a.wav')).toBeNull();
+    expect(window.electronAPI.readMediaFile).not.toHaveBeenCalled();
+    expect(window.electronAPI.savePeaks).not.toHaveBeenCalled();
+  });
+
+  test('the clip draws once its peaks are in', async () => {
+    window.electronAPI = { getPeaks: jest.fn(() => Promise.resolve(peaks)) };
+
+    const { container } = render(<Waveform item={clip({ duration: 100 })} width={5000} />);
+    await waitFor(() => expect(container.querySelector('.timeline-item-waveform')).toHaveClass('loaded'));
+
+    // Long clips are split over several canvases
+    const canvases = [...container.querySelectorAll('canvas')];
+    expect(canvases.map(canvas => canvas.width)).toEqual([2048, 2048, 904]);
+  });
+});
+
+describe('media access', () => {
+  test('the main process is told which media the project uses', () => {
+    act(() => useEditorStore.getState().clearAll());
+    window.electronAPI = { setProjectMedia: jest.fn(() => Promise.resolve()) };
+
+    const stop = startMediaAccess();
+    expect(window.electronAPI.setProjectMedia).toHaveBeenLastCalledWith([]);
+
+    act(() => {
+      useEditorStore.getState().addMediaItem('audio-track', { name: 'a.wav', path: '/media/a.wav', type: 'audio' });
+      useEditorStore.getState().addMediaItem('audio-track', { name: 'dropped.wav', path: 'blob:abc', type: 'audio' });
+    });
+    expect(window.electronAPI.setProjectMedia).toHaveBeenLastCalledWith(['/media/a.wav']);
+
+    // Changes that keep the same media are not sent again
+    act(() => useEditorStore.getState().setPlayhead(3));
+    expect(window.electronAPI.setProjectMedia).toHaveBeenCalledTimes(2);
+    stop();
+  });
+});
+
+describe('Reading media (main process)', () => {
+  let dir;
+  let mediaPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-media-editor-media-'));
+    mediaPath = path.join(dir, 'a.wav');
+    fs.writeFileSync(mediaPath, 'RIFF');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('only the project\'s media is read, up to the size limit', async () => {
+    const secret = path.join(dir, 'secret.txt');
+    fs.writeFileSync(secret, 'key');
+
+    expect((await mediaFiles.readMediaFile(mediaPath, new Set([mediaPath]))).toString()).toBe('RIFF');
+    await expect(mediaFiles.readMediaFile(secret, new Set([mediaPath]))).rejects.toThrow('open project');
+    await expect(mediaFiles.readMediaFile(mediaPath, new Set([mediaPath]), 3)).rejects.toThrow('too large');
+  });
+});
+
+describe('Peaks cache (main process)', () => {
+  let dir;
+  let mediaPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-media-editor-peaks-'));
+    mediaPath = path.join(dir, 'a.wav');
+    fs.writeFileSync(mediaPath, 'RIFF');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('peaks are read back until the media file changes', async () => {
+    expect(await peaksCache.readPeaks(dir, mediaPath)).toBeNull();
+
+    await peaksCache.writePeaks(dir, mediaPath, peaks);
+    expect(await peaksCache.readPeaks(dir, mediaPath)).toEqual(peaks);
+
+    fs.writeFileSync(mediaPath, 'RIFF and more');
+    expect(await peaksCache.readPeaks(dir, mediaPath)).toBeNull();
+  });
+});